@@ -146,6 +146,7 @@ module TavernKit
         selected_keys = {}
         selected_groups = {}
         failed_probability = {}
+        suppressed_by_key = {}
         used = 0
         token_budget_overflowed = false
 
@@ -174,6 +175,9 @@ module TavernKit
             pass_default_depth = pass_default_depth.nil? ? nil : (pass_default_depth + scan_skew)
           end
 
+          # Passes over the recursion buffer so far (0 for direct/min activations scans)
+          pass_recursion_depth = scan_state == :recursive ? recursion_steps : 0
+
           activated_now = []
 
           entries.each do |entry|
@@ -185,14 +189,17 @@ module TavernKit
 
             # Timed effects suppression
             if timed_effects.delay_active?(entry)
+              suppressed_by_key[key] ||= suppressed_candidate(entry, "delay_active", :delay)
               next
             end
 
             sticky_active = timed_effects.sticky_active?(entry)
             cooldown_active = timed_effects.cooldown_active?(entry)
             if cooldown_active && !sticky_active
+              suppressed_by_key[key] ||= suppressed_candidate(entry, "cooldown_active", :cooldown)
               next
             end
+            active_effects = [(:sticky if sticky_active), (:cooldown if cooldown_active)].compact
 
             # Recursion-only suppression
             if scan_state == :recursive && entry.exclude_recursion && !sticky_active
@@ -231,7 +238,7 @@ module TavernKit
               cand.entry = forced_entry
               cand.activation_type = :forced
               cand.token_estimate = estimate_tokens(forced_entry.content)
-              activated_now << cand
+              activated_now << traced(cand, recursion_depth: pass_recursion_depth, timed_effects: active_effects)
               next
             end
 
@@ -247,7 +254,7 @@ module TavernKit
                 dropped_reason: nil,
               )
               cand.activation_type = :constant
-              activated_now << cand
+              activated_now << traced(cand, recursion_depth: pass_recursion_depth, timed_effects: active_effects)
               next
             end
 
@@ -263,7 +270,7 @@ module TavernKit
                 dropped_reason: nil,
               )
               cand.activation_type = :sticky
-              activated_now << cand
+              activated_now << traced(cand, recursion_depth: pass_recursion_depth, timed_effects: active_effects)
               next
             end
 
@@ -287,10 +294,10 @@ module TavernKit
               # Preserve original match metadata, but refresh activation_type/token estimate.
               existing.activation_type = candidate.activation_type
               existing.token_estimate = candidate.token_estimate
-              activated_now << existing
+              activated_now << traced(existing, recursion_depth: pass_recursion_depth, timed_effects: active_effects)
             else
               candidates_by_key[key] = candidate
-              activated_now << candidate
+              activated_now << traced(candidate, recursion_depth: pass_recursion_depth, timed_effects: active_effects)
             end
           end
 
@@ -447,11 +454,33 @@ module TavernKit
           used_tokens: used,
           candidates: candidates_by_key.values,
           insertion_strategy: insertion_strategy,
+          suppressed: suppressed_by_key.values,
         )
       end
 
       private
 
+      # Record in which pass a candidate was activated and the timed effects
+      # active for it (see Candidate).
+      def traced(candidate, recursion_depth:, timed_effects:)
+        candidate.recursion_depth = recursion_depth
+        candidate.timed_effects = timed_effects
+        candidate
+      end
+
+      def suppressed_candidate(entry, reason, effect)
+        Candidate.new(
+          entry: entry,
+          matched_primary_keys: [],
+          matched_secondary_keys: [],
+          activation_type: nil,
+          token_estimate: estimate_tokens(entry.content),
+          selected: false,
+          dropped_reason: reason,
+          timed_effects: [effect],
+        )
+      end
+
       def compute_effective_budget(books, token_budget)
         effective = if !token_budget.nil?
           token_budget.to_i
@@ -839,7 +868,9 @@ module TavernKit
 
           sticky_in_group = group_candidates.select { |c| timed_effects.sticky_active?(c.entry) || c.activation_type.to_sym == :sticky }
           if sticky_in_group.any?
-            (group_candidates - sticky_in_group).each { |c| remove_candidate.call(c, "group_sticky_loser") }
+            losers = group_candidates - sticky_in_group
+            losers.each { |c| remove_candidate.call(c, "group_sticky_loser") }
+            sticky_in_group.each { |c| c.group_winner = true } if losers.any?
             next
           end
 
@@ -848,6 +879,8 @@ module TavernKit
             next
           end
 
+          contested = group_candidates.length > 1
+
           # Group scoring filter
           if !!use_group_scoring || group_candidates.any? { |c| c.entry.use_group_scoring }
             scores = group_candidates.map do |c|
@@ -866,6 +899,8 @@ module TavernKit
             group_candidates.each_with_index do |c, idx|
               scored = c.entry.use_group_scoring.nil? ? !!use_group_scoring : !!c.entry.use_group_scoring
               next unless scored
+
+              c.group_score = scores[idx]
               next unless scores[idx] < max_score
 
               remove_candidate.call(c, "group_score_loser")
@@ -875,12 +910,16 @@ module TavernKit
             next if group_candidates.empty?
           end
 
-          next if group_candidates.length <= 1
+          if group_candidates.length <= 1
+            group_candidates.first.group_winner = true if contested
+            next
+          end
 
           # Priority winner: group_override
           overrides = group_candidates.select { |c| c.entry.group_override }
           if overrides.any?
             winner = overrides.max_by { |c| c.entry.insertion_order.to_i }
+            winner.group_winner = true
             (group_candidates - [winner]).each { |c| remove_candidate.call(c, "group_loser") }
             next
           end
@@ -899,6 +938,7 @@ module TavernKit
             winner ||= group_candidates.last
           end
 
+          winner.group_winner = true
           (group_candidates - [winner]).each { |c| remove_candidate.call(c, "group_loser") }
         end
       end
@@ -8,6 +8,15 @@ module TavernKit
       :global_lore_first,
     ].freeze
 
+    # An entry considered by the engine, with why it was (not) selected.
+    #
+    # Trace fields (for debugging why an entry did or didn't fire):
+    # - recursion_depth: 0 when matched by the direct scan, N when matched
+    #   against the recursion buffer after N passes
+    # - timed_effects: timed effects active for the entry (:sticky, :cooldown,
+    #   :delay) when it was considered
+    # - group_score: match score used by inclusion group scoring, if any
+    # - group_winner: true when it won a contest against other group members
     Candidate = Struct.new(
       :entry,
       :matched_primary_keys,
@@ -16,6 +25,10 @@ module TavernKit
       :token_estimate,
       :selected,
       :dropped_reason,
+      :recursion_depth,
+      :timed_effects,
+      :group_score,
+      :group_winner,
       keyword_init: true,
     ) do
       def to_h
@@ -37,6 +50,11 @@ module TavernKit
           token_estimate: token_estimate,
           selected: selected,
           dropped_reason: dropped_reason,
+          recursion_depth: recursion_depth,
+          timed_effects: Array(timed_effects),
+          group: entry.group,
+          group_score: group_score,
+          group_winner: !!group_winner,
         }
       end
     end
@@ -64,6 +82,11 @@ module TavernKit
       # @return [Symbol] insertion strategy
       attr_reader :insertion_strategy
 
+      # @return [Array<Candidate>] enabled entries skipped before matching because
+      #   a delay or cooldown was active (dropped_reason "delay_active" or
+      #   "cooldown_active")
+      attr_reader :suppressed
+
       # Create a new Result.
       #
       # @param books [Array<Lore::Book>] books evaluated
@@ -72,13 +95,15 @@ module TavernKit
       # @param used_tokens [Integer] tokens used by selected entries
       # @param candidates [Array<Candidate>] all candidates
       # @param insertion_strategy [Symbol] insertion strategy
-      def initialize(books:, scan_text:, budget:, used_tokens:, candidates: [], insertion_strategy: :sorted_evenly)
+      # @param suppressed [Array<Candidate>] entries suppressed by timed effects
+      def initialize(books:, scan_text:, budget:, used_tokens:, candidates: [], insertion_strategy: :sorted_evenly, suppressed: [])
         @books = Array(books)
         @scan_text = scan_text
         @budget = budget
         @used_tokens = used_tokens
         @candidates = candidates
         @insertion_strategy = insertion_strategy
+        @suppressed = suppressed
       end
 
       def selected
@@ -150,6 +175,7 @@ module TavernKit
           scan_text: scan_text,
           insertion_strategy: insertion_strategy,
           candidates: candidates.map(&:to_h),
+          suppressed: suppressed.map(&:to_h),
           outlets: outlets,
         }
       end
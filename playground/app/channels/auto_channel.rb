@@ -7,6 +7,8 @@
 # - auto_candidate_error: Suggestion generation failed
 # - auto_disabled: Auto was disabled (e.g., remaining steps exhausted)
 # - auto_steps_updated: Remaining auto steps count changed
+# - impersonation_start / impersonation_chunk / impersonation_complete / impersonation_error:
+#   Impersonate suggestion streamed into the composer
 #
 # Streams per-membership (not per-conversation) to ensure Auto events are unicast
 # to the requesting user only, preventing data leakage in multi-user spaces.
@@ -6,6 +6,11 @@
 # - Typing indicators (typing_start, typing_stop)
 # - Streaming content chunks (stream_chunk)
 #
+# Stream chunks are sequence/offset-numbered deltas (see Conversations::StreamBuffer).
+# A client that reconnects mid-generation performs `resume_stream` with the
+# offsets it already has and receives a `stream_resume` with the missing text
+# for each running run.
+#
 # DOM updates are handled by Turbo Streams separately.
 #
 # @example Subscribe from JavaScript
@@ -24,6 +29,32 @@ class ConversationChannel < ApplicationCable::Channel
     end
   end
 
+  # Resume streams the client lost track of (e.g., after a cable drop).
+  #
+  # Transmits (to this subscriber only) one `stream_resume` event per running
+  # run, carrying the text after the offset the client has for that run, or a
+  # single `active: false` when nothing is generating anymore. In group chats
+  # several speakers can stream at once, each in its own run. `resumable: false`
+  # tells the client the cache store keeps no snapshots (see
+  # Conversations::StreamBuffer.resumable?), so asking again is pointless.
+  #
+  # @param data [Hash] `streams`: run id => offset the client already has, for
+  #   every run it was following
+  def resume_stream(data)
+    offsets = data["streams"].is_a?(Hash) ? data["streams"] : {}
+    resumed = false
+
+    @conversation.conversation_runs.running.each do |run|
+      speaker = @conversation.space.space_memberships.find_by(id: run.speaker_space_membership_id)
+      next unless speaker
+
+      transmit_stream_resume(run, speaker, offset: offsets[run.id].to_i)
+      resumed = true
+    end
+
+    transmit({ type: "stream_resume", active: false }) unless resumed
+  end
+
   class << self
     include Rails.application.routes.url_helpers
 
@@ -32,32 +63,36 @@ class ConversationChannel < ApplicationCable::Channel
     # @param conversation [Conversation] the conversation to broadcast to
     # @param membership [SpaceMembership] the space membership that is typing
     # @param active [Boolean] true to show typing, false to hide
-    # @param target_message_id [Integer, nil] for regenerate: the message being regenerated
+    # @param target_message_id [Integer, nil] for regenerate/continue: the message being reworked
     #   When present, frontend shows typing indicator inline at the target message
     #   instead of at the bottom of the conversation.
-    def broadcast_typing(conversation, membership:, active:, target_message_id: nil)
-      payload = {
-        type: active ? "typing_start" : "typing_stop",
-        space_membership_id: membership.id,
-        name: membership.display_name,
-        avatar_url: space_membership_portrait_path(
-          membership.signed_id(purpose: :portrait),
-          v: membership.updated_at.to_fs(:number)
-        ),
-      }
+    # @param run_id [String, nil] the run being streamed; stream chunks are numbered per run
+    # @param max_response_tokens [Integer, nil] response limit, used by the client to estimate completion
+    # @param prefix_content [String, nil] for continue: the existing text the stream is appended to
+    def broadcast_typing(conversation, membership:, active:, target_message_id: nil, run_id: nil, max_response_tokens: nil, prefix_content: nil)
+      payload = typing_payload(membership, type: active ? "typing_start" : "typing_stop")
       payload[:target_message_id] = target_message_id if target_message_id.present?
+      payload[:prefix_content] = prefix_content if prefix_content.present?
+      payload[:run_id] = run_id if run_id.present?
+      payload[:max_response_tokens] = max_response_tokens if max_response_tokens.present?
       broadcast_to(conversation, payload)
     end
 
-    # Broadcast streaming content chunk to typing indicator.
+    # Broadcast a streamed delta to the typing indicator.
     #
     # @param conversation [Conversation] the conversation to broadcast to
-    # @param content [String] the current accumulated content
+    # @param run_id [String] the run being streamed
+    # @param seq [Integer] monotonically increasing chunk number within the run (starts at 1)
+    # @param offset [Integer] UTF-16 offset of `delta` within the accumulated content
+    # @param delta [String] the newly generated text
     # @param space_membership_id [Integer] the membership that is generating
-    def broadcast_stream_chunk(conversation, content:, space_membership_id:)
+    def broadcast_stream_chunk(conversation, run_id:, seq:, offset:, delta:, space_membership_id:)
       broadcast_to(conversation, {
         type: "stream_chunk",
-        content: content,
+        run_id: run_id,
+        seq: seq,
+        offset: offset,
+        delta: delta,
         space_membership_id: space_membership_id,
       })
     end
@@ -66,11 +101,13 @@ class ConversationChannel < ApplicationCable::Channel
     #
     # @param conversation [Conversation] the conversation to broadcast to
     # @param space_membership_id [Integer] the membership that finished generating
-    def broadcast_stream_complete(conversation, space_membership_id:)
+    # @param message_id [Integer, nil] the message the reply was saved to, when it was
+    def broadcast_stream_complete(conversation, space_membership_id:, message_id: nil)
       broadcast_to(conversation, {
         type: "stream_complete",
         space_membership_id: space_membership_id,
-      })
+        message_id: message_id,
+      }.compact)
     end
 
     # Broadcast that a run was skipped (e.g., due to race condition).
@@ -125,10 +162,43 @@ class ConversationChannel < ApplicationCable::Channel
         message: message,
       })
     end
+
+    # Speaker identity shared by typing and resume events.
+    #
+    # @param membership [SpaceMembership]
+    # @param type [String] the event type
+    # @return [Hash]
+    def typing_payload(membership, type:)
+      {
+        type: type,
+        space_membership_id: membership.id,
+        name: membership.display_name,
+        avatar_url: space_membership_portrait_path(
+          membership.signed_id(purpose: :portrait),
+          v: membership.updated_at.to_fs(:number)
+        ),
+      }
+    end
   end
 
   private
 
+  # A run the client doesn't know about (offset 0) gets everything.
+  def transmit_stream_resume(run, speaker, offset:)
+    snapshot = Conversations::StreamBuffer.new(run.id).read(offset: offset) || { delta: "", offset: 0, seq: 0 }
+
+    payload = self.class.typing_payload(speaker, type: "stream_resume")
+    payload[:active] = true
+    payload[:run_id] = run.id
+    payload[:target_message_id] = run.debug&.dig("target_message_id") || run.debug&.dig("trigger_message_id") if run.targets_existing_message?
+    if run.continue?
+      payload[:prefix_content] = @conversation.messages.find_by(id: run.debug&.dig("target_message_id"))&.content
+    end
+    payload[:max_response_tokens] = run.debug&.dig("generation_params", "max_response_tokens")
+    payload[:resumable] = false unless Conversations::StreamBuffer.resumable?
+    transmit(payload.merge(snapshot).compact)
+  end
+
   # Find the conversation if the current user has access.
   #
   # @return [Conversation, nil] the conversation or nil if not accessible
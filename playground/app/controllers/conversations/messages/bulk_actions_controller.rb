@@ -0,0 +1,115 @@
+# frozen_string_literal: true
+
+module Conversations
+  module Messages
+    # Controller for multi-select bulk operations on messages.
+    #
+    # Backs the chat's selection mode: the client sends the selected
+    # `message_ids[]` and the operation is applied to each message in seq order,
+    # with the same rules as the single-message actions:
+    # - visibility: like VisibilitiesController (include/exclude from prompt)
+    # - destroy: like MessagesController#destroy (owner or space admin only,
+    #   fork points are protected, soft-deleted via Messages::Hider)
+    #
+    # Messages the user can't modify are skipped rather than failing the whole
+    # request; the toast reports how many were skipped.
+    #
+    # @example Exclude messages from the prompt
+    #   PATCH /conversations/:conversation_id/messages/bulk_visibility
+    #   message_ids[]=1&message_ids[]=2&excluded=true
+    #
+    # @example Delete messages
+    #   DELETE /conversations/:conversation_id/messages/bulk_destroy
+    #   message_ids[]=1&message_ids[]=2
+    #
+    class BulkActionsController < Conversations::ApplicationController
+      include Authorization
+
+      MAX_MESSAGES = 500
+
+      before_action :ensure_space_writable
+      before_action :set_messages
+
+      # PATCH /conversations/:conversation_id/messages/bulk_visibility
+      #
+      # @param excluded [Boolean] true to exclude the messages from the prompt, false to include them
+      def visibility
+        target = ActiveModel::Type::Boolean.new.cast(params[:excluded]) ? "excluded" : "normal"
+
+        changed = @messages.reject { |message| message.visibility == target }
+        changed.each do |message|
+          message.update!(visibility: target)
+          message.broadcast_update
+        end
+
+        toast_message =
+          if target == "excluded"
+            t("messages.bulk_excluded", count: changed.size, default: "Excluded %{count} message(s) from context.")
+          else
+            t("messages.bulk_included", count: changed.size, default: "Included %{count} message(s) in context.")
+          end
+
+        render_toast_turbo_stream(message: toast_message, type: "success", duration: 3000, status: :ok)
+      end
+
+      # DELETE /conversations/:conversation_id/messages/bulk_destroy
+      def destroy
+        deleted = []
+        skipped = 0
+        rollback = false
+
+        # Newest first, so each Hider call sees the tail it would see if the
+        # user had deleted the messages one by one from the bottom.
+        @messages.reverse_each do |message|
+          unless can_administer?(message) && !message.system?
+            skipped += 1
+            next
+          end
+
+          result = ::Messages::Hider.new(message: message, conversation: @conversation).call
+          if result.success?
+            deleted << message
+            rollback ||= result.effects[:rollback]
+          else
+            skipped += 1
+          end
+        end
+
+        deleted.each(&:broadcast_remove)
+        ::Messages::Broadcasts.broadcast_group_queue_update(@conversation) if deleted.any?
+
+        streams = deleted.map { |message| turbo_stream.remove(message) }
+        streams << toast_turbo_stream(**destroy_toast(deleted.size, skipped, rollback))
+
+        response.set_header("X-TavernKit-Toast", "1")
+        render turbo_stream: streams
+      end
+
+      private
+
+      # Load the selected messages, scoped to the current conversation.
+      def set_messages
+        ids = Array(params[:message_ids]).map(&:to_i).select(&:positive?).uniq.first(MAX_MESSAGES)
+        @messages = @conversation.messages.ui_visible.where(id: ids).includes(:space_membership).order(:seq, :id).to_a
+
+        return if @messages.any?
+
+        render_toast_turbo_stream(
+          message: t("messages.bulk_none_selected", default: "No messages selected."),
+          type: "warning",
+          duration: 3000,
+          status: :unprocessable_entity
+        )
+      end
+
+      def destroy_toast(deleted_count, skipped_count, rollback)
+        parts = [t("messages.bulk_deleted", count: deleted_count, default: "Deleted %{count} message(s).")]
+        parts << t("messages.bulk_skipped", count: skipped_count, default: "%{count} could not be deleted.") if skipped_count.positive?
+        parts << t("messages.bulk_deleted_rollback", default: "Generation was stopped or reset.") if rollback
+
+        type = (skipped_count.positive? || rollback) ? "warning" : "info"
+        { message: parts.join(" "), type: type, duration: 4000 }
+      end
+    end
+  end
+end
@@ -0,0 +1,91 @@
+# frozen_string_literal: true
+
+module Conversations
+  module Messages
+    # Controller for the swipe overview drawer.
+    #
+    # Lists every swipe (AI response version) of a message side by side and
+    # deletes individual swipes. Selecting a swipe goes through SwipesController
+    # (`position` param).
+    #
+    # Like swipe navigation, deleting is limited to the tail message.
+    #
+    # @example List swipes (rendered into the overview drawer's turbo frame)
+    #   GET /conversations/:conversation_id/messages/:message_id/swipe_versions
+    #
+    # @example Delete a swipe
+    #   DELETE /conversations/:conversation_id/messages/:message_id/swipe_versions/:id
+    #
+    class SwipeVersionsController < Conversations::ApplicationController
+      include Authorization
+
+      before_action :ensure_space_writable, only: %i[destroy]
+      before_action :set_message
+
+      layout false
+
+      # GET /conversations/:conversation_id/messages/:message_id/swipe_versions
+      def index
+        @swipes = @message.message_swipes.includes(:text_content).to_a
+      end
+
+      # DELETE /conversations/:conversation_id/messages/:message_id/swipe_versions/:id
+      #
+      # Broadcasts the updated message to all conversation subscribers and
+      # re-renders the overview for the initiating client.
+      def destroy
+        unless @message.assistant?
+          return render_swipe_error(t("messages.swipe_assistant_only", default: "Only assistant messages can be swiped."))
+        end
+
+        unless TailMutationGuard.new(@conversation).tail?(@message)
+          return render_swipe_error(
+            t("messages.swipe_requires_branch", default: "Cannot swipe non-last message. Use 'Branch from here' first.")
+          )
+        end
+
+        swipe = @message.message_swipes.find(params[:id])
+        result = ::Messages::Swipes::Remover.execute(message: @message, swipe: swipe)
+        return render_swipe_error(removal_error_message(result.error_code)) unless result.success?
+
+        @message.reload
+        @message.broadcast_update
+        @swipes = @message.message_swipes.includes(:text_content).to_a
+
+        respond_to do |format|
+          format.turbo_stream
+          format.html { head :no_content }
+        end
+      end
+
+      private
+
+      # Set message from params, scoped to the current conversation.
+      #
+      # @raise [ActiveRecord::RecordNotFound] if message not found in conversation
+      def set_message
+        @message = @conversation.messages.ui_visible.find(params[:message_id])
+      end
+
+      def removal_error_message(error_code)
+        case error_code
+        when :last_swipe
+          t("messages.swipe_delete_last", default: "Cannot delete the only version of a message.")
+        when :generating
+          t("messages.swipe_delete_generating", default: "Cannot delete versions while a response is being generated.")
+        else
+          t("messages.swipe_delete_failed", default: "Unable to delete this version. Please refresh and try again.")
+        end
+      end
+
+      def render_swipe_error(message)
+        respond_to do |format|
+          format.turbo_stream do
+            render_toast_turbo_stream(message: message, type: "error", duration: 5000, status: :unprocessable_entity)
+          end
+          format.any { head :unprocessable_entity }
+        end
+      end
+    end
+  end
+end
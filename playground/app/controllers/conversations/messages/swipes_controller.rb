@@ -16,6 +16,9 @@ module Conversations
     # @example Navigate to the next swipe
     #   POST /conversations/:conversation_id/messages/:message_id/swipe?dir=right
     #
+    # @example Jump to a specific swipe (0-based position, used by the swipe overview)
+    #   POST /conversations/:conversation_id/messages/:message_id/swipe?position=3
+    #
     class SwipesController < Conversations::ApplicationController
       include Authorization
 
@@ -24,18 +27,25 @@ module Conversations
 
       # POST /conversations/:conversation_id/messages/:message_id/swipe
       #
-      # Navigate to the previous (left) or next (right) swipe version.
+      # Navigate to the previous (left) or next (right) swipe version, or to the
+      # swipe at `position`.
       # Broadcasts the update to all conversation subscribers via Turbo Streams.
       #
       # Only the last message in a conversation can be swiped to preserve timeline
       # consistency (per SillyTavern Timelines behavior).
       #
       # @param dir [String] Direction to navigate: "left" or "right"
+      # @param position [Integer] Swipe position to select (takes precedence over dir)
       # @return [void] Returns Turbo Stream response for the initiating client; broadcasts to other subscribers
       def create
         direction = params[:dir]&.to_sym
+        position = params[:position].presence && Integer(params[:position], exception: false)
 
-        unless %i[left right].include?(direction)
+        if params[:position].present?
+          if position.nil? || position.negative?
+            return render_swipe_error(message: t("messages.swipe_invalid_position", default: "Invalid swipe version."))
+          end
+        elsif !%i[left right].include?(direction)
           return render_swipe_error(message: t("messages.swipe_invalid_direction", default: "Invalid swipe direction."))
         end
 
@@ -58,7 +68,7 @@ module Conversations
         # Ensure initial swipe exists before navigating
         @message.ensure_initial_swipe! if @message.message_swipes.empty?
 
-        swipe = @message.select_swipe!(direction: direction)
+        swipe = position ? @message.select_swipe_at!(position) : @message.select_swipe!(direction: direction)
 
         # Broadcast to all conversation subscribers (including current tab).
         @message.broadcast_update if swipe
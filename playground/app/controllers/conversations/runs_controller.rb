@@ -0,0 +1,73 @@
+# frozen_string_literal: true
+
+module Conversations
+  # Run actions of the run detail modal: exporting a run's prompt as a
+  # reproducible API request (Prompt JSON tab) and re-generating its reply from
+  # a token alternative (Token Probabilities section).
+  #
+  # @example Request body and curl command for a dialect
+  #   GET /conversations/:conversation_id/runs/:id/export.json?dialect=anthropic
+  #
+  # @example Fine-tuning/eval record
+  #   GET /conversations/:conversation_id/runs/:id/export.jsonl
+  #
+  # @example Regenerate from token 12 with an alternative
+  #   POST /conversations/:conversation_id/runs/:id/steer (token_index=12, token=" sword")
+  #
+  # @see Conversations::RunRequestExporter
+  # @see Conversations::TokenSteerer
+  class RunsController < Conversations::ApplicationController
+    include Authorization
+
+    before_action :ensure_space_writable, only: :steer
+
+    # GET /conversations/:conversation_id/runs/:id/export
+    #
+    # @param dialect [String] target API dialect (RunRequestExporter::DIALECTS)
+    # @return [JSON] { dialect, label, url, headers, body, curl, jsonl, truncated }
+    def export
+      run = @conversation.conversation_runs.find(params[:id])
+      exporter = Conversations::RunRequestExporter.new(run, dialect: params[:dialect])
+
+      unless exporter.available?
+        render json: { error: t("conversations.run_export_unavailable", default: "Prompt snapshot not available") }, status: :not_found
+        return
+      end
+
+      case params[:format]&.to_sym || :json
+      when :json
+        render json: exporter.to_h
+      when :jsonl
+        send_data "#{exporter.jsonl}\n", filename: "run-#{run.id}.jsonl", type: "application/jsonl"
+      else
+        head :bad_request
+      end
+    end
+
+    # POST /conversations/:conversation_id/runs/:id/steer
+    #
+    # Adds a swipe to the run's reply, prefilled up to and including the chosen
+    # token, and continues generation from there.
+    #
+    # @param token_index [Integer] position of the token in the run's logprobs
+    # @param token [String] the chosen token (the generated one or an alternative)
+    def steer
+      run = @conversation.conversation_runs.find(params[:id])
+      result = Conversations::TokenSteerer.new(run: run, token_index: params[:token_index], token: params[:token]).execute
+
+      unless result.success?
+        return respond_to do |format|
+          format.turbo_stream do
+            render_toast_turbo_stream(message: result.error, type: "warning", duration: 5000, status: :unprocessable_entity)
+          end
+          format.html { redirect_to conversation_url(@conversation), alert: result.error }
+        end
+      end
+
+      respond_to do |format|
+        format.turbo_stream { head :no_content }
+        format.html { redirect_to conversation_url(@conversation, anchor: helpers.dom_id(result.message)) }
+      end
+    end
+  end
+end
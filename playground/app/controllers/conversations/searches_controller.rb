@@ -0,0 +1,29 @@
+# frozen_string_literal: true
+
+module Conversations
+  # Controller for the in-conversation search bar.
+  #
+  # Returns matching snippets from the conversation's messages and swipes as
+  # JSON; the client (message-search controller) renders the result list and
+  # pages in history until the selected message is loaded.
+  #
+  # @example Search
+  #   GET /conversations/:conversation_id/search?q=dragon
+  #
+  # @see Conversations::MessageSearch
+  class SearchesController < Conversations::ApplicationController
+    # GET /conversations/:conversation_id/search
+    #
+    # @param q [String] the text to search for (at least MessageSearch::MIN_QUERY_LENGTH characters)
+    # @return [JSON] { query, results: [...], truncated }
+    def show
+      result = Conversations::MessageSearch.execute(conversation: @conversation, query: params[:q])
+
+      render json: {
+        query: params[:q].to_s.strip,
+        results: result.hits.map(&:to_h),
+        truncated: result.truncated,
+      }
+    end
+  end
+end
@@ -11,7 +11,7 @@ class ConversationsController < Conversations::ApplicationController
   before_action :set_space, only: %i[create]
   before_action :ensure_space_writable,
                only: %i[
-                 update regenerate generate branch
+                 update regenerate continue impersonate generate branch
                  stop round_queue add_speaker reorder_round_participants remove_round_participant
                  retry_current_speaker skip_current_speaker
                  stop_round pause_round resume_round skip_turn
@@ -60,11 +60,25 @@ class ConversationsController < Conversations::ApplicationController
 
   # GET /conversations/:id
   def show
-    @messages = @conversation.messages.ui_visible.recent_chronological(50).with_space_membership.includes(conversation_run: :speaker_space_membership)
+    messages = @conversation.messages.ui_visible.with_space_membership.includes(conversation_run: :speaker_space_membership)
+
+    # Deep link (?at=:message_id): open a window around that message instead of the tail.
+    window = Conversations::MessageWindow.execute(conversation: @conversation, anchor_id: params[:at], relation: messages)
+
+    if window
+      @messages = window.messages
+      @anchor_message = window.anchor
+      @has_more = window.has_older
+      @has_newer = window.has_newer
+    else
+      @messages = messages.recent_chronological(50)
+      @has_more = @messages.any? && @conversation.messages.ui_visible.where("seq < ?", @messages.first.seq).exists?
+      @has_newer = false
+    end
+
     @message = @conversation.messages.new
     @current_membership = @space_membership
     @can_manage_messages = Current.user && (Current.user.administrator? || @space.owner_id == Current.user.id)
-    @has_more = @messages.any? && @conversation.messages.ui_visible.where("seq < ?", @messages.first.seq).exists?
 
     # Conversation-level event stream (used by the Runs tab debug panel).
     @events_scope = params[:events_scope].presence
@@ -216,6 +230,64 @@ class ConversationsController < Conversations::ApplicationController
     end
   end
 
+  # POST /conversations/:id/continue
+  # Continues the tail assistant message: the generated text is appended to it
+  # (no new message or swipe). Streams through the inline typing indicator.
+  #
+  # Parameters:
+  #   message_id: (optional) the message to continue; must be the tail message
+  def continue
+    guard = TailMutationGuard.new(@conversation)
+    target_message = params[:message_id].present? ? @conversation.messages.ui_visible.find(params[:message_id]) : guard.tail_message
+
+    unless target_message&.assistant? && guard.tail?(target_message)
+      return respond_with_warning(
+        t("messages.continue_requires_tail_assistant", default: "Only the last AI message can be continued.")
+      )
+    end
+
+    run = Conversations::RunPlanner.plan_continue!(conversation: @conversation, target_message: target_message)
+    unless run
+      return respond_with_warning(
+        t("messages.continue_speaker_unavailable", default: "This character can't respond right now.")
+      )
+    end
+
+    respond_to do |format|
+      format.turbo_stream { head :no_content }
+      format.html { redirect_to conversation_url(@conversation, anchor: helpers.dom_id(target_message)) }
+    end
+  end
+
+  # POST /conversations/:id/impersonate
+  # Generates a suggested next message for the current user's persona.
+  #
+  # The text is streamed to the requesting membership over AutoChannel and
+  # written into the composer; nothing is posted to the conversation.
+  #
+  # @param generation_id [String] (optional) client-side id used to match streamed events
+  # @return [JSON] generation_id for tracking the request
+  def impersonate
+    membership = @space.space_memberships.active.find_by(user: Current.user, kind: "human")
+
+    unless membership&.auto_capable?
+      return render json: { error: "Impersonate requires a human membership" }, status: :forbidden
+    end
+
+    if membership.auto_enabled?
+      return render json: { error: "Impersonate is disabled while Auto is active" }, status: :forbidden
+    end
+
+    if ConversationRun.running.exists?(conversation_id: @conversation.id)
+      return render json: { error: "Wait for the current response to finish" }, status: :conflict
+    end
+
+    generation_id = params[:generation_id].presence || SecureRandom.uuid
+    ImpersonationJob.perform_later(@conversation.id, membership.id, generation_id: generation_id)
+
+    render json: { generation_id: generation_id }
+  end
+
   # POST /conversations/:id/branch
   # Creates a branch (fork) from a specific message.
   #
@@ -862,6 +934,7 @@ class ConversationsController < Conversations::ApplicationController
   #
   # Parameters:
   #   format: :jsonl or :txt (defaults to :jsonl)
+  #   message_ids: (optional) export only these messages (multi-select)
   #
   # JSONL format includes:
   # - Metadata header (conversation info, space settings)
@@ -871,14 +944,15 @@ class ConversationsController < Conversations::ApplicationController
   # - Readable transcript with timestamps and speaker names
   def export
     format_type = params[:format]&.to_sym || :jsonl
+    message_ids = params[:message_ids].present? ? Array(params[:message_ids]).map(&:to_i) : nil
 
     case format_type
     when :jsonl
-      export_data = Conversations::Exporter.to_jsonl(@conversation)
+      export_data = Conversations::Exporter.to_jsonl(@conversation, message_ids: message_ids)
       filename = "#{safe_filename(@conversation)}.jsonl"
       send_data export_data, filename: filename, type: "application/jsonl"
     when :txt
-      export_data = Conversations::Exporter.to_txt(@conversation)
+      export_data = Conversations::Exporter.to_txt(@conversation, message_ids: message_ids)
       filename = "#{safe_filename(@conversation)}.txt"
       send_data export_data, filename: filename, type: "text/plain"
     else
@@ -1046,6 +1120,28 @@ class ConversationsController < Conversations::ApplicationController
       return respond_retry_failed_run(run: run, speaker_id: failed_run.speaker_space_membership_id)
     end
 
+    if failed_run.continue?
+      target_message_id = failed_run.debug&.dig("target_message_id")
+      target_message = target_message_id ? @conversation.messages.ui_visible.find_by(id: target_message_id) : nil
+
+      unless target_message && TailMutationGuard.new(@conversation).tail?(target_message)
+        return respond_to do |format|
+          format.turbo_stream do
+            render_toast_turbo_stream(
+              message: t("conversations.continue_target_unavailable", default: "Cannot retry: the message to continue is no longer the last message."),
+              type: "error",
+              duration: 5000,
+              status: :unprocessable_entity
+            )
+          end
+          format.html { redirect_to conversation_url(@conversation), alert: t("conversations.continue_target_unavailable", default: "Cannot retry: the message to continue is no longer the last message.") }
+        end
+      end
+
+      run = Conversations::RunPlanner.plan_continue!(conversation: @conversation, target_message: target_message)
+      return respond_retry_failed_run(run: run, speaker_id: failed_run.speaker_space_membership_id)
+    end
+
     speaker = @space.space_memberships.find_by(id: failed_run.speaker_space_membership_id)
 
     unless speaker&.can_auto_respond?
@@ -1283,6 +1379,15 @@ class ConversationsController < Conversations::ApplicationController
     params.permit(:message_id, :title, :visibility)
   end
 
+  def respond_with_warning(message)
+    respond_to do |format|
+      format.turbo_stream do
+        render_toast_turbo_stream(message: message, type: "warning", duration: 5000, status: :unprocessable_entity)
+      end
+      format.html { redirect_to conversation_url(@conversation), alert: message }
+    end
+  end
+
   # Auto-branch when regenerating a non-tail assistant message.
   # Any non-tail regenerate will auto-branch to preserve timeline consistency.
   # Creates a branch from the target message, then regenerates the cloned message in the branch.
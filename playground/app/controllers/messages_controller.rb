@@ -20,6 +20,13 @@ class MessagesController < Conversations::ApplicationController
 
   # GET /conversations/:conversation_id/messages
   # Returns paginated messages for the conversation.
+  #
+  # Paging params (message ids):
+  # - before: closest older page (infinite scroll)
+  # - after: newest newer page (reconnect catch-up)
+  # - following: closest newer page (scrolling down from a deep-link window)
+  # - around: a window centred on the message (deep links); the response carries
+  #   X-Has-Older / X-Has-Newer headers so the client knows where to keep paging
   def index
     @messages = find_paged_messages
 
@@ -33,7 +40,7 @@ class MessagesController < Conversations::ApplicationController
       end
       format.turbo_stream do
         if @messages.any?
-          action = params[:after].present? ? :append : :prepend
+          action = params[:after].present? || params[:following].present? ? :append : :prepend
 
           render turbo_stream: turbo_stream.public_send(
             action,
@@ -302,11 +309,23 @@ class MessagesController < Conversations::ApplicationController
     messages = base.with_space_membership
     per_page = 20
 
-    if params[:before].present?
+    if params[:around].present?
+      window = Conversations::MessageWindow.execute(conversation: @conversation, anchor_id: params[:around], relation: messages)
+      return messages.none unless window
+
+      response.set_header("X-Has-Older", window.has_older.to_s)
+      response.set_header("X-Has-Newer", window.has_newer.to_s)
+      window.messages
+    elsif params[:before].present?
       cursor = base.find_by(id: params[:before])
       return messages.none unless cursor
 
       messages.page_before_cursor(cursor, per_page)
+    elsif params[:following].present?
+      cursor = base.find_by(id: params[:following])
+      return messages.none unless cursor
+
+      messages.page_following_cursor(cursor, per_page)
     elsif params[:after].present?
       cursor = base.find_by(id: params[:after])
       return messages.none unless cursor
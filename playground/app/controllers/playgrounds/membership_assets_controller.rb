@@ -0,0 +1,34 @@
+# frozen_string_literal: true
+
+module Playgrounds
+  # Serves character card assets referenced from messages.
+  #
+  # CharX greetings point at their images with card-relative URIs that the
+  # browser can't load. The markdown image renderer (ui/markdown/card_assets.js)
+  # rewrites them to this route, scoped to the character of the message's
+  # membership:
+  #
+  # - `embeded://assets/other/image/map.png` → `.../assets/assets/other/image/map.png`
+  # - `ccdefault:` → `.../assets/ccdefault` (the character's portrait)
+  #
+  # Only image assets are served; anything else is a 404.
+  class MembershipAssetsController < Playgrounds::ApplicationController
+    DEFAULT_ASSET = "ccdefault"
+
+    # GET /playgrounds/:playground_id/memberships/:membership_id/assets/*uri
+    def show
+      character = @playground.space_memberships.find_by(id: params[:membership_id])&.character
+      return head(:not_found) unless character
+
+      if params[:uri] == DEFAULT_ASSET
+        redirect_to fresh_character_portrait_path(character)
+        return
+      end
+
+      asset = character.embedded_asset("embeded://#{params[:uri]}")
+      return head(:not_found) unless asset&.blob&.image?
+
+      redirect_to rails_blob_path(asset.blob, disposition: :inline, only_path: true)
+    end
+  end
+end
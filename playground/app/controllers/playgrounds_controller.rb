@@ -110,11 +110,29 @@ class PlaygroundsController < ApplicationController
             # scheduling UI state (including during_generation policy) without reload.
             TurnScheduler::Broadcasts.queue_updated(conversation)
 
-            render turbo_stream: turbo_stream.replace(
-              ActionView::RecordIdentifier.dom_id(@playground, :token_limit_status),
-              partial: "conversations/right_sidebar/token_limit_status",
-              locals: { space: @playground }
-            )
+            streams = [
+              turbo_stream.replace(
+                ActionView::RecordIdentifier.dom_id(@playground, :token_limit_status),
+                partial: "conversations/right_sidebar/token_limit_status",
+                locals: { space: @playground }
+              ),
+            ]
+
+            # Re-render open messages with the new raw HTML handling / reasoning delimiters.
+            markdown_events = []
+            markdown_events << "markdown:html-rendering-change" if @playground.saved_change_to_html_rendering_mode?
+            if @playground.saved_change_to_reasoning_prefix? || @playground.saved_change_to_reasoning_suffix?
+              markdown_events << "markdown:reasoning-change"
+            end
+            if markdown_events.any?
+              settings_id = ActionView::RecordIdentifier.dom_id(@playground, :markdown_settings)
+              streams << turbo_stream.replace(settings_id, partial: "conversations/markdown_settings", locals: { space: @playground })
+              markdown_events.each do |event|
+                streams << turbo_stream.action(:dispatch_event, settings_id, attributes: { event: event })
+              end
+            end
+
+            render turbo_stream: streams
           else
             redirect_to playground_url(@playground), notice: t("playgrounds.updated", default: "Playground updated")
           end
@@ -180,6 +198,10 @@ class PlaygroundsController < ApplicationController
       :during_generation_user_input_policy,
       :user_turn_debounce_ms,
       :group_regenerate_mode,
+      :html_rendering_mode,
+      :reasoning_prefix,
+      :reasoning_suffix,
+      :strip_reasoning_from_prompt,
       :token_limit,
       prompt_settings: [
         i18n: [
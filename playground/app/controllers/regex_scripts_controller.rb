@@ -0,0 +1,90 @@
+# frozen_string_literal: true
+
+# User-facing controller for regex scripts (display-time find/replace).
+#
+# Provides:
+# - List of the user's scripts, grouped by scope (global, character, preset)
+# - Create/edit with a live test pane (regex_script_form_controller.js)
+# - Delete
+#
+# Scripts are always owned by the current user. Character and preset scripts
+# can target any character/preset the user can access. Scripts imported with
+# system characters (user_id = nil) are not listed here.
+#
+class RegexScriptsController < ApplicationController
+  before_action :set_regex_script, only: %i[edit update destroy]
+  before_action :set_targets, only: %i[new create edit update]
+
+  # GET /regex_scripts
+  def index
+    @regex_scripts_by_scope =
+      Current.user.regex_scripts
+        .includes(:character, :preset)
+        .ordered
+        .group_by(&:scope_type)
+  end
+
+  # GET /regex_scripts/new
+  def new
+    scope_type = params[:scope_type].presence_in(RegexScript::SCOPE_TYPES) || "global"
+    @regex_script = Current.user.regex_scripts.new(
+      scope_type: scope_type,
+      character_id: params[:character_id],
+      preset_id: params[:preset_id]
+    )
+  end
+
+  # POST /regex_scripts
+  def create
+    @regex_script = Current.user.regex_scripts.new(regex_script_params)
+
+    if @regex_script.save
+      redirect_to regex_scripts_path, notice: t("regex_scripts.created")
+    else
+      render :new, status: :unprocessable_entity
+    end
+  end
+
+  # GET /regex_scripts/:id/edit
+  def edit
+  end
+
+  # PATCH/PUT /regex_scripts/:id
+  def update
+    if @regex_script.update(regex_script_params)
+      redirect_to regex_scripts_path, notice: t("regex_scripts.updated")
+    else
+      render :edit, status: :unprocessable_entity
+    end
+  end
+
+  # DELETE /regex_scripts/:id
+  def destroy
+    @regex_script.destroy!
+    redirect_to regex_scripts_path, notice: t("regex_scripts.deleted")
+  end
+
+  private
+
+  def set_regex_script
+    @regex_script = Current.user.regex_scripts.find(params[:id])
+  end
+
+  def set_targets
+    @characters = Character.accessible_to(Current.user).ready.ordered
+    @presets = Preset.accessible_to(Current.user).by_name
+  end
+
+  def regex_script_params
+    permitted = params.require(:regex_script).permit(
+      :name, :scope_type, :character_id, :preset_id, :find_regex, :replace_string, :trim_strings,
+      :affects_prompt, :user_messages, :ai_messages, :min_depth, :max_depth, :enabled, :position
+    )
+
+    permitted[:trim_strings] = permitted[:trim_strings].to_s.split(/\r?\n/).compact_blank if permitted.key?(:trim_strings)
+    # Only targets the user can see; anything else fails the presence validation.
+    permitted[:character_id] = @characters.find_by(id: permitted[:character_id])&.id if permitted.key?(:character_id)
+    permitted[:preset_id] = @presets.find_by(id: permitted[:preset_id])&.id if permitted.key?(:preset_id)
+    permitted
+  end
+end
@@ -28,6 +28,24 @@ module ConversationsHelper
     swipe_translation || message_translation || content
   end
 
+  # Regex scripts the client runs before parsing message markdown (ui/markdown/regex_scripts.js).
+  #
+  # @param space [Space]
+  # @return [String] JSON array of script payloads for the current user
+  def markdown_regex_scripts_json(space)
+    RegexScript.applicable_to(space, user: Current.user).map(&:to_client_payload).to_json
+  end
+
+  # Route template the client fills in for card asset images (ui/markdown/card_assets.js).
+  #
+  # @param space [Space]
+  # @return [String, nil] path with `__membership__` and `__uri__` placeholders; nil outside playgrounds
+  def markdown_card_assets_route(space)
+    return nil unless space.playground?
+
+    playground_membership_asset_path(space, "__membership__", uri: "__uri__")
+  end
+
   # Calculate token usage statistics for a conversation.
   #
   # Aggregates token usage data from recent successful ConversationRuns.
@@ -81,6 +99,7 @@ module ConversationsHelper
     when "user_turn" then "User Turn"
     when "auto_turn" then "Auto Turn"
     when "regenerate" then "Regenerate"
+    when "continue" then "Continue"
     when "force_talk" then "Force Talk"
     when nil then "Unknown"
     else kind.humanize
@@ -95,7 +114,7 @@ module ConversationsHelper
     case run.kind
     when "auto_response" then "badge-primary"
     when "auto_user_response" then "badge-secondary"
-    when "regenerate" then "badge-accent"
+    when "regenerate", "continue" then "badge-accent"
     when "force_talk" then "badge-info"
     else "badge-ghost"
     end
@@ -110,6 +129,7 @@ module ConversationsHelper
     when "auto_response" then "icon-[lucide--bot]"
     when "auto_user_response" then "icon-[lucide--sparkles]"
     when "regenerate" then "icon-[lucide--refresh-cw]"
+    when "continue" then "icon-[lucide--fast-forward]"
     when "force_talk" then "icon-[lucide--message-circle]"
     else "icon-[lucide--help-circle]"
     end
@@ -123,7 +143,7 @@ module ConversationsHelper
     case run.kind
     when "auto_response" then "text-primary"
     when "auto_user_response" then "text-secondary"
-    when "regenerate" then "text-accent"
+    when "regenerate", "continue" then "text-accent"
     when "force_talk" then "text-info"
     else "text-base-content/50"
     end
@@ -150,6 +170,7 @@ module ConversationsHelper
       run_after: run.run_after&.iso8601,
       speaker_membership_id: run.speaker_space_membership_id,
       speaker_name: run.speaker_space_membership&.display_name,
+      export_url: export_conversation_run_path(run.conversation_id, run),
     }
 
     # Add debug data if present
@@ -163,7 +184,13 @@ module ConversationsHelper
       data[:prompt_snapshot] = run.debug["prompt_snapshot"] if run.debug["prompt_snapshot"].present?
       data[:target_message_id] = run.debug["target_message_id"] if run.debug["target_message_id"].present?
       data[:tokenized_prompt] = run.debug["tokenized_prompt"] if run.debug["tokenized_prompt"].present?
-      data[:logprobs] = run.debug["logprobs"] if run.debug["logprobs"].present?
+      data[:context_window_tokens] = run.debug["context_window_tokens"] if run.debug["context_window_tokens"].present?
+      if run.debug["logprobs"].present?
+        data[:logprobs] = run.debug["logprobs"]
+        # Continue runs' logprobs only cover the continuation (see TokenSteerer).
+        data[:steer_url] = steer_conversation_run_path(run.conversation_id, run) unless run.continue?
+      end
+      data[:stream_stats] = run.debug["stream_stats"] if run.debug["stream_stats"].present?
 
       # World Info (Lore) budget status
       data[:lore_budget_exceeded] = run.debug["lore_budget_exceeded"] if run.debug.key?("lore_budget_exceeded")
@@ -171,6 +198,9 @@ module ConversationsHelper
       data[:lore_selected_count] = run.debug["lore_selected_count"] if run.debug.key?("lore_selected_count")
       data[:lore_budget] = run.debug["lore_budget"] if run.debug.key?("lore_budget")
       data[:lore_used_tokens] = run.debug["lore_used_tokens"] if run.debug.key?("lore_used_tokens")
+      if run.debug["lore_trace"].is_a?(Array)
+        data[:lore_trace] = run.debug["lore_trace"].map { |entry| entry.merge("edit_url" => lore_trace_edit_url(entry)).compact }
+      end
     end
 
     # Add error data if failed
@@ -179,6 +209,18 @@ module ConversationsHelper
     data
   end
 
+  # Edit page of a World Info entry recorded in a run's lore trace.
+  #
+  # @param entry [Hash] a PromptBuilding::LoreTrace entry
+  # @return [String, nil]
+  def lore_trace_edit_url(entry)
+    if entry["lorebook_entry_id"]
+      edit_lorebook_entry_path(entry["lorebook_id"], entry["lorebook_entry_id"])
+    elsif entry["character_id"]
+      edit_character_embedded_lorebook_entry_path(entry["character_id"], entry["uid"])
+    end
+  end
+
   # Build the breadcrumb path from root to current conversation.
   #
   # Walks up the parent_conversation chain to build an ordered array
@@ -129,4 +129,34 @@ module MessageHelper
 
     message_translation_text(message, space: space) || message.content.to_s
   end
+
+  # How long the active version's reasoning block took to stream, for the
+  # collapsed "Thought for Ns" section (ui/markdown/reasoning.js).
+  #
+  # @param message [Message]
+  # @return [Integer, nil] milliseconds, nil when not measured
+  def message_reasoning_duration_ms(message)
+    metadata = message.active_message_swipe ? message.active_message_swipe.metadata : message.metadata
+    duration = metadata.is_a?(Hash) ? metadata.dig("reasoning", "duration_ms") : nil
+    duration.is_a?(Integer) ? duration : nil
+  end
+
+  # Estimated token count of a swipe's content (swipe overview).
+  #
+  # @param swipe [MessageSwipe]
+  # @return [Integer]
+  def swipe_token_count(swipe)
+    TavernKit::TokenEstimator.default.estimate(swipe.content.to_s)
+  end
+
+  # Model that generated a swipe, from the generation params snapshot.
+  #
+  # @param swipe [MessageSwipe]
+  # @return [String, nil]
+  def swipe_model_name(swipe)
+    params = swipe.metadata.is_a?(Hash) ? swipe.metadata["prompt_params"] : nil
+    return nil unless params.is_a?(Hash)
+
+    params["model"].presence || params["provider_name"].presence
+  end
 end
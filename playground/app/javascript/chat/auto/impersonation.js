@@ -0,0 +1,140 @@
+import logger from "../../logger"
+import { jsonRequest, showToast } from "../../request_helpers"
+import { IMPERSONATION_TYPING_EVENT, dispatchWindowEvent } from "../events"
+import { generateUUID } from "./uuid"
+
+/**
+ * Impersonate: stream a suggested message for the user's persona into the
+ * composer (ST behavior: the textarea is overwritten, nothing is sent).
+ *
+ * The text arrives over AutoChannel as impersonation_* events. While it
+ * streams, the persona is shown in the conversation's typing indicator via
+ * IMPERSONATION_TYPING_EVENT (handled by conversation_channel_controller).
+ *
+ * Requesting Impersonate again while one is streaming stops following it.
+ */
+export async function impersonate(controller) {
+  if (!controller.hasImpersonateUrlValue || !controller.impersonateUrlValue) return
+
+  if (controller.impersonation) {
+    stopImpersonation(controller)
+    return
+  }
+
+  if (controller.autoValue) {
+    showToast("Impersonate is unavailable while Auto is on", "warning")
+    return
+  }
+
+  if (!controller.hasTextareaTarget || controller.textareaTarget.disabled) return
+
+  const generationId = generateUUID()
+  controller.impersonation = {
+    generationId,
+    spaceMembershipId: null,
+    text: "",
+    previousText: controller.textareaTarget.value
+  }
+  updateImpersonateButton(controller)
+
+  try {
+    const { response, data } = await jsonRequest(controller.impersonateUrlValue, {
+      method: "POST",
+      body: { generation_id: generationId }
+    })
+
+    if (!response.ok) {
+      failImpersonation(controller, generationId, data?.error || `Request failed (${response.status})`)
+    }
+  } catch (error) {
+    logger.error("Impersonate request failed:", error)
+    failImpersonation(controller, generationId, error.message || "Network error")
+  }
+}
+
+/**
+ * Handle impersonation_* events from AutoChannel.
+ */
+export function handleImpersonationMessage(controller, data) {
+  const state = controller.impersonation
+  if (!state || data.generation_id !== state.generationId) return
+
+  switch (data.type) {
+    case "impersonation_start":
+      state.spaceMembershipId = data.space_membership_id
+      state.text = ""
+      writeComposer(controller, "")
+      dispatchWindowEvent(IMPERSONATION_TYPING_EVENT, { state: "start", payload: data })
+      break
+    case "impersonation_chunk":
+      state.text += typeof data.delta === "string" ? data.delta : ""
+      writeComposer(controller, state.text)
+      dispatchWindowEvent(IMPERSONATION_TYPING_EVENT, {
+        state: "chunk",
+        spaceMembershipId: state.spaceMembershipId,
+        content: state.text
+      })
+      break
+    case "impersonation_complete":
+      writeComposer(controller, data.text || state.text)
+      finishImpersonation(controller)
+      controller.textareaTarget.focus()
+      // Let the composer react as if the user typed it (draft save, suggestions).
+      controller.textareaTarget.dispatchEvent(new Event("input", { bubbles: true }))
+      break
+    case "impersonation_error":
+      failImpersonation(controller, state.generationId, data.error || "Impersonate failed")
+      break
+  }
+}
+
+/**
+ * Stop following the current impersonation, keeping whatever text arrived.
+ */
+export function stopImpersonation(controller) {
+  if (!controller.impersonation) return
+  finishImpersonation(controller)
+}
+
+function failImpersonation(controller, generationId, message) {
+  const state = controller.impersonation
+  if (!state || state.generationId !== generationId) return
+
+  logger.error("Impersonate failed:", message)
+
+  // Put back what the user had, unless they've since edited the composer.
+  if (controller.hasTextareaTarget && controller.textareaTarget.value === state.text) {
+    controller.textareaTarget.value = state.previousText
+  }
+
+  finishImpersonation(controller)
+  showToast(message, "error", 5000)
+}
+
+function finishImpersonation(controller) {
+  const state = controller.impersonation
+  controller.impersonation = null
+
+  if (state?.spaceMembershipId != null) {
+    dispatchWindowEvent(IMPERSONATION_TYPING_EVENT, { state: "stop", spaceMembershipId: state.spaceMembershipId })
+  }
+  updateImpersonateButton(controller)
+}
+
+function writeComposer(controller, text) {
+  if (!controller.hasTextareaTarget) return
+
+  const textarea = controller.textareaTarget
+  textarea.value = text
+  textarea.scrollTop = textarea.scrollHeight
+}
+
+function updateImpersonateButton(controller) {
+  if (!controller.hasImpersonateBtnTarget) return
+
+  const active = !!controller.impersonation
+  const button = controller.impersonateBtnTarget
+  button.classList.toggle("btn-active", active)
+  button.querySelector("[data-impersonate-icon]")?.classList.toggle("hidden", active)
+  button.querySelector("[data-impersonate-spinner]")?.classList.toggle("hidden", !active)
+}
@@ -0,0 +1,304 @@
+import logger from "../../logger"
+import { isConversationLeader } from "../../conversation_state"
+import { readMessageMeta } from "../dom"
+
+/**
+ * Background-tab notifications.
+ *
+ * While the tab is hidden, finished replies and failed runs bump an unread
+ * counter shown in the tab title and favicon (reset when the tab is visible
+ * again). Users who opt in (see background_notifications_controller.js) also
+ * get a browser Notification with the speaker's name, avatar and a snippet.
+ *
+ * A reply can be reported twice: the message append (messages observer) and
+ * `stream_complete` carrying the same message id. Both use the same
+ * notification tag, and the second report of a message within
+ * DEDUPE_WINDOW_MS neither re-notifies nor counts. Consecutive replies of one
+ * speaker are different messages, so each of them notifies.
+ *
+ * Every tab with the conversation open keeps its own unread counter, but only
+ * the conversation's leader tab (conversation_state.js) raises the browser
+ * Notification, so one reply doesn't pop up once per tab.
+ */
+
+export const NOTIFICATIONS_STORAGE_KEY = "chatNotifications.enabled"
+
+// stream_complete precedes run_failed/run_canceled on failure paths; wait for them.
+const STREAM_COMPLETE_DELAY_MS = 800
+const DEDUPE_WINDOW_MS = 15000
+const SNIPPET_LENGTH = 140
+const TITLE_PREFIX_PATTERN = /^\(\d+\+?\) /
+
+const recentNotifications = new Map()
+let unreadCount = 0
+let unreadError = false
+let originalIcons = null
+let baseIconPromise = null
+
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window
+}
+
+export function notificationsEnabled() {
+  try {
+    return localStorage.getItem(NOTIFICATIONS_STORAGE_KEY) === "true"
+  } catch {
+    return false
+  }
+}
+
+export function setNotificationsEnabled(enabled) {
+  try {
+    if (enabled) {
+      localStorage.setItem(NOTIFICATIONS_STORAGE_KEY, "true")
+    } else {
+      localStorage.removeItem(NOTIFICATIONS_STORAGE_KEY)
+    }
+  } catch (error) {
+    logger.warn("[notifications] Failed to persist preference:", error)
+  }
+}
+
+export function setupBackgroundNotifications(controller) {
+  controller.handleNotificationsVisible = () => {
+    if (!document.hidden) resetUnread()
+  }
+
+  document.addEventListener("visibilitychange", controller.handleNotificationsVisible)
+  window.addEventListener("focus", controller.handleNotificationsVisible)
+}
+
+export function teardownBackgroundNotifications(controller) {
+  cancelPendingReplyNotification(controller)
+
+  if (controller.handleNotificationsVisible) {
+    document.removeEventListener("visibilitychange", controller.handleNotificationsVisible)
+    window.removeEventListener("focus", controller.handleNotificationsVisible)
+    controller.handleNotificationsVisible = null
+  }
+
+  resetUnread()
+}
+
+/**
+ * Capture the speaker's slot before handleStreamComplete hides it, and notify
+ * shortly afterwards unless the run turns out to have failed or been canceled.
+ *
+ * @param {Object} controller - The conversation channel controller
+ * @param {Object|null} slot - The speaker's typing slot
+ * @param {Object} [data] - The `stream_complete` payload (`message_id` when the reply was saved)
+ */
+export function scheduleStreamCompleteNotification(controller, slot, data = {}) {
+  if (!document.hidden || !slot) return
+
+  const reply = {
+    replyKey: data.message_id ? `message:${data.message_id}` : `run:${slot.streamRunId || slot.key}`,
+    name: slot.nameEl?.textContent?.trim() || "",
+    avatarUrl: slot.avatarImg?.getAttribute("src") || null,
+    content: slot.streamContent || slot.contentEl?.textContent || ""
+  }
+
+  cancelPendingReplyNotification(controller)
+  controller.pendingReplyNotificationId = setTimeout(() => {
+    controller.pendingReplyNotificationId = null
+    notifyReply(controller, reply)
+  }, STREAM_COMPLETE_DELAY_MS)
+}
+
+export function cancelPendingReplyNotification(controller) {
+  if (controller.pendingReplyNotificationId) {
+    clearTimeout(controller.pendingReplyNotificationId)
+    controller.pendingReplyNotificationId = null
+  }
+}
+
+/**
+ * A message was appended to the list (covers non-streaming replies and
+ * messages from other tabs/users).
+ */
+export function notifyMessageAppended(controller, messageElement) {
+  if (!document.hidden) return
+
+  const meta = readMessageMeta(messageElement)
+  if (meta?.role !== "assistant") return
+
+  notifyReply(controller, {
+    replyKey: meta.messageId ? `message:${meta.messageId}` : `element:${messageElement.id}`,
+    name: messageElement.querySelector(".mes-name")?.textContent?.trim() || "",
+    avatarUrl: messageElement.querySelector(".mes-avatar-wrapper img")?.getAttribute("src") || null,
+    content: messageElement.querySelector(".mes-text")?.textContent || ""
+  })
+}
+
+/**
+ * A run failed (`run_failed`) or the conversation is blocked on an error
+ * (`run_error_alert`). Both usually arrive for the same failure.
+ */
+export function notifyRunProblem(controller, message) {
+  cancelPendingReplyNotification(controller)
+  if (!document.hidden) return
+
+  if (isDuplicate(`${controller.conversationValue}:error`)) return
+
+  incrementUnread({ error: true })
+  showNotification(controller, {
+    title: "Generation failed",
+    body: message || "The AI response failed. Open the conversation to retry.",
+    tag: `conversation-${controller.conversationValue}-error`,
+    requireInteraction: true
+  })
+}
+
+function notifyReply(controller, { replyKey, name, avatarUrl, content }) {
+  if (!document.hidden) return
+
+  if (isDuplicate(`${controller.conversationValue}:reply:${replyKey}`)) return
+
+  incrementUnread()
+  showNotification(controller, {
+    title: name ? `${name} replied` : "New reply",
+    body: snippet(content),
+    icon: avatarUrl,
+    tag: `conversation-${controller.conversationValue}-reply-${replyKey}`
+  })
+}
+
+function isDuplicate(key) {
+  const now = Date.now()
+  recentNotifications.forEach((at, seenKey) => {
+    if (now - at >= DEDUPE_WINDOW_MS) recentNotifications.delete(seenKey)
+  })
+
+  const last = recentNotifications.get(key)
+  recentNotifications.set(key, now)
+
+  return last !== undefined && now - last < DEDUPE_WINDOW_MS
+}
+
+function showNotification(controller, { title, body, icon = null, tag, requireInteraction = false }) {
+  if (!notificationsSupported() || !notificationsEnabled() || Notification.permission !== "granted") return
+  if (!isConversationLeader(controller.conversationValue)) return
+
+  try {
+    const notification = new Notification(title, {
+      body,
+      icon: icon || undefined,
+      tag,
+      renotify: true,
+      requireInteraction
+    })
+
+    notification.onclick = () => {
+      window.focus()
+      notification.close()
+    }
+  } catch (error) {
+    // Some browsers (e.g. Android Chrome) only allow notifications from a service worker.
+    logger.warn("[notifications] Failed to show notification:", error)
+  }
+}
+
+function snippet(content) {
+  const text = String(content || "").replace(/\s+/g, " ").trim()
+  if (text.length <= SNIPPET_LENGTH) return text
+
+  return `${text.slice(0, SNIPPET_LENGTH - 1)}…`
+}
+
+// ============================================================================
+// Unread counter (title + favicon)
+// ============================================================================
+
+function incrementUnread({ error = false } = {}) {
+  unreadCount += 1
+  unreadError = unreadError || error
+  renderUnread()
+}
+
+function resetUnread() {
+  if (unreadCount === 0 && !unreadError) return
+
+  unreadCount = 0
+  unreadError = false
+  renderUnread()
+}
+
+function renderUnread() {
+  const label = unreadCount > 99 ? "99+" : String(unreadCount)
+  const baseTitle = document.title.replace(TITLE_PREFIX_PATTERN, "")
+  document.title = unreadCount > 0 ? `(${label}) ${baseTitle}` : baseTitle
+
+  if (unreadCount > 0) {
+    drawBadgedFavicon(unreadCount > 9 ? "9+" : label, unreadError)
+  } else {
+    restoreFavicon()
+  }
+}
+
+function iconLinks() {
+  return Array.from(document.querySelectorAll("link[rel='icon']"))
+}
+
+function loadBaseIcon() {
+  if (baseIconPromise) return baseIconPromise
+
+  const href = originalIcons?.find((icon) => icon.type === "image/png")?.href || originalIcons?.[0]?.href
+  baseIconPromise = new Promise((resolve) => {
+    if (!href) return resolve(null)
+
+    const image = new Image()
+    image.onload = () => resolve(image)
+    image.onerror = () => resolve(null)
+    image.src = href
+  })
+
+  return baseIconPromise
+}
+
+async function drawBadgedFavicon(label, error) {
+  if (!originalIcons) {
+    originalIcons = iconLinks().map((link) => ({ link, href: link.href, type: link.type }))
+  }
+
+  const image = await loadBaseIcon()
+  // The counter may have been reset while the icon was loading.
+  if (unreadCount === 0) return
+
+  const size = 64
+  const canvas = document.createElement("canvas")
+  canvas.width = size
+  canvas.height = size
+
+  const context = canvas.getContext("2d")
+  if (!context) return
+
+  if (image) context.drawImage(image, 0, 0, size, size)
+
+  const radius = size * 0.3
+  context.beginPath()
+  context.arc(size - radius, radius, radius, 0, 2 * Math.PI)
+  context.fillStyle = error ? "#dc2626" : "#2563eb"
+  context.fill()
+
+  context.fillStyle = "#ffffff"
+  context.font = `bold ${Math.round(radius * (label.length > 1 ? 1.1 : 1.4))}px sans-serif`
+  context.textAlign = "center"
+  context.textBaseline = "middle"
+  context.fillText(label, size - radius, radius + 1)
+
+  const dataUrl = canvas.toDataURL("image/png")
+  originalIcons.forEach(({ link }) => {
+    link.type = "image/png"
+    link.href = dataUrl
+  })
+}
+
+function restoreFavicon() {
+  if (!originalIcons) return
+
+  originalIcons.forEach(({ link, href, type }) => {
+    link.type = type
+    link.href = href
+  })
+  originalIcons = null
+}
@@ -1,45 +1,75 @@
 import logger from "../../logger"
 import { jsonRequest } from "../../request_helpers"
+import { isConversationLeader } from "../../conversation_state"
+import { publish, subscribe } from "../../tab_coordination"
+import { hasTypingSpeakers } from "./typing_indicator"
 
+const HEALTH_STATUS_MESSAGE = "conversation:health-status"
+
+/**
+ * Periodic health checks run in one tab per conversation (the leader, see
+ * conversation_state.js); its results are shared with the other tabs.
+ */
 export function startHealthCheck(controller) {
   if (!controller.healthUrlValue) return
 
-  setTimeout(() => performHealthCheck(controller), 5000)
+  controller.unsubscribeHealthStatus = subscribe(HEALTH_STATUS_MESSAGE, ({ conversationId, health }) => {
+    if (String(conversationId) !== String(controller.conversationValue)) return
+    if (healthCheckBlocked(controller) || !health) return
+
+    handleHealthStatus(controller, health)
+  })
+
+  controller.healthCheckTimeoutId = setTimeout(() => performScheduledHealthCheck(controller), 5000)
 
   controller.healthCheckIntervalId = setInterval(
-    () => performHealthCheck(controller),
+    () => performScheduledHealthCheck(controller),
     controller.healthCheckIntervalValue
   )
 }
 
 export function stopHealthCheck(controller) {
+  if (controller.healthCheckTimeoutId) {
+    clearTimeout(controller.healthCheckTimeoutId)
+    controller.healthCheckTimeoutId = null
+  }
+
   if (controller.healthCheckIntervalId) {
     clearInterval(controller.healthCheckIntervalId)
     controller.healthCheckIntervalId = null
   }
+
+  if (controller.unsubscribeHealthStatus) {
+    controller.unsubscribeHealthStatus()
+    controller.unsubscribeHealthStatus = null
+  }
 }
 
-export async function performHealthCheck(controller) {
-  if (!controller.healthUrlValue) return
+function performScheduledHealthCheck(controller) {
+  if (!isConversationLeader(controller.conversationValue)) return
 
-  if (
-    controller.cableConnected !== false
-    && controller.hasTypingIndicatorTarget
-    && !controller.typingIndicatorTarget.classList.contains("hidden")
-  ) {
-    return
-  }
+  performHealthCheck(controller)
+}
 
-  if (controller.hasRunErrorAlertTarget && !controller.runErrorAlertTarget.classList.contains("hidden")) {
-    return
+function healthCheckBlocked(controller) {
+  if (controller.cableConnected !== false && hasTypingSpeakers(controller)) {
+    return true
   }
 
+  return controller.hasRunErrorAlertTarget && !controller.runErrorAlertTarget.classList.contains("hidden")
+}
+
+export async function performHealthCheck(controller) {
+  if (!controller.healthUrlValue) return
+  if (healthCheckBlocked(controller)) return
+
   try {
     const { response, data: health } = await jsonRequest(controller.healthUrlValue, {
       method: "GET"
     })
 
     if (!response.ok || !health) return
+    publish(HEALTH_STATUS_MESSAGE, { conversationId: controller.conversationValue, health })
     handleHealthStatus(controller, health)
   } catch (error) {
     logger.debug("Health check failed:", error)
@@ -66,7 +96,7 @@ export function handleHealthStatus(controller, health) {
 
     case "stuck":
       controller.hideStopDecisionAlert()
-      if (controller.hasTypingIndicatorTarget && controller.typingIndicatorTarget.classList.contains("hidden")) {
+      if (!hasTypingSpeakers(controller)) {
         controller.showTypingIndicator({
           name: details.speaker_name || "AI",
           space_membership_id: details.speaker_membership_id
@@ -1,4 +1,5 @@
-import { findMessagesList } from "../dom"
+import { findMessagesList, readMessageMeta } from "../dom"
+import { notifyMessageAppended } from "./background_notifications"
 
 export function setupMessagesObserver(controller) {
   const list = findMessagesList(controller.element, controller.conversationValue)
@@ -12,15 +13,18 @@ export function setupMessagesObserver(controller) {
       // (Prepending older history for infinite scroll should not clear the indicator.)
       if (mutation.nextSibling !== null) continue
 
-      const appendedMessage = Array.from(mutation.addedNodes).some((node) => {
+      const appendedMessage = Array.from(mutation.addedNodes).find((node) => {
         return node.nodeType === Node.ELEMENT_NODE
           && typeof node.id === "string"
           && node.id.startsWith("message_")
       })
 
       if (appendedMessage) {
-        controller.hideTypingIndicator()
+        // In group chats other speakers may still be typing; only clear the author's indicator.
+        const participantId = controller.multiSpeakerValue ? readMessageMeta(appendedMessage)?.participantIdInt : null
+        controller.hideTypingIndicator(participantId ?? null)
         controller.hideRunErrorAlert()
+        notifyMessageAppended(controller, appendedMessage)
         break
       }
     }
@@ -1,4 +1,5 @@
 import { SCHEDULING_STATE_CHANGED_EVENT, dispatchWindowEvent } from "../events"
+import { orderTypingIndicators } from "./typing_indicator"
 
 export function handleQueueUpdated(controller, data) {
   const {
@@ -7,7 +8,8 @@ export function handleQueueUpdated(controller, data) {
     reject_policy: rejectPolicy,
     during_generation_user_input_policy: duringGenerationUserInputPolicy,
     paused_reason: pausedReason,
-    paused_speaker_name: pausedSpeakerName
+    paused_speaker_name: pausedSpeakerName,
+    queue
   } = data
   const revision = Number(groupQueueRevision)
 
@@ -20,6 +22,12 @@ export function handleQueueUpdated(controller, data) {
     controller.lastQueueRevision = revision
   }
 
+  // Predicted speaker order; concurrent typing indicators are stacked by it.
+  if (Array.isArray(queue)) {
+    controller.queueOrder = queue.map((entry) => String(entry.id))
+    orderTypingIndicators(controller)
+  }
+
   dispatchWindowEvent(SCHEDULING_STATE_CHANGED_EVENT, {
     schedulingState,
     rejectPolicy,
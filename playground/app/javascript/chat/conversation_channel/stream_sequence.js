@@ -0,0 +1,118 @@
+import logger from "../../logger"
+
+// Don't flood the server with resume requests while a gap is being filled.
+const RESUME_REQUEST_COOLDOWN_MS = 2000
+
+/**
+ * Reset the stream state of one typing slot (see typing_indicator.js).
+ */
+export function resetStreamSequence(slot, runId = null) {
+  slot.streamRunId = runId
+  slot.streamSeq = 0
+  slot.streamContent = ""
+}
+
+/**
+ * Apply a sequence/offset-numbered delta to a speaker's accumulated stream.
+ *
+ * Chunks can arrive duplicated or out of order (multi-process broadcasts,
+ * reconnects). Like `group_queue_revision`, anything at or below the last seen
+ * `seq` is dropped. A chunk that starts past the text we have means we missed
+ * something, so we ask the server to resume from our offset instead.
+ *
+ * @param {Object} controller - The conversation channel controller
+ * @param {Object} slot - The speaker's typing slot
+ * @param {Object} data - stream_chunk / stream_resume payload
+ * @returns {string|null} The accumulated content, or null when the chunk was dropped
+ */
+export function applyStreamChunk(controller, slot, data) {
+  const seq = Number(data.seq)
+  const offset = Number(data.offset)
+  const delta = typeof data.delta === "string" ? data.delta : ""
+  if (!Number.isFinite(seq) || !Number.isFinite(offset)) return null
+
+  const runId = data.run_id || null
+  if (runId !== slot.streamRunId) {
+    resetStreamSequence(slot, runId)
+  }
+
+  if (seq <= slot.streamSeq) return null
+
+  const content = slot.streamContent
+  if (offset > content.length) {
+    logger.debug(`[stream] Gap detected (have ${content.length}, chunk starts at ${offset}); resuming`)
+    requestStreamResume(controller, slot)
+    return null
+  }
+
+  slot.streamContent = content.slice(0, offset) + delta
+  slot.streamSeq = seq
+  return slot.streamContent
+}
+
+/**
+ * Ask the server for everything after the offsets we already have.
+ * The replies arrive as `stream_resume` events on this subscription only, one
+ * per running run, so every speaker's slot catches up, not just the one with
+ * the gap (and runs we don't follow yet arrive from the start).
+ *
+ * Once the server said it keeps no snapshots (`resumable: false`), only
+ * `force`d requests (on (re)connect, to learn what is running) are sent:
+ * asking again after every gap would never fill it.
+ *
+ * @param {Object} controller - The conversation channel controller
+ * @param {Object|null} [slot] - The typing slot that has a gap, if not in `typingSpeakers`
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Send even if streams can't be resumed
+ */
+export function requestStreamResume(controller, slot = null, { force = false } = {}) {
+  if (!controller.channel) return
+  if (controller.streamResumeUnavailable && !force) return
+
+  const now = Date.now()
+  if (controller.streamResumeRequestedAt && (now - controller.streamResumeRequestedAt) < RESUME_REQUEST_COOLDOWN_MS) {
+    return
+  }
+  controller.streamResumeRequestedAt = now
+
+  const streams = {}
+  controller.typingSpeakers?.forEach((typingSlot) => {
+    if (typingSlot.streamRunId) streams[typingSlot.streamRunId] = typingSlot.streamContent.length
+  })
+  if (slot?.streamRunId) streams[slot.streamRunId] = slot.streamContent.length
+
+  controller.channel.perform("resume_stream", { streams })
+}
+
+export function handleStreamResume(controller, data) {
+  const requestedAt = controller.streamResumeRequestedAt
+  controller.streamResumeRequestedAt = null
+  if (data.resumable === false) controller.streamResumeUnavailable = true
+  const slots = controller.typingSpeakers || new Map()
+
+  if (!data.active) {
+    // Nothing is generating anymore; the final message (if any) arrives via Turbo.
+    // Keep indicators that (re)started after we asked: they belong to a newer run.
+    Array.from(slots.values()).forEach((slot) => {
+      // Hiding without an id would hide every slot, newer ones included.
+      if (slot.spaceMembershipId == null) return
+
+      const startedAfterRequest = requestedAt && slot.lastChunkAt && slot.lastChunkAt > requestedAt
+      if (!startedAfterRequest) controller.hideTypingIndicator(slot.spaceMembershipId)
+    })
+    return
+  }
+
+  // We missed typing_start (or are following a stale run): show the indicator first.
+  let slot = slots.get(String(data.space_membership_id))
+  if (!slot || slot.streamRunId !== data.run_id) {
+    controller.showTypingIndicator(data)
+    slot = (controller.typingSpeakers || slots).get(String(data.space_membership_id))
+  }
+  if (!slot) return
+
+  const content = applyStreamChunk(controller, slot, data)
+  if (content !== null) {
+    controller.updateTypingContent(content, data.space_membership_id)
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Live generation telemetry for a typing slot (see typing_indicator.js).
+ *
+ * Measured client-side from `stream_chunk` arrival times, so numbers include
+ * network latency. Token counts are estimated from characters; the finished
+ * run's exact timing is persisted server-side as `stream_stats`.
+ */
+
+// Rough average for English text; only used for live estimates.
+const CHARS_PER_TOKEN = 4
+
+// Stuck detection from the observed rate: a gap this many times the usual one is suspicious.
+const STUCK_INTERVAL_FACTOR = 10
+const STUCK_GAP_FACTOR = 3
+const STUCK_MIN_MS = 10000
+const STUCK_MAX_FACTOR = 4 // never wait longer than this multiple of the configured threshold
+const MIN_CHUNKS_FOR_RATE = 5
+
+/**
+ * @param {Object} slot - The speaker's typing slot
+ * @param {Object} options
+ * @param {number|null} options.maxResponseTokens - Response limit, for the completion estimate
+ * @param {boolean} options.resumed - We joined mid-stream, so time to first chunk is unknown
+ */
+export function startTelemetry(slot, { maxResponseTokens = null, resumed = false } = {}) {
+  const max = Number(maxResponseTokens)
+
+  slot.telemetry = {
+    startedAt: Date.now(),
+    firstChunkAt: null,
+    lastChunkAt: null,
+    chunkCount: 0,
+    chars: 0,
+    charsAtFirstChunk: 0,
+    maxGapMs: 0,
+    maxResponseTokens: Number.isFinite(max) && max > 0 ? max : null,
+    resumed
+  }
+}
+
+/**
+ * @param {Object} slot
+ * @param {number} contentLength - Length of the accumulated content after this chunk
+ */
+export function recordTelemetryChunk(slot, contentLength) {
+  const telemetry = slot.telemetry
+  if (!telemetry) return
+
+  const now = Date.now()
+  if (telemetry.firstChunkAt === null) {
+    telemetry.firstChunkAt = now
+    telemetry.charsAtFirstChunk = contentLength
+  } else {
+    telemetry.maxGapMs = Math.max(telemetry.maxGapMs, now - telemetry.lastChunkAt)
+  }
+
+  telemetry.lastChunkAt = now
+  telemetry.chunkCount += 1
+  telemetry.chars = contentLength
+}
+
+/**
+ * Summarize the current telemetry for display.
+ *
+ * @returns {{ text: string, title: string }|null}
+ */
+export function formatTelemetry(slot, now = Date.now()) {
+  const telemetry = slot.telemetry
+  if (!telemetry) return null
+
+  const elapsed = formatSeconds(now - telemetry.startedAt)
+
+  if (telemetry.firstChunkAt === null) {
+    return { text: `waiting ${elapsed}`, title: "Waiting for the first chunk" }
+  }
+
+  const parts = []
+  const titles = []
+
+  if (!telemetry.resumed) {
+    const ttft = formatSeconds(telemetry.firstChunkAt - telemetry.startedAt)
+    parts.push(`TTFT ${ttft}`)
+    titles.push(`Time to first chunk: ${ttft}`)
+  }
+
+  const rate = tokensPerSecond(telemetry)
+  if (rate !== null) {
+    parts.push(`${rate.toFixed(rate < 10 ? 1 : 0)} tok/s`)
+    titles.push(`~${rate.toFixed(1)} tokens/s (estimated from ${charsPerSecond(telemetry).toFixed(0)} chars/s)`)
+  }
+
+  parts.push(elapsed)
+  titles.push(`Elapsed: ${elapsed}`)
+
+  const remaining = remainingMs(telemetry, rate)
+  if (remaining !== null) {
+    parts.push(`≤${formatSeconds(remaining)} left`)
+    titles.push(`At most ${formatSeconds(remaining)} more if the model uses all ${telemetry.maxResponseTokens} tokens`)
+  }
+
+  return { text: parts.join(" · "), title: titles.join("\n") }
+}
+
+/**
+ * How long to wait without chunks before calling a speaker stuck.
+ *
+ * Before enough chunks arrive (prompt processing can be slow) this is the
+ * configured `stuckThresholdValue`; afterwards it follows the observed pace,
+ * so a fast model is flagged sooner and a slow local model isn't flagged early.
+ */
+export function stuckThresholdFor(controller, slot) {
+  const fallback = controller.stuckThresholdValue
+  const telemetry = slot?.telemetry
+  if (!telemetry || telemetry.chunkCount < MIN_CHUNKS_FOR_RATE) return fallback
+
+  const averageInterval = (telemetry.lastChunkAt - telemetry.firstChunkAt) / (telemetry.chunkCount - 1)
+  const observed = Math.max(
+    averageInterval * STUCK_INTERVAL_FACTOR,
+    telemetry.maxGapMs * STUCK_GAP_FACTOR,
+    STUCK_MIN_MS
+  )
+
+  return Math.min(observed, fallback * STUCK_MAX_FACTOR)
+}
+
+function charsPerSecond(telemetry) {
+  const duration = telemetry.lastChunkAt - telemetry.firstChunkAt
+  if (duration <= 0) return null
+
+  return (telemetry.chars - telemetry.charsAtFirstChunk) * 1000 / duration
+}
+
+function tokensPerSecond(telemetry) {
+  const chars = charsPerSecond(telemetry)
+  if (chars === null || chars <= 0) return null
+
+  return chars / CHARS_PER_TOKEN
+}
+
+function remainingMs(telemetry, rate) {
+  if (!telemetry.maxResponseTokens || !rate) return null
+
+  const remainingTokens = telemetry.maxResponseTokens - (telemetry.chars / CHARS_PER_TOKEN)
+  if (remainingTokens <= 0) return null
+
+  return remainingTokens / rate * 1000
+}
+
+function formatSeconds(ms) {
+  const seconds = Math.max(0, ms) / 1000
+  if (seconds < 10) return `${seconds.toFixed(1)}s`
+  if (seconds < 60) return `${Math.round(seconds)}s`
+
+  const total = Math.round(seconds)
+  return `${Math.floor(total / 60)}m${String(total % 60).padStart(2, "0")}s`
+}
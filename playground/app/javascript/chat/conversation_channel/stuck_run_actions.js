@@ -49,7 +49,7 @@ export async function retryStuckRun(controller, event) {
   }
 
   controller.hideStuckWarning()
-  controller.lastChunkAt = Date.now()
+  controller.startStuckDetection()
 
   try {
     const { response, toastAlreadyShown } = await turboPost(url)
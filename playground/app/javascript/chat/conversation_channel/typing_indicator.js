@@ -1,18 +1,216 @@
 import logger from "../../logger"
+import { renderStreamingMarkdown, resetStreamingMarkdown } from "../../ui/markdown/streaming"
+import { resetStreamSequence } from "./stream_sequence"
+import { startTelemetry, recordTelemetryChunk, formatTelemetry, stuckThresholdFor } from "./stream_telemetry"
+
+// ============================================================================
+// Speaker slots
+// ============================================================================
+//
+// Each active speaker gets a "slot": its own indicator element, streaming
+// content, stream sequence state, live telemetry, stuck timer and failsafe timeout.
+//
+// The first slot always uses the server-rendered `#typing_indicator` targets,
+// so 1:1 playgrounds behave exactly as before. In group spaces
+// (`multiSpeakerValue`), concurrent speakers get extra indicators cloned from
+// `#typing_indicator_template`, stacked in the order the group queue predicts.
+
+const SECONDARY_INDICATOR_TEMPLATE_ID = "typing_indicator_template"
+const SECONDARY_INDICATOR_ID_PREFIX = "typing_indicator_"
+const TELEMETRY_TICK_MS = 1000
+
+function speakerKey(spaceMembershipId) {
+  return spaceMembershipId == null ? "unknown" : String(spaceMembershipId)
+}
+
+function getSlots(controller) {
+  if (!controller.typingSpeakers) controller.typingSpeakers = new Map()
+  return controller.typingSpeakers
+}
+
+/**
+ * @returns {Object|null} the slot for a participant, or the only/oldest slot when no id is given
+ */
+export function findTypingSlot(controller, participantId = null) {
+  const slots = getSlots(controller)
+  if (participantId != null) return slots.get(speakerKey(participantId)) || null
+  return slots.values().next().value || null
+}
+
+export function hasTypingSpeakers(controller) {
+  return getSlots(controller).size > 0
+}
+
+function primaryInUse(controller) {
+  for (const slot of getSlots(controller).values()) {
+    if (slot.primary) return true
+  }
+  return false
+}
+
+function buildPrimarySlot(controller) {
+  return {
+    primary: true,
+    element: controller.hasTypingIndicatorTarget ? controller.typingIndicatorTarget : null,
+    nameEl: controller.hasTypingNameTarget ? controller.typingNameTarget : null,
+    contentEl: controller.hasTypingContentTarget ? controller.typingContentTarget : null,
+    avatarImg: controller.hasTypingAvatarImgTarget ? controller.typingAvatarImgTarget : null,
+    stuckBadge: controller.hasTypingIndicatorTarget ? controller.typingIndicatorTarget.querySelector("[data-typing-stuck]") : null
+  }
+}
+
+function buildSecondarySlot(controller, key) {
+  const template = document.getElementById(SECONDARY_INDICATOR_TEMPLATE_ID)
+  const stack = controller.hasTypingStackTarget ? controller.typingStackTarget : null
+  if (!template || !stack) {
+    logger.warn("[typing-indicator] Secondary typing indicator template or stack not found")
+    return null
+  }
+
+  const element = template.content.cloneNode(true).firstElementChild
+  if (!element) return null
+
+  element.id = `${SECONDARY_INDICATOR_ID_PREFIX}${key}`
+  stack.appendChild(element)
+
+  return {
+    primary: false,
+    element,
+    nameEl: element.querySelector("[data-typing-name]"),
+    contentEl: element.querySelector("[data-typing-content]"),
+    avatarImg: element.querySelector("[data-typing-avatar]"),
+    stuckBadge: element.querySelector("[data-typing-stuck]")
+  }
+}
+
+function acquireSlot(controller, key) {
+  const slots = getSlots(controller)
+  const existing = slots.get(key)
+  // Secondary indicators can be removed behind our back (hide_typing_indicator stream action).
+  if (existing && (existing.primary || existing.element?.isConnected)) return existing
+  if (existing) releaseSlot(controller, existing)
+
+  // 1:1 playgrounds have a single speaker at a time: a new speaker replaces the old one.
+  if (!controller.multiSpeakerValue) {
+    for (const slot of Array.from(slots.values())) releaseSlot(controller, slot)
+  }
+
+  const base = primaryInUse(controller) ? buildSecondarySlot(controller, key) : buildPrimarySlot(controller)
+  if (!base) return null
+
+  const slot = {
+    ...base,
+    key,
+    spaceMembershipId: null,
+    targetMessageId: null,
+    prefixContent: "",
+    startedAt: Date.now(),
+    lastChunkAt: null,
+    lastAutoScrollAt: null,
+    timeoutId: null,
+    stuckTimeoutId: null,
+    telemetryTickId: null,
+    stuck: false
+  }
+  resetStreamSequence(slot)
+  slots.set(key, slot)
+  return slot
+}
+
+function releaseSlot(controller, slot) {
+  // Clean up inline indicator if present
+  if (slot.targetMessageId) {
+    hideInlineTypingIndicator(slot.targetMessageId)
+  }
+
+  clearSlotTimers(slot)
+  renderSlotTelemetry(slot, { hide: true })
+
+  if (slot.primary) {
+    if (slot.element) slot.element.classList.add("hidden")
+    if (controller.hasTypingContentTarget) resetStreamingMarkdown(controller.typingContentTarget)
+    setStuckBadge(controller, slot, false)
+  } else {
+    resetStreamingMarkdown(slot.contentEl)
+    slot.element?.remove()
+  }
+
+  getSlots(controller).delete(slot.key)
+}
+
+function clearSlotTimers(slot) {
+  if (slot.timeoutId) {
+    clearTimeout(slot.timeoutId)
+    slot.timeoutId = null
+  }
+  if (slot.stuckTimeoutId) {
+    clearTimeout(slot.stuckTimeoutId)
+    slot.stuckTimeoutId = null
+  }
+  if (slot.telemetryTickId) {
+    clearInterval(slot.telemetryTickId)
+    slot.telemetryTickId = null
+  }
+}
+
+/**
+ * Stack indicators in the order the group queue predicts.
+ *
+ * Speakers not in the upcoming queue are the ones talking right now, so they
+ * go first (oldest first); queued speakers follow in queue order.
+ */
+export function orderTypingIndicators(controller) {
+  if (!controller.hasTypingStackTarget) return
+
+  const queueOrder = controller.queueOrder || []
+  const rank = (slot) => {
+    const index = queueOrder.indexOf(slot.key)
+    return index === -1 ? -1 : index
+  }
+
+  const stacked = Array.from(getSlots(controller).values())
+    .filter((slot) => slot.element && !slot.targetMessageId)
+    .sort((a, b) => (rank(a) - rank(b)) || (a.startedAt - b.startedAt))
+
+  const stack = controller.typingStackTarget
+  stacked.forEach((slot) => {
+    if (stack.lastElementChild !== slot.element) stack.appendChild(slot.element)
+  })
+}
+
+// ============================================================================
+// Show / hide / update
+// ============================================================================
 
 export function showTypingIndicator(controller, data) {
   const {
     name = "AI",
     space_membership_id: spaceMembershipId,
     avatar_url: avatarUrl,
-    target_message_id: targetMessageId
+    target_message_id: targetMessageId,
+    run_id: runId,
+    max_response_tokens: maxResponseTokens,
+    prefix_content: prefixContent
   } = data
 
   const safeName = (typeof name === "string" && name.trim().length > 0) ? name : "AI"
 
-  controller.currentSpaceMembershipId = spaceMembershipId
-  controller.lastChunkAt = Date.now()
-  controller.targetMessageId = targetMessageId || null
+  const slot = acquireSlot(controller, speakerKey(spaceMembershipId))
+  if (!slot) return
+
+  // A previous regenerate of the same speaker may still hold an inline indicator.
+  if (slot.targetMessageId && slot.targetMessageId !== targetMessageId) {
+    hideInlineTypingIndicator(slot.targetMessageId)
+  }
+
+  resetStreamSequence(slot, runId || null)
+  slot.spaceMembershipId = spaceMembershipId ?? null
+  slot.lastChunkAt = Date.now()
+  slot.targetMessageId = targetMessageId || null
+  // Continue: the stream extends the message's existing text.
+  slot.prefixContent = typeof prefixContent === "string" ? prefixContent : ""
+  slot.stuck = false
+  startTelemetry(slot, { maxResponseTokens, resumed: data.type === "stream_resume" })
 
   if (controller.hasGeneratingAlertSpeakerNameTarget) {
     controller.generatingAlertSpeakerNameTarget.textContent = safeName
@@ -20,96 +218,101 @@ export function showTypingIndicator(controller, data) {
 
   // If regenerating a specific message, try to show inline indicator there
   if (targetMessageId) {
-    const inlineSuccess = showInlineTypingIndicator(controller, targetMessageId)
+    const inlineSuccess = showInlineTypingIndicator(controller, targetMessageId, { continuing: !!slot.prefixContent })
     if (inlineSuccess) {
-      hideStuckWarning(controller)
-      resetTypingTimeout(controller)
-      startStuckDetection(controller)
+      if (slot.prefixContent) updateInlineTypingContent(targetMessageId, slot.prefixContent, { pending: true })
+      if (!slot.primary) slot.element.classList.add("hidden")
+      syncStuckWarning(controller)
+      startTelemetryTicker(slot)
+      resetTypingTimeout(controller, slot)
+      startStuckDetection(controller, slot)
       scrollToTargetMessage(controller, targetMessageId)
       return
     }
     // Inline indicator failed (DOM not found), fall back to bottom indicator
-    controller.targetMessageId = null // Clear so updates go to bottom indicator
+    slot.targetMessageId = null // Clear so updates go to bottom indicator
   }
 
   // Default: show bottom typing indicator
-  if (controller.hasTypingNameTarget) {
-    controller.typingNameTarget.textContent = safeName
+  if (slot.nameEl) {
+    slot.nameEl.textContent = safeName
   }
 
-  if (controller.hasTypingContentTarget) {
-    controller.typingContentTarget.textContent = ""
-  }
+  resetStreamingMarkdown(slot.contentEl)
 
-  if (controller.hasTypingIndicatorTarget) {
-    controller.typingIndicatorTarget.classList.remove("hidden")
+  if (slot.element) {
+    slot.element.classList.remove("hidden")
   }
 
-  if (controller.hasTypingAvatarImgTarget && avatarUrl) {
-    controller.typingAvatarImgTarget.src = avatarUrl
-    controller.typingAvatarImgTarget.alt = safeName
+  if (slot.avatarImg && avatarUrl) {
+    slot.avatarImg.src = avatarUrl
+    slot.avatarImg.alt = safeName
   }
 
-  hideStuckWarning(controller)
-  resetTypingTimeout(controller)
-  startStuckDetection(controller)
+  orderTypingIndicators(controller)
+  setStuckBadge(controller, slot, false)
+  syncStuckWarning(controller)
+  startTelemetryTicker(slot)
+  resetTypingTimeout(controller, slot)
+  startStuckDetection(controller, slot)
   scrollToTypingIndicator(controller, { behavior: "smooth", force: true })
 }
 
+/**
+ * Hide one speaker's indicator, or all of them when no participant is given.
+ */
 export function hideTypingIndicator(controller, participantId = null) {
-  if (participantId && controller.currentSpaceMembershipId && participantId !== controller.currentSpaceMembershipId) {
-    return
-  }
+  const slots = getSlots(controller)
 
-  // Clean up inline indicator if present
-  if (controller.targetMessageId) {
-    hideInlineTypingIndicator(controller.targetMessageId)
-  }
+  if (participantId == null) {
+    for (const slot of Array.from(slots.values())) releaseSlot(controller, slot)
 
-  if (controller.hasTypingIndicatorTarget) {
-    controller.typingIndicatorTarget.classList.add("hidden")
-  }
-
-  if (controller.hasTypingContentTarget) {
-    controller.typingContentTarget.textContent = ""
+    // Ensure leftover indicators are cleared even with no slots (e.g. Turbo cache restore).
+    if (controller.hasTypingIndicatorTarget) controller.typingIndicatorTarget.classList.add("hidden")
+    if (controller.hasTypingContentTarget) resetStreamingMarkdown(controller.typingContentTarget)
+    if (controller.hasTypingStackTarget) {
+      controller.typingStackTarget.querySelectorAll("[data-typing-indicator-secondary]").forEach((el) => el.remove())
+    }
+  } else {
+    const slot = slots.get(speakerKey(participantId))
+    if (!slot) return
+    releaseSlot(controller, slot)
   }
 
-  controller.currentSpaceMembershipId = null
-  controller.lastChunkAt = null
-  controller.targetMessageId = null
-  controller.lastAutoScrollAt = null
-  clearTypingTimeout(controller)
-  clearStuckTimeout(controller)
-  hideStuckWarning(controller)
+  syncStuckWarning(controller)
 }
 
 export function updateTypingContent(controller, content, participantId = null) {
-  if (participantId && controller.currentSpaceMembershipId && participantId !== controller.currentSpaceMembershipId) {
-    return
-  }
+  const slot = findTypingSlot(controller, participantId)
+  if (!slot) return
+
+  if (typeof content === "string") recordTelemetryChunk(slot, content.length)
 
-  // If regenerating a specific message, update inline indicator
-  if (controller.targetMessageId) {
-    updateInlineTypingContent(controller.targetMessageId, content)
-    controller.lastChunkAt = Date.now()
-    hideStuckWarning(controller)
-    startStuckDetection(controller)
-    resetTypingTimeout(controller)
+  // If regenerating/continuing a specific message, update inline indicator
+  if (slot.targetMessageId) {
+    updateInlineTypingContent(slot.targetMessageId, typeof content === "string" ? slot.prefixContent + content : content)
+    markChunkReceived(controller, slot)
     // Don't scroll on every chunk for inline - only scroll once at start
     return
   }
 
   // Default: update bottom typing indicator
-  if (controller.hasTypingContentTarget && typeof content === "string") {
-    controller.typingContentTarget.textContent = content
+  if (slot.contentEl && typeof content === "string") {
+    renderStreamingMarkdown(slot.contentEl, content, { participantId: slot.spaceMembershipId })
   }
 
-  controller.lastChunkAt = Date.now()
-  hideStuckWarning(controller)
-  startStuckDetection(controller)
+  markChunkReceived(controller, slot)
+  scrollToTypingIndicator(controller, { behavior: "auto", force: false, slot })
+}
 
-  resetTypingTimeout(controller)
-  scrollToTypingIndicator(controller, { behavior: "auto", force: false })
+function markChunkReceived(controller, slot) {
+  renderSlotTelemetry(slot)
+  slot.lastChunkAt = Date.now()
+  slot.stuck = false
+  setStuckBadge(controller, slot, false)
+  syncStuckWarning(controller)
+  startStuckDetection(controller, slot)
+  resetTypingTimeout(controller, slot)
 }
 
 export function handleStreamComplete(controller, participantId = null) {
@@ -118,18 +321,59 @@ export function handleStreamComplete(controller, participantId = null) {
   }, 100)
 }
 
-export function startStuckDetection(controller) {
-  clearStuckTimeout(controller)
-  controller.stuckTimeoutId = setTimeout(() => {
-    showStuckWarning(controller)
-  }, controller.stuckThresholdValue)
+/**
+ * Impersonate suggestions stream into the composer (see chat/auto/impersonation.js);
+ * mirror them in the persona's typing indicator.
+ *
+ * @param {Object} detail - { state: "start", payload } | { state: "chunk", spaceMembershipId, content } | { state: "stop", spaceMembershipId }
+ */
+export function handleImpersonationTyping(controller, detail) {
+  switch (detail?.state) {
+    case "start":
+      showTypingIndicator(controller, detail.payload)
+      break
+    case "chunk":
+      updateTypingContent(controller, detail.content, detail.spaceMembershipId)
+      break
+    case "stop":
+      handleStreamComplete(controller, detail.spaceMembershipId)
+      break
+  }
 }
 
-export function clearStuckTimeout(controller) {
-  if (controller.stuckTimeoutId) {
-    clearTimeout(controller.stuckTimeoutId)
-    controller.stuckTimeoutId = null
+// ============================================================================
+// Stuck detection
+// ============================================================================
+
+/**
+ * (Re)start stuck detection for one speaker, or every active speaker.
+ *
+ * The wait follows the speaker's observed chunk rate once it has one
+ * (see stuckThresholdFor), falling back to `stuckThresholdValue`.
+ */
+export function startStuckDetection(controller, slot = null) {
+  if (!slot) {
+    getSlots(controller).forEach((each) => startStuckDetection(controller, each))
+    return
   }
+
+  if (slot.stuckTimeoutId) clearTimeout(slot.stuckTimeoutId)
+  slot.stuckTimeoutId = setTimeout(() => {
+    slot.stuckTimeoutId = null
+    slot.stuck = true
+    setStuckBadge(controller, slot, true)
+    showStuckWarning(controller)
+  }, stuckThresholdFor(controller, slot))
+}
+
+export function clearStuckTimeout(controller, slot = null) {
+  const targets = slot ? [slot] : Array.from(getSlots(controller).values())
+  targets.forEach((each) => {
+    if (each.stuckTimeoutId) {
+      clearTimeout(each.stuckTimeoutId)
+      each.stuckTimeoutId = null
+    }
+  })
 }
 
 export function showStuckWarning(controller) {
@@ -139,26 +383,82 @@ export function showStuckWarning(controller) {
 }
 
 export function hideStuckWarning(controller) {
+  getSlots(controller).forEach((slot) => {
+    slot.stuck = false
+    setStuckBadge(controller, slot, false)
+  })
+
   if (controller.hasStuckWarningTarget) {
     controller.stuckWarningTarget.classList.add("hidden")
   }
 }
 
-export function resetTypingTimeout(controller) {
-  clearTypingTimeout(controller)
-  controller.timeoutId = setTimeout(() => {
-    hideTypingIndicator(controller)
-  }, controller.timeoutValue)
+// The shared warning (Retry / Cancel act on the running run) stays up while any speaker is stuck.
+function syncStuckWarning(controller) {
+  const anyStuck = Array.from(getSlots(controller).values()).some((slot) => slot.stuck)
+  if (!controller.hasStuckWarningTarget) return
+  controller.stuckWarningTarget.classList.toggle("hidden", !anyStuck)
+}
+
+// Per-speaker badges only matter when several indicators are stacked.
+function setStuckBadge(controller, slot, stuck) {
+  if (!slot.stuckBadge) return
+  slot.stuckBadge.classList.toggle("hidden", !(stuck && controller.multiSpeakerValue))
+}
+
+// ============================================================================
+// Live telemetry (TTFT, tokens/sec, elapsed, ETA)
+// ============================================================================
+
+function startTelemetryTicker(slot) {
+  if (slot.telemetryTickId) clearInterval(slot.telemetryTickId)
+  renderSlotTelemetry(slot)
+  slot.telemetryTickId = setInterval(() => renderSlotTelemetry(slot), TELEMETRY_TICK_MS)
+}
+
+function renderSlotTelemetry(slot, { hide = false } = {}) {
+  const meter = slot.targetMessageId
+    ? document.getElementById(`${INLINE_INDICATOR_ID_PREFIX}${slot.targetMessageId}`)?.querySelector("[data-typing-telemetry]")
+    : slot.element?.querySelector("[data-typing-telemetry]")
+  if (!meter) return
+
+  const summary = hide ? null : formatTelemetry(slot)
+  meter.textContent = summary?.text || ""
+  meter.title = summary?.title || ""
+  meter.classList.toggle("hidden", !summary)
 }
 
-export function clearTypingTimeout(controller) {
-  if (controller.timeoutId) {
-    clearTimeout(controller.timeoutId)
-    controller.timeoutId = null
+// ============================================================================
+// Failsafe timeout
+// ============================================================================
+
+export function resetTypingTimeout(controller, slot = null) {
+  if (!slot) {
+    getSlots(controller).forEach((each) => resetTypingTimeout(controller, each))
+    return
   }
+
+  if (slot.timeoutId) clearTimeout(slot.timeoutId)
+  slot.timeoutId = setTimeout(() => {
+    slot.timeoutId = null
+    if (getSlots(controller).get(slot.key) === slot) {
+      releaseSlot(controller, slot)
+      syncStuckWarning(controller)
+    }
+  }, controller.timeoutValue)
 }
 
-export function scrollToTypingIndicator(controller, { behavior = "smooth", force = true } = {}) {
+export function clearTypingTimeout(controller, slot = null) {
+  const targets = slot ? [slot] : Array.from(getSlots(controller).values())
+  targets.forEach((each) => {
+    if (each.timeoutId) {
+      clearTimeout(each.timeoutId)
+      each.timeoutId = null
+    }
+  })
+}
+
+export function scrollToTypingIndicator(controller, { behavior = "smooth", force = true, slot = null } = {}) {
   const messagesContainer = controller.element.closest("[data-chat-scroll-target='messages']")
     || document.querySelector("[data-chat-scroll-target='messages']")
 
@@ -171,9 +471,10 @@ export function scrollToTypingIndicator(controller, { behavior = "smooth", force
       if (distanceFromBottom > 80) return
 
       // Throttle frequent chunk updates to avoid scroll jitter.
+      const throttle = slot || controller
       const now = Date.now()
-      if (controller.lastAutoScrollAt && (now - controller.lastAutoScrollAt) < 150) return
-      controller.lastAutoScrollAt = now
+      if (throttle.lastAutoScrollAt && (now - throttle.lastAutoScrollAt) < 150) return
+      throttle.lastAutoScrollAt = now
     }
 
     requestAnimationFrame(() => {
@@ -193,13 +494,16 @@ const INLINE_INDICATOR_ID_PREFIX = "inline-typing-"
 
 /**
  * Show an inline typing indicator at the target message.
- * This replaces the message content with a typing indicator during regeneration.
+ * This replaces the message content with a typing indicator during regeneration
+ * (or continuation, which then re-renders the existing text above the stream).
  *
  * @param {Object} controller - The Stimulus controller
  * @param {number} messageId - The ID of the target message
+ * @param {Object} options
+ * @param {boolean} options.continuing - label the indicator "Continuing" instead of "Regenerating"
  * @returns {boolean} true if inline indicator was shown, false if DOM lookup failed
  */
-function showInlineTypingIndicator(controller, messageId) {
+function showInlineTypingIndicator(controller, messageId, { continuing = false } = {}) {
   const messageEl = document.getElementById(`message_${messageId}`)
   if (!messageEl) return false
 
@@ -219,6 +523,11 @@ function showInlineTypingIndicator(controller, messageId) {
 
   indicator.id = indicatorId
 
+  const label = indicator.querySelector("[data-inline-typing-label]")
+  if (label && continuing && label.dataset.continueLabel) {
+    label.textContent = label.dataset.continueLabel
+  }
+
   const contentEl = indicator.querySelector("[data-inline-typing-content]")
   if (contentEl) {
     contentEl.id = `${indicatorId}-content`
@@ -241,6 +550,8 @@ function hideInlineTypingIndicator(messageId) {
   const indicator = document.getElementById(indicatorId)
 
   if (indicator) {
+    resetStreamingMarkdown(document.getElementById(`${indicatorId}-content`))
+
     // The Turbo Stream will replace the content frame anyway,
     // so we just need to clean up our indicator
     indicator.remove()
@@ -249,20 +560,22 @@ function hideInlineTypingIndicator(messageId) {
 
 /**
  * Update the content in the inline typing indicator.
+ *
+ * The dots stay visible while `pending` (by default: until there is content).
  */
-function updateInlineTypingContent(messageId, content) {
+function updateInlineTypingContent(messageId, content, { pending = !content } = {}) {
   const indicatorId = `${INLINE_INDICATOR_ID_PREFIX}${messageId}`
   const contentEl = document.getElementById(`${indicatorId}-content`)
 
   if (contentEl && typeof content === "string") {
-    contentEl.textContent = content
+    renderStreamingMarkdown(contentEl, content)
 
-    // Hide dots when we have content
+    // Hide dots once the stream has started
     const indicator = document.getElementById(indicatorId)
     if (indicator) {
       const dots = indicator.querySelector("[data-inline-typing-dots]")
       if (dots) {
-        dots.style.display = content ? "none" : "flex"
+        dots.style.display = pending ? "flex" : "none"
       }
     }
   }
@@ -20,8 +20,19 @@ export function findMessagesList(root, conversationId = null) {
   return null
 }
 
+/**
+ * True while the list shows a deep-link window that doesn't reach the live tail
+ * (see chat/scroll/window_loader.js). Its last element is not the tail then.
+ *
+ * @param {HTMLElement|null} list
+ * @returns {boolean}
+ */
+export function isDetachedFromTail(list) {
+  return list?.dataset.hasNewer === "true"
+}
+
 export function findTailMessage(list) {
-  if (!list) return null
+  if (!list || isDetachedFromTail(list)) return null
 
   const lastChild = list.lastElementChild
   if (lastChild && lastChild.classList.contains("mes")) return lastChild
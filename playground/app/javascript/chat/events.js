@@ -4,6 +4,9 @@ export const SCHEDULING_STATE_CHANGED_EVENT = "scheduling:state-changed"
 export const USER_TYPING_DISABLE_AUTO_EVENT = "user:typing:disable-auto"
 export const USER_TYPING_DISABLE_AUTO_WITHOUT_HUMAN_EVENT = "user:typing:disable-auto-without-human"
 export const AUTO_WITHOUT_HUMAN_DISABLED_EVENT = "auto-without-human:disabled"
+export const INLINE_EDIT_CANCELED_EVENT = "message:inline-edit-canceled"
+export const IMPERSONATE_REQUESTED_EVENT = "composer:impersonate-requested"
+export const IMPERSONATION_TYPING_EVENT = "impersonation:typing"
 
 export function dispatchWindowEvent(name, detail = null, options = {}) {
   const {
@@ -1,6 +1,7 @@
 import logger from "../../logger"
 import { turboPost } from "../../request_helpers"
 import { readMessageMeta } from "../dom"
+import { IMPERSONATE_REQUESTED_EVENT, dispatchWindowEvent } from "../events"
 import { getTailMessageElement } from "./tail"
 
 export async function stopGeneration(controller) {
@@ -34,6 +35,41 @@ export async function regenerateTailAssistant(controller) {
   }
 }
 
+export async function continueTailAssistant(controller) {
+  if (!controller.hasContinueUrlValue) return
+
+  try {
+    const { response } = await turboPost(controller.continueUrlValue, {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: "" // No message_id - server uses tail
+    })
+
+    if (!response.ok) {
+      logger.error("Failed to continue:", response.status)
+    }
+  } catch (error) {
+    logger.error("Continue error:", error)
+  }
+}
+
+/**
+ * Impersonate is driven by the composer's auto controller (it owns the
+ * AutoChannel subscription the suggestion streams over).
+ */
+export function requestImpersonation() {
+  dispatchWindowEvent(IMPERSONATE_REQUESTED_EVENT)
+}
+
+/**
+ * Leave multi-select mode (message-selection controller on the same element).
+ *
+ * @returns {boolean} true if selection mode was active
+ */
+export function exitMessageSelection(controller) {
+  const selection = controller.application.getControllerForElementAndIdentifier(controller.element, "message-selection")
+  return !!selection?.exit()
+}
+
 export async function swipeTailAssistant(controller, direction) {
   const tail = getTailMessageElement(controller)
   if (!tail) return
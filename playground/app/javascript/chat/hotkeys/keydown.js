@@ -1,7 +1,7 @@
-import { regenerateTailAssistant, stopGeneration, swipeTailAssistant } from "./actions"
+import { continueTailAssistant, exitMessageSelection, regenerateTailAssistant, requestImpersonation, stopGeneration, swipeTailAssistant } from "./actions"
 import { cancelAnyOpenEdit, editLastOwnMessage, editLastUserMessage, shouldHandleEditHotkey } from "./edit"
 import { showHotkeysHelpModal } from "./help_modal"
-import { canRegenerateTail, canSwipeTail } from "./tail"
+import { canContinueTail, canRegenerateTail, canSwipeTail } from "./tail"
 
 function isActiveElementInOtherTextInput(controller) {
   const activeElement = document.activeElement
@@ -26,12 +26,16 @@ export function handleKeydown(controller, event) {
   // IME protection: don't intercept during composition (e.g., CJK input)
   if (event.isComposing) return
 
-  // Escape: Cancel any open inline edit, or stop generation
+  // Escape: Cancel any open inline edit, leave multi-select mode, or stop generation
   if (event.key === "Escape") {
     if (cancelAnyOpenEdit()) {
       event.preventDefault()
       return
     }
+    if (exitMessageSelection(controller)) {
+      event.preventDefault()
+      return
+    }
     // No inline edit open - stop generation
     if (controller.hasStopUrlValue) {
       event.preventDefault()
@@ -49,6 +53,22 @@ export function handleKeydown(controller, event) {
     return
   }
 
+  // Alt+Enter: Continue tail AI response (only if tail is assistant)
+  if (event.key === "Enter" && event.altKey && !event.ctrlKey && !event.shiftKey && !event.metaKey) {
+    if (canContinueTail(controller)) {
+      event.preventDefault()
+      continueTailAssistant(controller)
+    }
+    return
+  }
+
+  // Ctrl+Shift+Enter: Impersonate (stream a suggested message into the composer)
+  if (event.key === "Enter" && event.ctrlKey && event.shiftKey && !event.altKey && !event.metaKey) {
+    event.preventDefault()
+    requestImpersonation()
+    return
+  }
+
   // Ctrl+ArrowUp: Edit last user-role message sent by current user
   if (event.key === "ArrowUp" && event.ctrlKey && !event.altKey && !event.metaKey && !event.shiftKey) {
     if (shouldHandleEditHotkey(controller)) {
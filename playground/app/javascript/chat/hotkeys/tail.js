@@ -27,6 +27,17 @@ export function canRegenerateTail(controller) {
   return readMessageMeta(tail)?.role === "assistant"
 }
 
+/**
+ * Check if the tail message is an assistant that can be continued.
+ * @returns {boolean}
+ */
+export function canContinueTail(controller) {
+  if (!controller.hasContinueUrlValue) return false
+  const tail = getTailMessageElement(controller)
+  if (!tail) return false
+  return readMessageMeta(tail)?.role === "assistant"
+}
+
 /**
  * Check if the tail message is an assistant with swipes.
  * @returns {boolean}
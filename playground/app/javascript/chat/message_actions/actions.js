@@ -21,6 +21,24 @@ export async function copy(controller, event) {
   }
 }
 
+/**
+ * Copy a deep link to this message (`/conversations/:id?at=:message_id`).
+ */
+export async function copyLink(_controller, event) {
+  event.preventDefault()
+
+  const path = event.currentTarget.dataset.messageLink
+  if (!path) return
+
+  try {
+    const ok = await copyTextToClipboard(new URL(path, window.location.origin).toString())
+    showToast(ok ? "Link copied" : "Failed to copy", ok ? "success" : "error")
+  } catch (error) {
+    logger.error("Failed to copy link:", error)
+    showToast("Failed to copy", "error")
+  }
+}
+
 export function regenerate(_controller, event) {
   const button = event.currentTarget
   const icon = button.querySelector("span[class*='icon-']")
@@ -75,3 +93,30 @@ export function showDebug(controller, event) {
     showToast("Debug modal controller not found", "error")
   }
 }
+
+export function openSwipeOverview(controller, event) {
+  event.preventDefault()
+
+  const modal = document.getElementById("swipe_overview_modal")
+  const modalController = modal && controller.application.getControllerForElementAndIdentifier(modal, "swipe-overview")
+  if (!modalController) {
+    logger.error("Swipe overview controller not found")
+    showToast("Swipe overview not available", "error")
+    return
+  }
+
+  modalController.showMessage(controller.messageIdValue)
+}
+
+export function startSelection(controller, event) {
+  event.preventDefault()
+
+  const container = controller.element.closest("[data-controller~='message-selection']")
+  const selectionController = container && controller.application.getControllerForElementAndIdentifier(container, "message-selection")
+  if (!selectionController) {
+    logger.error("Message selection controller not found")
+    return
+  }
+
+  selectionController.start(controller.messageIdValue)
+}
@@ -1,3 +1,5 @@
+import { INLINE_EDIT_CANCELED_EVENT, dispatchWindowEvent } from "../events"
+
 export function handleEditKeydown(controller, event) {
   if (event.key === "Escape") {
     event.preventDefault()
@@ -22,6 +24,12 @@ export function cancelEdit(controller) {
   }
 }
 
+// Lets the composer restore its draft and take focus back.
+export function notifyEditCanceled(controller) {
+  void controller
+  dispatchWindowEvent(INLINE_EDIT_CANCELED_EVENT)
+}
+
 export function handleEscape(controller, event) {
   if (event.key === "Escape" && controller.editingValue) {
     controller.cancelEdit()
@@ -30,7 +30,7 @@ function getMessageListRegistry(list) {
     })
 
     const hasAttrChanges = mutations.some((mutation) => {
-      return mutation.type === "attributes" && mutation.attributeName === "data-tail-message-id"
+      return mutation.type === "attributes"
     })
 
     if (!hasChildChanges && !hasAttrChanges) return
@@ -42,7 +42,7 @@ function getMessageListRegistry(list) {
     childList: true,
     subtree: false,
     attributes: true,
-    attributeFilter: ["data-tail-message-id"]
+    attributeFilter: ["data-tail-message-id", "data-has-newer"]
   })
 
   MESSAGE_LIST_REGISTRY.set(list, registry)
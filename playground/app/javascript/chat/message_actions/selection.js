@@ -0,0 +1,43 @@
+/**
+ * Multi-select state for a messages list.
+ *
+ * Owned by the message-selection controller; message-actions controllers only
+ * read it to re-apply the selected look to their own element. The state lives
+ * per list (not on message elements) so it survives Turbo appends/replacements
+ * and the debounced list_registry visibility updates.
+ */
+const SELECTION_STATE = new WeakMap()
+
+/**
+ * @param {HTMLElement|null} list
+ * @returns {{ active: boolean, ids: Set<string>, anchorId: string|null }|null}
+ */
+export function getSelectionState(list) {
+  if (!list) return null
+
+  let state = SELECTION_STATE.get(list)
+  if (!state) {
+    state = { active: false, ids: new Set(), anchorId: null }
+    SELECTION_STATE.set(list, state)
+  }
+  return state
+}
+
+export function applySelectionState(controller) {
+  const list = controller.messagesList?.()
+  renderMessageSelection(controller.element, list ? SELECTION_STATE.get(list) : null)
+}
+
+/**
+ * @param {HTMLElement} messageElement - a `.mes` element
+ * @param {object|null} state - from getSelectionState
+ */
+export function renderMessageSelection(messageElement, state) {
+  const messageId = messageElement.dataset.messageActionsMessageIdValue
+  const selected = !!state?.active && state.ids.has(messageId)
+
+  messageElement.classList.toggle("selected", selected)
+
+  const checkbox = messageElement.querySelector("[data-message-select-checkbox]")
+  if (checkbox) checkbox.checked = selected
+}
@@ -1,4 +1,4 @@
-import { findMessagesList } from "../dom"
+import { findMessagesList, isDetachedFromTail } from "../dom"
 
 export function findCurrentMembershipId(controller) {
   const container = controller.element.closest("[data-current-membership-id]")
@@ -10,6 +10,8 @@ export function findTailMessageId(controller) {
   return container?.dataset.tailMessageId || null
 }
 
+// The virtualized list (chat/scroll/virtual_list.js) never detaches the tail
+// region, so the last child is always a real message element.
 export function domTailMessageId(list) {
   if (!list) return null
 
@@ -34,13 +36,15 @@ export function syncTailMessageIdIfIAmTail(controller) {
   const list = findMessagesList(controller.element)
   if (!list) return
 
-  if (list.lastElementChild === controller.element) {
+  if (list.lastElementChild === controller.element && !isDetachedFromTail(list)) {
     setTailMessageId(list, controller.messageIdValue)
   }
 }
 
 export function isTailMessage(controller) {
   const list = findMessagesList(controller.element)
+  if (isDetachedFromTail(list)) return false
+
   const domTail = domTailMessageId(list)
 
   if (domTail) {
@@ -1,4 +1,5 @@
 import { readMessageMeta } from "../dom"
+import { applySelectionState } from "./selection"
 
 export function updateButtonVisibility(controller) {
   const meta = readMessageMeta(controller.element)
@@ -36,9 +37,15 @@ export function updateButtonVisibility(controller) {
     controller.swipeNavTarget.classList.toggle("hidden", !canSwipe)
   }
 
+  if (controller.hasContinueButtonTarget) {
+    controller.continueButtonTarget.classList.toggle("hidden", !canSwipe)
+  }
+
   if (controller.hasRegenerateButtonTarget) {
     controller.regenerateButtonTarget.title = isTail
       ? "Regenerate"
       : "Regenerate (creates branch)"
   }
+
+  applySelectionState(controller)
 }
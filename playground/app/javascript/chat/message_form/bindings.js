@@ -1,26 +1,51 @@
-import { CABLE_CONNECTED_EVENT, CABLE_DISCONNECTED_EVENT, SCHEDULING_STATE_CHANGED_EVENT } from "../events"
+import { CABLE_CONNECTED_EVENT, CABLE_DISCONNECTED_EVENT, INLINE_EDIT_CANCELED_EVENT, SCHEDULING_STATE_CHANGED_EVENT } from "../events"
 import { handleCableConnected, handleCableDisconnected, handleSchedulingStateChanged, syncCableConnectedFromGlobalState } from "./cable_events"
 import { updateLockedState } from "./lock_state"
-import { handleSubmitEnd } from "./submit"
+import { handleSubmit, handleSubmitEnd } from "./submit"
+import { findOutboxContainer, handleOutboxClick, handleOutboxStorage, restoreOutbox } from "./outbox"
+import { handleDraftStorage, restoreDraft, saveDraftNow } from "./draft"
 
 export function bindMessageFormEvents(controller) {
+  const onSubmit = (event) => handleSubmit(controller, event)
   const onSubmitEnd = (event) => handleSubmitEnd(controller, event)
+  const onOutboxClick = (event) => handleOutboxClick(controller, event)
+  const onStorage = (event) => {
+    handleDraftStorage(controller, event)
+    handleOutboxStorage(controller, event)
+  }
+  const onInlineEditCanceled = () => restoreDraft(controller, { focus: true })
+  const onPageHide = () => saveDraftNow(controller)
   const onSchedulingStateChanged = (event) => handleSchedulingStateChanged(controller, event)
   const onCableConnected = (event) => handleCableConnected(controller, event)
   const onCableDisconnected = (event) => handleCableDisconnected(controller, event)
 
+  controller.element.addEventListener("submit", onSubmit)
   controller.element.addEventListener("turbo:submit-end", onSubmitEnd)
   window.addEventListener(SCHEDULING_STATE_CHANGED_EVENT, onSchedulingStateChanged)
   window.addEventListener(CABLE_CONNECTED_EVENT, onCableConnected)
   window.addEventListener(CABLE_DISCONNECTED_EVENT, onCableDisconnected)
+  window.addEventListener(INLINE_EDIT_CANCELED_EVENT, onInlineEditCanceled)
+  window.addEventListener("storage", onStorage)
+  window.addEventListener("pagehide", onPageHide)
+
+  const outbox = findOutboxContainer(controller)
+  outbox?.addEventListener("click", onOutboxClick)
 
   syncCableConnectedFromGlobalState(controller)
   updateLockedState(controller)
+  restoreOutbox(controller)
+  restoreDraft(controller)
 
   return () => {
+    saveDraftNow(controller)
+    controller.element.removeEventListener("submit", onSubmit)
     controller.element.removeEventListener("turbo:submit-end", onSubmitEnd)
+    outbox?.removeEventListener("click", onOutboxClick)
     window.removeEventListener(SCHEDULING_STATE_CHANGED_EVENT, onSchedulingStateChanged)
     window.removeEventListener(CABLE_CONNECTED_EVENT, onCableConnected)
     window.removeEventListener(CABLE_DISCONNECTED_EVENT, onCableDisconnected)
+    window.removeEventListener(INLINE_EDIT_CANCELED_EVENT, onInlineEditCanceled)
+    window.removeEventListener("storage", onStorage)
+    window.removeEventListener("pagehide", onPageHide)
   }
 }
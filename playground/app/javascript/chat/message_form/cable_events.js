@@ -1,4 +1,5 @@
 import { getCableConnected } from "../../conversation_state"
+import { flushOutbox } from "./outbox"
 
 function matchesConversationEvent(controller, event) {
   const eventConversationId = Number(event?.detail?.conversationId)
@@ -22,6 +23,9 @@ export function handleSchedulingStateChanged(controller, event) {
 export function handleCableConnected(controller, event) {
   if (!matchesConversationEvent(controller, event)) return
   controller.cableConnectedValue = true
+
+  // Send anything typed while we were offline.
+  flushOutbox(controller)
 }
 
 export function handleCableDisconnected(controller, event) {
@@ -0,0 +1,130 @@
+import logger from "../../logger"
+
+/**
+ * Per-conversation composer drafts.
+ *
+ * The textarea content is saved to localStorage (debounced) so navigating
+ * away, reloading or a Turbo swap of `message_form` doesn't lose it. Other
+ * tabs of the same conversation pick up changes via the `storage` event,
+ * unless the user is typing in that tab's textarea at the moment.
+ */
+
+const STORAGE_KEY_PREFIX = "messageDraft.conversation."
+const SAVE_DELAY_MS = 300
+
+function storageKey(controller) {
+  return `${STORAGE_KEY_PREFIX}${controller.conversationIdValue}`
+}
+
+function getTextarea(controller) {
+  return controller.hasTextareaTarget ? controller.textareaTarget : controller.element.querySelector("textarea")
+}
+
+export function loadDraft(controller) {
+  if (!controller.hasConversationIdValue) return ""
+
+  try {
+    return localStorage.getItem(storageKey(controller)) || ""
+  } catch {
+    return ""
+  }
+}
+
+function writeDraft(controller, content) {
+  if (!controller.hasConversationIdValue) return
+
+  try {
+    if (content.trim()) {
+      localStorage.setItem(storageKey(controller), content)
+    } else {
+      localStorage.removeItem(storageKey(controller))
+    }
+  } catch (error) {
+    logger.warn("[draft] Failed to persist draft:", error)
+  }
+}
+
+/**
+ * Debounced save of the current textarea content.
+ */
+export function scheduleDraftSave(controller) {
+  if (controller.draftSaveTimeoutId) clearTimeout(controller.draftSaveTimeoutId)
+  controller.draftSaveTimeoutId = setTimeout(() => saveDraftNow(controller), SAVE_DELAY_MS)
+  hideDraftNotice(controller)
+}
+
+export function saveDraftNow(controller) {
+  if (controller.draftSaveTimeoutId) {
+    clearTimeout(controller.draftSaveTimeoutId)
+    controller.draftSaveTimeoutId = null
+  }
+
+  const textarea = getTextarea(controller)
+  if (textarea) writeDraft(controller, textarea.value)
+}
+
+export function clearDraft(controller) {
+  if (controller.draftSaveTimeoutId) {
+    clearTimeout(controller.draftSaveTimeoutId)
+    controller.draftSaveTimeoutId = null
+  }
+
+  writeDraft(controller, "")
+  hideDraftNotice(controller)
+}
+
+/**
+ * Put the saved draft back into an empty textarea.
+ *
+ * @param {Object} options
+ * @param {boolean} options.focus - Focus the textarea afterwards (e.g. after an inline edit closes)
+ * @returns {boolean} true if a draft was restored
+ */
+export function restoreDraft(controller, { focus = false } = {}) {
+  const textarea = getTextarea(controller)
+  if (!textarea) return false
+
+  let restored = false
+  const draft = loadDraft(controller)
+  if (draft && !textarea.value.trim()) {
+    textarea.value = draft
+    restored = true
+    showDraftNotice(controller)
+  }
+
+  if (focus && !textarea.disabled) {
+    textarea.focus()
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length)
+  }
+
+  return restored
+}
+
+export function discardDraft(controller) {
+  const textarea = getTextarea(controller)
+  if (textarea) textarea.value = ""
+
+  clearDraft(controller)
+  textarea?.focus()
+}
+
+/**
+ * Mirror drafts written by other tabs of the same conversation.
+ */
+export function handleDraftStorage(controller, event) {
+  if (!controller.hasConversationIdValue || event.key !== storageKey(controller)) return
+
+  const textarea = getTextarea(controller)
+  if (!textarea || document.activeElement === textarea) return
+
+  textarea.value = event.newValue || ""
+  hideDraftNotice(controller)
+}
+
+function showDraftNotice(controller) {
+  if (controller.hasDraftNoticeTarget) controller.draftNoticeTarget.classList.remove("hidden")
+}
+
+function hideDraftNotice(controller) {
+  if (controller.hasDraftNoticeTarget) controller.draftNoticeTarget.classList.add("hidden")
+}
@@ -1,7 +1,8 @@
 export function updateLockedState(controller) {
   const isGenerationLocked = controller.rejectPolicyValue && controller.schedulingStateValue === "ai_generating"
   const shouldDisableTextarea = controller.spaceReadOnlyValue || isGenerationLocked
-  const shouldDisableSendBtn = shouldDisableTextarea || controller.cableConnectedValue === false
+  // Sending while disconnected is allowed: messages go to the offline outbox.
+  const shouldDisableSendBtn = shouldDisableTextarea
 
   if (controller.hasTextareaTarget) {
     controller.textareaTarget.disabled = shouldDisableTextarea
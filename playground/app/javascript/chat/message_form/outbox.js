@@ -0,0 +1,268 @@
+import { Turbo } from "@hotwired/turbo-rails"
+import logger from "../../logger"
+import { railsFetch } from "../../rails_request"
+import { showToast } from "../../request_helpers"
+import { getCableConnected } from "../../conversation_state"
+
+/**
+ * Offline outbox for the message composer.
+ *
+ * Messages sent while the cable is down are kept in localStorage (so a reload
+ * doesn't lose them), shown as pending ghost bubbles below the message list,
+ * and submitted in order once `CABLE_CONNECTED_EVENT` fires.
+ *
+ * Order is preserved: while anything is queued, new messages queue behind it,
+ * and a rejected message (423 generating / 409 conflict / other errors) stops
+ * the flush until the user retries or discards it.
+ *
+ * Item statuses: "pending" → "sending" → (removed) | "rejected" | "failed"
+ */
+
+const STORAGE_KEY_PREFIX = "messageOutbox.conversation."
+const TEMPLATE_ID = "outbox_message_template"
+
+const flushingConversations = new Set()
+
+export function submitFailureMessage(status) {
+  if (status === 423) return "AI is generating a response. Please wait…"
+  if (status === 409) return "Message not sent due to a conflict. Please try again."
+  return "Message not sent. Please try again."
+}
+
+export function hasQueuedMessages(controller) {
+  return loadOutbox(controller).length > 0
+}
+
+/**
+ * Whether a submit should go to the outbox instead of the server.
+ */
+export function shouldQueueSubmit(controller) {
+  return controller.cableConnectedValue === false || hasQueuedMessages(controller)
+}
+
+/**
+ * Queue the composer content and clear the textarea.
+ *
+ * @returns {boolean} true if a message was queued
+ */
+export function enqueueMessage(controller, content) {
+  if (!controller.hasConversationIdValue) return false
+  if (typeof content !== "string" || !content.trim()) return false
+
+  const items = loadOutbox(controller)
+  items.push({
+    id: `outbox-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    content,
+    createdAt: Date.now(),
+    status: "pending",
+    error: null
+  })
+  saveOutbox(controller, items)
+
+  if (controller.hasTextareaTarget) controller.textareaTarget.value = ""
+
+  renderOutbox(controller)
+  scrollToOutbox(controller)
+
+  if (controller.cableConnectedValue !== false) {
+    flushOutbox(controller)
+  } else {
+    showToast("Offline. Your message will be sent when the connection is back.", "info", 2500)
+  }
+
+  return true
+}
+
+/**
+ * Submit queued messages in order, stopping at the first one that isn't accepted.
+ */
+export async function flushOutbox(controller) {
+  const conversationId = controller.conversationIdValue
+  if (!conversationId || flushingConversations.has(conversationId)) return
+  flushingConversations.add(conversationId)
+
+  try {
+    // The outbox is shared by every tab of the conversation (same storage key);
+    // hold a cross-tab lock so two tabs reconnecting together don't both send it.
+    if (navigator.locks) {
+      await navigator.locks.request(`${STORAGE_KEY_PREFIX}${conversationId}`, () => drainOutbox(controller))
+    } else {
+      await drainOutbox(controller)
+    }
+  } finally {
+    flushingConversations.delete(conversationId)
+  }
+}
+
+async function drainOutbox(controller) {
+  while (controller.cableConnectedValue !== false) {
+    const item = loadOutbox(controller)[0]
+    if (!item || item.status === "rejected" || item.status === "failed") break
+
+    updateItem(controller, item.id, { status: "sending", error: null })
+
+    const result = await submitItem(controller, item)
+    if (result.ok) {
+      removeItem(controller, item.id)
+    } else if (result.networkError) {
+      // Still offline in practice; try again on the next connect.
+      updateItem(controller, item.id, { status: "pending" })
+      break
+    } else {
+      updateItem(controller, item.id, {
+        status: result.status === 423 || result.status === 409 ? "rejected" : "failed",
+        error: submitFailureMessage(result.status)
+      })
+      break
+    }
+  }
+}
+
+export function retryOutboxItem(controller, itemId) {
+  updateItem(controller, itemId, { status: "pending", error: null })
+  flushOutbox(controller)
+}
+
+export function discardOutboxItem(controller, itemId) {
+  removeItem(controller, itemId)
+  flushOutbox(controller)
+}
+
+/**
+ * Restore ghost bubbles from storage (page load / form replaced by Turbo).
+ * Items left "sending" by an interrupted page are retried.
+ */
+export function restoreOutbox(controller) {
+  const items = loadOutbox(controller)
+  if (items.some((item) => item.status === "sending")) {
+    saveOutbox(controller, items.map((item) => item.status === "sending" ? { ...item, status: "pending" } : item))
+  }
+
+  renderOutbox(controller)
+
+  if (items.length > 0 && getCableConnected(controller.conversationIdValue) === true) {
+    flushOutbox(controller)
+  }
+}
+
+/**
+ * Re-render when another tab of the conversation changes the shared outbox.
+ */
+export function handleOutboxStorage(controller, event) {
+  if (!controller.hasConversationIdValue || event.key !== storageKey(controller)) return
+  renderOutbox(controller)
+}
+
+export function handleOutboxClick(controller, event) {
+  const button = event.target.closest("[data-outbox-action]")
+  if (!button) return
+
+  const itemId = button.closest("[data-outbox-item-id]")?.dataset.outboxItemId
+  if (!itemId) return
+
+  event.preventDefault()
+  if (button.dataset.outboxAction === "retry") {
+    retryOutboxItem(controller, itemId)
+  } else if (button.dataset.outboxAction === "discard") {
+    discardOutboxItem(controller, itemId)
+  }
+}
+
+export function findOutboxContainer(controller) {
+  if (!controller.hasOutboxIdValue || !controller.outboxIdValue) return null
+  return document.getElementById(controller.outboxIdValue)
+}
+
+async function submitItem(controller, item) {
+  const form = controller.element.querySelector("form")
+  if (!form) return { ok: false, status: null }
+
+  const body = new FormData()
+  body.append("message[content]", item.content)
+
+  let response
+  try {
+    response = await railsFetch("POST", form.action, { body, responseKind: "turbo-stream" })
+  } catch (error) {
+    logger.warn("[outbox] Failed to submit queued message:", error)
+    return { ok: false, networkError: true }
+  }
+
+  // Only render on success: a validation failure re-renders the whole form,
+  // which would wipe whatever the user is typing now.
+  if (response.ok) {
+    const html = await response.text()
+    if (html) Turbo.renderStreamMessage(html)
+  }
+
+  return { ok: response.ok, status: response.status }
+}
+
+function storageKey(controller) {
+  return `${STORAGE_KEY_PREFIX}${controller.conversationIdValue}`
+}
+
+function loadOutbox(controller) {
+  if (!controller.hasConversationIdValue) return []
+
+  try {
+    const items = JSON.parse(localStorage.getItem(storageKey(controller)) || "[]")
+    return Array.isArray(items) ? items : []
+  } catch {
+    return []
+  }
+}
+
+function saveOutbox(controller, items) {
+  try {
+    if (items.length === 0) {
+      localStorage.removeItem(storageKey(controller))
+    } else {
+      localStorage.setItem(storageKey(controller), JSON.stringify(items))
+    }
+  } catch (error) {
+    logger.warn("[outbox] Failed to persist outbox:", error)
+  }
+}
+
+function updateItem(controller, itemId, changes) {
+  const items = loadOutbox(controller).map((item) => item.id === itemId ? { ...item, ...changes } : item)
+  saveOutbox(controller, items)
+  renderOutbox(controller)
+}
+
+function removeItem(controller, itemId) {
+  saveOutbox(controller, loadOutbox(controller).filter((item) => item.id !== itemId))
+  renderOutbox(controller)
+}
+
+function renderOutbox(controller) {
+  const container = findOutboxContainer(controller)
+  const template = document.getElementById(TEMPLATE_ID)
+  if (!container || !template) return
+
+  const bubbles = loadOutbox(controller).map((item) => {
+    const bubble = template.content.cloneNode(true).firstElementChild
+    bubble.dataset.outboxItemId = item.id
+
+    bubble.querySelector("[data-outbox-content]").textContent = item.content
+
+    const failed = item.status === "rejected" || item.status === "failed"
+    const status = bubble.querySelector("[data-outbox-status]")
+    status.textContent = failed ? item.error : (item.status === "sending" ? "Sending…" : "Queued")
+    status.classList.toggle("badge-error", failed)
+
+    bubble.querySelector("[data-outbox-actions]").classList.toggle("hidden", !failed)
+    return bubble
+  })
+
+  container.replaceChildren(...bubbles)
+}
+
+function scrollToOutbox(controller) {
+  const container = findOutboxContainer(controller)
+  const last = container?.lastElementChild
+  if (!last) return
+
+  requestAnimationFrame(() => last.scrollIntoView({ behavior: "smooth", block: "end" }))
+}
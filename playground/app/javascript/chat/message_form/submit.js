@@ -1,24 +1,40 @@
 import { showToast } from "../../request_helpers"
+import { enqueueMessage, shouldQueueSubmit, submitFailureMessage } from "./outbox"
+import { clearDraft } from "./draft"
 
 export function handleKeydown(controller, event) {
   // Submit on Enter (without Shift, Ctrl, Alt, or Meta)
   if (event.key === "Enter" && !event.shiftKey && !event.ctrlKey && !event.altKey && !event.metaKey) {
-    if (controller.cableConnectedValue === false) {
-      event.preventDefault()
-      showToast("Disconnected. Reconnecting…", "warning")
-      return
-    }
-
     event.preventDefault()
 
     const form = controller.element.closest("form") || controller.element.querySelector("form")
     if (form) {
       // Use requestSubmit to trigger validation and submit events
+      // (handleSubmit decides whether it goes to the server or the outbox).
       form.requestSubmit()
     }
   }
 }
 
+/**
+ * Route submits to the offline outbox while disconnected (or while older
+ * queued messages are still waiting, to keep them in order).
+ *
+ * Runs before Turbo's document-level submit listener, which skips
+ * submissions whose default was prevented.
+ */
+export function handleSubmit(controller, event) {
+  if (!shouldQueueSubmit(controller)) return
+
+  event.preventDefault()
+
+  const textarea = controller.hasTextareaTarget
+    ? controller.textareaTarget
+    : controller.element.querySelector("textarea")
+
+  if (enqueueMessage(controller, textarea?.value)) clearDraft(controller)
+}
+
 export function handleSubmitEnd(controller, event) {
   const textarea = controller.hasTextareaTarget
     ? controller.textareaTarget
@@ -31,14 +47,7 @@ export function handleSubmitEnd(controller, event) {
 
     // Use Turbo's statusCode getter for reliable status retrieval
     const status = fetchResponse?.statusCode
-
-    if (status === 423) {
-      showToast("AI is generating a response. Please wait…", "warning")
-    } else if (status === 409) {
-      showToast("Message not sent due to a conflict. Please try again.", "warning")
-    } else {
-      showToast("Message not sent. Please try again.", "error")
-    }
+    showToast(submitFailureMessage(status), status === 423 || status === 409 ? "warning" : "error")
 
     return
   }
@@ -49,4 +58,5 @@ export function handleSubmitEnd(controller, event) {
   if (textarea) {
     textarea.value = ""
   }
+  clearDraft(controller)
 }
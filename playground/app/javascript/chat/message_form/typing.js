@@ -1,7 +1,8 @@
 import { USER_TYPING_DISABLE_AUTO_EVENT, USER_TYPING_DISABLE_AUTO_WITHOUT_HUMAN_EVENT, dispatchWindowEvent } from "../events"
+import { scheduleDraftSave } from "./draft"
 
 export function handleInput(controller, event) {
-  void controller
+  scheduleDraftSave(controller)
 
   // Only dispatch if there's actual content being typed
   if (!event.target.value.trim()) return
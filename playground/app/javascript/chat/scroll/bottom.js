@@ -37,3 +37,25 @@ export function scrollToMessage(controller, messageId) {
     message.scrollIntoView({ behavior: "smooth", block: "center" })
   }
 }
+
+const HIGHLIGHT_DURATION_MS = 2000
+
+/**
+ * Scroll a message into view and flash it (search results, deep links).
+ *
+ * @param {HTMLElement} message - a `.mes` element
+ */
+export function highlightMessage(controller, message) {
+  if (!message) return
+
+  controller.autoScrollValue = false
+  message.scrollIntoView({ behavior: "smooth", block: "center" })
+
+  message.classList.remove("mes-highlight")
+  // Restart the animation when the same message is highlighted twice in a row.
+  void message.offsetWidth
+  message.classList.add("mes-highlight")
+
+  clearTimeout(message.highlightTimer)
+  message.highlightTimer = setTimeout(() => message.classList.remove("mes-highlight"), HIGHLIGHT_DURATION_MS)
+}
@@ -47,6 +47,8 @@ function handleCableConnected(controller, event) {
 export async function syncNewMessages(controller, { maxPages = CATCH_UP_MAX_PAGES } = {}) {
   if (controller.syncingNewMessages) return
   if (!controller.hasListTarget || !controller.loadMoreUrlValue) return
+  // A deep-link window pages towards the tail on its own (window_loader).
+  if (controller.hasNewerValue) return
 
   const lastMessage = getLastMessageElement(controller)
   if (!lastMessage) return
@@ -1,9 +1,9 @@
 import logger from "../../logger"
 import { turboRequest } from "../../request_helpers"
 import { showLoadingIndicator, hideLoadingIndicator } from "./indicators"
-import { getFirstMessageElement } from "./messages_dom"
+import { getFirstMessageElement, parseMessageElements } from "./messages_dom"
 
-const HISTORY_PAGE_SIZE = 20
+export const HISTORY_PAGE_SIZE = 20
 
 export function setupIntersectionObserver(controller) {
   if (!controller.hasLoadMoreTarget) return () => {}
@@ -28,9 +28,48 @@ export function setupIntersectionObserver(controller) {
   return () => observer.disconnect()
 }
 
-async function loadMoreMessages(controller) {
-  if (controller.loadingValue || !controller.hasMoreValue || !controller.loadMoreUrlValue) return
+/**
+ * Load older pages until `message_<id>` is in the list (e.g. a search result).
+ *
+ * Pages are loaded one at a time through the same path as infinite scroll, so
+ * scroll position is preserved while paging.
+ *
+ * @param {string|number} messageId
+ * @returns {Promise<boolean>} true once the message element exists
+ */
+export async function loadHistoryUntil(controller, messageId, { maxPages = 100 } = {}) {
+  const isLoaded = () => !!document.getElementById(`message_${messageId}`)
+
+  for (let page = 0; page < maxPages; page += 1) {
+    if (isLoaded()) return true
+
+    // Infinite scroll may already be fetching the next page.
+    if (controller.historyRequest) await controller.historyRequest
+    if (isLoaded()) return true
+    if (!controller.hasMoreValue) return false
+
+    const loaded = await loadMoreMessages(controller)
+    if (!loaded) return isLoaded()
+  }
+
+  return isLoaded()
+}
+
+function loadMoreMessages(controller) {
+  if (controller.loadingValue || !controller.hasMoreValue || !controller.loadMoreUrlValue) {
+    return Promise.resolve(0)
+  }
 
+  controller.historyRequest = fetchOlderPage(controller).finally(() => {
+    controller.historyRequest = null
+  })
+  return controller.historyRequest
+}
+
+/**
+ * @returns {Promise<number>} number of messages inserted
+ */
+async function fetchOlderPage(controller) {
   controller.loadingValue = true
   showLoadingIndicator(controller)
 
@@ -39,7 +78,7 @@ async function loadMoreMessages(controller) {
     controller.loadingValue = false
     controller.hasMoreValue = false
     hideLoadingIndicator(controller)
-    return
+    return 0
   }
 
   const messageId = firstMessage.id.replace("message_", "")
@@ -57,22 +96,16 @@ async function loadMoreMessages(controller) {
       throw new Error(`HTTP error! status: ${response.status}`)
     }
 
-    if (renderedTurboStream) return
+    if (renderedTurboStream) return 0
 
-    const html = await response.text()
-
-    const parser = new DOMParser()
-    const doc = parser.parseFromString(html, "text/html")
-    const newMessages = doc.querySelectorAll(".mes[id^='message_']")
+    const newMessages = parseMessageElements(await response.text())
 
     if (newMessages.length === 0) {
       controller.hasMoreValue = false
-      return
+      return 0
     }
 
-    const fragment = document.createDocumentFragment()
-    newMessages.forEach((msg) => fragment.appendChild(msg.cloneNode(true)))
-    controller.listTarget.insertBefore(fragment, controller.listTarget.firstChild)
+    controller.listTarget.prepend(...newMessages)
 
     const scrollHeightAfter = controller.messagesTarget.scrollHeight
     const heightDiff = scrollHeightAfter - scrollHeightBefore
@@ -81,8 +114,11 @@ async function loadMoreMessages(controller) {
     if (newMessages.length < HISTORY_PAGE_SIZE) {
       controller.hasMoreValue = false
     }
+
+    return newMessages.length
   } catch (error) {
     logger.error("Failed to load more messages:", error)
+    return 0
   } finally {
     controller.loadingValue = false
     hideLoadingIndicator(controller)
@@ -1,6 +1,7 @@
 export function getFirstMessageElement(controller) {
   if (!controller.hasListTarget) return null
-  return controller.listTarget.querySelector(".mes[id^='message_']")
+  // Includes virtualized placeholders, which keep the message id.
+  return controller.listTarget.querySelector(":scope > [id^='message_']")
 }
 
 export function getLastMessageElement(controller) {
@@ -13,3 +14,15 @@ export function getLastMessageElement(controller) {
 
   return current
 }
+
+/**
+ * Parse a page rendered by MessagesController#index into `.mes` elements
+ * owned by the current document.
+ *
+ * @param {string} html
+ * @returns {HTMLElement[]}
+ */
+export function parseMessageElements(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html")
+  return Array.from(doc.querySelectorAll(".mes[id^='message_']"), (message) => document.importNode(message, true))
+}
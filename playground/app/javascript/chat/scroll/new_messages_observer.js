@@ -1,4 +1,6 @@
 import { hideEmptyState, showNewIndicator } from "./indicators"
+import { wasVirtualized } from "./virtual_list"
+import { discardDetachedAppends } from "./window_loader"
 
 export function observeNewMessages(controller) {
   if (!controller.hasListTarget) return () => {}
@@ -21,9 +23,11 @@ export function observeNewMessages(controller) {
 
 function handleNewMessages(controller, nodes) {
   if (controller.loadingValue) return
+  if (discardDetachedAppends(controller, nodes)) return
 
   const hasNewMessage = Array.from(nodes).some(node =>
     node.nodeType === Node.ELEMENT_NODE
+    && !wasVirtualized(node)
     && node.classList?.contains("mes")
     && typeof node.id === "string"
     && node.id.startsWith("message_")
@@ -0,0 +1,194 @@
+import { VIEWPORT_RENDER_MARGIN_PX } from "../../ui/markdown/visibility"
+
+/**
+ * Virtualized message list for very long conversations.
+ *
+ * Messages far outside the scroll viewport are swapped for placeholders of the
+ * same height, which disconnects their Stimulus controllers (message-actions,
+ * markdown, ...) until they scroll back into range and the original element is
+ * re-attached as-is.
+ *
+ * Contract with the rest of the chat UI:
+ * - Placeholders keep the `message_<id>` id, so id lookups (history cursors,
+ *   selection pruning, duplicate prevention, Turbo `replace`/`remove`) still
+ *   find the message. Use resolveMessageElement() to get the real element.
+ * - The detach margin is well beyond the markdown render margin
+ *   (ui/markdown/visibility.js). Re-attached messages keep their rendered
+ *   output; ones that were never rendered are picked up again by the markdown
+ *   controller's lazy rendering when they approach the viewport.
+ * - The last KEEP_TAIL_MESSAGES messages are never detached, so tail detection
+ *   (chat/message_actions/tail.js) always sees a real message.
+ * - Turbo Streams aimed at content inside a detached message re-attach it first.
+ */
+
+const MIN_MESSAGES = 120
+const KEEP_TAIL_MESSAGES = 20
+const DETACH_MARGIN_PX = VIEWPORT_RENDER_MARGIN_PX * 3
+
+const PLACEHOLDER_CLASS = "mes-placeholder"
+
+// placeholder -> detached `.mes` element
+const DETACHED = new WeakMap()
+// Elements that have been detached at least once (their re-attachment is not a new message).
+const VIRTUALIZED = new WeakSet()
+
+export function setupVirtualList(controller) {
+  if (!controller.hasListTarget || !controller.hasMessagesTarget) return () => {}
+
+  const list = controller.listTarget
+
+  const intersectionObserver = new IntersectionObserver((entries) => {
+    for (const entry of entries) {
+      if (entry.target.parentElement !== list) continue
+
+      if (isPlaceholder(entry.target)) {
+        if (entry.isIntersecting) attach(entry.target, intersectionObserver)
+      } else if (!entry.isIntersecting) {
+        detach(controller, entry.target, entry.boundingClientRect.height, intersectionObserver)
+      }
+    }
+  }, {
+    root: controller.messagesTarget,
+    rootMargin: `${DETACH_MARGIN_PX}px 0px`,
+    threshold: 0
+  })
+
+  const observeChild = (node) => {
+    if (node.nodeType !== Node.ELEMENT_NODE || !node.id?.startsWith("message_")) return
+    intersectionObserver.observe(node)
+  }
+
+  const mutationObserver = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      mutation.removedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) intersectionObserver.unobserve(node)
+      })
+      mutation.addedNodes.forEach(observeChild)
+    }
+  })
+
+  Array.from(list.children).forEach(observeChild)
+  mutationObserver.observe(list, { childList: true })
+
+  // Turbo snapshots clone the DOM, which would lose the detached elements.
+  const handleBeforeCache = () => attachAll(list, intersectionObserver)
+  const handleBeforeStreamRender = (event) => attachStreamTarget(list, event.target, intersectionObserver)
+
+  document.addEventListener("turbo:before-cache", handleBeforeCache)
+  document.addEventListener("turbo:before-stream-render", handleBeforeStreamRender)
+
+  controller.attachVirtualMessage = (messageId) => {
+    const element = document.getElementById(`message_${messageId}`)
+    return isPlaceholder(element) ? attach(element, intersectionObserver) : element
+  }
+
+  return () => {
+    intersectionObserver.disconnect()
+    mutationObserver.disconnect()
+    document.removeEventListener("turbo:before-cache", handleBeforeCache)
+    document.removeEventListener("turbo:before-stream-render", handleBeforeStreamRender)
+    controller.attachVirtualMessage = null
+  }
+}
+
+/**
+ * @param {Element|null} element
+ * @returns {boolean}
+ */
+export function isPlaceholder(element) {
+  return !!element && DETACHED.has(element)
+}
+
+/**
+ * The real `.mes` element for a list child (a placeholder's detached message).
+ *
+ * @param {Element} element
+ * @returns {Element}
+ */
+export function resolveMessageElement(element) {
+  return DETACHED.get(element) || element
+}
+
+/**
+ * True for a message being re-attached after virtualization (not a new message).
+ *
+ * @param {Node} node
+ * @returns {boolean}
+ */
+export function wasVirtualized(node) {
+  return VIRTUALIZED.has(node)
+}
+
+function detach(controller, element, height, intersectionObserver) {
+  if (!element.classList.contains("mes") || !canDetach(controller, element)) return
+
+  const placeholder = document.createElement("div")
+  placeholder.id = element.id
+  placeholder.className = PLACEHOLDER_CLASS
+  placeholder.style.height = `${Math.round(height || element.offsetHeight)}px`
+  placeholder.setAttribute("aria-hidden", "true")
+  // Regex script depth skips excluded messages (ui/markdown/regex_scripts.js).
+  if (element.classList.contains("excluded")) placeholder.classList.add("excluded")
+
+  DETACHED.set(placeholder, element)
+  VIRTUALIZED.add(element)
+
+  intersectionObserver.unobserve(element)
+  element.replaceWith(placeholder)
+}
+
+function attach(placeholder, intersectionObserver) {
+  const element = DETACHED.get(placeholder)
+  if (!element) return placeholder
+
+  intersectionObserver.unobserve(placeholder)
+  DETACHED.delete(placeholder)
+  placeholder.replaceWith(element)
+
+  return element
+}
+
+function attachAll(list, intersectionObserver) {
+  list.querySelectorAll(`:scope > .${PLACEHOLDER_CLASS}`).forEach((placeholder) => attach(placeholder, intersectionObserver))
+}
+
+/**
+ * Re-attach the detached message a Turbo Stream is about to render into.
+ * `replace` / `remove` of the message itself work on the placeholder directly.
+ */
+function attachStreamTarget(list, stream, intersectionObserver) {
+  const target = stream?.getAttribute?.("target")
+  if (!target) return
+
+  const element = document.getElementById(target)
+  if (element) {
+    const action = stream.getAttribute("action")
+    if (isPlaceholder(element) && action !== "replace" && action !== "remove") attach(element, intersectionObserver)
+    return
+  }
+
+  for (const placeholder of list.querySelectorAll(`:scope > .${PLACEHOLDER_CLASS}`)) {
+    if (DETACHED.get(placeholder)?.querySelector(`#${CSS.escape(target)}`)) {
+      attach(placeholder, intersectionObserver)
+      return
+    }
+  }
+}
+
+function canDetach(controller, element) {
+  const list = controller.listTarget
+  if (list.childElementCount < MIN_MESSAGES) return false
+
+  // Keep the tail region attached (tail detection, streaming, hotkeys).
+  let sibling = element
+  for (let i = 0; i < KEEP_TAIL_MESSAGES; i += 1) {
+    sibling = sibling.nextElementSibling
+    if (!sibling) return false
+  }
+
+  if (element.contains(document.activeElement)) return false
+  if (element.classList.contains("mes-highlight")) return false
+  if (element.dataset.messageActionsEditingValue === "true") return false
+
+  return true
+}
@@ -0,0 +1,230 @@
+import logger from "../../logger"
+import { turboRequest } from "../../request_helpers"
+import { HISTORY_PAGE_SIZE } from "./history_loader"
+import { hideNewIndicator, showNewIndicator } from "./indicators"
+import { getLastMessageElement, parseMessageElements } from "./messages_dom"
+
+/**
+ * Windowed loading for deep links (`?at=:id`, `#message_:id`).
+ *
+ * A window is a page of messages around an anchor that may be detached from
+ * the live tail (`hasNewer`). While detached:
+ * - scrolling down pages in closer newer messages (`?following=`)
+ * - live appends are discarded (they'd leave a gap) and surface as "New messages"
+ * - tail-only message actions are disabled (the list carries data-has-newer)
+ * - "Jump to latest" reloads the newest page
+ */
+
+export function setupNewerObserver(controller) {
+  if (!controller.hasLoadNewerTarget) return () => {}
+
+  const observer = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting && controller.hasNewerValue) {
+          loadNewerMessages(controller)
+        }
+      })
+    },
+    {
+      root: controller.hasMessagesTarget ? controller.messagesTarget : null,
+      rootMargin: "0px 0px 100px 0px",
+      threshold: 0
+    }
+  )
+
+  observer.observe(controller.loadNewerTarget)
+
+  return () => observer.disconnect()
+}
+
+/**
+ * Reflect the detached state on the list and the "Jump to latest" control.
+ * Called from the controller's hasNewerValueChanged callback.
+ */
+export function syncWindowState(controller) {
+  const detached = controller.hasNewerValue
+
+  if (controller.hasListTarget) {
+    controller.listTarget.dataset.hasNewer = detached ? "true" : "false"
+
+    if (detached) {
+      controller.windowMessageIds = new Set(
+        Array.from(controller.listTarget.querySelectorAll(":scope > [id^='message_']"), (message) => message.id)
+      )
+      controller.listTarget.dataset.tailMessageId = ""
+    } else {
+      controller.windowMessageIds = null
+      const tail = getLastMessageElement(controller)
+      controller.listTarget.dataset.tailMessageId = tail ? tail.id.replace("message_", "") : ""
+    }
+  }
+
+  if (controller.hasJumpToLatestTarget) {
+    controller.jumpToLatestTarget.classList.toggle("hidden", !detached)
+  }
+}
+
+/**
+ * Drop messages appended by live broadcasts while the window is detached.
+ *
+ * Only the list's trailing messages that weren't loaded by the window can be
+ * live appends; replacements of loaded messages keep their ids and stay.
+ *
+ * @param {Node[]} nodes - added nodes from a MutationObserver record
+ * @returns {boolean} true if anything was discarded
+ */
+export function discardDetachedAppends(controller, nodes) {
+  if (!controller.hasNewerValue || !controller.windowMessageIds) return false
+
+  let discarded = false
+
+  for (const node of nodes) {
+    if (node.nodeType !== Node.ELEMENT_NODE || !node.id?.startsWith("message_")) continue
+    if (controller.windowMessageIds.has(node.id)) continue
+    if (node.nextElementSibling?.matches(".mes[id^='message_']")) continue
+
+    node.remove()
+    discarded = true
+  }
+
+  if (discarded) showNewIndicator(controller)
+  return discarded
+}
+
+/**
+ * Replace the list with a window around `message_<id>`.
+ *
+ * @param {string|number} messageId
+ * @returns {Promise<boolean>} true if the message is now in the list
+ */
+export async function loadWindowAround(controller, messageId) {
+  if (!controller.loadMoreUrlValue || !controller.hasListTarget) return false
+
+  const url = `${controller.loadMoreUrlValue}?around=${encodeURIComponent(messageId)}`
+
+  try {
+    const page = await fetchMessagesPage(url)
+    if (!page || page.messages.length === 0) return false
+
+    replaceList(controller, page.messages, {
+      hasOlder: page.response.headers.get("X-Has-Older") === "true",
+      hasNewer: page.response.headers.get("X-Has-Newer") === "true"
+    })
+
+    return !!document.getElementById(`message_${messageId}`)
+  } catch (error) {
+    logger.error("Failed to load messages around anchor:", error)
+    return false
+  }
+}
+
+/**
+ * Return to the live tail: reload the newest page if the window is detached,
+ * otherwise just scroll down.
+ */
+export async function jumpToLatest(controller) {
+  clearDeepLinkFromUrl()
+
+  if (!controller.hasNewerValue) {
+    controller.scrollToBottom(true)
+    return
+  }
+
+  try {
+    const page = await fetchMessagesPage(controller.loadMoreUrlValue)
+    if (!page) return
+
+    replaceList(controller, page.messages, {
+      hasOlder: page.messages.length >= HISTORY_PAGE_SIZE,
+      hasNewer: false
+    })
+    controller.scrollToBottomInstant()
+  } catch (error) {
+    logger.error("Failed to load latest messages:", error)
+  }
+}
+
+function loadNewerMessages(controller) {
+  if (controller.loadingNewer || !controller.hasNewerValue || !controller.loadMoreUrlValue) return
+
+  controller.loadingNewer = fetchNewerPage(controller).finally(() => {
+    controller.loadingNewer = null
+  })
+}
+
+async function fetchNewerPage(controller) {
+  const lastMessage = getLastMessageElement(controller)
+  if (!lastMessage) {
+    controller.hasNewerValue = false
+    return
+  }
+
+  toggleNewerIndicator(controller, true)
+
+  const messageId = lastMessage.id.replace("message_", "")
+  const url = `${controller.loadMoreUrlValue}?following=${encodeURIComponent(messageId)}`
+
+  try {
+    const page = await fetchMessagesPage(url)
+    if (!page) return
+
+    page.messages.forEach((message) => controller.windowMessageIds?.add(message.id))
+    controller.listTarget.append(...page.messages)
+
+    if (page.messages.length < HISTORY_PAGE_SIZE) {
+      controller.hasNewerValue = false
+      hideNewIndicator(controller)
+    }
+  } catch (error) {
+    logger.error("Failed to load newer messages:", error)
+  } finally {
+    toggleNewerIndicator(controller, false)
+  }
+}
+
+/**
+ * @returns {Promise<{response: Response, messages: HTMLElement[]}|null>}
+ */
+async function fetchMessagesPage(url) {
+  const { response, renderedTurboStream } = await turboRequest(url, {
+    accept: "text/html",
+    headers: { "X-Requested-With": "XMLHttpRequest" }
+  })
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`)
+  }
+
+  if (renderedTurboStream) return null
+  if (response.status === 204) return { response, messages: [] }
+
+  return { response, messages: parseMessageElements(await response.text()) }
+}
+
+function replaceList(controller, messages, { hasOlder, hasNewer }) {
+  controller.autoScrollValue = false
+
+  // Set before swapping nodes so the new-messages observer treats the window
+  // as loaded content rather than live appends.
+  controller.windowMessageIds = new Set(messages.map((message) => message.id))
+  controller.listTarget.replaceChildren(...messages)
+
+  controller.hasMoreValue = hasOlder
+  controller.hasNewerValue = hasNewer
+}
+
+function toggleNewerIndicator(controller, visible) {
+  if (controller.hasLoadNewerIndicatorTarget) {
+    controller.loadNewerIndicatorTarget.classList.toggle("hidden", !visible)
+  }
+}
+
+function clearDeepLinkFromUrl() {
+  const url = new URL(window.location.href)
+  if (!url.searchParams.has("at") && !url.hash.startsWith("#message_")) return
+
+  url.searchParams.delete("at")
+  if (url.hash.startsWith("#message_")) url.hash = ""
+  window.history.replaceState(window.history.state, "", url.toString())
+}
@@ -1,10 +1,11 @@
 import { Controller } from "@hotwired/stimulus"
 import logger from "../logger"
-import { USER_TYPING_DISABLE_AUTO_EVENT } from "../chat/events"
+import { IMPERSONATE_REQUESTED_EVENT, USER_TYPING_DISABLE_AUTO_EVENT } from "../chat/events"
 import { areCandidatesVisible, getCandidateButtons, selectCandidateByIndex, clearCandidates, handleAutoCandidate, selectCandidate, handleInput, generateWithCount } from "../chat/auto/candidates"
 import { handleKeydown } from "../chat/auto/keyboard"
 import { subscribeToAutoChannel, unsubscribeFromAutoChannel } from "../chat/auto/subscription"
 import { generate, updateGenerateButtonState, resetGenerateButton } from "../chat/auto/generation"
+import { handleImpersonationMessage, impersonate, stopImpersonation } from "../chat/auto/impersonation"
 import { handleUserTypingDisable, disableAutoDueToUserTyping, handleAutoDisabled, handleAutoStepsUpdated, toggleAutoMode, updateUIForMode, notifyAutoWithoutHumanDisabled } from "../chat/auto/mode"
 
 /**
@@ -16,6 +17,7 @@ import { handleUserTypingDisable, disableAutoDueToUserTyping, handleAutoDisabled
  * - Receiving candidates via ActionCable
  * - Displaying candidates as clickable buttons
  * - Sending selected candidates
+ * - Impersonate: streaming a suggested message into the composer
  * - Toggling Auto on/off
  *
  * @example HTML structure
@@ -23,7 +25,8 @@ import { handleUserTypingDisable, disableAutoDueToUserTyping, handleAutoDisabled
  *        data-auto-url-value="/playgrounds/123/auto_candidates"
  *        data-auto-auto-value="false"
  *        data-auto-membership-id-value="456"
- *        data-auto-membership-update-url-value="/playgrounds/123/memberships/456">
+ *        data-auto-membership-update-url-value="/playgrounds/123/memberships/456"
+ *        data-auto-impersonate-url-value="/conversations/789/impersonate">
  *     <div data-auto-target="candidatesContainer" class="hidden">
  *       <div data-auto-target="candidatesList"></div>
  *     </div>
@@ -49,7 +52,8 @@ export default class extends Controller {
     "textarea",
     "form",
     "autoToggle",
-    "stepsCounter"
+    "stepsCounter",
+    "impersonateBtn"
   ]
 
   static values = {
@@ -57,6 +61,7 @@ export default class extends Controller {
     auto: Boolean,
     membershipId: Number,
     membershipUpdateUrl: String,
+    impersonateUrl: String,
     generationId: String,
     candidateCount: { type: Number, default: 1 },
     generating: { type: Boolean, default: false }
@@ -66,8 +71,10 @@ export default class extends Controller {
     this.subscribeToChannel()
     this.handleKeydown = this.handleKeydown.bind(this)
     this.handleUserTypingDisable = this.handleUserTypingDisable.bind(this)
+    this.impersonate = this.impersonate.bind(this)
     document.addEventListener("keydown", this.handleKeydown)
     window.addEventListener(USER_TYPING_DISABLE_AUTO_EVENT, this.handleUserTypingDisable)
+    window.addEventListener(IMPERSONATE_REQUESTED_EVENT, this.impersonate)
 
     // Sync UI state on connect - important after Turbo Stream replacements
     // The autoValue is read from data-auto-auto-value attribute
@@ -78,6 +85,8 @@ export default class extends Controller {
     this.unsubscribeFromChannel()
     document.removeEventListener("keydown", this.handleKeydown)
     window.removeEventListener(USER_TYPING_DISABLE_AUTO_EVENT, this.handleUserTypingDisable)
+    window.removeEventListener(IMPERSONATE_REQUESTED_EVENT, this.impersonate)
+    stopImpersonation(this)
   }
 
   /**
@@ -139,6 +148,12 @@ export default class extends Controller {
       case "auto_steps_updated":
         this.handleAutoStepsUpdated(data)
         break
+      case "impersonation_start":
+      case "impersonation_chunk":
+      case "impersonation_complete":
+      case "impersonation_error":
+        handleImpersonationMessage(this, data)
+        break
     }
   }
 
@@ -146,6 +161,11 @@ export default class extends Controller {
     await generate(this)
   }
 
+  async impersonate(event) {
+    event?.preventDefault?.()
+    await impersonate(this)
+  }
+
   handleAutoCandidate(data) {
     handleAutoCandidate(this, data)
   }
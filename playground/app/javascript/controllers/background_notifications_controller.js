@@ -0,0 +1,60 @@
+import { Controller } from "@hotwired/stimulus"
+import { showToast } from "../request_helpers"
+import { notificationsSupported, notificationsEnabled, setNotificationsEnabled } from "../chat/conversation_channel/background_notifications"
+
+/**
+ * Background Notifications Controller
+ *
+ * Header toggle for the opt-in browser notifications raised while the
+ * conversation tab is hidden. Permission is requested on the first enable
+ * (it needs a user gesture). The preference is per browser (localStorage).
+ */
+export default class extends Controller {
+  static targets = ["onIcon", "offIcon"]
+
+  connect() {
+    if (!notificationsSupported()) {
+      this.element.classList.add("hidden")
+      return
+    }
+
+    this.render()
+  }
+
+  async toggle() {
+    if (this.active()) {
+      setNotificationsEnabled(false)
+      this.render()
+      showToast("Notifications off.", "info", 2000)
+      return
+    }
+
+    let permission = Notification.permission
+    if (permission === "default") {
+      permission = await Notification.requestPermission()
+    }
+
+    if (permission !== "granted") {
+      showToast("Notifications are blocked for this site. Allow them in your browser settings.", "warning")
+      this.render()
+      return
+    }
+
+    setNotificationsEnabled(true)
+    this.render()
+    showToast("You'll be notified about replies while this tab is in the background.", "success", 2500)
+  }
+
+  active() {
+    return notificationsEnabled() && Notification.permission === "granted"
+  }
+
+  render() {
+    const active = this.active()
+
+    this.element.setAttribute("aria-pressed", active ? "true" : "false")
+    this.element.title = active ? "Background notifications on" : "Notify me about replies in background tabs"
+    if (this.hasOnIconTarget) this.onIconTarget.classList.toggle("hidden", !active)
+    if (this.hasOffIconTarget) this.offIconTarget.classList.toggle("hidden", active)
+  }
+}
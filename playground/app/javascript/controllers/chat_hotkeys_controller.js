@@ -8,18 +8,21 @@ import { stopGeneration } from "../chat/hotkeys/actions"
  * Implements SillyTavern-style hotkeys:
  * - ArrowLeft/ArrowRight: Swipe through AI response versions (only when tail is assistant with swipes)
  * - Ctrl+Enter: Regenerate tail AI response (only when tail is assistant)
+ * - Alt+Enter: Continue tail AI response (only when tail is assistant)
+ * - Ctrl+Shift+Enter: Impersonate - stream a suggested message into the composer
  * - ArrowUp: Edit last message sent by current user (when textarea is empty and focused)
  * - Ctrl+ArrowUp: Edit last user-role message sent by current user
  * - Escape: Cancel any open inline edit, or stop generation if no edit is open
  * - ?: Show hotkeys help modal (when not in input field)
  *
- * IMPORTANT: Swipe and regenerate hotkeys only operate on the TAIL message.
+ * IMPORTANT: Swipe, regenerate and continue hotkeys only operate on the TAIL message.
  * If the tail message is not an assistant, these hotkeys are ignored (key not intercepted).
  *
  * @example HTML structure
  *   <div data-controller="chat-hotkeys"
  *        data-chat-hotkeys-conversation-value="123"
  *        data-chat-hotkeys-regenerate-url-value="/conversations/123/regenerate"
+ *        data-chat-hotkeys-continue-url-value="/conversations/123/continue"
  *        data-chat-hotkeys-current-membership-id-value="456">
  *     <textarea data-chat-hotkeys-target="textarea"></textarea>
  *     <div id="messages_list_conversation_123">...</div>
@@ -30,6 +33,7 @@ export default class extends Controller {
   static values = {
     conversation: Number,
     regenerateUrl: String,
+    continueUrl: String,
     stopUrl: String,
     currentMembershipId: Number
   }
@@ -1,8 +1,10 @@
 import { Controller } from "@hotwired/stimulus"
-import { isAtBottom, scrollToBottom, scrollToBottomInstant, scrollToMessage } from "../chat/scroll/bottom"
+import { highlightMessage, isAtBottom, scrollToBottom, scrollToBottomInstant, scrollToMessage } from "../chat/scroll/bottom"
 import { observeNewMessages } from "../chat/scroll/new_messages_observer"
 import { bindScrollEvents } from "../chat/scroll/scroll_events"
-import { setupIntersectionObserver } from "../chat/scroll/history_loader"
+import { loadHistoryUntil, setupIntersectionObserver } from "../chat/scroll/history_loader"
+import { jumpToLatest, loadWindowAround, setupNewerObserver, syncWindowState } from "../chat/scroll/window_loader"
+import { setupVirtualList } from "../chat/scroll/virtual_list"
 import { bindCableSync } from "../chat/scroll/cable_sync"
 
 /**
@@ -13,34 +15,59 @@ import { bindCableSync } from "../chat/scroll/cable_sync"
  * - Infinite scroll to load older messages when scrolling to top
  * - Preserve position when loading history
  * - Show "new messages" indicator when scrolled up
+ * - Reveal a message that isn't loaded yet (pages in history, then highlights it)
+ * - Deep links (`?at=:id` rendered server-side, `#message_:id` loaded client-side):
+ *   open a window around the message, page in both directions, "Jump to latest"
+ * - Virtualize very long lists (far-offscreen messages become height placeholders)
  */
+
+// Beyond this many history pages, reveal by loading a window around the message instead.
+const REVEAL_HISTORY_PAGES = 3
+
 export default class extends Controller {
-  static targets = ["messages", "list", "newIndicator", "loadMore", "loadMoreIndicator", "emptyState"]
+  static targets = ["messages", "list", "newIndicator", "loadMore", "loadMoreIndicator", "loadNewer", "loadNewerIndicator", "jumpToLatest", "emptyState"]
   static values = {
     autoScroll: { type: Boolean, default: true },
     threshold: { type: Number, default: 100 },
     loadMoreUrl: { type: String, default: "" },
     loading: { type: Boolean, default: false },
-    hasMore: { type: Boolean, default: true }
+    hasMore: { type: Boolean, default: true },
+    hasNewer: { type: Boolean, default: false },
+    anchor: { type: String, default: "" }
   }
 
   connect() {
     this.disconnectNewMessagesObserver = observeNewMessages(this)
     this.disconnectScrollEvents = bindScrollEvents(this)
     this.disconnectIntersectionObserver = setupIntersectionObserver(this)
+    this.disconnectNewerObserver = setupNewerObserver(this)
     this.disconnectCableSync = bindCableSync(this)
+    this.disconnectVirtualList = setupVirtualList(this)
+
+    this.handleHashChange = () => this.revealHashMessage()
+    window.addEventListener("hashchange", this.handleHashChange)
 
-    // Initial scroll to bottom after DOM is ready
+    // Sending from the composer returns a deep-link window to the live tail.
+    this.handleSubmitEnd = (event) => {
+      if (this.hasNewerValue && event.detail?.success && event.target.closest("#message_form")) jumpToLatest(this)
+    }
+    this.element.addEventListener("turbo:submit-end", this.handleSubmitEnd)
+
+    // Initial scroll (to the deep-link anchor or the bottom) after DOM is ready
     // Use setTimeout to ensure layout is complete after Turbo navigation
-    setTimeout(() => this.scrollToBottomInstant(), 100)
+    setTimeout(() => this.scrollToInitialPosition(), 100)
   }
 
   disconnect() {
     this.disconnectNewMessagesObserver?.()
     this.disconnectScrollEvents?.()
     this.disconnectIntersectionObserver?.()
+    this.disconnectNewerObserver?.()
+    window.removeEventListener("hashchange", this.handleHashChange)
+    this.element.removeEventListener("turbo:submit-end", this.handleSubmitEnd)
     clearTimeout(this.scrollDebounceTimer)
     this.disconnectCableSync?.()
+    this.disconnectVirtualList?.()
   }
 
   /**
@@ -68,9 +95,55 @@ export default class extends Controller {
     scrollToMessage(this, messageId)
   }
 
+  /**
+   * Load the message (a few history pages, then a window around it) and
+   * scroll to and highlight it.
+   *
+   * @param {string|number} messageId
+   * @returns {Promise<boolean>} false if the message couldn't be loaded
+   */
+  async revealMessage(messageId) {
+    const found = await loadHistoryUntil(this, messageId, { maxPages: REVEAL_HISTORY_PAGES })
+      || await loadWindowAround(this, messageId)
+    if (!found) return false
+
+    const message = this.attachVirtualMessage?.(messageId) || document.getElementById(`message_${messageId}`)
+    highlightMessage(this, message)
+    return true
+  }
+
+  hasNewerValueChanged() {
+    syncWindowState(this)
+  }
+
+  async scrollToInitialPosition() {
+    const anchorId = this.anchorValue || hashMessageId()
+    if (anchorId && await this.revealMessage(anchorId)) return
+
+    this.scrollToBottomInstant()
+  }
+
+  revealHashMessage() {
+    const messageId = hashMessageId()
+    if (messageId) this.revealMessage(messageId)
+  }
+
   // Actions
 
   jumpToBottom() {
-    this.scrollToBottom(true)
+    if (this.hasNewerValue) {
+      jumpToLatest(this)
+    } else {
+      this.scrollToBottom(true)
+    }
+  }
+
+  jumpToLatest() {
+    jumpToLatest(this)
   }
 }
+
+function hashMessageId() {
+  const match = window.location.hash.match(/^#message_(\d+)$/)
+  return match ? match[1] : null
+}
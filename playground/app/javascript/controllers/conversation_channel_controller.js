@@ -1,18 +1,20 @@
 import { Controller } from "@hotwired/stimulus"
 import logger from "../logger"
-import { setCableConnected } from "../conversation_state"
+import { setCableConnected, joinConversation, leaveConversation, isConversationToastOwner } from "../conversation_state"
 import { subscribeToChannel, unsubscribe } from "../chat/cable_subscription"
-import { CABLE_CONNECTED_EVENT, CABLE_DISCONNECTED_EVENT, dispatchWindowEvent } from "../chat/events"
+import { CABLE_CONNECTED_EVENT, CABLE_DISCONNECTED_EVENT, IMPERSONATION_TYPING_EVENT, dispatchWindowEvent } from "../chat/events"
 import { setupMessagesObserver, disconnectMessagesObserver } from "../chat/conversation_channel/messages_observer"
 import { setupDuplicateMessagePrevention, teardownDuplicateMessagePrevention } from "../chat/conversation_channel/duplicate_message_prevention"
 import { handleQueueUpdated as handleQueueUpdatedEvent } from "../chat/conversation_channel/queue_updates"
-import { showTypingIndicator, hideTypingIndicator, updateTypingContent, handleStreamComplete, startStuckDetection, clearStuckTimeout, showStuckWarning, hideStuckWarning, resetTypingTimeout, clearTypingTimeout, scrollToTypingIndicator } from "../chat/conversation_channel/typing_indicator"
+import { showTypingIndicator, hideTypingIndicator, updateTypingContent, handleStreamComplete, handleImpersonationTyping, findTypingSlot, startStuckDetection, clearStuckTimeout, showStuckWarning, hideStuckWarning, resetTypingTimeout, clearTypingTimeout, scrollToTypingIndicator } from "../chat/conversation_channel/typing_indicator"
 import { confirmCancelStuckRun, cancelStuckRun, retryStuckRun } from "../chat/conversation_channel/stuck_run_actions"
 import { showRunErrorAlert, hideRunErrorAlert, retryFailedRun } from "../chat/conversation_channel/run_error_alert"
 import { handleRunSkipped, handleRunCanceled, handleRunFailed, getSkippedReasonMessage } from "../chat/conversation_channel/run_toasts"
 import { startHealthCheck, stopHealthCheck, performHealthCheck, handleHealthStatus } from "../chat/conversation_channel/health_check"
 import { showIdleAlert, hideIdleAlert, generateFromIdleAlert } from "../chat/conversation_channel/idle_alert"
 import { showStopDecisionAlert, hideStopDecisionAlert, retryFromStopDecision, skipFromStopDecision } from "../chat/conversation_channel/stop_decision_alert"
+import { applyStreamChunk, requestStreamResume, handleStreamResume } from "../chat/conversation_channel/stream_sequence"
+import { setupBackgroundNotifications, teardownBackgroundNotifications, scheduleStreamCompleteNotification, cancelPendingReplyNotification, notifyRunProblem } from "../chat/conversation_channel/background_notifications"
 import { showToast } from "../request_helpers"
 
 /**
@@ -20,8 +22,9 @@ import { showToast } from "../request_helpers"
  *
  * Unified controller for conversation-level JSON events from ConversationChannel:
  * - typing_start: Show typing indicator with correct styling
- * - typing_stop: Hide typing indicator
- * - stream_chunk: Update typing indicator with streaming content
+ * - typing_stop: Hide that speaker's typing indicator
+ * - stream_chunk: Update typing indicator with a sequence/offset-numbered delta
+ * - stream_resume: Catch up on text missed while disconnected (reply to `resume_stream`)
  * - stream_complete: Signal generation is complete
  * - run_skipped: Show warning toast when a run was skipped (e.g., due to state change)
  * - run_canceled: Show info toast when a run was canceled by the user
@@ -30,15 +33,43 @@ import { showToast } from "../request_helpers"
  * All DOM updates for messages go through Turbo Streams separately.
  * This controller only handles the typing indicator and streaming preview.
  *
+ * ## Concurrent Speakers
+ *
+ * Typing state is tracked per speaker (`typingSpeakers`, keyed by space membership).
+ * In group spaces (`multiSpeakerValue`) several indicators can be visible at once,
+ * stacked in the order of the latest `conversation_queue_updated` queue; in 1:1
+ * spaces a new speaker replaces the previous one.
+ *
  * ## Stuck Run Detection
  *
- * If the typing indicator is visible for more than `stuckThresholdValue` milliseconds
- * without receiving a stream chunk, a warning is shown with a "Cancel" button.
+ * If a speaker's indicator is visible for more than `stuckThresholdValue` milliseconds
+ * without receiving a stream chunk, a warning is shown with a "Cancel" button
+ * (and, in group spaces, that speaker is badged as stuck).
  * This helps users recover from stuck runs.
+ *
+ * ## Resumable Streaming
+ *
+ * Stream chunks carry `run_id`, `seq` and `offset`. Duplicate or stale chunks are
+ * dropped, and a gap (or any (re)connect) sends `resume_stream` with the offset
+ * we already have so the server replies with exactly the missing text. When the
+ * server's cache keeps no snapshots (null_store), gaps are left alone instead.
+ *
+ * ## Background Tabs
+ *
+ * Replies and failures that arrive while the tab is hidden bump an unread counter
+ * in the title and favicon, and raise a browser notification if the user opted in
+ * (see background_notifications.js).
+ *
+ * ## Multiple Tabs
+ *
+ * Tabs with the same conversation open coordinate over BroadcastChannel
+ * (tab_coordination.js, conversation_state.js): one leader tab runs the periodic
+ * health check and shares the result, and connection/run-failure toasts are
+ * shown by a single (preferably visible) tab.
  */
 export default class extends Controller {
   static targets = [
-    "typingIndicator", "typingName", "typingContent", "typingAvatarImg", "typingBubble",
+    "typingStack", "typingIndicator", "typingName", "typingContent", "typingAvatarImg", "typingBubble",
     "generatingAlertSpeakerName",
     "stuckWarning",
     "runErrorAlert", "runErrorMessage", // Error alert that blocks progress
@@ -53,12 +84,16 @@ export default class extends Controller {
     generateUrl: String, // URL to trigger new generation
     retryCurrentSpeakerUrl: String, // URL for retry_current_speaker action
     skipCurrentSpeakerUrl: String, // URL for skip_current_speaker action
+    multiSpeaker: { type: Boolean, default: false }, // Group space: allow concurrent typing indicators
     timeout: { type: Number, default: 60000 }, // Auto-hide after 60s (failsafe)
     stuckThreshold: { type: Number, default: 30000 }, // Show stuck warning after 30s
     healthCheckInterval: { type: Number, default: 30000 } // Health check every 30s
   }
 
   connect() {
+    this.typingSpeakers = new Map()
+    this.queueOrder = []
+
     // Ensure indicators start hidden even if the page is restored from Turbo cache
     this.hideTypingIndicator()
     this.hideStuckWarning()
@@ -70,15 +105,16 @@ export default class extends Controller {
     this.cableConnected = null
     this.hasEverConnected = false
 
+    // Announce this tab before cable state is shared (see conversation_state.js).
+    joinConversation(this.conversationValue)
+
     this.subscribeToChannel()
-    this.timeoutId = null
-    this.stuckTimeoutId = null
     this.healthCheckIntervalId = null
-    this.lastChunkAt = null
-    this.currentSpaceMembershipId = null
     this.failedRunId = null
     this.lastHealthStatus = null
     this.lastQueueRevision = null
+    this.streamResumeRequestedAt = null
+    this.streamResumeUnavailable = false
 
     // Failsafe: if we miss stream_complete/typing_stop (e.g., during cable reconnect),
     // hide the typing indicator as soon as a new message is appended to the list.
@@ -90,6 +126,13 @@ export default class extends Controller {
     // the sender from seeing duplicates.
     setupDuplicateMessagePrevention(this)
 
+    // Unread counter + opt-in browser notifications while the tab is hidden.
+    setupBackgroundNotifications(this)
+
+    // Impersonate streams over AutoChannel; show the persona typing here too.
+    this.onImpersonationTyping = (event) => handleImpersonationTyping(this, event.detail)
+    window.addEventListener(IMPERSONATION_TYPING_EVENT, this.onImpersonationTyping)
+
     // Start periodic health check
     this.startHealthCheck()
   }
@@ -102,6 +145,9 @@ export default class extends Controller {
     this.stopHealthCheck()
     disconnectMessagesObserver(this)
     teardownDuplicateMessagePrevention(this)
+    teardownBackgroundNotifications(this)
+    window.removeEventListener(IMPERSONATION_TYPING_EVENT, this.onImpersonationTyping)
+    leaveConversation(this.conversationValue)
   }
 
   /**
@@ -139,8 +185,12 @@ export default class extends Controller {
 
     dispatchWindowEvent(CABLE_CONNECTED_EVENT, { conversationId: this.conversationValue, reconnected })
 
+    // Catch up on any stream we missed (mid-generation page load or cable drop).
+    requestStreamResume(this, null, { force: true })
+
     if (reconnected) {
-      showToast("Reconnected.", "info", 1500)
+      // Every tab reconnects at once; only one of them says so.
+      if (isConversationToastOwner(this.conversationValue)) showToast("Reconnected.", "info", 1500)
       // Trigger an immediate health check to resync UI state after missed events.
       setTimeout(() => this.performHealthCheck(), 250)
     }
@@ -155,7 +205,7 @@ export default class extends Controller {
 
     dispatchWindowEvent(CABLE_DISCONNECTED_EVENT, { conversationId: this.conversationValue })
 
-    showToast("Connection lost. Reconnecting…", "warning", 3000)
+    if (isConversationToastOwner(this.conversationValue)) showToast("Connection lost. Reconnecting…", "warning", 3000)
   }
 
   handleChannelRejected() {
@@ -179,22 +229,38 @@ export default class extends Controller {
       case "typing_stop":
         hideTypingIndicator(this, data.space_membership_id)
         break
-      case "stream_chunk":
-        updateTypingContent(this, data.content, data.space_membership_id)
+      case "stream_chunk": {
+        const slot = findTypingSlot(this, data.space_membership_id)
+        // A chunk for a speaker we never saw start: fetch the whole stream instead.
+        if (!slot) {
+          requestStreamResume(this)
+          break
+        }
+        const content = applyStreamChunk(this, slot, data)
+        if (content !== null) updateTypingContent(this, content, data.space_membership_id)
+        break
+      }
+      case "stream_resume":
+        handleStreamResume(this, data)
         break
       case "stream_complete":
+        scheduleStreamCompleteNotification(this, findTypingSlot(this, data.space_membership_id), data)
         handleStreamComplete(this, data.space_membership_id)
         break
       case "run_skipped":
+        cancelPendingReplyNotification(this)
         handleRunSkipped(data.reason, data.message)
         break
       case "run_canceled":
+        cancelPendingReplyNotification(this)
         handleRunCanceled()
         break
       case "run_failed":
-        handleRunFailed(data.code, data.message)
+        notifyRunProblem(this, data.message)
+        if (isConversationToastOwner(this.conversationValue)) handleRunFailed(data.code, data.message)
         break
       case "run_error_alert":
+        notifyRunProblem(this, data.message)
         showRunErrorAlert(this, data)
         break
       case "conversation_queue_updated":
@@ -223,7 +289,7 @@ export default class extends Controller {
   }
 
   /**
-   * Hide the typing indicator.
+   * Hide one speaker's typing indicator, or all of them.
    */
   hideTypingIndicator(participantId = null) {
     hideTypingIndicator(this, participantId)
@@ -374,7 +440,8 @@ export default class extends Controller {
 
   /**
    * Start periodic health check polling.
-   * Checks conversation health every `healthCheckIntervalValue` milliseconds.
+   * Checks conversation health every `healthCheckIntervalValue` milliseconds
+   * (in the leader tab only; other tabs apply its results).
    */
   startHealthCheck() {
     startHealthCheck(this)
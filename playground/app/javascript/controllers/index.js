@@ -16,6 +16,9 @@ application.register("auto-without-human-toggle", AutoWithoutHumanToggleControll
 import AutoSubmitController from "./auto_submit_controller"
 application.register("auto-submit", AutoSubmitController)
 
+import BackgroundNotificationsController from "./background_notifications_controller"
+application.register("background-notifications", BackgroundNotificationsController)
+
 import CharacterImportController from "./character_import_controller"
 application.register("character-import", CharacterImportController)
 
@@ -73,6 +76,12 @@ application.register("message-actions", MessageActionsController)
 import MessageFormController from "./message_form_controller"
 application.register("message-form", MessageFormController)
 
+import MessageSearchController from "./message_search_controller"
+application.register("message-search", MessageSearchController)
+
+import MessageSelectionController from "./message_selection_controller"
+application.register("message-selection", MessageSelectionController)
+
 import PauseToggleController from "./pause_toggle_controller"
 application.register("pause-toggle", PauseToggleController)
 
@@ -94,6 +103,12 @@ application.register("prompt-preview", PromptPreviewController)
 import RangeDisplayController from "./range_display_controller"
 application.register("range-display", RangeDisplayController)
 
+import RegexScriptFormController from "./regex_script_form_controller"
+application.register("regex-script-form", RegexScriptFormController)
+
+import RoleplayFormattingController from "./roleplay_formatting_controller"
+application.register("roleplay-formatting", RoleplayFormattingController)
+
 import RunDetailModalController from "./run_detail_modal_controller"
 application.register("run-detail-modal", RunDetailModalController)
 
@@ -121,6 +136,9 @@ application.register("sidebar", SidebarController)
 import SortableController from "./sortable_controller"
 application.register("sortable", SortableController)
 
+import SwipeOverviewController from "./swipe_overview_controller"
+application.register("swipe-overview", SwipeOverviewController)
+
 import TabsController from "./tabs_controller"
 application.register("tabs", TabsController)
 
@@ -1,7 +1,15 @@
 import { Controller } from "@hotwired/stimulus"
 import { setFallbackText } from "../ui/markdown/fallback"
 import { configureMarkedOnce, parseMarkdown } from "../ui/markdown/marked"
+import { highlightCodeBlocks } from "../ui/markdown/code_blocks"
+import { cardAssetRouteFor } from "../ui/markdown/card_assets"
+import { HTML_RENDERING_EVENT, htmlRenderingAllowed } from "../ui/markdown/html"
 import { setOutput } from "../ui/markdown/output"
+import {
+  REASONING_EVENT, createReasoningBlock, reasoningBody, reasoningDelimiters, reasoningLabel, splitReasoning
+} from "../ui/markdown/reasoning"
+import { applicableRegexScripts, applyRegexScripts, messageContext, observeMessageDepth } from "../ui/markdown/regex_scripts"
+import { ROLEPLAY_FORMATTING_EVENT, applyRoleplayFormatting, roleplayFormattingEnabled } from "../ui/markdown/roleplay"
 import { isNearViewport, observeVisibility } from "../ui/markdown/visibility"
 
 /**
@@ -9,34 +17,64 @@ import { isNearViewport, observeVisibility } from "../ui/markdown/visibility"
  *
  * Renders markdown content using marked.js library.
  * Configured with safe defaults to prevent XSS.
+ *
+ * Regex scripts (ui/markdown/regex_scripts.js) rewrite the raw text first.
+ * Raw HTML is escaped unless the space allows the sanitized subset
+ * (ui/markdown/html.js). When the user has roleplay formatting on
+ * (ui/markdown/roleplay.js), dialogue, actions and OOC text are tagged after
+ * parsing. An assistant reply's leading reasoning block (ui/markdown/reasoning.js)
+ * is split off and shown collapsed above it. Changing any of these settings, or
+ * the set of scripts that apply (a new message pushing this one deeper),
+ * re-renders. Translated text swapped in by message-actions#translateOrToggle
+ * goes through the same path via the raw value. Card asset images resolve
+ * against the message's character (ui/markdown/card_assets.js).
  */
 export default class extends Controller {
   static targets = ["content", "output"]
   static values = {
-    raw: String
+    raw: String,
+    reasoningDuration: Number
   }
 
   connect() {
     configureMarkedOnce()
     this.disconnectVisibility = null
-    this.lastRenderedRaw = null
+    // lastRenderedRaw survives reconnects: the virtualized message list
+    // re-attaches the same element, whose output is still rendered.
+    this.lastRenderedRaw ??= null
+    this.lastRenderedMode ??= null
+
+    this.handleRenderModeChange = () => this.scheduleRender()
+    window.addEventListener(ROLEPLAY_FORMATTING_EVENT, this.handleRenderModeChange)
+    window.addEventListener(HTML_RENDERING_EVENT, this.handleRenderModeChange)
+    window.addEventListener(REASONING_EVENT, this.handleRenderModeChange)
+    this.disconnectDepth = observeMessageDepth(this.element, this.handleRenderModeChange)
 
     this.scheduleRender()
   }
 
   disconnect() {
     this.disconnectVisibility?.()
+    this.disconnectCodeHighlight?.()
+    this.disconnectDepth?.()
+    window.removeEventListener(ROLEPLAY_FORMATTING_EVENT, this.handleRenderModeChange)
+    window.removeEventListener(HTML_RENDERING_EVENT, this.handleRenderModeChange)
+    window.removeEventListener(REASONING_EVENT, this.handleRenderModeChange)
   }
 
   rawValueChanged() {
     this.scheduleRender()
   }
 
+  reasoningDurationValueChanged() {
+    this.scheduleRender()
+  }
+
   scheduleRender() {
     const rawContent = this.getRawContent()
     if (!rawContent) return
 
-    if (this.lastRenderedRaw === rawContent) return
+    if (this.isRendered(rawContent)) return
 
     const visibilityTarget = this.getVisibilityTarget()
     if (!visibilityTarget) {
@@ -57,17 +95,61 @@ export default class extends Controller {
   renderNow() {
     const rawContent = this.getRawContent()
     if (!rawContent) return
-    if (this.lastRenderedRaw === rawContent) return
+    if (this.isRendered(rawContent)) return
+
+    const allowHtml = htmlRenderingAllowed()
+    const roleplay = roleplayFormattingEnabled()
+    const context = messageContext(this.element)
+    const regexScripts = applicableRegexScripts(context)
+    const delimiters = this.reasoningDelimitersFor(context)
+    const wasOpen = this.hasOutputTarget && this.outputTarget.querySelector(":scope > .mes-reasoning")?.open
+
+    const cardAssets = cardAssetRouteFor(this.element)
+
+    const { reasoning, content } = splitReasoning(applyRegexScripts(rawContent, regexScripts), delimiters)
+    const output = setOutput(this, parseMarkdown(content, { allowHtml, cardAssets }))
+    if (roleplay) applyRoleplayFormatting(output)
+    if (reasoning !== null) output.prepend(this.buildReasoningBlock(reasoning, { allowHtml, cardAssets, open: wasOpen }))
 
-    const html = parseMarkdown(rawContent)
-    setOutput(this, html)
     this.lastRenderedRaw = rawContent
+    this.lastRenderedMode = this.renderMode(allowHtml, roleplay, regexScripts, delimiters)
     this.disconnectVisibility?.()
     this.disconnectVisibility = null
+
+    this.disconnectCodeHighlight?.()
+    this.disconnectCodeHighlight = highlightCodeBlocks(output)
   }
 
   // Private methods
 
+  isRendered(rawContent) {
+    if (this.lastRenderedRaw !== rawContent) return false
+
+    const context = messageContext(this.element)
+    const mode = this.renderMode(
+      htmlRenderingAllowed(), roleplayFormattingEnabled(), applicableRegexScripts(context), this.reasoningDelimitersFor(context)
+    )
+    return this.lastRenderedMode === mode
+  }
+
+  // Reasoning blocks only come from assistant replies.
+  reasoningDelimitersFor(context) {
+    return context.role === "assistant" ? reasoningDelimiters() : null
+  }
+
+  buildReasoningBlock(reasoning, { allowHtml, cardAssets, open }) {
+    const durationMs = this.hasReasoningDurationValue ? this.reasoningDurationValue : null
+    const block = createReasoningBlock({ label: reasoningLabel({ durationMs }), open })
+    reasoningBody(block).innerHTML = parseMarkdown(reasoning.trim(), { allowHtml, cardAssets })
+    return block
+  }
+
+  renderMode(allowHtml, roleplay, regexScripts, delimiters) {
+    const scripts = regexScripts.map((script) => `${script.id}`).join(",")
+    const reasoning = delimiters ? JSON.stringify([delimiters.prefix, delimiters.suffix, this.reasoningDurationValue]) : ""
+    return `${allowHtml ? "html" : "escape"}:${roleplay ? "roleplay" : "plain"}:${scripts}:${reasoning}`
+  }
+
   getVisibilityTarget() {
     if (this.hasOutputTarget) return this.outputTarget
     return null
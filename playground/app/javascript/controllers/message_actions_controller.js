@@ -2,8 +2,8 @@ import { Controller } from "@hotwired/stimulus"
 import { findMessagesList } from "../chat/dom"
 import { registerListObserver, unregisterListObserver } from "../chat/message_actions/list_registry"
 import { findCurrentMembershipId, findTailMessageId, domTailMessageId, setTailMessageId, syncTailMessageIdIfIAmTail, isTailMessage } from "../chat/message_actions/tail"
-import { copy, regenerate, triggerBranch, showDebug } from "../chat/message_actions/actions"
-import { handleEditKeydown, cancelEdit, handleEscape } from "../chat/message_actions/edit"
+import { copy, copyLink, regenerate, triggerBranch, showDebug, openSwipeOverview, startSelection } from "../chat/message_actions/actions"
+import { handleEditKeydown, cancelEdit, notifyEditCanceled, handleEscape } from "../chat/message_actions/edit"
 import { getMessageContent } from "../chat/message_actions/content"
 import { updateButtonVisibility } from "../chat/message_actions/visibility"
 import { disableUntilReplaced, showToast, showToastIfNeeded, turboPost, withRequestLock } from "../request_helpers"
@@ -38,7 +38,7 @@ import { disableUntilReplaced, showToast, showToastIfNeeded, turboPost, withRequ
  *   </div>
  */
 export default class extends Controller {
-  static targets = ["content", "textarea", "actions", "editButton", "deleteButton", "swipeNav", "regenerateButton", "branchCta", "branchBtn", "translateButton", "originalText", "translatedText", "meBadge"]
+  static targets = ["content", "textarea", "actions", "editButton", "deleteButton", "swipeNav", "regenerateButton", "continueButton", "branchCta", "branchBtn", "translateButton", "originalText", "translatedText", "meBadge"]
   static values = {
     messageId: Number,
     translateUrl: String,
@@ -155,6 +155,9 @@ export default class extends Controller {
    * - Branch CTA: shown for non-tail user messages owned by current user
    * - Swipe navigation: only visible for tail assistant messages (swipeable check in HTML)
    * - Regenerate button: always visible for assistant, tooltip changes for non-tail
+   * - Continue button: only visible for the tail assistant message
+   *
+   * Also re-applies the multi-select state (selected look) to this message.
    */
   updateButtonVisibility() {
     updateButtonVisibility(this)
@@ -167,6 +170,13 @@ export default class extends Controller {
     await copy(this, event)
   }
 
+  /**
+   * Copy a deep link to this message.
+   */
+  async copyLink(event) {
+    await copyLink(this, event)
+  }
+
   /**
    * Handle keyboard shortcuts in edit mode.
    */
@@ -181,6 +191,13 @@ export default class extends Controller {
     cancelEdit(this)
   }
 
+  /**
+   * Called when the inline edit Cancel link is clicked (mouse, Escape or hotkey).
+   */
+  editCanceled() {
+    notifyEditCanceled(this)
+  }
+
   /**
    * Handle escape key press.
    */
@@ -219,6 +236,20 @@ export default class extends Controller {
     showDebug(this, event)
   }
 
+  /**
+   * Open the swipe overview drawer for this message (all versions side by side).
+   */
+  openSwipeOverview(event) {
+    openSwipeOverview(this, event)
+  }
+
+  /**
+   * Enter multi-select mode with this message selected.
+   */
+  select(event) {
+    startSelection(this, event)
+  }
+
   /**
    * Get the message content text.
    */
@@ -3,6 +3,7 @@ import { bindMessageFormEvents } from "../chat/message_form/bindings"
 import { updateLockedState } from "../chat/message_form/lock_state"
 import { handleKeydown } from "../chat/message_form/submit"
 import { handleInput } from "../chat/message_form/typing"
+import { discardDraft } from "../chat/message_form/draft"
 
 /**
  * Message form controller for handling message input interactions.
@@ -15,6 +16,10 @@ import { handleInput } from "../chat/message_form/typing"
  * - Clearing textarea after successful submission
  * - Error toast notifications for submission failures
  * - Dynamic input locking based on scheduling state (reject policy)
+ * - Per-conversation drafts: saved to localStorage while typing, restored on
+ *   connect and after an inline edit is cancelled, synced across tabs
+ * - Offline outbox: messages sent while the cable is down are queued as ghost
+ *   bubbles (in the `outboxIdValue` container) and submitted in order on reconnect
  *
  * ## Input Locking (ST/RisuAI-aligned behavior)
  *
@@ -38,13 +43,14 @@ import { handleInput } from "../chat/message_form/typing"
  *   </div>
  */
 export default class extends Controller {
-  static targets = ["textarea", "sendBtn", "generatingAlert", "cableDisconnectAlert"]
+  static targets = ["textarea", "sendBtn", "generatingAlert", "cableDisconnectAlert", "draftNotice"]
   static values = {
     conversationId: Number,
     rejectPolicy: { type: Boolean, default: false },
     schedulingState: { type: String, default: "idle" },
     spaceReadOnly: { type: Boolean, default: false },
-    cableConnected: { type: Boolean, default: true }
+    cableConnected: { type: Boolean, default: true },
+    outboxId: String // DOM id of the ghost bubble container for queued messages
   }
 
   connect() {
@@ -86,6 +92,13 @@ export default class extends Controller {
     handleKeydown(this, event)
   }
 
+  /**
+   * Discard a restored draft (from the "Draft restored" notice).
+   */
+  discardDraft() {
+    discardDraft(this)
+  }
+
   reloadPage() {
     window.location.reload()
   }
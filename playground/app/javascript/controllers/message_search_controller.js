@@ -0,0 +1,277 @@
+import { Controller } from "@hotwired/stimulus"
+import logger from "../logger"
+import { el } from "../ui/dom"
+import { jsonRequest, showToast } from "../request_helpers"
+
+const SEARCH_DEBOUNCE_MS = 250
+const MIN_QUERY_LENGTH = 2
+
+/**
+ * Message Search Controller
+ *
+ * Header search bar for the current conversation. Queries
+ * GET /conversations/:id/search (messages and inactive swipes) and lists the
+ * matching snippets, newest first. Choosing a result asks the chat-scroll
+ * controller to page in history until `message_<id>` exists, then scrolls to
+ * and highlights it.
+ *
+ * Keyboard:
+ * - Ctrl+Shift+F: open and focus the search box
+ * - Enter / Shift+Enter (in the box), F3 / Shift+F3: older / newer result
+ * - Escape: close
+ */
+export default class extends Controller {
+  static targets = ["panel", "input", "results", "counter", "openButton"]
+  static values = {
+    url: String
+  }
+
+  connect() {
+    this.hits = []
+    this.currentIndex = -1
+    this.requestSeq = 0
+    this.searchTimer = null
+  }
+
+  disconnect() {
+    clearTimeout(this.searchTimer)
+  }
+
+  open(event) {
+    event?.preventDefault()
+
+    this.panelTarget.classList.remove("hidden")
+    this.openButtonTarget.classList.add("hidden")
+    this.inputTarget.focus()
+    this.inputTarget.select()
+    this.showResults()
+  }
+
+  close(event) {
+    event?.preventDefault()
+
+    this.panelTarget.classList.add("hidden")
+    this.openButtonTarget.classList.remove("hidden")
+    this.hideResults()
+  }
+
+  isOpen() {
+    return !this.panelTarget.classList.contains("hidden")
+  }
+
+  queue() {
+    clearTimeout(this.searchTimer)
+    this.searchTimer = setTimeout(() => this.search(), SEARCH_DEBOUNCE_MS)
+  }
+
+  async search() {
+    const query = this.inputTarget.value.trim()
+    const seq = ++this.requestSeq
+
+    if (query.length < MIN_QUERY_LENGTH) {
+      this.setHits([], false)
+      return
+    }
+
+    const url = new URL(this.urlValue, window.location.href)
+    url.searchParams.set("q", query)
+
+    try {
+      const { response, data } = await jsonRequest(url.toString())
+      if (seq !== this.requestSeq) return
+
+      if (!response.ok) {
+        showToast(`Search failed (${response.status})`, "error")
+        return
+      }
+
+      this.setHits(data?.results || [], !!data?.truncated)
+    } catch (error) {
+      logger.error("Message search failed:", error)
+      if (seq === this.requestSeq) showToast("Search failed", "error")
+    }
+  }
+
+  setHits(hits, truncated) {
+    this.hits = hits
+    this.truncated = truncated
+    this.currentIndex = -1
+    this.renderResults()
+    this.renderCounter()
+  }
+
+  next(event) {
+    event?.preventDefault()
+    this.step(1)
+  }
+
+  previous(event) {
+    event?.preventDefault()
+    this.step(-1)
+  }
+
+  step(direction) {
+    if (this.hits.length === 0) return
+
+    const index = this.currentIndex === -1
+      ? (direction > 0 ? 0 : this.hits.length - 1)
+      : (this.currentIndex + direction + this.hits.length) % this.hits.length
+
+    this.goTo(index)
+  }
+
+  async goTo(index) {
+    const hit = this.hits[index]
+    if (!hit) return
+
+    this.currentIndex = index
+    this.renderCounter()
+    this.markActive()
+
+    const chatScroll = this.chatScrollController()
+    if (!chatScroll) return
+
+    const found = await chatScroll.revealMessage(hit.message_id)
+    if (!found) showToast("Couldn't load that message", "warning")
+  }
+
+  selectResult(event) {
+    event.preventDefault()
+
+    const index = Number.parseInt(event.currentTarget.dataset.index, 10)
+    if (Number.isNaN(index)) return
+
+    this.hideResults()
+    this.goTo(index)
+  }
+
+  handleKeydown(event) {
+    if (event.isComposing) return
+
+    if (event.key === "Enter") {
+      event.preventDefault()
+      this.step(event.shiftKey ? -1 : 1)
+    } else if (event.key === "Escape") {
+      // Keep chat-hotkeys from treating this Escape as "stop generation".
+      event.preventDefault()
+      event.stopPropagation()
+      this.close()
+    }
+  }
+
+  handleGlobalKeydown(event) {
+    if (event.isComposing) return
+
+    if (event.key.toLowerCase() === "f" && event.ctrlKey && event.shiftKey && !event.altKey && !event.metaKey) {
+      this.open(event)
+      return
+    }
+
+    if (event.key === "F3" && this.isOpen() && this.hits.length > 0) {
+      event.preventDefault()
+      this.step(event.shiftKey ? -1 : 1)
+    }
+  }
+
+  handleOutsideClick(event) {
+    if (!this.element.contains(event.target)) this.hideResults()
+  }
+
+  showResults() {
+    if (this.hits.length > 0 || this.inputTarget.value.trim().length >= MIN_QUERY_LENGTH) {
+      this.resultsTarget.classList.remove("hidden")
+    }
+  }
+
+  hideResults() {
+    this.resultsTarget.classList.add("hidden")
+  }
+
+  renderCounter() {
+    if (!this.hasCounterTarget) return
+
+    if (this.inputTarget.value.trim().length < MIN_QUERY_LENGTH) {
+      this.counterTarget.textContent = ""
+    } else if (this.currentIndex >= 0) {
+      this.counterTarget.textContent = `${this.currentIndex + 1}/${this.hits.length}`
+    } else {
+      this.counterTarget.textContent = `${this.hits.length}${this.truncated ? "+" : ""}`
+    }
+  }
+
+  renderResults() {
+    const query = this.inputTarget.value.trim()
+
+    if (query.length < MIN_QUERY_LENGTH) {
+      this.resultsTarget.replaceChildren()
+      this.hideResults()
+      return
+    }
+
+    if (this.hits.length === 0) {
+      this.resultsTarget.replaceChildren(
+        el("div", { className: "px-3 py-2 text-sm text-base-content/60", text: "No matches" })
+      )
+    } else {
+      const items = this.hits.map((hit, index) => this.renderHit(hit, index))
+      if (this.truncated) {
+        items.push(el("div", {
+          className: "px-3 py-2 text-xs text-base-content/50",
+          text: `Showing the ${this.hits.length} most recent matches. Refine the search to see older ones.`
+        }))
+      }
+      this.resultsTarget.replaceChildren(...items)
+    }
+
+    if (this.isOpen()) this.resultsTarget.classList.remove("hidden")
+  }
+
+  renderHit(hit, index) {
+    const meta = [el("span", { className: "font-medium truncate", text: hit.speaker || hit.role })]
+    meta.push(el("span", { className: "text-base-content/40", text: `#${hit.seq}` }))
+    if (hit.swipe_position != null) {
+      meta.push(el("span", {
+        className: "badge badge-xs badge-ghost",
+        text: `swipe ${hit.swipe_position + 1}/${hit.swipes_count}`
+      }))
+    }
+
+    return el("button", {
+      className: "w-full text-left rounded-field px-3 py-2 hover:bg-base-200 flex flex-col gap-0.5",
+      attrs: { type: "button", "data-action": "message-search#selectResult" },
+      dataset: { index }
+    }, [
+      el("div", { className: "flex items-center gap-2 text-xs" }, meta),
+      this.renderSnippet(hit)
+    ])
+  }
+
+  // match_start/match_length are UTF-16 offsets (Conversations::MessageSearch),
+  // so they index the snippet string directly.
+  renderSnippet(hit) {
+    const snippet = String(hit.snippet || "")
+    const start = Math.max(0, Math.min(hit.match_start || 0, snippet.length))
+    const end = Math.min(snippet.length, start + (hit.match_length || 0))
+
+    return el("div", { className: "text-sm text-base-content/80 line-clamp-2 break-words" }, [
+      snippet.slice(0, start),
+      el("mark", { className: "bg-warning/40 text-inherit rounded-sm", text: snippet.slice(start, end) }),
+      snippet.slice(end)
+    ])
+  }
+
+  markActive() {
+    this.resultsTarget.querySelectorAll("button[data-index]").forEach((button) => {
+      const active = Number(button.dataset.index) === this.currentIndex
+      button.classList.toggle("bg-base-200", active)
+      if (active) button.scrollIntoView({ block: "nearest" })
+    })
+  }
+
+  chatScrollController() {
+    const container = document.querySelector("[data-controller~='chat-scroll']")
+    const controller = container && this.application.getControllerForElementAndIdentifier(container, "chat-scroll")
+    if (!controller) logger.error("Chat scroll controller not found")
+    return controller
+  }
+}
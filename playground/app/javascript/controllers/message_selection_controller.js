@@ -0,0 +1,310 @@
+import { Controller } from "@hotwired/stimulus"
+import logger from "../logger"
+import { copyTextToClipboard } from "../dom_helpers"
+import { showToastIfNeeded, showToast, turboRequest, withRequestLock } from "../request_helpers"
+import { findMessagesList, readMessageMeta } from "../chat/dom"
+import { getSelectionState, renderMessageSelection } from "../chat/message_actions/selection"
+import { resolveMessageElement } from "../chat/scroll/virtual_list"
+
+/**
+ * Message Selection Controller
+ *
+ * Multi-select mode for the chat list. While active, clicking a message toggles
+ * it and Shift+click selects the range from the last clicked message. The
+ * toolbar applies bulk operations to the selection:
+ * - include/exclude from prompt context
+ * - delete (only messages the user may delete: own messages, or all when
+ *   the list has data-can-manage-messages)
+ * - copy as a plain-text transcript
+ * - export as JSONL
+ *
+ * The selection is kept in chat/message_actions/selection.js and re-applied by
+ * message-actions controllers as messages are appended or replaced.
+ *
+ * Escape leaves selection mode (handled by chat-hotkeys via `exit()`).
+ */
+export default class extends Controller {
+  static targets = ["toolbar", "count", "deleteButton", "toggleButton"]
+  static values = {
+    visibilityUrl: String,
+    destroyUrl: String,
+    exportUrl: String
+  }
+
+  connect() {
+    this.list = findMessagesList(this.element)
+    this.state = getSelectionState(this.list)
+    if (!this.list || !this.state) return
+
+    this.handleListClick = this.handleListClick.bind(this)
+    this.list.addEventListener("click", this.handleListClick, true)
+
+    // Drop deleted messages from the selection. Turbo replacements re-add the
+    // same id within the same mutation batch, so they are kept.
+    this.observer = new MutationObserver(() => {
+      if (this.state.active) this.pruneSelection()
+    })
+    this.observer.observe(this.list, { childList: true })
+
+    this.render()
+  }
+
+  disconnect() {
+    this.list?.removeEventListener("click", this.handleListClick, true)
+    this.observer?.disconnect()
+    this.observer = null
+  }
+
+  toggle(event) {
+    event?.preventDefault()
+
+    if (this.state?.active) {
+      this.exit()
+    } else {
+      this.start()
+    }
+  }
+
+  /**
+   * Enter selection mode, optionally with one message already selected.
+   *
+   * @param {string|number|null} messageId
+   */
+  start(messageId = null) {
+    if (!this.state) return
+
+    this.state.active = true
+    this.state.ids.clear()
+    this.state.anchorId = null
+
+    if (messageId != null) {
+      this.state.ids.add(String(messageId))
+      this.state.anchorId = String(messageId)
+    }
+
+    this.render()
+  }
+
+  /**
+   * Leave selection mode.
+   *
+   * @returns {boolean} true if selection mode was active
+   */
+  exit() {
+    if (!this.state?.active) return false
+
+    this.state.active = false
+    this.state.ids.clear()
+    this.state.anchorId = null
+    this.render()
+    return true
+  }
+
+  selectAll(event) {
+    event?.preventDefault()
+    if (!this.state?.active) return
+
+    this.messageElements().forEach((element) => this.state.ids.add(this.messageId(element)))
+    this.render()
+  }
+
+  clear(event) {
+    event?.preventDefault()
+    if (!this.state?.active) return
+
+    this.state.ids.clear()
+    this.state.anchorId = null
+    this.render()
+  }
+
+  handleListClick(event) {
+    if (!this.state.active) return
+
+    const element = event.target.closest(".mes")
+    if (!element || element.parentElement !== this.list) return
+
+    // In selection mode a click on a message only selects it (no links, buttons, avatar zoom).
+    event.preventDefault()
+    event.stopPropagation()
+
+    const messageId = this.messageId(element)
+    if (!messageId) return
+
+    if (event.shiftKey && this.state.anchorId && this.state.anchorId !== messageId) {
+      this.selectRange(this.state.anchorId, messageId)
+    } else if (this.state.ids.has(messageId)) {
+      this.state.ids.delete(messageId)
+    } else {
+      this.state.ids.add(messageId)
+    }
+
+    this.state.anchorId = messageId
+    this.render()
+  }
+
+  selectRange(fromId, toId) {
+    const ids = this.messageElements().map((element) => this.messageId(element))
+    const from = ids.indexOf(fromId)
+    const to = ids.indexOf(toId)
+
+    if (from === -1 || to === -1) {
+      this.state.ids.add(toId)
+      return
+    }
+
+    const [start, end] = from < to ? [from, to] : [to, from]
+    ids.slice(start, end + 1).forEach((id) => this.state.ids.add(id))
+  }
+
+  async exclude(event) {
+    await this.updateVisibility(event, true)
+  }
+
+  async include(event) {
+    await this.updateVisibility(event, false)
+  }
+
+  async updateVisibility(event, excluded) {
+    event?.preventDefault()
+
+    const messageIds = this.selectedIds()
+    if (messageIds.length === 0 || !this.hasVisibilityUrlValue) return
+
+    await this.bulkRequest(this.visibilityUrlValue, "PATCH", { message_ids: messageIds, excluded })
+  }
+
+  async destroy(event) {
+    event?.preventDefault()
+
+    const messageIds = this.selectedElements()
+      .filter((element) => this.canDelete(element))
+      .map((element) => this.messageId(element))
+    if (messageIds.length === 0 || !this.hasDestroyUrlValue) return
+
+    if (!confirm(`Delete ${messageIds.length} message(s)? This cannot be undone.`)) return
+
+    const ok = await this.bulkRequest(this.destroyUrlValue, "DELETE", { message_ids: messageIds })
+    if (ok) this.exit()
+  }
+
+  async copyTranscript(event) {
+    event?.preventDefault()
+
+    const transcript = this.selectedElements()
+      .map((element) => {
+        const name = element.querySelector(".mes-name")?.textContent.trim() || readMessageMeta(element)?.role || ""
+        return `${name}: ${this.messageText(element)}`
+      })
+      .join("\n\n")
+
+    if (!transcript) return
+
+    try {
+      const ok = await copyTextToClipboard(transcript)
+      showToast(ok ? "Transcript copied to clipboard" : "Failed to copy", ok ? "success" : "error")
+    } catch (error) {
+      logger.error("Failed to copy transcript:", error)
+      showToast("Failed to copy", "error")
+    }
+  }
+
+  exportJsonl(event) {
+    event?.preventDefault()
+
+    const messageIds = this.selectedIds()
+    if (messageIds.length === 0 || !this.hasExportUrlValue) return
+
+    const url = new URL(this.exportUrlValue, window.location.href)
+    messageIds.forEach((id) => url.searchParams.append("message_ids[]", id))
+
+    const link = document.createElement("a")
+    link.href = url.toString()
+    link.download = ""
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+  }
+
+  async bulkRequest(url, method, body) {
+    const { value: ok } = await withRequestLock(`${method} ${url}`, async () => {
+      try {
+        const { response, toastAlreadyShown } = await turboRequest(url, { method, body })
+        showToastIfNeeded(toastAlreadyShown, `Request failed (${response.status})`, "error")
+        return response.ok
+      } catch (error) {
+        logger.error("Bulk message request failed:", error)
+        showToast("Request failed. Please try again.", "error")
+        return false
+      }
+    })
+
+    return !!ok
+  }
+
+  pruneSelection() {
+    let changed = false
+
+    for (const id of this.state.ids) {
+      if (this.findMessage(id)) continue
+      this.state.ids.delete(id)
+      changed = true
+    }
+
+    if (this.state.anchorId && !this.findMessage(this.state.anchorId)) this.state.anchorId = null
+    if (changed) this.render()
+  }
+
+  render() {
+    if (!this.list || !this.state) return
+
+    const active = this.state.active
+    this.list.toggleAttribute("data-selecting", active)
+    this.messageElements().forEach((element) => renderMessageSelection(element, this.state))
+
+    const selected = this.selectedElements()
+
+    if (this.hasToolbarTarget) this.toolbarTarget.classList.toggle("hidden", !active)
+    if (this.hasCountTarget) this.countTarget.textContent = String(selected.length)
+    if (this.hasDeleteButtonTarget) {
+      this.deleteButtonTarget.disabled = !selected.some((element) => this.canDelete(element))
+    }
+    this.toggleButtonTargets.forEach((button) => button.classList.toggle("btn-active", active))
+  }
+
+  canDelete(element) {
+    const meta = readMessageMeta(element)
+    if (!meta || meta.role === "system") return false
+    if (this.list.dataset.canManageMessages === "true") return true
+
+    const currentMembershipId = this.list.dataset.currentMembershipId
+    return !!currentMembershipId && meta.participantId === currentMembershipId
+  }
+
+  messageText(element) {
+    const template = element.querySelector("template[data-message-actions-target='originalText']") ||
+      element.querySelector("template[data-markdown-target='content']")
+    return template?.content.textContent.trim() || element.querySelector(".mes-text")?.textContent.trim() || ""
+  }
+
+  // Virtualized messages are represented by placeholders; resolve them so they stay selectable.
+  messageElements() {
+    return Array.from(this.list.children, resolveMessageElement).filter((element) => element.classList.contains("mes"))
+  }
+
+  selectedElements() {
+    return this.messageElements().filter((element) => this.state.ids.has(this.messageId(element)))
+  }
+
+  selectedIds() {
+    return this.selectedElements().map((element) => this.messageId(element))
+  }
+
+  findMessage(messageId) {
+    const element = this.list.querySelector(`:scope > #message_${CSS.escape(String(messageId))}`)
+    return element && resolveMessageElement(element)
+  }
+
+  messageId(element) {
+    return element.dataset.messageActionsMessageIdValue || null
+  }
+}
@@ -0,0 +1,97 @@
+import { Controller } from "@hotwired/stimulus"
+import { compileFindRegex, hasNestedQuantifier, regexScriptApplies, runRegexScript } from "../ui/markdown/regex_scripts"
+
+/**
+ * Regex Script Form Controller
+ *
+ * Shows the character/preset picker for the selected scope and runs the
+ * script being edited against sample text as the user types, with the same
+ * engine the chat uses (ui/markdown/regex_scripts.js).
+ */
+export default class extends Controller {
+  static targets = [
+    "scope", "characterField", "presetField",
+    "findRegex", "replaceString", "trimStrings", "userMessages", "aiMessages", "minDepth", "maxDepth",
+    "testRole", "testDepth", "testInput", "testOutput", "testStatus"
+  ]
+
+  connect() {
+    this.updateScope()
+    this.test()
+  }
+
+  updateScope() {
+    if (!this.hasScopeTarget) return
+
+    const scope = this.scopeTarget.value
+    if (this.hasCharacterFieldTarget) this.characterFieldTarget.hidden = scope !== "character"
+    if (this.hasPresetFieldTarget) this.presetFieldTarget.hidden = scope !== "preset"
+  }
+
+  test() {
+    if (!this.hasTestInputTarget || !this.hasTestOutputTarget) return
+
+    const sample = this.testInputTarget.value
+    const script = this.currentScript()
+
+    let regex
+    try {
+      regex = compileFindRegex(script.find_regex)
+    } catch (error) {
+      this.testOutputTarget.textContent = sample
+      this.setStatus(error.message, "text-error")
+      return
+    }
+
+    if (hasNestedQuantifier(script.find_regex)) {
+      this.testOutputTarget.textContent = sample
+      this.setStatus("Repeats a group that already repeats, like (a+)+: this can freeze the browser", "text-error")
+      return
+    }
+
+    const message = { role: this.testRoleTarget.value, depth: integerOrNull(this.testDepthTarget.value) }
+    if (!regexScriptApplies(script, message)) {
+      this.testOutputTarget.textContent = sample
+      this.setStatus("Doesn't run for this message", "text-base-content/50")
+      return
+    }
+
+    const matches = countMatches(regex, sample)
+    this.testOutputTarget.textContent = runRegexScript(script, sample, regex)
+    this.setStatus(`${matches} ${matches === 1 ? "match" : "matches"}`, matches ? "text-success" : "text-base-content/50")
+  }
+
+  // Private
+
+  currentScript() {
+    return {
+      find_regex: this.findRegexTarget.value,
+      replace_string: this.replaceStringTarget.value,
+      trim_strings: this.trimStringsTarget.value.split(/\r?\n/).filter(Boolean),
+      user_messages: this.userMessagesTarget.checked,
+      ai_messages: this.aiMessagesTarget.checked,
+      min_depth: integerOrNull(this.minDepthTarget.value),
+      max_depth: integerOrNull(this.maxDepthTarget.value)
+    }
+  }
+
+  setStatus(text, className) {
+    if (!this.hasTestStatusTarget) return
+
+    this.testStatusTarget.textContent = text
+    this.testStatusTarget.className = `label-text-alt ${className}`
+  }
+}
+
+function integerOrNull(value) {
+  const number = Number.parseInt(value, 10)
+  return Number.isNaN(number) ? null : number
+}
+
+function countMatches(regex, text) {
+  if (!text) return 0
+  if (!regex.global) return regex.test(text) ? 1 : 0
+
+  regex.lastIndex = 0
+  return Array.from(text.matchAll(regex)).length
+}
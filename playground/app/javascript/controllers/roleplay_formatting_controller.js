@@ -0,0 +1,37 @@
+import { Controller } from "@hotwired/stimulus"
+import { showToast } from "../request_helpers"
+import { ROLEPLAY_FORMATTING_EVENT, roleplayFormattingEnabled, setRoleplayFormattingEnabled } from "../ui/markdown/roleplay"
+
+/**
+ * Roleplay Formatting Controller
+ *
+ * Header toggle for the roleplay formatting layer (ui/markdown/roleplay.js):
+ * distinct styles for "dialogue", *actions* and ((OOC)) text in rendered
+ * messages. The preference is per browser (localStorage).
+ */
+export default class extends Controller {
+  connect() {
+    this.handleChange = () => this.render()
+    window.addEventListener(ROLEPLAY_FORMATTING_EVENT, this.handleChange)
+
+    this.render()
+  }
+
+  disconnect() {
+    window.removeEventListener(ROLEPLAY_FORMATTING_EVENT, this.handleChange)
+  }
+
+  toggle() {
+    const enabled = !roleplayFormattingEnabled()
+    setRoleplayFormattingEnabled(enabled)
+    showToast(enabled ? "Roleplay formatting on." : "Roleplay formatting off.", "info", 2000)
+  }
+
+  render() {
+    const active = roleplayFormattingEnabled()
+
+    this.element.setAttribute("aria-pressed", active ? "true" : "false")
+    this.element.classList.toggle("btn-active", active)
+    this.element.title = active ? "Roleplay formatting on" : "Style dialogue, actions and OOC text"
+  }
+}
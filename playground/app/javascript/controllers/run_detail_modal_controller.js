@@ -1,6 +1,9 @@
 import { Controller } from "@hotwired/stimulus"
-import { showToast } from "../request_helpers"
+import { jsonRequest, showToast, showToastIfNeeded, turboPost, withRequestLock } from "../request_helpers"
 import { copyTextToClipboard } from "../dom_helpers"
+import { renderTokenAlternatives, tokenAlternatives } from "../ui/run_detail_modal/overview_tab"
+import { renderPromptDiff } from "../ui/run_detail_modal/prompt_diff"
+import { renderExportPreview } from "../ui/run_detail_modal/prompt_snapshot_tab"
 import { renderRunDetailModalContent } from "../ui/run_detail_modal/render"
 
 /**
@@ -11,13 +14,26 @@ import { renderRunDetailModalContent } from "../ui/run_detail_modal/render"
  *
  * The modal is opened by clicking a run item in the runs panel.
  * Run data is passed via data attributes on the clicked element.
+ * Ticking two runs in the panel opens it in compare mode instead: a
+ * message-by-message diff of their prompt snapshots.
+ *
+ * The Prompt JSON tab can also export the prompt as an API request for any
+ * dialect (Conversations::RunsController#export), and clicking a token in
+ * Token Probabilities lists its alternatives; picking one regenerates the
+ * reply from that token (Conversations::RunsController#steer).
  */
 export default class extends Controller {
-  static targets = ["content"]
+  static targets = ["content", "exportDialect", "exportPreview", "tokenAlternatives"]
+  static values = {
+    dialects: Object
+  }
 
   // Store current run data for copy functionality
   currentRunData = null
 
+  // Exported requests of the current run, by dialect
+  exports = new Map()
+
   /**
    * Open the modal and populate it with run data.
    *
@@ -25,10 +41,26 @@ export default class extends Controller {
    */
   showRun(runData) {
     this.currentRunData = runData
+    this.exports.clear()
     this.renderContent(runData)
     this.element.showModal()
   }
 
+  /**
+   * Open the modal with a prompt diff between two runs, older run first.
+   *
+   * @param {Object} runA - One run's data
+   * @param {Object} runB - The other run's data
+   */
+  showComparison(runA, runB) {
+    const [before, after] = [runA, runB].sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+
+    this.currentRunData = null
+    this.exports.clear()
+    if (this.hasContentTarget) this.contentTarget.replaceChildren(renderPromptDiff(before, after))
+    this.element.showModal()
+  }
+
   /**
    * Copy prompt snapshot JSON to clipboard.
    * Called by the Copy JSON button in the Prompt JSON tab.
@@ -44,6 +76,96 @@ export default class extends Controller {
     showToast(ok ? "Copied to clipboard" : "Failed to copy", ok ? "success" : "error")
   }
 
+  /**
+   * Preview the request for the chosen export dialect.
+   */
+  async previewExport() {
+    await this.loadExport()
+  }
+
+  /**
+   * Copy part of the exported request for the chosen dialect.
+   * Called by the export buttons in the Prompt JSON tab.
+   *
+   * @param {Event} event - with `params.part`: "body", "curl" or "jsonl"
+   */
+  async copyExport(event) {
+    const exported = await this.loadExport()
+    if (!exported) return
+
+    const part = event.params.part
+    const text = part === "body" ? JSON.stringify(exported.body, null, 2) : exported[part]
+    const ok = await copyTextToClipboard(text)
+    showToast(ok ? "Copied to clipboard" : "Failed to copy", ok ? "success" : "error")
+  }
+
+  async loadExport() {
+    const url = this.currentRunData?.export_url
+    if (!url || !this.hasExportDialectTarget) return null
+
+    const dialect = this.exportDialectTarget.value
+    if (!this.exports.has(dialect)) {
+      const { response, data } = await jsonRequest(`${url}.json?dialect=${encodeURIComponent(dialect)}`)
+      if (!response.ok || !data) {
+        showToast(data?.error || "Failed to export request", "error")
+        return null
+      }
+      this.exports.set(dialect, data)
+    }
+
+    const exported = this.exports.get(dialect)
+    if (this.hasExportPreviewTarget) {
+      this.exportPreviewTarget.replaceChildren(...renderExportPreview(exported))
+      this.exportPreviewTarget.classList.remove("hidden")
+    }
+    return exported
+  }
+
+  /**
+   * Show the alternatives of a clicked logprob token.
+   *
+   * @param {Event} event - with `params.index`: position of the token
+   */
+  showTokenAlternatives(event) {
+    const index = event.params.index
+    const token = this.currentRunData?.logprobs?.[index]
+    if (!token || !this.hasTokenAlternativesTarget) return
+
+    this.element.querySelectorAll(".logprob-token-selected").forEach((node) => node.classList.remove("logprob-token-selected"))
+    event.currentTarget.classList.add("logprob-token-selected")
+
+    this.tokenAlternativesTarget.replaceChildren(
+      renderTokenAlternatives(token, index, { steerable: !!this.currentRunData.steer_url })
+    )
+    this.tokenAlternativesTarget.classList.remove("hidden")
+  }
+
+  /**
+   * Regenerate the reply from a token: a new swipe is prefilled up to the
+   * chosen alternative and generation continues from there.
+   *
+   * @param {Event} event - with `params.index` (token position) and `params.rank`
+   *   (position in the token's alternatives)
+   */
+  async steerFromToken(event) {
+    const url = this.currentRunData?.steer_url
+    const alternative = tokenAlternatives(this.currentRunData?.logprobs?.[event.params.index])[event.params.rank]
+    if (!url || !alternative) return
+
+    const { skipped, value } = await withRequestLock(url, async () =>
+      turboPost(url, { body: { token_index: event.params.index, token: alternative.token } })
+    )
+    if (skipped) return
+
+    const { response, toastAlreadyShown } = value
+    if (!response.ok) {
+      showToastIfNeeded(toastAlreadyShown, "Failed to regenerate from this token", "error")
+      return
+    }
+
+    this.element.close()
+  }
+
   /**
    * Render the run details content with tabs.
    *
@@ -51,6 +173,6 @@ export default class extends Controller {
    */
   renderContent(data) {
     if (!this.hasContentTarget) return
-    this.contentTarget.replaceChildren(renderRunDetailModalContent(data))
+    this.contentTarget.replaceChildren(renderRunDetailModalContent(data, { exportDialects: this.dialectsValue }))
   }
 }
@@ -6,43 +6,145 @@ import logger from "../logger"
  *
  * Handles click events on run items in the runs panel.
  * Opens the run detail modal with the clicked run's data.
+ *
+ * Each run also has a compare checkbox; with two runs ticked, the Compare
+ * button opens the modal in compare mode (a diff of their prompts).
+ *
+ * The selection outlives re-renders of the panel (runs-panel-auto-refresh
+ * replaces it every few seconds): it is kept per frame and re-applied to the
+ * new checkboxes, and runs that are no longer listed drop out of it.
  */
+
+// Ticked run ids by the id of the frame the panel is rendered in.
+const COMPARE_SELECTIONS = new Map()
+
 export default class extends Controller {
+  static targets = ["compareToggle", "compareBar", "compareButton"]
+
+  connect() {
+    this.compareRunIds = COMPARE_SELECTIONS.get(this.selectionKey) || []
+    this.syncCompare()
+  }
+
+  disconnect() {
+    if (this.syncFrameId) cancelAnimationFrame(this.syncFrameId)
+    this.syncFrameId = null
+  }
+
+  // Rows can be swapped without the panel reconnecting; re-sync once they settle.
+  compareToggleTargetConnected() {
+    this.scheduleSyncCompare()
+  }
+
+  compareToggleTargetDisconnected() {
+    this.scheduleSyncCompare()
+  }
+
   /**
    * Handle click on a run item - open the detail modal.
    *
    * @param {Event} event - The click event
    */
   showRunDetail(event) {
-    const button = event.currentTarget
-    const runDataJson = button.dataset.runData
+    const runData = this.parseRunData(event.currentTarget.closest("[data-run-data]"))
+    if (!runData) return
+
+    this.modalController()?.showRun(runData)
+  }
+
+  /**
+   * Tick/untick a run for comparison, keeping the two most recent choices.
+   *
+   * @param {Event} event - The change event of a compare checkbox
+   */
+  toggleCompare(event) {
+    const runId = event.target.value
+
+    this.compareRunIds = this.compareRunIds.filter((each) => each !== runId)
+    if (event.target.checked) {
+      this.compareRunIds.push(runId)
+      this.compareRunIds = this.compareRunIds.slice(-2)
+    }
+
+    this.syncCompare()
+  }
+
+  /**
+   * Open the detail modal with a prompt diff of the two ticked runs.
+   */
+  compare() {
+    if (this.compareRunIds.length !== 2) return
+
+    const runs = this.compareRunIds.map((runId) => {
+      const toggle = this.compareToggleTargets.find((input) => input.value === runId)
+      return toggle && this.parseRunData(toggle.closest("[data-run-data]"))
+    })
+    if (runs.some((runData) => !runData)) return
+
+    this.modalController()?.showComparison(...runs)
+  }
+
+  clearCompare() {
+    this.compareRunIds = []
+    this.syncCompare()
+  }
+
+  scheduleSyncCompare() {
+    if (this.syncFrameId || !this.compareRunIds) return
+
+    this.syncFrameId = requestAnimationFrame(() => {
+      this.syncFrameId = null
+      this.syncCompare()
+    })
+  }
+
+  syncCompare() {
+    const listed = new Set(this.compareToggleTargets.map((input) => input.value))
+    this.compareRunIds = this.compareRunIds.filter((runId) => listed.has(runId))
+    COMPARE_SELECTIONS.set(this.selectionKey, this.compareRunIds)
+
+    this.compareToggleTargets.forEach((input) => {
+      input.checked = this.compareRunIds.includes(input.value)
+    })
+
+    if (this.hasCompareBarTarget) {
+      this.compareBarTarget.classList.toggle("hidden", this.compareRunIds.length === 0)
+    }
+    if (this.hasCompareButtonTarget) {
+      this.compareButtonTarget.disabled = this.compareRunIds.length !== 2
+    }
+  }
+
+  get selectionKey() {
+    return this.element.closest("turbo-frame")?.id || "runs-panel"
+  }
+
+  parseRunData(element) {
+    const runDataJson = element?.dataset.runData
 
     if (!runDataJson) {
       logger.error("No run data found on element")
-      return
+      return null
     }
 
-    let runData
     try {
-      runData = JSON.parse(runDataJson)
+      return JSON.parse(runDataJson)
     } catch (e) {
       logger.error("Failed to parse run data:", e)
-      return
+      return null
     }
+  }
 
-    // Find the run detail modal and execute its showRun method
+  modalController() {
+    // Find the run detail modal and get its Stimulus controller
     const modal = document.getElementById("run_detail_modal")
     if (!modal) {
       logger.error("Run detail modal not found")
-      return
+      return null
     }
 
-    // Get the Stimulus controller for the modal
     const modalController = this.application.getControllerForElementAndIdentifier(modal, "run-detail-modal")
-    if (modalController) {
-      modalController.showRun(runData)
-    } else {
-      logger.error("Run detail modal controller not found")
-    }
+    if (!modalController) logger.error("Run detail modal controller not found")
+    return modalController
   }
 }
@@ -1,12 +1,13 @@
 import { Controller } from "@hotwired/stimulus"
 import { isSettingInput } from "../ui/settings_form/inputs"
 import { saveNow, scheduleChange } from "../ui/settings_form/autosave"
+import { setupCrossTabSync, teardownCrossTabSync } from "../ui/settings_form/cross_tab"
 
 /**
  * Settings form controller for auto-save with JSON PATCH (nested merge patch).
  *
  * Collects setting values from data attributes and sends PATCH requests
- * with debouncing.
+ * with debouncing. Saves are mirrored into the same form in other tabs.
  *
  * @example HTML structure
  *   <div data-controller="settings-form"
@@ -39,6 +40,8 @@ export default class extends Controller {
     this.boundHandleChange = this.handleChange.bind(this)
     this.element.addEventListener("input", this.boundHandleInput)
     this.element.addEventListener("change", this.boundHandleChange)
+
+    setupCrossTabSync(this)
   }
 
   disconnect() {
@@ -54,6 +57,8 @@ export default class extends Controller {
     if (this.saveTimeout) {
       clearTimeout(this.saveTimeout)
     }
+
+    teardownCrossTabSync(this)
   }
 
   /**
@@ -0,0 +1,145 @@
+import { Controller } from "@hotwired/stimulus"
+import { el, lucide } from "../ui/dom"
+import { diffStats, diffWords, renderDiff } from "../ui/text_diff"
+
+/**
+ * Swipe Overview Controller
+ *
+ * Drawer listing every swipe of the tail assistant message side by side
+ * (rendered server-side into the `swipe_overview` turbo frame). From it the
+ * user can jump to a swipe, delete swipes, and tick two swipes to see a
+ * word-level diff.
+ *
+ * Opened by message-actions#openSwipeOverview via `showMessage(messageId)`.
+ */
+export default class extends Controller {
+  static targets = ["frame", "diff", "card"]
+  static values = {
+    messagesUrl: String
+  }
+
+  connect() {
+    this.comparePositions = []
+    this.syncFrameId = null
+  }
+
+  disconnect() {
+    if (this.syncFrameId) cancelAnimationFrame(this.syncFrameId)
+  }
+
+  // Cards are re-rendered when the frame loads or a swipe is deleted. Positions
+  // shift after a delete, so the comparison is reset rather than carried over.
+  cardTargetConnected() {
+    this.scheduleResetCompare()
+  }
+
+  cardTargetDisconnected() {
+    this.scheduleResetCompare()
+  }
+
+  showMessage(messageId) {
+    if (!messageId || !this.hasFrameTarget) return
+
+    this.comparePositions = []
+    this.renderDiffPanel()
+
+    const url = new URL(`${this.messagesUrlValue}/${messageId}/swipe_versions`, window.location.href).href
+    const currentSrc = this.frameTarget.getAttribute("src")
+    if (currentSrc && new URL(currentSrc, window.location.href).href === url) {
+      this.frameTarget.reload()
+    } else {
+      this.frameTarget.src = url
+    }
+
+    this.element.showModal()
+  }
+
+  /**
+   * A "Use this" form finished: close the drawer once the swipe is selected.
+   */
+  selected(event) {
+    if (event.detail?.success) this.element.close()
+  }
+
+  closed() {
+    this.comparePositions = []
+    this.renderDiffPanel()
+  }
+
+  toggleCompare(event) {
+    const position = event.target.value
+
+    this.comparePositions = this.comparePositions.filter((each) => each !== position)
+    if (event.target.checked) {
+      this.comparePositions.push(position)
+      // Keep the two most recent choices.
+      this.comparePositions = this.comparePositions.slice(-2)
+    }
+
+    this.syncCompare()
+  }
+
+  scheduleResetCompare() {
+    if (this.syncFrameId) return
+
+    this.syncFrameId = requestAnimationFrame(() => {
+      this.syncFrameId = null
+      this.clearCompare()
+    })
+  }
+
+  /**
+   * Re-apply the compare selection to the current cards.
+   */
+  syncCompare() {
+    const available = new Set(this.cardTargets.map((card) => card.dataset.swipePosition))
+    this.comparePositions = this.comparePositions.filter((position) => available.has(position))
+
+    this.element.querySelectorAll("input[data-action~='change->swipe-overview#toggleCompare']").forEach((input) => {
+      input.checked = this.comparePositions.includes(input.value)
+    })
+
+    this.renderDiffPanel()
+  }
+
+  renderDiffPanel() {
+    if (!this.hasDiffTarget) return
+
+    if (this.comparePositions.length !== 2) {
+      this.diffTarget.replaceChildren()
+      this.diffTarget.classList.add("hidden")
+      return
+    }
+
+    const [from, to] = [...this.comparePositions].sort((a, b) => Number(a) - Number(b))
+    const parts = diffWords(this.swipeContent(from), this.swipeContent(to))
+    const { inserted, deleted } = diffStats(parts)
+
+    const header = el("div", { className: "flex items-center gap-2 text-sm font-medium mb-2" }, [
+      lucide("git-compare"),
+      el("span", { text: `#${Number(from) + 1} → #${Number(to) + 1}` }),
+      el("span", { className: "badge badge-sm badge-success badge-soft", text: `+${inserted}` }),
+      el("span", { className: "badge badge-sm badge-error badge-soft", text: `-${deleted}` }),
+      el("button", {
+        className: "btn btn-ghost btn-xs ml-auto",
+        text: "Clear",
+        attrs: { type: "button", "data-action": "swipe-overview#clearCompare" }
+      })
+    ])
+
+    const body = renderDiff(parts, { className: "max-h-64 overflow-y-auto rounded-box bg-base-200 p-3" })
+
+    this.diffTarget.replaceChildren(header, body)
+    this.diffTarget.classList.remove("hidden")
+  }
+
+  clearCompare() {
+    this.comparePositions = []
+    this.syncCompare()
+  }
+
+  swipeContent(position) {
+    const card = this.cardTargets.find((each) => each.dataset.swipePosition === position)
+    return card?.querySelector("template[data-swipe-overview-content]")?.content.textContent || ""
+  }
+}
@@ -1,4 +1,7 @@
+import { TAB_ID, compareTabs, livePeers, selfPresence, setTabState } from "./tab_coordination"
+
 const cableConnectedByConversationId = new Map()
+const openConversationIds = new Set()
 
 function normalizeConversationId(conversationId) {
   const id = Number(conversationId)
@@ -15,10 +18,93 @@ export function setCableConnected(conversationId, connected) {
   const id = normalizeConversationId(conversationId)
   if (!id) return
   cableConnectedByConversationId.set(id, connected === true)
+  shareConversationState()
 }
 
 export function clearCableConnected(conversationId) {
   const id = normalizeConversationId(conversationId)
   if (!id) return
   cableConnectedByConversationId.delete(id)
+  shareConversationState()
+}
+
+// ============================================================================
+// Cross-tab
+// ============================================================================
+//
+// Tabs share which conversations they have open and whether their cable is
+// connected (see tab_coordination.js). From that every tab derives the same
+// answers to "who runs health checks" and "who shows the shared toast".
+
+/**
+ * Mark a conversation as open in this tab (conversation channel connected).
+ */
+export function joinConversation(conversationId) {
+  const id = normalizeConversationId(conversationId)
+  if (!id) return
+  openConversationIds.add(id)
+  shareConversationState()
+}
+
+export function leaveConversation(conversationId) {
+  const id = normalizeConversationId(conversationId)
+  if (!id) return
+  openConversationIds.delete(id)
+  cableConnectedByConversationId.delete(id)
+  shareConversationState()
+}
+
+/**
+ * Tabs (this one included) that have the conversation open.
+ *
+ * @returns {Array<{ tabId: string, startedAt: number, visible: boolean, connected: boolean|null }>}
+ */
+export function conversationTabs(conversationId) {
+  const id = normalizeConversationId(conversationId)
+  if (!id) return []
+
+  return [selfPresence(), ...livePeers()]
+    .filter((tab) => tab.state?.conversations && Object.hasOwn(tab.state.conversations, id))
+    .map((tab) => ({
+      tabId: tab.tabId,
+      startedAt: tab.startedAt,
+      visible: tab.visible,
+      connected: tab.state.conversations[id]
+    }))
+}
+
+/**
+ * Whether this tab should run the periodic health check for the conversation:
+ * the longest-open tab among those with a connected cable (or among all tabs
+ * if none is connected).
+ */
+export function isConversationLeader(conversationId) {
+  const tabs = conversationTabs(conversationId)
+  return isElected(tabs, tabs.filter((tab) => tab.connected === true))
+}
+
+/**
+ * Whether this tab should show a toast that every tab of the conversation
+ * would otherwise show ("Reconnected.", run failures): a visible tab if any.
+ */
+export function isConversationToastOwner(conversationId) {
+  const tabs = conversationTabs(conversationId)
+  return isElected(tabs, tabs.filter((tab) => tab.visible))
+}
+
+function isElected(tabs, preferred) {
+  // Not tracked (e.g. not joined yet): act alone.
+  if (!tabs.some((tab) => tab.tabId === TAB_ID)) return true
+
+  const candidates = preferred.length > 0 ? preferred : tabs
+  return [...candidates].sort(compareTabs)[0].tabId === TAB_ID
+}
+
+function shareConversationState() {
+  const conversations = {}
+  openConversationIds.forEach((id) => {
+    conversations[id] = cableConnectedByConversationId.get(id) ?? null
+  })
+
+  setTabState("conversations", conversations)
 }
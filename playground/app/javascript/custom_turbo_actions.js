@@ -47,6 +47,8 @@ Turbo.StreamActions.hide_typing_indicator = function () {
     if (content) content.textContent = ""
   }
 
+  document.querySelectorAll("[data-typing-indicator-secondary]").forEach((indicator) => indicator.remove())
+
   const stuckWarning = document.getElementById("stuck_warning")
   if (stuckWarning) {
     stuckWarning.classList.add("hidden")
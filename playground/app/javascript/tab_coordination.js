@@ -0,0 +1,179 @@
+import logger from "./logger"
+
+/**
+ * Cross-tab messaging over BroadcastChannel.
+ *
+ * Every tab announces its presence (start time, visibility and a small state
+ * object set via `setTabState`) on a heartbeat, so each tab knows which other
+ * tabs are alive and can make the same deterministic choice (e.g. which tab
+ * runs health checks, see conversation_state.js) without a round trip.
+ *
+ * Without BroadcastChannel support every tab behaves as if it were alone.
+ */
+
+const CHANNEL_NAME = "playground:tabs"
+const HEARTBEAT_INTERVAL_MS = 2000
+const PEER_TIMEOUT_MS = 5000
+
+const startedAt = Date.now()
+export const TAB_ID = `${startedAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+const handlers = new Map()
+const peers = new Map()
+let localState = {}
+let channel
+
+function ensureChannel() {
+  if (channel !== undefined) return channel
+
+  if (typeof BroadcastChannel === "undefined") {
+    channel = null
+    return channel
+  }
+
+  try {
+    channel = new BroadcastChannel(CHANNEL_NAME)
+  } catch (error) {
+    logger.warn("[tabs] BroadcastChannel unavailable:", error)
+    channel = null
+    return channel
+  }
+
+  channel.addEventListener("message", (event) => receive(event.data))
+  document.addEventListener("visibilitychange", announce)
+  window.addEventListener("pagehide", () => post("tab:bye"))
+  setInterval(() => {
+    prunePeers()
+    announce()
+  }, HEARTBEAT_INTERVAL_MS)
+
+  // Ask existing tabs to announce themselves right away instead of on their next heartbeat.
+  post("tab:hello", selfPresence())
+  return channel
+}
+
+function post(type, payload = {}) {
+  if (!channel) return
+
+  try {
+    channel.postMessage({ type, from: TAB_ID, payload })
+  } catch (error) {
+    logger.warn("[tabs] Failed to post message:", error)
+  }
+}
+
+function announce() {
+  post("tab:presence", selfPresence())
+}
+
+function receive(message) {
+  if (!message || typeof message.type !== "string" || message.from === TAB_ID) return
+
+  switch (message.type) {
+    case "tab:hello":
+      recordPeer(message.payload)
+      announce()
+      return
+    case "tab:presence":
+      recordPeer(message.payload)
+      return
+    case "tab:bye":
+      peers.delete(message.from)
+      notify("tab:peers-changed", {})
+      return
+  }
+
+  notify(message.type, message.payload)
+}
+
+function notify(type, payload) {
+  const callbacks = handlers.get(type)
+  if (!callbacks) return
+
+  callbacks.forEach((callback) => {
+    try {
+      callback(payload || {})
+    } catch (error) {
+      logger.error(`[tabs] Handler for ${type} failed:`, error)
+    }
+  })
+}
+
+function recordPeer(presence) {
+  if (!presence?.tabId || presence.tabId === TAB_ID) return
+
+  peers.set(presence.tabId, { ...presence, lastSeenAt: Date.now() })
+  notify("tab:peers-changed", {})
+}
+
+function prunePeers() {
+  const cutoff = Date.now() - PEER_TIMEOUT_MS
+  let changed = false
+
+  peers.forEach((peer, tabId) => {
+    if (peer.lastSeenAt < cutoff) {
+      peers.delete(tabId)
+      changed = true
+    }
+  })
+
+  if (changed) notify("tab:peers-changed", {})
+}
+
+/**
+ * @returns {{ tabId: string, startedAt: number, visible: boolean, state: Object }}
+ */
+export function selfPresence() {
+  return {
+    tabId: TAB_ID,
+    startedAt,
+    visible: typeof document === "undefined" ? true : !document.hidden,
+    state: localState
+  }
+}
+
+/**
+ * Other live tabs, in the same shape as `selfPresence()`.
+ */
+export function livePeers() {
+  ensureChannel()
+  prunePeers()
+  return Array.from(peers.values())
+}
+
+/**
+ * Share a piece of this tab's state with the other tabs (sent with every heartbeat).
+ */
+export function setTabState(key, value) {
+  localState = { ...localState, [key]: value }
+  if (ensureChannel()) announce()
+}
+
+/**
+ * Send a message to all other tabs. The sending tab doesn't receive it.
+ */
+export function publish(type, payload = {}) {
+  if (ensureChannel()) post(type, payload)
+}
+
+/**
+ * @param {string} type - Message type passed to `publish` ("tab:peers-changed" for presence changes)
+ * @param {Function} callback - Called with the payload
+ * @returns {Function} unsubscribe
+ */
+export function subscribe(type, callback) {
+  ensureChannel()
+
+  if (!handlers.has(type)) handlers.set(type, new Set())
+  handlers.get(type).add(callback)
+
+  return () => handlers.get(type)?.delete(callback)
+}
+
+/**
+ * Stable ordering used for elections: the longest-running tab first.
+ */
+export function compareTabs(a, b) {
+  if (a.startedAt !== b.startedAt) return a.startedAt - b.startedAt
+  return a.tabId < b.tabId ? -1 : (a.tabId > b.tabId ? 1 : 0)
+}
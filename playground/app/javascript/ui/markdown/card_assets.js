@@ -0,0 +1,72 @@
+/**
+ * Character card assets referenced from messages.
+ *
+ * CharX cards bundle their images and point at them with card-relative URIs,
+ * typically in greetings:
+ *
+ * - `embeded://assets/other/image/map.png` (sic, the spec's spelling)
+ * - `ccdefault:` for the card's default icon
+ *
+ * The markdown image renderer (marked.js) resolves these to the playground's
+ * asset route for the character that sent the message
+ * (Playgrounds::MembershipAssetsController). The route template comes from the
+ * `[data-markdown-card-assets]` element (conversations/_markdown_settings.html.erb)
+ * and is only present in playgrounds.
+ */
+
+const EMBEDDED_PREFIX = "embeded://"
+const DEFAULT_ASSET = "ccdefault:"
+
+/**
+ * Asset route for a participant's card, or null when there is none.
+ *
+ * @param {string|number|null} participantId - SpaceMembership id
+ * @returns {string|null} route with a `__uri__` placeholder
+ */
+export function cardAssetRoute(participantId) {
+  if (participantId == null || participantId === "") return null
+
+  const template = document.querySelector("[data-markdown-card-assets]")?.dataset.markdownCardAssets
+  if (!template) return null
+
+  return template.replace("__membership__", encodeURIComponent(String(participantId)))
+}
+
+/**
+ * Asset route for the message an element belongs to.
+ *
+ * @param {Element} element - A descendant of a message row
+ * @returns {string|null}
+ */
+export function cardAssetRouteFor(element) {
+  return cardAssetRoute(element?.closest(".mes[data-message-participant-id]")?.dataset.messageParticipantId)
+}
+
+/**
+ * Resolve a card-relative asset URI.
+ *
+ * @param {string} href
+ * @param {string|null} route - from cardAssetRoute
+ * @returns {string|null} same-origin path, or null when `href` isn't a card asset
+ */
+export function resolveCardAssetUrl(href, route) {
+  if (!route || !href) return null
+
+  const uri = String(href).trim()
+  if (uri === DEFAULT_ASSET) return route.replace("__uri__", "ccdefault")
+  if (!uri.startsWith(EMBEDDED_PREFIX)) return null
+
+  const segments = uri.slice(EMBEDDED_PREFIX.length).split("/")
+  if (segments.some((segment) => !segment || segment === "." || segment === "..")) return null
+
+  return route.replace("__uri__", segments.map((segment) => encodeURIComponent(decodeSegment(segment))).join("/"))
+}
+
+// marked percent-encodes hrefs; don't encode them twice.
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    return segment
+  }
+}
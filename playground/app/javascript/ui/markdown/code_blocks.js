@@ -0,0 +1,181 @@
+import hljs from "highlight.js/lib/core"
+import bash from "highlight.js/lib/languages/bash"
+import c from "highlight.js/lib/languages/c"
+import cpp from "highlight.js/lib/languages/cpp"
+import csharp from "highlight.js/lib/languages/csharp"
+import css from "highlight.js/lib/languages/css"
+import diff from "highlight.js/lib/languages/diff"
+import go from "highlight.js/lib/languages/go"
+import ini from "highlight.js/lib/languages/ini"
+import java from "highlight.js/lib/languages/java"
+import javascript from "highlight.js/lib/languages/javascript"
+import json from "highlight.js/lib/languages/json"
+import lua from "highlight.js/lib/languages/lua"
+import markdown from "highlight.js/lib/languages/markdown"
+import php from "highlight.js/lib/languages/php"
+import plaintext from "highlight.js/lib/languages/plaintext"
+import python from "highlight.js/lib/languages/python"
+import ruby from "highlight.js/lib/languages/ruby"
+import rust from "highlight.js/lib/languages/rust"
+import sql from "highlight.js/lib/languages/sql"
+import typescript from "highlight.js/lib/languages/typescript"
+import xml from "highlight.js/lib/languages/xml"
+import yaml from "highlight.js/lib/languages/yaml"
+import logger from "../../logger"
+import { copyTextToClipboard, escapeHtml } from "../../dom_helpers"
+import { showToast } from "../../request_helpers"
+import { isNearViewport, observeVisibility } from "./visibility"
+
+/**
+ * Fenced code blocks: header (language label, soft-wrap toggle, copy) and
+ * syntax highlighting.
+ *
+ * Markdown renders the block as escaped plain text (renderCodeBlock); the
+ * highlighting pass runs later, per block, once the block is near the viewport
+ * (highlightCodeBlocks), so long histories don't pay for offscreen code.
+ *
+ * highlight.js is bundled with a curated language set; unknown languages are
+ * labelled but left unhighlighted.
+ */
+
+const LANGUAGES = {
+  bash, c, cpp, csharp, css, diff, go, ini, java, javascript, json, lua, markdown,
+  php, plaintext, python, ruby, rust, sql, typescript, xml, yaml
+}
+
+// Larger blocks stay plain: highlighting them would stall the main thread.
+const MAX_HIGHLIGHT_LENGTH = 50_000
+
+const LANGUAGE_PATTERN = /^[\w+#.-]{1,32}$/
+
+let languagesRegistered = false
+let actionsBound = false
+
+function registerLanguagesOnce() {
+  if (languagesRegistered) return
+
+  for (const [name, language] of Object.entries(LANGUAGES)) {
+    hljs.registerLanguage(name, language)
+  }
+
+  languagesRegistered = true
+}
+
+/**
+ * marked renderer for fenced/indented code.
+ *
+ * @param {{ text: string, lang?: string }} token
+ * @param {string} [marker=""] - renderer marker attribute, required for the
+ *   sanitizer to keep the block's classes and controls when raw HTML is allowed
+ *   (see markRendererOutput in html.js)
+ * @returns {string} HTML
+ */
+export function renderCodeBlock({ text, lang }, marker = "") {
+  const language = normalizeLanguage(lang)
+  const label = language || "text"
+  const code = String(text ?? "").replace(/\n$/, "")
+
+  return `<div class="code-block" data-code-block${marker}>`
+    + `<div class="code-block-header"${marker}>`
+    + `<span class="code-block-lang"${marker}>${escapeHtml(label)}</span>`
+    + `<button type="button" class="btn btn-ghost btn-xs btn-square" data-code-block-action="wrap" title="Toggle soft wrap" aria-pressed="false"${marker}>`
+    + `<span class="icon-[lucide--wrap-text] size-3"${marker}></span></button>`
+    + `<button type="button" class="btn btn-ghost btn-xs btn-square" data-code-block-action="copy" title="Copy code"${marker}>`
+    + `<span class="icon-[lucide--copy] size-3"${marker}></span></button>`
+    + `</div>`
+    + `<pre><code${language ? ` data-code-lang="${escapeHtml(language)}"` : ""}${marker}>${escapeHtml(code)}</code></pre>`
+    + `</div>`
+}
+
+/**
+ * Highlight the code blocks under `root`, now if near the viewport, otherwise
+ * when they scroll close (ui/markdown/visibility.js).
+ *
+ * @param {HTMLElement} root
+ * @returns {() => void} stops watching blocks that haven't been highlighted yet
+ */
+export function highlightCodeBlocks(root) {
+  if (!root) return () => {}
+
+  const disconnects = []
+
+  root.querySelectorAll("code[data-code-lang]:not([data-highlighted])").forEach((code) => {
+    if (isNearViewport(code)) {
+      highlightCode(code)
+      return
+    }
+
+    const disconnect = observeVisibility(code, () => {
+      disconnect()
+      highlightCode(code)
+    })
+    disconnects.push(disconnect)
+  })
+
+  return () => disconnects.forEach((disconnect) => disconnect())
+}
+
+/**
+ * Delegated click handling for the copy and soft-wrap buttons. Blocks are
+ * plain HTML inside rendered markdown, so one document listener covers them all.
+ */
+export function bindCodeBlockActionsOnce() {
+  if (actionsBound) return
+
+  document.addEventListener("click", (event) => {
+    const button = event.target.closest?.("[data-code-block-action]")
+    if (!button) return
+
+    const block = button.closest("[data-code-block]")
+    if (!block) return
+
+    event.preventDefault()
+
+    if (button.dataset.codeBlockAction === "copy") {
+      copyCode(block)
+    } else if (button.dataset.codeBlockAction === "wrap") {
+      const wrapped = block.classList.toggle("code-block-wrap")
+      button.setAttribute("aria-pressed", String(wrapped))
+      button.classList.toggle("btn-active", wrapped)
+    }
+  })
+
+  actionsBound = true
+}
+
+function normalizeLanguage(lang) {
+  const name = String(lang || "").trim().split(/\s+/)[0].toLowerCase()
+  return LANGUAGE_PATTERN.test(name) ? name : ""
+}
+
+function highlightCode(code) {
+  if (!code.isConnected || code.dataset.highlighted) return
+
+  code.dataset.highlighted = "true"
+
+  registerLanguagesOnce()
+
+  const language = code.dataset.codeLang
+  const text = code.textContent
+  if (!hljs.getLanguage(language) || text.length > MAX_HIGHLIGHT_LENGTH) return
+
+  try {
+    code.innerHTML = hljs.highlight(text, { language, ignoreIllegals: true }).value
+    code.classList.add("hljs")
+  } catch (error) {
+    logger.warn("Code highlighting failed:", error)
+  }
+}
+
+async function copyCode(block) {
+  const text = block.querySelector("pre code")?.textContent || ""
+  if (!text) return
+
+  try {
+    const ok = await copyTextToClipboard(text)
+    showToast(ok ? "Code copied to clipboard" : "Failed to copy", ok ? "success" : "error")
+  } catch (error) {
+    logger.error("Failed to copy code:", error)
+    showToast("Failed to copy", "error")
+  }
+}
@@ -0,0 +1,204 @@
+import DOMPurify from "dompurify"
+
+/**
+ * Allowlisted raw HTML for rendered markdown.
+ *
+ * By default raw HTML in messages is escaped and shown as text. Spaces can opt
+ * into the allowlist mode (Space#html_rendering_mode), which lets the
+ * markdown renderer pass raw HTML through and then sanitizes the whole output:
+ *
+ * - Only the tags and attributes below survive; everything else is unwrapped
+ *   (its text is kept) or, for scripts/styles/embeds, dropped with its content.
+ * - `style` is reduced to ALLOWED_CSS_PROPERTIES, and values that could load
+ *   something (`url()`, `image-set()`, `@import`, ...) are removed. Margins
+ *   must be non-negative, so a message can't be pulled over its neighbours.
+ * - No event handlers, forms, embeds or external resources.
+ * - Markup the markdown renderer emits itself (images, code block headers and
+ *   their buttons) carries a per-page marker (markRendererOutput). Only marked
+ *   elements keep renderer tags, classes and attributes: a raw `<img>` or
+ *   `<button>` is removed, and raw HTML can't borrow `btn`/`code-block` classes
+ *   or `data-code-block*` attributes. Other raw HTML may only use the roleplay
+ *   classes.
+ *
+ * The allowlists are constants on purpose, not space settings: this file is
+ * the boundary between model-written text and the page, and a setting would
+ * let whoever edits a space widen it for everyone reading that space's chats.
+ * Extend them here, where the change is reviewed with the rest of the rules.
+ *
+ * The mode is read from the `[data-markdown-html]` element the conversation
+ * page renders (conversations/_markdown_settings.html.erb); when the space
+ * setting changes, HTML_RENDERING_EVENT is dispatched so markdown re-renders.
+ */
+
+export const HTML_RENDERING_EVENT = "markdown:html-rendering-change"
+
+const HTML_TAGS = [
+  "a", "abbr", "b", "big", "blockquote", "br", "caption", "center", "cite", "code", "col", "colgroup",
+  "dd", "del", "details", "div", "dl", "dt", "em", "font", "h1", "h2", "h3", "h4", "h5", "h6", "hr",
+  "i", "ins", "kbd", "li", "mark", "ol", "p", "pre", "q", "rp", "rt", "ruby", "s", "samp", "small",
+  "span", "strike", "strong", "sub", "summary", "sup", "table", "tbody", "td", "tfoot", "th", "thead",
+  "tr", "tt", "u", "ul", "var"
+]
+
+// Markup produced by the markdown renderer itself (images, task lists, code block controls).
+// `button` and `img` need the renderer marker; `input` is forced to a disabled checkbox.
+const RENDERER_TAGS = ["button", "img", "input"]
+
+const HTML_ATTRIBUTES = [
+  "align", "color", "colspan", "dir", "face", "href", "lang", "open", "rowspan", "size", "span",
+  "start", "style", "title", "valign"
+]
+
+const RENDERER_ATTRIBUTES = [
+  "alt", "aria-pressed", "checked", "class", "data-code-block", "data-code-block-action",
+  "data-code-lang", "data-emphasis", "decoding", "disabled", "loading", "referrerpolicy", "rel", "src",
+  "target", "type"
+]
+
+// Renderer attributes that code block actions bind to; kept on marked elements only.
+const MARKED_ONLY_ATTRIBUTES = ["aria-pressed", "data-code-block", "data-code-block-action", "data-code-lang"]
+
+const ALLOWED_CSS_PROPERTIES = [
+  "background-color", "border", "border-bottom", "border-collapse", "border-color", "border-left",
+  "border-radius", "border-right", "border-spacing", "border-style", "border-top", "border-width",
+  "color", "display", "font-family", "font-size", "font-style", "font-variant", "font-weight",
+  "letter-spacing", "line-height", "margin", "margin-bottom", "margin-left", "margin-right",
+  "margin-top", "opacity", "padding", "padding-bottom", "padding-left", "padding-right",
+  "padding-top", "text-align", "text-decoration", "text-indent", "text-shadow", "text-transform",
+  "vertical-align", "white-space", "word-break"
+]
+
+const ALLOWED_DISPLAY_VALUES = new Set(["block", "inline", "inline-block", "none", "table", "table-cell", "table-row", "list-item"])
+const UNSAFE_CSS_VALUE = /url\s*\(|image-set|image\s*\(|expression\s*\(|@import|\\/i
+// A plain non-negative length; `calc()`/`var()` could still resolve below zero.
+const SAFE_MARGIN_VALUE = /^(?:auto|\d*\.?\d+[a-z%]*)$/i
+
+// Classes emitted by the markdown renderer (code_blocks.js, marked.js images); marked elements only.
+const RENDERER_CLASS = /^(?:code-block(?:-[\w-]+)?|btn(?:-[\w-]+)?|size-3|icon-\[lucide--[\w-]+\]|md-image)$/
+// Roleplay classes (roleplay.js) only style text, so raw HTML may use them.
+const ALLOWED_CLASS = /^rp-[\w-]+$/
+
+const URI_PATTERN = /^(?:(?:https?|mailto|tel):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i
+
+// Per page load: raw HTML can't know it, so it can't pass itself off as renderer output.
+const RENDERER_MARKER = `md-${Math.random().toString(36).slice(2)}`
+
+let purifier = null
+
+/**
+ * Whether the current page's space renders allowlisted HTML.
+ *
+ * @returns {boolean}
+ */
+export function htmlRenderingAllowed() {
+  return document.querySelector("[data-markdown-html]")?.dataset.markdownHtml === "allowlist"
+}
+
+/**
+ * Attribute the markdown renderer adds to the elements it emits (images, code
+ * blocks) so the sanitizer keeps their renderer tags, classes and attributes.
+ *
+ * @returns {string} HTML attribute
+ */
+export function markRendererOutput() {
+  return ` data-md-renderer="${RENDERER_MARKER}"`
+}
+
+/**
+ * Sanitize rendered markdown that may contain raw HTML.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function sanitizeHtml(html) {
+  return getPurifier().sanitize(html, {
+    ALLOWED_TAGS: [...HTML_TAGS, ...RENDERER_TAGS],
+    ALLOWED_ATTR: [...HTML_ATTRIBUTES, ...RENDERER_ATTRIBUTES, "data-md-renderer"],
+    ALLOWED_URI_REGEXP: URI_PATTERN,
+    ALLOW_DATA_ATTR: false,
+    ALLOW_ARIA_ATTR: false
+  })
+}
+
+function getPurifier() {
+  if (purifier) return purifier
+
+  purifier = DOMPurify(window)
+  purifier.addHook("afterSanitizeAttributes", (node) => {
+    const fromRenderer = node.getAttribute("data-md-renderer") === RENDERER_MARKER
+    node.removeAttribute("data-md-renderer")
+
+    if (node.hasAttribute("style")) sanitizeStyle(node)
+    if (node.hasAttribute("class")) sanitizeClass(node, fromRenderer)
+    if (!fromRenderer) MARKED_ONLY_ATTRIBUTES.forEach((name) => node.removeAttribute(name))
+
+    switch (node.nodeName) {
+      case "IMG":
+        if (!fromRenderer) {
+          node.remove()
+          return
+        }
+        break
+      case "INPUT":
+        // Only GFM task list checkboxes.
+        node.setAttribute("type", "checkbox")
+        node.setAttribute("disabled", "")
+        break
+      case "BUTTON":
+        if (!fromRenderer) {
+          node.remove()
+          return
+        }
+        node.setAttribute("type", "button")
+        break
+      case "A":
+        if (node.hasAttribute("target")) {
+          node.setAttribute("target", "_blank")
+          node.setAttribute("rel", "nofollow noreferrer noopener")
+        }
+        break
+    }
+  })
+
+  return purifier
+}
+
+function sanitizeStyle(node) {
+  const declarations = []
+
+  for (const property of Array.from(node.style)) {
+    if (!isAllowedCssProperty(property)) continue
+
+    const value = node.style.getPropertyValue(property)
+    if (!value || UNSAFE_CSS_VALUE.test(value)) continue
+    if (property === "display" && !ALLOWED_DISPLAY_VALUES.has(value)) continue
+    if (property.startsWith("margin") && !SAFE_MARGIN_VALUE.test(value.trim())) continue
+
+    const priority = node.style.getPropertyPriority(property)
+    declarations.push(`${property}: ${value}${priority ? ` !${priority}` : ""}`)
+  }
+
+  if (declarations.length) {
+    node.setAttribute("style", declarations.join("; "))
+  } else {
+    node.removeAttribute("style")
+  }
+}
+
+// Shorthands expand to longhands (`border` -> `border-top-width`, ...), which
+// are allowed through their shorthand; `border-image-*` never is.
+function isAllowedCssProperty(property) {
+  if (property.includes("image")) return false
+
+  return ALLOWED_CSS_PROPERTIES.some((allowed) => property === allowed || property.startsWith(`${allowed}-`))
+}
+
+function sanitizeClass(node, fromRenderer) {
+  const classes = Array.from(node.classList).filter((name) => ALLOWED_CLASS.test(name) || (fromRenderer && RENDERER_CLASS.test(name)))
+
+  if (classes.length) {
+    node.setAttribute("class", classes.join(" "))
+  } else {
+    node.removeAttribute("class")
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Lightbox for images in rendered messages.
+ *
+ * The markdown image renderer (marked.js) marks its images with `md-image`;
+ * clicking one opens it full size in the `#image_lightbox` dialog
+ * (shared/_js_templates.html.erb). The backdrop and Escape close it.
+ */
+
+export const MARKDOWN_IMAGE_CLASS = "md-image"
+
+let lightboxBound = false
+
+export function bindImageLightboxOnce() {
+  if (lightboxBound) return
+
+  document.addEventListener("click", (event) => {
+    const image = event.target.closest?.(`img.${MARKDOWN_IMAGE_CLASS}`)
+    if (!image || image.closest("a")) return
+
+    const dialog = document.getElementById("image_lightbox")
+    if (!dialog?.showModal) return
+
+    event.preventDefault()
+    openLightbox(dialog, image)
+  })
+
+  lightboxBound = true
+}
+
+function openLightbox(dialog, image) {
+  const preview = dialog.querySelector("[data-image-lightbox-image]")
+  const caption = dialog.querySelector("[data-image-lightbox-caption]")
+
+  if (preview) {
+    preview.src = image.currentSrc || image.src
+    preview.alt = image.alt
+  }
+  if (caption) caption.textContent = image.title || image.alt || ""
+
+  dialog.showModal()
+}
@@ -1,6 +1,10 @@
 import { marked } from "marked"
 import logger from "../../logger"
 import { escapeHtml } from "../../dom_helpers"
+import { resolveCardAssetUrl } from "./card_assets"
+import { bindCodeBlockActionsOnce, renderCodeBlock } from "./code_blocks"
+import { markRendererOutput, sanitizeHtml } from "./html"
+import { MARKDOWN_IMAGE_CLASS, bindImageLightboxOnce } from "./image_lightbox"
 
 const SAFE_LINK_PROTOCOLS = new Set(["http:", "https:", "mailto:", "tel:"])
 const SAFE_IMAGE_PROTOCOLS = new Set(["http:", "https:"])
@@ -24,34 +28,59 @@ export function configureMarkedOnce() {
 
   const renderer = new marked.Renderer()
 
-  // Disallow raw HTML from user content (XSS mitigation).
-  renderer.html = (html) => escapeHtml(html)
+  // Raw HTML is escaped unless the space allows the sanitized subset
+  // (parseMarkdown's `allowHtml`; the whole output is then run through html.js).
+  renderer.html = function ({ text }) {
+    return this.options.allowHtml ? text : escapeHtml(text)
+  }
 
   // Sanitize links to block javascript:/data: etc.
-  renderer.link = (href, title, text) => {
+  renderer.link = function ({ href, title, tokens }) {
+    const text = this.parser.parseInline(tokens)
     const url = sanitizeUrl(href, SAFE_LINK_PROTOCOLS)
-    const safeText = escapeHtml(text)
-    if (!url) return safeText
+    if (!url) return text
 
     const isExternal = url.origin !== window.location.origin
     const safeHref = escapeHtml(url.toString())
     const safeTitle = title ? ` title="${escapeHtml(title)}"` : ""
     const externalAttrs = isExternal ? ` target="_blank" rel="nofollow noreferrer noopener"` : ""
 
-    return `<a href="${safeHref}"${safeTitle}${externalAttrs}>${safeText}</a>`
+    return `<a href="${safeHref}"${safeTitle}${externalAttrs}>${text}</a>`
   }
 
-  // Allow only http(s) images (blocks data: and other schemes).
-  renderer.image = (href, title, text) => {
-    const url = sanitizeUrl(href, SAFE_IMAGE_PROTOCOLS)
+  // Allow only http(s) images (blocks data: and other schemes), plus card assets
+  // (`embeded://`, `ccdefault:`) resolved to the message character's asset route
+  // (parseMarkdown's `cardAssets`, see card_assets.js). With raw HTML allowed,
+  // the marker tells the sanitizer this image came from markdown. Clicking one
+  // opens the lightbox (image_lightbox.js).
+  renderer.image = function ({ href, title, text }) {
+    const cardAsset = resolveCardAssetUrl(href, this.options.cardAssets)
+    const url = cardAsset ? new URL(cardAsset, window.location.href) : sanitizeUrl(href, SAFE_IMAGE_PROTOCOLS)
     if (!url) return ""
 
     const safeSrc = escapeHtml(url.toString())
     const safeAlt = escapeHtml(text)
     const safeTitle = title ? ` title="${escapeHtml(title)}"` : ""
+    const marker = this.options.allowHtml ? markRendererOutput() : ""
+
+    return `<img src="${safeSrc}" alt="${safeAlt}" class="${MARKDOWN_IMAGE_CLASS}" loading="lazy" decoding="async" referrerpolicy="no-referrer"${safeTitle}${marker} />`
+  }
+
+  // Asterisk emphasis is how roleplay writes actions; mark it for the optional
+  // roleplay formatting layer (see roleplay.js).
+  renderer.em = function ({ tokens, raw }) {
+    const marker = raw?.startsWith("*") ? ` data-emphasis="asterisk"` : ""
+    return `<em${marker}>${this.parser.parseInline(tokens)}</em>`
+  }
 
-    return `<img src="${safeSrc}" alt="${safeAlt}" loading="lazy" referrerpolicy="no-referrer"${safeTitle} />`
+  // Code blocks get a header (language, wrap, copy); highlighting is applied
+  // lazily after render (see highlightCodeBlocks). Like images, the block is
+  // marked so the sanitizer keeps its controls.
+  renderer.code = function (token) {
+    return renderCodeBlock(token, this.options.allowHtml ? markRendererOutput() : "")
   }
+  bindCodeBlockActionsOnce()
+  bindImageLightboxOnce()
 
   marked.setOptions({
     gfm: true,        // GitHub Flavored Markdown
@@ -65,9 +94,17 @@ export function configureMarkedOnce() {
   markedConfigured = true
 }
 
-export function parseMarkdown(text) {
+/**
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.allowHtml=false] - Render allowlisted raw HTML instead of escaping it
+ * @param {string|null} [options.cardAssets=null] - Asset route for card-relative image URIs (card_assets.js)
+ * @returns {string} HTML
+ */
+export function parseMarkdown(text, { allowHtml = false, cardAssets = null } = {}) {
   try {
-    return marked.parse(text)
+    const html = marked.parse(text, { allowHtml, cardAssets })
+    return allowHtml ? sanitizeHtml(html) : html
   } catch (error) {
     logger.error("Markdown parsing error:", error)
     return escapeHtml(text)
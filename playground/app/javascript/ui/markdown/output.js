@@ -1,7 +1,12 @@
+/**
+ * Write rendered markdown where the controller shows it.
+ *
+ * @returns {HTMLElement} the element that received the HTML
+ */
 export function setOutput(controller, html) {
   if (controller.hasOutputTarget) {
     controller.outputTarget.innerHTML = html
-    return
+    return controller.outputTarget
   }
 
   if (controller.hasContentTarget) {
@@ -13,8 +18,9 @@ export function setOutput(controller, html) {
     }
     output.innerHTML = html
     controller.contentTarget.classList.add("hidden")
-    return
+    return output
   }
 
   controller.element.innerHTML = html
+  return controller.element
 }
@@ -0,0 +1,123 @@
+/**
+ * Reasoning blocks in assistant replies.
+ *
+ * Reasoning models open their reply with a block such as `<think>…</think>`.
+ * The delimiters are a space setting (Space#reasoning_prefix/suffix), read from
+ * the `[data-markdown-reasoning-prefix]` element
+ * (conversations/_markdown_settings.html.erb); when they change,
+ * REASONING_EVENT is dispatched so markdown re-renders.
+ *
+ * Only a block at the very start of the reply counts, the same block
+ * PromptBuilding::ReasoningStripper removes from prompt history. It's shown as
+ * a collapsed, dimmed `<details>` section above the reply:
+ *
+ * - "Thinking…" while it's still streaming,
+ * - "Thought for Ns" once closed, with the duration measured by the server
+ *   (Conversations::ReasoningTimer) or, in the streaming preview, the client,
+ * - "Thought" when the duration isn't known (non-streamed replies).
+ */
+
+export const REASONING_EVENT = "markdown:reasoning-change"
+
+const DEFAULT_DELIMITERS = { prefix: "<think>", suffix: "</think>" }
+
+/**
+ * Delimiters configured for the current page.
+ *
+ * @returns {{ prefix: string, suffix: string }}
+ */
+export function reasoningDelimiters() {
+  const dataset = document.querySelector("[data-markdown-reasoning-prefix]")?.dataset
+  if (!dataset) return DEFAULT_DELIMITERS
+
+  return { prefix: dataset.markdownReasoningPrefix || "", suffix: dataset.markdownReasoningSuffix || "" }
+}
+
+/**
+ * Split a reply into its leading reasoning block and the rest.
+ *
+ * While streaming, a reply that so far is only the start of the prefix is held
+ * back, and a suffix that is only partly streamed is left out of the reasoning,
+ * so neither flashes as text.
+ *
+ * @param {string} text
+ * @param {{ prefix: string, suffix: string }} delimiters
+ * @param {{ streaming?: boolean }} options
+ * @returns {{ reasoning: string|null, content: string, closed: boolean }}
+ *   `reasoning` is null when the reply has no reasoning block
+ */
+export function splitReasoning(text, { prefix, suffix }, { streaming = false } = {}) {
+  const none = { reasoning: null, content: text, closed: false }
+  if (!prefix || !suffix || !text) return none
+
+  const body = text.trimStart()
+  if (!body.startsWith(prefix)) {
+    if (streaming && prefix.startsWith(body)) return { reasoning: null, content: "", closed: false }
+    return none
+  }
+
+  const start = text.length - body.length + prefix.length
+  const end = text.indexOf(suffix, start)
+  if (end === -1) {
+    const reasoning = text.slice(start)
+    return { reasoning: streaming ? withoutPartialSuffix(reasoning, suffix) : reasoning, content: "", closed: false }
+  }
+
+  return { reasoning: text.slice(start, end), content: text.slice(end + suffix.length).trimStart(), closed: true }
+}
+
+/**
+ * Summary label for a reasoning block.
+ *
+ * @param {{ streaming?: boolean, durationMs?: number|null }} options
+ * @returns {string}
+ */
+export function reasoningLabel({ streaming = false, durationMs = null } = {}) {
+  if (streaming) return "Thinking…"
+  if (!durationMs) return "Thought"
+
+  return `Thought for ${Math.max(1, Math.round(durationMs / 1000))}s`
+}
+
+/**
+ * Build a collapsed reasoning section.
+ *
+ * @param {{ label: string, open?: boolean }} options
+ * @returns {HTMLDetailsElement} with an empty `[data-reasoning-body]`
+ */
+export function createReasoningBlock({ label, open = false }) {
+  const details = document.createElement("details")
+  details.className = "mes-reasoning"
+  details.open = open
+  details.innerHTML = `<summary class="mes-reasoning-summary">`
+    + `<span class="mes-reasoning-chevron icon-[lucide--chevron-right] size-3 transition-transform"></span>`
+    + `<span class="icon-[lucide--brain] size-3.5"></span>`
+    + `<span data-reasoning-label></span></summary>`
+    + `<div class="mes-reasoning-body" data-reasoning-body></div>`
+  setReasoningLabel(details, label)
+  return details
+}
+
+/**
+ * @param {HTMLDetailsElement} block
+ * @param {string} label
+ */
+export function setReasoningLabel(block, label) {
+  const element = block.querySelector("[data-reasoning-label]")
+  if (element && element.textContent !== label) element.textContent = label
+}
+
+/**
+ * @param {HTMLDetailsElement} block
+ * @returns {HTMLElement}
+ */
+export function reasoningBody(block) {
+  return block.querySelector("[data-reasoning-body]")
+}
+
+function withoutPartialSuffix(text, suffix) {
+  for (let length = Math.min(suffix.length - 1, text.length); length > 0; length--) {
+    if (text.endsWith(suffix.slice(0, length))) return text.slice(0, -length)
+  }
+  return text
+}
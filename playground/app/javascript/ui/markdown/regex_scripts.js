@@ -0,0 +1,317 @@
+import logger from "../../logger"
+
+/**
+ * Display-time regex scripts (RegexScript on the server).
+ *
+ * Scripts rewrite a message's raw text before markdown is parsed, e.g. to hide
+ * a status block the card makes the model print. The same semantics run on
+ * the server for scripts that also affect the prompt
+ * (PromptBuilding::RegexScriptApplier) and in the form's test pane
+ * (regex_script_form_controller.js):
+ *
+ * - `find_regex` is `/pattern/flags` or a plain pattern, both in JS syntax
+ *   (the server converts them); only `g` replaces every match.
+ * - `replace_string` supports `{{match}}`, `$&`, `$0` (the match minus
+ *   `trim_strings`), `$1`..`$99`, `$<name>` and `$$`.
+ * - A script runs for user and/or AI messages, optionally only between
+ *   `min_depth` and `max_depth` (0 = latest message; excluded messages are
+ *   not counted, see RegexScript). When a message's depth is unknown (a
+ *   deep-link window that doesn't reach the tail), only scripts without depth
+ *   limits run.
+ *
+ * The scripts for the current page come from the `[data-markdown-regex-scripts]`
+ * element (conversations/_markdown_settings.html.erb).
+ *
+ * Matching runs on the main thread and can't be interrupted, unlike on the
+ * server (RegexScript::MATCH_TIMEOUT). Patterns that nest an unbounded
+ * repetition (`(a+)+`) are never run, and a pattern that once takes longer
+ * than SLOW_SCRIPT_MS is dropped for the rest of the page's life.
+ */
+
+const LITERAL_PATTERN = /^\/([\s\S]*)\/([a-z]*)$/
+const REPLACEMENT_TOKEN = /\{\{match\}\}|\$(?:(\$)|(&)|(\d{1,2})|<([^>]*)>)/gi
+const SLOW_SCRIPT_MS = 50
+
+const COMPILED = new Map()
+const LIST_OBSERVERS = new WeakMap()
+
+let cachedSource = null
+let cachedScripts = []
+
+/**
+ * Scripts configured for the current page.
+ *
+ * @returns {Array<Object>}
+ */
+export function loadedRegexScripts() {
+  const source = document.querySelector("[data-markdown-regex-scripts]")?.dataset.markdownRegexScripts || "[]"
+  if (source === cachedSource) return cachedScripts
+
+  cachedSource = source
+  try {
+    const parsed = JSON.parse(source)
+    cachedScripts = Array.isArray(parsed) ? parsed : []
+  } catch (error) {
+    logger.warn("[regex-scripts] Invalid script payload:", error)
+    cachedScripts = []
+  }
+  return cachedScripts
+}
+
+/**
+ * Compile a find pattern.
+ *
+ * @param {string} source - `/pattern/flags` or a plain pattern
+ * @returns {RegExp} with the `g` flag only when the literal had it
+ * @throws {SyntaxError} when the pattern is invalid
+ */
+export function compileFindRegex(source) {
+  const literal = String(source || "").match(LITERAL_PATTERN)
+  if (literal) return new RegExp(literal[1], literal[2])
+
+  return new RegExp(String(source || ""))
+}
+
+/**
+ * Whether a pattern repeats a group that itself contains an unbounded
+ * repetition, e.g. `(a+)+$` or `(?:\s*x)*`. Mirrors RegexScript.nested_quantifier?.
+ *
+ * @param {string} source - `/pattern/flags` or a plain pattern
+ * @returns {boolean}
+ */
+export function hasNestedQuantifier(source) {
+  const body = String(source || "").match(LITERAL_PATTERN)?.[1] ?? String(source || "")
+  const groups = []
+  let inClass = false
+
+  for (let index = 0; index < body.length; index++) {
+    const char = body[index]
+
+    if (char === "\\") {
+      index++
+    } else if (inClass) {
+      if (char === "]") inClass = false
+    } else if (char === "[") {
+      inClass = true
+    } else if (char === "(") {
+      groups.push(false)
+    } else if (char === ")") {
+      const repeatsInside = groups.pop() || false
+      const repeatsOutside = unboundedQuantifierAt(body, index + 1)
+      if (repeatsInside && repeatsOutside) return true
+      if (groups.length && (repeatsInside || repeatsOutside)) groups[groups.length - 1] = true
+    } else if (groups.length && unboundedQuantifierAt(body, index)) {
+      groups[groups.length - 1] = true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Whether a script runs for a message.
+ *
+ * @param {Object} script
+ * @param {{ role: string|null, depth: number|null }} message
+ * @returns {boolean}
+ */
+export function regexScriptApplies(script, { role, depth }) {
+  if (role === "user") {
+    if (!script.user_messages) return false
+  } else if (role === "assistant") {
+    if (!script.ai_messages) return false
+  } else {
+    return false
+  }
+
+  const min = script.min_depth ?? null
+  const max = script.max_depth ?? null
+  if (depth === null || depth === undefined) return min === null && max === null
+  if (min !== null && depth < min) return false
+  if (max !== null && depth > max) return false
+
+  return true
+}
+
+/**
+ * Run one script over text. An invalid pattern leaves the text unchanged.
+ *
+ * @param {Object} script
+ * @param {string} text
+ * @param {RegExp|null} [regex] - Compiled `find_regex` (cached per pattern by default)
+ * @returns {string}
+ */
+export function runRegexScript(script, text, regex = compiledRegex(script.find_regex)) {
+  if (!regex || !text) return text
+
+  const startedAt = performance.now()
+  regex.lastIndex = 0
+  const result = text.replace(regex, (...args) => {
+    const groups = typeof args[args.length - 1] === "object" ? args.pop() : undefined
+    const captures = args.slice(0, -2)
+    return substitute(script, captures, groups)
+  })
+
+  const elapsed = performance.now() - startedAt
+  if (elapsed > SLOW_SCRIPT_MS && COMPILED.get(script.find_regex) === regex) {
+    logger.warn(`[regex-scripts] Disabled "${script.name}" for this page: it took ${Math.round(elapsed)}ms`)
+    COMPILED.set(script.find_regex, null)
+  }
+  return result
+}
+
+/**
+ * Loaded scripts that run for a message, in order.
+ *
+ * @param {{ role: string|null, depth: number|null }} message
+ * @returns {Array<Object>}
+ */
+export function applicableRegexScripts(message) {
+  return loadedRegexScripts().filter((script) => regexScriptApplies(script, message))
+}
+
+/**
+ * Run scripts over text, each on the previous one's output.
+ *
+ * @param {string} text
+ * @param {Array<Object>} scripts
+ * @returns {string}
+ */
+export function applyRegexScripts(text, scripts) {
+  return scripts.reduce((current, script) => runRegexScript(script, current), text)
+}
+
+/**
+ * Role and depth of the message an element belongs to.
+ *
+ * Depth is counted in message rows after it that are part of the prompt:
+ * excluded messages are skipped, placeholders of virtualized messages count
+ * like their message (virtual_list.js keeps the `excluded` class on them).
+ * It's capped just past the deepest limit any script uses: beyond that the
+ * exact number doesn't change which scripts apply.
+ *
+ * @param {Element} element
+ * @returns {{ role: string|null, depth: number|null }}
+ */
+export function messageContext(element) {
+  const messageElement = element?.closest(".mes[data-message-role]")
+  if (!messageElement) return { role: null, depth: null }
+
+  const role = messageElement.dataset.messageRole
+  const list = messageElement.parentElement
+  if (!list || list.dataset.hasNewer === "true") return { role, depth: null }
+
+  const cap = depthCap()
+  let depth = 0
+  for (let sibling = messageElement.nextElementSibling; sibling && depth < cap; sibling = sibling.nextElementSibling) {
+    if (countsForDepth(sibling)) depth++
+  }
+
+  return { role, depth }
+}
+
+/**
+ * Call back when a new message lands after `element`'s message and it may
+ * now be deep enough to change which scripts apply. No-op unless a script
+ * has depth limits.
+ *
+ * Only the last few messages (up to the deepest limit) are notified, so a
+ * long list isn't re-checked on every append.
+ *
+ * @param {Element} element - A descendant of a message row
+ * @param {Function} callback
+ * @returns {Function} disconnect
+ */
+export function observeMessageDepth(element, callback) {
+  if (depthCap() === 0) return () => {}
+
+  const messageElement = element.closest(".mes[data-message-role]")
+  const list = messageElement?.parentElement
+  if (!list) return () => {}
+
+  let entry = LIST_OBSERVERS.get(list)
+  if (!entry) {
+    entry = { callbacks: new Map(), lastId: list.lastElementChild?.id }
+    const observer = new MutationObserver(() => {
+      const lastId = list.lastElementChild?.id
+      if (lastId === entry.lastId) return
+      entry.lastId = lastId
+      notifyTail(list, entry)
+    })
+    observer.observe(list, { childList: true })
+    LIST_OBSERVERS.set(list, entry)
+  }
+
+  const callbacks = entry.callbacks.get(messageElement) || new Set()
+  callbacks.add(callback)
+  entry.callbacks.set(messageElement, callbacks)
+
+  return () => {
+    callbacks.delete(callback)
+    if (callbacks.size === 0) entry.callbacks.delete(messageElement)
+  }
+}
+
+function notifyTail(list, entry) {
+  const cap = depthCap()
+  let row = list.lastElementChild
+  for (let seen = 0; row && seen <= cap; row = row.previousElementSibling) {
+    if (!row.id?.startsWith("message_")) continue
+    entry.callbacks.get(row)?.forEach((callback) => callback())
+    if (countsForDepth(row)) seen++
+  }
+}
+
+// Same definition as the server's prompt history: only messages sent to the
+// model (not excluded) count towards depth.
+function countsForDepth(row) {
+  return row.id?.startsWith("message_") && !row.classList.contains("excluded")
+}
+
+// One past the deepest depth limit of any loaded script (0 = no limits).
+function depthCap() {
+  let deepest = -1
+  for (const script of loadedRegexScripts()) {
+    deepest = Math.max(deepest, script.min_depth ?? -1, script.max_depth ?? -1)
+  }
+  return deepest + 1
+}
+
+function compiledRegex(source) {
+  if (COMPILED.has(source)) return COMPILED.get(source)
+
+  let regex = null
+  if (hasNestedQuantifier(source)) {
+    logger.warn("[regex-scripts] Skipped pattern with nested repetition:", source)
+  } else {
+    try {
+      regex = compileFindRegex(source)
+    } catch (error) {
+      logger.warn("[regex-scripts] Invalid pattern:", source, error)
+    }
+  }
+  COMPILED.set(source, regex)
+  return regex
+}
+
+function unboundedQuantifierAt(body, index) {
+  const char = body[index]
+  return char === "+" || char === "*" || (char === "{" && /^\{\d+,\}/.test(body.slice(index)))
+}
+
+function substitute(script, captures, groups) {
+  const trim = (value) => (script.trim_strings || []).reduce(
+    (result, trimString) => (trimString ? result.split(trimString).join("") : result),
+    value ?? ""
+  )
+
+  return String(script.replace_string ?? "").replace(REPLACEMENT_TOKEN, (token, dollar, _ampersand, index, name) => {
+    if (dollar) return "$"
+    if (index !== undefined) {
+      const group = Number(index)
+      return group < captures.length ? trim(captures[group]) : token
+    }
+    if (name !== undefined) return groups && name in groups ? trim(groups[name]) : token
+    return trim(captures[0])
+  })
+}
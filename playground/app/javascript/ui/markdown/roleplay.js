@@ -0,0 +1,182 @@
+import logger from "../../logger"
+
+/**
+ * Optional roleplay formatting for rendered markdown.
+ *
+ * Roleplay replies mix narration, quoted speech, *asterisk actions* and
+ * ((out-of-character)) asides. With the layer on, a pass over the rendered
+ * HTML tags each kind so it can be styled distinctly:
+ *
+ * - `.rp-dialogue` wraps quoted speech ("…", “…”, «…», 「…」, 『…』)
+ * - `.rp-action` marks emphasis written with asterisks (see renderer.em in marked.js)
+ * - `.rp-ooc` wraps `((…))` asides
+ *
+ * Quotes and asides are matched per block (paragraph, list item, cell, ...)
+ * across inline markup, so a line of dialogue with an *action* in the middle
+ * is still one line of dialogue. Code is never touched.
+ *
+ * The preference is per browser (localStorage), toggled from the conversation
+ * header (roleplay_formatting_controller.js). Changing it dispatches
+ * ROLEPLAY_FORMATTING_EVENT on window so rendered markdown can refresh.
+ */
+
+export const ROLEPLAY_STORAGE_KEY = "markdown.roleplayFormatting"
+export const ROLEPLAY_FORMATTING_EVENT = "roleplay-formatting:change"
+
+const BLOCK_SELECTOR = "p, li, h1, h2, h3, h4, h5, h6, td, th, dt, dd, blockquote"
+const SKIP_SELECTOR = "pre, code, kbd, samp, .rp-dialogue, .rp-ooc"
+
+const QUOTE_PAIRS = {
+  "\"": "\"",
+  "“": "”",
+  "«": "»",
+  "「": "」",
+  "『": "』"
+}
+
+const OOC_OPEN = "(("
+const OOC_CLOSE = "))"
+
+export function roleplayFormattingEnabled() {
+  try {
+    return localStorage.getItem(ROLEPLAY_STORAGE_KEY) === "true"
+  } catch {
+    return false
+  }
+}
+
+export function setRoleplayFormattingEnabled(enabled) {
+  try {
+    if (enabled) {
+      localStorage.setItem(ROLEPLAY_STORAGE_KEY, "true")
+    } else {
+      localStorage.removeItem(ROLEPLAY_STORAGE_KEY)
+    }
+  } catch (error) {
+    logger.warn("[roleplay] Failed to persist preference:", error)
+  }
+
+  window.dispatchEvent(new CustomEvent(ROLEPLAY_FORMATTING_EVENT, { detail: { enabled: !!enabled } }))
+}
+
+/**
+ * Tag dialogue, actions and OOC text under `root`.
+ *
+ * @param {Element|DocumentFragment} root - Rendered markdown
+ * @param {Object} [options]
+ * @param {boolean} [options.openEnded=false] - Treat a quote or aside still open
+ *   at the end of a block as running to the end (streaming tail, where the
+ *   closing mark hasn't arrived yet)
+ */
+export function applyRoleplayFormatting(root, { openEnded = false } = {}) {
+  if (!root) return
+
+  root.querySelectorAll("em[data-emphasis='asterisk']").forEach((em) => em.classList.add("rp-action"))
+
+  for (const nodes of groupTextNodesByBlock(root)) {
+    const text = nodes.map((node) => node.data).join("")
+    const ranges = findRoleplayRanges(text, { openEnded })
+    if (ranges.length === 0) continue
+
+    let offset = 0
+    for (const node of nodes) {
+      const length = node.data.length
+      wrapRanges(node, offset, ranges)
+      offset += length
+    }
+  }
+}
+
+function groupTextNodesByBlock(root) {
+  const groups = new Map()
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      if (!node.data) return NodeFilter.FILTER_REJECT
+      return node.parentElement?.closest(SKIP_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    }
+  })
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode
+    const block = node.parentElement?.closest(BLOCK_SELECTOR)
+    const key = block && (root === block || root.contains(block)) ? block : root
+
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(node)
+  }
+
+  return groups.values()
+}
+
+/**
+ * @param {string} text
+ * @param {{ openEnded: boolean }} options
+ * @returns {Array<{ start: number, end: number, className: string }>} sorted, non-overlapping
+ */
+function findRoleplayRanges(text, { openEnded }) {
+  const ranges = []
+  let quote = null
+  let i = 0
+
+  while (i < text.length) {
+    if (!quote && text.startsWith(OOC_OPEN, i)) {
+      const close = text.indexOf(OOC_CLOSE, i + OOC_OPEN.length)
+      if (close === -1 && !openEnded) {
+        i += OOC_OPEN.length
+        continue
+      }
+
+      const end = close === -1 ? text.length : close + OOC_CLOSE.length
+      ranges.push({ start: i, end, className: "rp-ooc" })
+      i = end
+      continue
+    }
+
+    const char = text[i]
+
+    if (quote) {
+      if (char === quote.close) {
+        ranges.push({ start: quote.start, end: i + 1, className: "rp-dialogue" })
+        quote = null
+      }
+    } else if (QUOTE_PAIRS[char]) {
+      quote = { start: i, close: QUOTE_PAIRS[char] }
+    }
+
+    i++
+  }
+
+  if (quote && openEnded && quote.start < text.length - 1) {
+    ranges.push({ start: quote.start, end: text.length, className: "rp-dialogue" })
+  }
+
+  return ranges
+}
+
+function wrapRanges(node, nodeStart, ranges) {
+  const text = node.data
+  const nodeEnd = nodeStart + text.length
+  const pieces = ranges.filter(({ start, end }) => start < nodeEnd && end > nodeStart)
+  if (pieces.length === 0) return
+
+  const fragment = document.createDocumentFragment()
+  let cursor = 0
+
+  for (const { start, end, className } of pieces) {
+    const from = Math.max(start - nodeStart, 0)
+    const to = Math.min(end - nodeStart, text.length)
+
+    if (from > cursor) fragment.append(text.slice(cursor, from))
+
+    const span = document.createElement("span")
+    span.className = className
+    span.textContent = text.slice(from, to)
+    fragment.append(span)
+
+    cursor = to
+  }
+
+  if (cursor < text.length) fragment.append(text.slice(cursor))
+
+  node.replaceWith(fragment)
+}
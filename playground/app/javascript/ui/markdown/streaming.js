@@ -0,0 +1,356 @@
+import { cardAssetRoute, cardAssetRouteFor } from "./card_assets"
+import { highlightCodeBlocks } from "./code_blocks"
+import { htmlRenderingAllowed } from "./html"
+import { configureMarkedOnce, parseMarkdown } from "./marked"
+import { createReasoningBlock, reasoningBody, reasoningDelimiters, reasoningLabel, setReasoningLabel, splitReasoning } from "./reasoning"
+import { applicableRegexScripts, applyRegexScripts } from "./regex_scripts"
+import { applyRoleplayFormatting, roleplayFormattingEnabled } from "./roleplay"
+
+/**
+ * Progressive Markdown rendering for streaming previews.
+ *
+ * The accumulated buffer is split into a "settled" prefix and a live tail.
+ * Settled blocks (everything up to the last blank line outside a code fence)
+ * are parsed once and appended; only the tail is re-parsed per chunk, after
+ * closing any half-finished fence or inline emphasis so partial output never
+ * leaks raw markers or swallows the rest of the bubble.
+ *
+ * Rendering is coalesced to one pass per animation frame.
+ *
+ * Roleplay formatting (roleplay.js) is applied to each settled chunk and to the
+ * tail, where a quote or aside that hasn't closed yet is styled up to the end.
+ *
+ * Regex scripts for AI messages at depth 0 (regex_scripts.js) rewrite the whole
+ * buffer first. A script that only matches once its closing part has streamed
+ * in (e.g. a status block) makes the rewritten text stop extending what was
+ * rendered, which starts the preview over. Since that re-runs every script over
+ * the whole buffer, renders are then spaced SCRIPTED_RENDER_INTERVAL_MS apart;
+ * the finished message is rendered by markdown_controller.js anyway.
+ *
+ * A leading reasoning block (reasoning.js) is split off into a collapsed
+ * "Thinking…" section that shows the raw text; it turns into "Thought for Ns",
+ * timed from when the prefix arrived, once the suffix streams in. Only the text
+ * after it goes through the settled/tail rendering.
+ */
+
+const STREAM_STATES = new WeakMap()
+const SCRIPTED_RENDER_INTERVAL_MS = 250
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/
+const INLINE_DELIMITERS = ["**", "__", "~~", "*", "_"]
+
+/**
+ * Render streaming content into an element.
+ *
+ * @param {HTMLElement} element - Container that owns the preview
+ * @param {string} content - The full accumulated content so far
+ * @param {Object} [options]
+ * @param {string|number|null} [options.participantId] - Speaker's membership, for card
+ *   asset images when the preview isn't inside their message (card_assets.js)
+ */
+export function renderStreamingMarkdown(element, content, { participantId = null } = {}) {
+  if (!element || typeof content !== "string") return
+
+  const state = getState(element)
+  state.pending = content
+  state.participantId = participantId
+
+  if (state.frameId || state.timerId) return
+
+  const scripted = applicableRegexScripts({ role: "assistant", depth: 0 }).length > 0
+  const delay = scripted ? state.lastFlushAt + SCRIPTED_RENDER_INTERVAL_MS - performance.now() : 0
+  if (delay > 0) {
+    state.timerId = setTimeout(() => {
+      state.timerId = null
+      scheduleFlush(element, state)
+    }, delay)
+  } else {
+    scheduleFlush(element, state)
+  }
+}
+
+/**
+ * Clear the preview and forget any settled blocks.
+ *
+ * @param {HTMLElement} element
+ */
+export function resetStreamingMarkdown(element) {
+  if (!element) return
+
+  const state = STREAM_STATES.get(element)
+  if (state?.frameId) cancelAnimationFrame(state.frameId)
+  if (state?.timerId) clearTimeout(state.timerId)
+  state?.disconnectCodeHighlight?.()
+
+  STREAM_STATES.delete(element)
+  element.replaceChildren()
+}
+
+function getState(element) {
+  let state = STREAM_STATES.get(element)
+  if (!state) {
+    state = {
+      source: "",
+      raw: "",
+      participantId: null,
+      settledLength: 0,
+      reasoningEl: null,
+      reasoningStartedAt: null,
+      reasoningDurationMs: null,
+      settledEl: null,
+      tailEl: null,
+      pending: null,
+      frameId: null,
+      timerId: null,
+      lastFlushAt: 0,
+      disconnectCodeHighlight: null
+    }
+    STREAM_STATES.set(element, state)
+  }
+  return state
+}
+
+function scheduleFlush(element, state) {
+  state.frameId = requestAnimationFrame(() => {
+    state.frameId = null
+    state.lastFlushAt = performance.now()
+    flush(element, state)
+  })
+}
+
+function flush(element, state) {
+  const pending = state.pending
+  state.pending = null
+  if (pending === null) return
+
+  const source = applyRegexScripts(pending, applicableRegexScripts({ role: "assistant", depth: 0 }))
+  if (source === state.source) return
+
+  const split = splitReasoning(source, reasoningDelimiters(), { streaming: true })
+  const content = split.content
+  const cardAssets = cardAssetRouteFor(element) ?? cardAssetRoute(state.participantId)
+
+  // Content that doesn't extend what we rendered (e.g. a new swipe) starts over.
+  if (!source.startsWith(state.source) || !content.startsWith(state.raw)) {
+    resetStreamingMarkdown(element)
+    state = getState(element)
+  }
+
+  state.source = source
+  if (!source) return
+
+  configureMarkedOnce()
+  ensureContainers(element, state)
+  renderReasoning(state, split)
+
+  const allowHtml = htmlRenderingAllowed()
+  const roleplay = roleplayFormattingEnabled()
+
+  const boundary = findSettledBoundary(content, state.settledLength)
+  if (boundary > state.settledLength) {
+    const settled = document.createElement("template")
+    settled.innerHTML = parseMarkdown(content.slice(state.settledLength, boundary), { allowHtml, cardAssets })
+    if (roleplay) applyRoleplayFormatting(settled.content)
+    state.settledEl.append(settled.content)
+    state.settledLength = boundary
+
+    // Settled code blocks won't be re-parsed, so they can be highlighted now.
+    state.disconnectCodeHighlight?.()
+    state.disconnectCodeHighlight = highlightCodeBlocks(state.settledEl)
+  }
+
+  state.tailEl.innerHTML = parseMarkdown(closeDanglingMarkdown(content.slice(state.settledLength)), { allowHtml, cardAssets })
+  if (roleplay) applyRoleplayFormatting(state.tailEl, { openEnded: true })
+  state.raw = content
+}
+
+function ensureContainers(element, state) {
+  if (state.reasoningEl?.isConnected && state.settledEl?.isConnected && state.tailEl?.isConnected) return
+
+  state.reasoningEl = createReasoningBlock({ label: reasoningLabel({ streaming: true }) })
+  state.settledEl = document.createElement("div")
+  state.tailEl = document.createElement("div")
+  state.reasoningEl.hidden = true
+  reasoningBody(state.reasoningEl).dataset.reasoningPlain = ""
+  state.settledEl.dataset.streamingSettled = ""
+  state.tailEl.dataset.streamingTail = ""
+  state.settledLength = 0
+  element.replaceChildren(state.reasoningEl, state.settledEl, state.tailEl)
+}
+
+function renderReasoning(state, { reasoning, closed }) {
+  if (reasoning === null) {
+    state.reasoningEl.hidden = true
+    return
+  }
+
+  state.reasoningStartedAt ??= performance.now()
+  if (closed) state.reasoningDurationMs ??= performance.now() - state.reasoningStartedAt
+
+  state.reasoningEl.hidden = false
+  setReasoningLabel(state.reasoningEl, reasoningLabel({ streaming: !closed, durationMs: state.reasoningDurationMs }))
+  reasoningBody(state.reasoningEl).textContent = reasoning.trim()
+}
+
+/**
+ * Find the offset after the last blank line that safely ends a block.
+ *
+ * A boundary only counts when we're outside a fence and the next block has
+ * already started at column 0, so list continuations and indented code stay
+ * with their parent block.
+ *
+ * @param {string} content
+ * @param {number} from - Offset of the current settled boundary (never inside a fence)
+ * @returns {number}
+ */
+function findSettledBoundary(content, from) {
+  let boundary = from
+  let fence = null
+  let sawBlank = false
+  let offset = from
+
+  while (offset < content.length) {
+    const newline = content.indexOf("\n", offset)
+    // The last line may still be growing; don't decide anything from it.
+    if (newline === -1) break
+
+    const line = content.slice(offset, newline)
+    const fenceMatch = line.match(FENCE_PATTERN)
+
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && line.trim() === fenceMatch[1]) {
+        fence = null
+      }
+    } else if (line.trim() === "") {
+      sawBlank = true
+    } else {
+      if (sawBlank && !/^\s/.test(line)) boundary = offset
+      sawBlank = false
+      if (fenceMatch) fence = fenceMatch[1]
+    }
+
+    offset = newline + 1
+  }
+
+  return boundary
+}
+
+/**
+ * Close constructs the model hasn't finished yet so the tail renders sanely.
+ *
+ * - An open code fence gets a matching closing fence.
+ * - Unbalanced inline delimiters in the last paragraph are closed in reverse
+ *   order; a delimiter dangling at the very end (nothing after it yet) is
+ *   dropped instead so it doesn't flash as a literal marker.
+ *
+ * @param {string} tail
+ * @returns {string}
+ */
+function closeDanglingMarkdown(tail) {
+  const lines = tail.split("\n")
+  let fence = null
+  let paragraphStart = 0
+
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(FENCE_PATTERN)
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && line.trim() === fenceMatch[1]) {
+        fence = null
+        paragraphStart = index + 1
+      }
+      return
+    }
+
+    if (fenceMatch) {
+      fence = fenceMatch[1]
+    } else if (line.trim() === "") {
+      paragraphStart = index + 1
+    }
+  })
+
+  if (fence) return `${tail}\n${fence}`
+
+  const head = lines.slice(0, paragraphStart).join("\n")
+  const paragraph = lines.slice(paragraphStart).join("\n")
+  const closed = closeInlineDelimiters(paragraph)
+  if (closed === paragraph) return tail
+
+  return paragraphStart > 0 ? `${head}\n${closed}` : closed
+}
+
+function closeInlineDelimiters(text) {
+  const stack = []
+  let inCode = null
+  let i = 0
+
+  while (i < text.length) {
+    const char = text[i]
+
+    if (char === "\\") {
+      i += 2
+      continue
+    }
+
+    if (char === "`") {
+      let run = 1
+      while (text[i + run] === "`") run++
+      const ticks = "`".repeat(run)
+      if (inCode === null) {
+        inCode = { ticks, index: i }
+      } else if (inCode.ticks === ticks) {
+        inCode = null
+      }
+      i += run
+      continue
+    }
+
+    if (inCode) {
+      i++
+      continue
+    }
+
+    const delimiter = INLINE_DELIMITERS.find((d) => text.startsWith(d, i))
+    if (!delimiter) {
+      i++
+      continue
+    }
+
+    const before = text[i - 1] || " "
+    const after = text[i + delimiter.length] || ""
+    const intraword = delimiter[0] === "_" && /\w/.test(before) && /\w/.test(after)
+    const top = stack[stack.length - 1]
+
+    if (intraword) {
+      // snake_case identifiers are not emphasis.
+    } else if (top && top.delimiter === delimiter && !/\s/.test(before)) {
+      stack.pop()
+    } else if (after && !/\s/.test(after)) {
+      stack.push({ delimiter, index: i })
+    } else if (!after) {
+      stack.push({ delimiter, index: i })
+    }
+
+    i += delimiter.length
+  }
+
+  let result = text
+
+  if (inCode) {
+    if (inCode.index + inCode.ticks.length === result.length) {
+      result = result.slice(0, inCode.index)
+    } else {
+      result += inCode.ticks
+    }
+  }
+
+  for (let index = stack.length - 1; index >= 0; index--) {
+    const { delimiter, index: position } = stack[index]
+    if (position + delimiter.length === result.length) {
+      result = result.slice(0, position)
+    } else {
+      result += delimiter
+    }
+  }
+
+  return result
+}
@@ -1,4 +1,4 @@
-const VIEWPORT_RENDER_MARGIN_PX = 800
+export const VIEWPORT_RENDER_MARGIN_PX = 800
 
 const VISIBILITY_CALLBACKS = new WeakMap()
 let viewportObserver = null
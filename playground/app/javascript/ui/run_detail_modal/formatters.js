@@ -24,6 +24,12 @@ export function calculateDuration(start, end) {
   return `${(ms / 1000).toFixed(2)}s`
 }
 
+export function formatMs(ms) {
+  if (ms === undefined || ms === null) return "-"
+  if (ms < 1000) return `${ms}ms`
+  return `${(ms / 1000).toFixed(2)}s`
+}
+
 export function formatNumber(num) {
   if (num === undefined || num === null) return "-"
   return num.toLocaleString()
@@ -1,6 +1,7 @@
 import {
   calculateDuration,
   formatLogprobTooltip,
+  formatMs,
   formatNumber,
   formatTime,
   logprobClass,
@@ -101,6 +102,11 @@ export function renderOverviewTab(data) {
     root.append(tokenSection)
   }
 
+  // Streaming timeline (persisted as debug.stream_stats for streamed runs)
+  if (data.stream_stats) {
+    root.append(renderStreamingSection(data.stream_stats, data.usage, sectionHeader, kvRow))
+  }
+
   // World Info Budget / Summary
   if (data.lore_budget_exceeded) {
     const droppedCount = data.lore_budget_dropped_count || 0
@@ -194,18 +200,27 @@ export function renderOverviewTab(data) {
     const scroll = el("div", { className: "max-h-60 overflow-y-auto" })
     const tokensEl = el("div", { className: "font-mono text-sm leading-relaxed" })
 
-    for (const token of data.logprobs) {
+    // Clicking a token shows its alternatives below (run-detail-modal#showTokenAlternatives)
+    data.logprobs.forEach((token, index) => {
       tokensEl.append(
-        el("span", {
-          className: `logprob-token ${logprobClass(token.logprob)} tooltip cursor-help`,
+        el("button", {
+          className: `logprob-token ${logprobClass(token.logprob)} tooltip`,
           dataset: { tip: formatLogprobTooltip(token) },
+          attrs: {
+            type: "button",
+            "data-action": "run-detail-modal#showTokenAlternatives",
+            "data-run-detail-modal-index-param": index
+          },
           text: token.token || ""
         })
       )
-    }
+    })
 
     scroll.append(tokensEl)
-    section.append(scroll)
+    section.append(
+      scroll,
+      el("div", { className: "hidden", attrs: { "data-run-detail-modal-target": "tokenAlternatives" } })
+    )
     root.append(section)
   }
 
@@ -235,3 +250,162 @@ export function renderOverviewTab(data) {
 
   return root
 }
+
+const SVG_NS = "http://www.w3.org/2000/svg"
+const TIMELINE_WIDTH = 300
+const TIMELINE_HEIGHT = 60
+
+function renderStreamingSection(stats, usage, sectionHeader, kvRow) {
+  const section = el("div", { className: "bg-base-200 rounded-lg p-3 space-y-2" }, [
+    sectionHeader("activity", "Streaming")
+  ])
+
+  const timeline = Array.isArray(stats.timeline) ? stats.timeline : []
+  const lastChunkMs = timeline.length > 0 ? timeline[timeline.length - 1][0] : null
+  const streamingMs = lastChunkMs !== null && stats.first_chunk_ms !== null ? lastChunkMs - stats.first_chunk_ms : null
+
+  // Exact tokens/sec when the provider reported usage; chars/sec otherwise.
+  const completionTokens = usage?.completion_tokens
+  const tokensPerSecond = completionTokens && streamingMs > 0 ? completionTokens * 1000 / streamingMs : null
+
+  const grid = el("div", { className: "grid grid-cols-2 gap-x-4 gap-y-1 text-sm" })
+  grid.append(
+    kvRow("Time to First Chunk", formatMs(stats.first_chunk_ms)),
+    kvRow("Total Time", formatMs(stats.elapsed_ms)),
+    kvRow("Streaming Time", formatMs(streamingMs)),
+    kvRow("Longest Gap", formatMs(stats.max_gap_ms)),
+    kvRow("Chunks", formatNumber(stats.chunk_count)),
+    kvRow("Characters", formatNumber(stats.char_count)),
+    kvRow("Chars/sec", stats.chars_per_second ?? "-"),
+    kvRow("Tokens/sec", tokensPerSecond === null ? "-" : tokensPerSecond.toFixed(1))
+  )
+  section.append(grid)
+
+  if (timeline.length > 1 && stats.elapsed_ms > 0) {
+    section.append(renderStreamingTimeline(timeline, stats))
+  }
+
+  return section
+}
+
+// Cumulative characters over time; the dashed line marks the first chunk.
+function renderStreamingTimeline(timeline, stats) {
+  const maxMs = Math.max(stats.elapsed_ms, timeline[timeline.length - 1][0])
+  const maxChars = Math.max(stats.char_count || 0, timeline[timeline.length - 1][1], 1)
+  const x = (ms) => (ms / maxMs * TIMELINE_WIDTH).toFixed(1)
+  const y = (chars) => (TIMELINE_HEIGHT - chars / maxChars * TIMELINE_HEIGHT).toFixed(1)
+
+  const svg = document.createElementNS(SVG_NS, "svg")
+  svg.setAttribute("viewBox", `0 0 ${TIMELINE_WIDTH} ${TIMELINE_HEIGHT}`)
+  svg.setAttribute("preserveAspectRatio", "none")
+  svg.setAttribute("class", "w-full h-16 text-secondary")
+  svg.setAttribute("role", "img")
+  svg.setAttribute("aria-label", "Characters streamed over time")
+
+  if (stats.first_chunk_ms !== null) {
+    const marker = document.createElementNS(SVG_NS, "line")
+    marker.setAttribute("x1", x(stats.first_chunk_ms))
+    marker.setAttribute("x2", x(stats.first_chunk_ms))
+    marker.setAttribute("y1", "0")
+    marker.setAttribute("y2", String(TIMELINE_HEIGHT))
+    marker.setAttribute("stroke", "currentColor")
+    marker.setAttribute("stroke-opacity", "0.4")
+    marker.setAttribute("stroke-dasharray", "3 3")
+    marker.setAttribute("vector-effect", "non-scaling-stroke")
+    svg.append(marker)
+  }
+
+  const points = [[stats.first_chunk_ms ?? timeline[0][0], 0], ...timeline]
+  const line = document.createElementNS(SVG_NS, "polyline")
+  line.setAttribute("points", points.map(([ms, chars]) => `${x(ms)},${y(chars)}`).join(" "))
+  line.setAttribute("fill", "none")
+  line.setAttribute("stroke", "currentColor")
+  line.setAttribute("stroke-width", "2")
+  line.setAttribute("vector-effect", "non-scaling-stroke")
+  svg.append(line)
+
+  const axis = el("div", { className: "flex justify-between text-xs text-base-content/50 font-mono" }, [
+    el("span", { text: "0s" }),
+    el("span", { text: formatMs(maxMs) })
+  ])
+
+  return el("div", { className: "space-y-1" }, [svg, axis])
+}
+
+/**
+ * Alternatives of one generated token, most likely first, as probability bars.
+ *
+ * With `steerable`, each alternative can regenerate the reply from that token
+ * (run-detail-modal#steerFromToken, Conversations::RunsController#steer).
+ *
+ * @param {Object} token - A logprobs entry: { token, logprob, top_logprobs }
+ * @param {number} index - Position of the token in the reply
+ * @param {Object} options
+ * @param {boolean} options.steerable - Whether the run can be steered
+ * @returns {HTMLElement}
+ */
+export function renderTokenAlternatives(token, index, { steerable = false } = {}) {
+  const alternatives = tokenAlternatives(token)
+
+  const panel = el("div", { className: "border-t border-base-300 pt-2 space-y-1" }, [
+    el("div", { className: "flex items-center gap-2 text-xs text-base-content/60" }, [
+      el("span", { text: `Token #${index + 1}` }),
+      el("code", { className: "bg-base-300 rounded px-1 whitespace-pre", text: JSON.stringify(token.token || "") })
+    ])
+  ])
+
+  if (alternatives.length <= 1) {
+    panel.append(el("p", { className: "text-xs text-base-content/50", text: "No alternatives were recorded for this token." }))
+  }
+
+  alternatives.forEach((alt, rank) => {
+    const probability = alt.logprob !== undefined && alt.logprob !== null ? Math.exp(alt.logprob) : 0
+    const chosen = alt.token === token.token
+
+    const row = el("div", { className: "flex items-center gap-2 text-sm" }, [
+      el("code", {
+        className: "bg-base-300 rounded px-1 w-32 truncate shrink-0 whitespace-pre",
+        attrs: { title: JSON.stringify(alt.token) },
+        text: alt.token
+      }),
+      el("progress", { className: "progress progress-primary flex-1 h-2", attrs: { value: probability, max: 1 } }),
+      el("span", { className: "font-mono text-xs w-14 text-right", text: `${(probability * 100).toFixed(1)}%` })
+    ])
+
+    if (chosen) {
+      row.append(el("span", { className: "badge badge-xs badge-ghost w-28", text: "generated" }))
+    } else if (steerable) {
+      const button = el("button", {
+        className: "btn btn-xs btn-ghost w-28",
+        attrs: {
+          type: "button",
+          title: "Regenerate the reply from this token",
+          "data-action": "run-detail-modal#steerFromToken",
+          "data-run-detail-modal-index-param": index,
+          "data-run-detail-modal-rank-param": rank
+        }
+      })
+      button.append(lucide("git-branch", "size-3"), "Regenerate")
+      row.append(button)
+    }
+
+    panel.append(row)
+  })
+
+  return panel
+}
+
+/**
+ * A token's top alternatives plus the generated token itself, most likely first.
+ *
+ * @param {Object} token - A logprobs entry: { token, logprob, top_logprobs }
+ * @returns {Array<{token: string, logprob: number}>}
+ */
+export function tokenAlternatives(token) {
+  const alternatives = Array.isArray(token?.top_logprobs) ? [...token.top_logprobs] : []
+  if (token && !alternatives.some((alt) => alt.token === token.token)) {
+    alternatives.push({ token: token.token, logprob: token.logprob })
+  }
+
+  return alternatives.sort((a, b) => (b.logprob ?? -Infinity) - (a.logprob ?? -Infinity))
+}
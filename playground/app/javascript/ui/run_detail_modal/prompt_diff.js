@@ -0,0 +1,289 @@
+import { diffStats, diffWords, renderDiff } from "../text_diff"
+import { capitalizeFirst, formatNumber, formatTime, roleBadgeClass } from "./formatters"
+import { el, lucide } from "./dom"
+
+/**
+ * Prompt diff between two runs (compare mode of the run detail modal).
+ *
+ * Prompt snapshot messages are aligned by LCS over role, name and content.
+ * Unmatched messages between two aligned ones are paired up by role and shown
+ * as a word-level diff; whatever is left over was added or removed. Token
+ * counts come from each run's `tokenized_prompt`, which lines up index for
+ * index with its `prompt_snapshot` (both are built from the same prompt
+ * messages, see RunPersistence#persist_debug_data!).
+ */
+
+/**
+ * @param {Object} before - The older run's data
+ * @param {Object} after - The newer run's data
+ * @returns {HTMLElement}
+ */
+export function renderPromptDiff(before, after) {
+  const root = el("div", { className: "space-y-4" })
+  root.append(renderRunsHeader(before, after))
+
+  const missing = [before, after].filter((run) => !run.prompt_snapshot)
+  if (missing.length > 0) {
+    root.append(renderMissingSnapshot(missing))
+    return root
+  }
+
+  const rows = alignMessages(before.prompt_snapshot, after.prompt_snapshot)
+  root.append(renderSummary(rows, before, after))
+
+  const list = el("div", { className: "space-y-3 overflow-y-auto" })
+  list.style.maxHeight = "calc(70vh - 160px)"
+
+  let unchanged = []
+  const flushUnchanged = () => {
+    if (unchanged.length > 0) list.append(renderUnchanged(unchanged, after))
+    unchanged = []
+  }
+
+  for (const row of rows) {
+    if (row.type === "equal") {
+      unchanged.push(row)
+    } else {
+      flushUnchanged()
+      list.append(renderChangedRow(row, before, after))
+    }
+  }
+  flushUnchanged()
+
+  root.append(list)
+  return root
+}
+
+/**
+ * Align two prompt snapshots message by message.
+ *
+ * @param {Array<Object>} beforeMessages
+ * @param {Array<Object>} afterMessages
+ * @returns {Array<{ type: "equal"|"changed"|"added"|"removed", before: ?number, after: ?number }>}
+ *   indexes into the two snapshots
+ */
+function alignMessages(beforeMessages, afterMessages) {
+  const a = beforeMessages.map(messageKey)
+  const b = afterMessages.map(messageKey)
+  const n = a.length
+  const m = b.length
+
+  // lengths[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+  const width = m + 1
+  const lengths = new Uint32Array((n + 1) * width)
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1])
+    }
+  }
+
+  const rows = []
+  let removed = []
+  let added = []
+  const flushGap = () => {
+    pairGap(removed, added, beforeMessages, afterMessages, rows)
+    removed = []
+    added = []
+  }
+
+  let i = 0
+  let j = 0
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      flushGap()
+      rows.push({ type: "equal", before: i, after: j })
+      i += 1
+      j += 1
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      removed.push(i)
+      i += 1
+    } else {
+      added.push(j)
+      j += 1
+    }
+  }
+  while (i < n) removed.push(i++)
+  while (j < m) added.push(j++)
+  flushGap()
+
+  return rows
+}
+
+// Pair removed and added messages of the same role, in order, as "changed".
+function pairGap(removed, added, beforeMessages, afterMessages, rows) {
+  let next = 0
+
+  for (const beforeIndex of removed) {
+    const role = beforeMessages[beforeIndex].role
+    const match = added.findIndex((afterIndex, k) => k >= next && afterMessages[afterIndex].role === role)
+    if (match === -1) {
+      rows.push({ type: "removed", before: beforeIndex, after: null })
+      continue
+    }
+
+    while (next < match) rows.push({ type: "added", before: null, after: added[next++] })
+    rows.push({ type: "changed", before: beforeIndex, after: added[next++] })
+  }
+
+  while (next < added.length) rows.push({ type: "added", before: null, after: added[next++] })
+}
+
+function messageKey(message) {
+  return JSON.stringify([message.role || "", message.name || "", message.content || ""])
+}
+
+function tokenCount(run, index) {
+  if (index === null) return 0
+  return run.tokenized_prompt?.[index]?.token_count ?? null
+}
+
+function totalTokens(run) {
+  if (!run.tokenized_prompt) return null
+  return run.tokenized_prompt.reduce((sum, message) => sum + (message.token_count || 0), 0)
+}
+
+function runLabel(run) {
+  return [run.kind_label, run.speaker_name].filter(Boolean).join(" · ") || "Run"
+}
+
+function renderRunsHeader(before, after) {
+  const side = (run, label) => el("div", { className: "min-w-0" }, [
+    el("div", { className: "text-xs uppercase text-base-content/50", text: label }),
+    el("div", { className: "font-medium truncate", text: runLabel(run) }),
+    el("div", { className: "text-xs text-base-content/50 font-mono truncate", text: formatTime(run.created_at), attrs: { title: run.id } })
+  ])
+
+  return el("div", { className: "grid grid-cols-[1fr_auto_1fr] items-center gap-3 bg-base-200 rounded-lg p-3 text-sm" }, [
+    side(before, "Before"),
+    lucide("arrow-right", "size-4 text-base-content/50"),
+    side(after, "After")
+  ])
+}
+
+function renderMissingSnapshot(runs) {
+  return el("div", { className: "flex flex-col items-center justify-center py-12 text-base-content/50" }, [
+    lucide("message-square-off", "size-12 mb-4"),
+    el("p", {
+      className: "text-sm",
+      text: runs.length === 2 ? "Neither run has a prompt snapshot." : `The ${runLabel(runs[0])} run has no prompt snapshot.`
+    }),
+    el("p", { className: "text-xs mt-1" }, [
+      "Enable ",
+      el("code", { className: "bg-base-200 px-1 rounded", text: "conversation.snapshot_prompt" }),
+      " setting to capture prompts."
+    ])
+  ])
+}
+
+function renderSummary(rows, before, after) {
+  const count = (type) => rows.filter((row) => row.type === type).length
+  const summary = el("div", { className: "flex flex-wrap items-center gap-2 text-sm" }, [
+    lucide("git-compare"),
+    el("span", { className: "text-base-content/60", text: `${before.prompt_snapshot.length} → ${after.prompt_snapshot.length} messages` }),
+    el("span", { className: "badge badge-sm badge-success badge-soft", text: `${count("added")} added` }),
+    el("span", { className: "badge badge-sm badge-error badge-soft", text: `${count("removed")} removed` }),
+    el("span", { className: "badge badge-sm badge-warning badge-soft", text: `${count("changed")} changed` })
+  ])
+
+  const beforeTotal = totalTokens(before)
+  const afterTotal = totalTokens(after)
+  if (beforeTotal !== null && afterTotal !== null) {
+    summary.append(el("span", { className: "ml-auto flex items-center gap-1 text-base-content/60" }, [
+      lucide("coins", "size-3"),
+      `${formatNumber(beforeTotal)} → ${formatNumber(afterTotal)} tokens`,
+      tokenDeltaBadge(afterTotal - beforeTotal)
+    ]))
+  }
+
+  return summary
+}
+
+function renderUnchanged(rows, after) {
+  const details = el("details", { className: "rounded-lg border border-base-300 bg-base-200/50" })
+  details.append(el("summary", { className: "px-3 py-2 cursor-pointer text-xs text-base-content/50 select-none" }, [
+    `${rows.length} unchanged ${rows.length === 1 ? "message" : "messages"}`
+  ]))
+
+  const body = el("div", { className: "p-3 pt-0 space-y-2" })
+  for (const row of rows) {
+    const message = after.prompt_snapshot[row.after]
+    body.append(el("div", { className: "border-t border-base-300 pt-2" }, [
+      messageHeader(message, { tokens: tokenCount(after, row.after) }),
+      el("pre", {
+        className: "mt-1 text-xs whitespace-pre-wrap break-words font-mono text-base-content/60",
+        text: message.content || ""
+      })
+    ]))
+  }
+  details.append(body)
+
+  return details
+}
+
+function renderChangedRow(row, before, after) {
+  const beforeMessage = row.before === null ? null : before.prompt_snapshot[row.before]
+  const afterMessage = row.after === null ? null : after.prompt_snapshot[row.after]
+  const message = afterMessage || beforeMessage
+
+  const beforeTokens = tokenCount(before, row.before)
+  const afterTokens = tokenCount(after, row.after)
+  const delta = beforeTokens === null || afterTokens === null ? null : afterTokens - beforeTokens
+
+  const styles = {
+    added: { border: "border-success/40", label: "Added", badge: "badge-success" },
+    removed: { border: "border-error/40", label: "Removed", badge: "badge-error" },
+    changed: { border: "border-warning/40", label: "Changed", badge: "badge-warning" }
+  }[row.type]
+
+  const card = el("div", { className: `border rounded-lg ${styles.border} overflow-hidden` })
+  const header = messageHeader(message, {
+    name: row.type === "changed" && beforeMessage.name !== afterMessage.name
+      ? `${beforeMessage.name || "—"} → ${afterMessage.name || "—"}`
+      : message.name,
+    tokens: afterMessage ? afterTokens : beforeTokens,
+    delta
+  })
+  header.className = `px-3 py-2 bg-base-100/50 border-b ${styles.border} flex items-center gap-2`
+  header.prepend(el("span", { className: `badge badge-sm badge-soft ${styles.badge}`, text: styles.label }))
+  card.append(header)
+
+  if (row.type === "changed") {
+    const parts = diffWords(beforeMessage.content || "", afterMessage.content || "")
+    const { inserted, deleted } = diffStats(parts)
+    header.lastElementChild.before(
+      el("span", { className: "badge badge-xs badge-success badge-soft", text: `+${inserted}` }),
+      el("span", { className: "badge badge-xs badge-error badge-soft", text: `-${deleted}` })
+    )
+    card.append(renderDiff(parts, { className: "p-3 font-mono text-base-content/80" }))
+  } else {
+    card.append(el("pre", {
+      className: `p-3 text-sm whitespace-pre-wrap break-words font-mono ${row.type === "removed" ? "text-base-content/50 line-through" : "text-base-content/80"}`,
+      text: message.content || ""
+    }))
+  }
+
+  return card
+}
+
+function messageHeader(message, { name = message.name, tokens = null, delta = null } = {}) {
+  const role = message.role || "unknown"
+  const header = el("div", { className: "flex items-center gap-2" }, [
+    el("span", { className: `badge badge-sm ${roleBadgeClass(role)}`, text: capitalizeFirst(role) })
+  ])
+  if (name) header.append(el("span", { className: "text-xs text-base-content/50 truncate", text: name }))
+
+  const stats = el("span", { className: "ml-auto flex items-center gap-1 text-xs text-base-content/50 tabular-nums" })
+  if (tokens !== null) stats.append(`${formatNumber(tokens)} tokens`)
+  if (delta !== null) stats.append(tokenDeltaBadge(delta))
+  header.append(stats)
+
+  return header
+}
+
+function tokenDeltaBadge(delta) {
+  const badge = delta > 0 ? "badge-success" : delta < 0 ? "badge-error" : "badge-ghost"
+  const sign = delta > 0 ? "+" : ""
+  return el("span", { className: `badge badge-xs badge-soft ${badge} tabular-nums`, text: `${sign}${formatNumber(delta)}` })
+}
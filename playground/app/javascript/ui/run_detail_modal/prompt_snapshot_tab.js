@@ -1,7 +1,12 @@
 import { capitalizeFirst, roleBadgeClass, roleClass } from "./formatters"
 import { el, lucide } from "./dom"
 
-export function renderPromptSnapshotTab(data) {
+/**
+ * @param {Object} data - The run data
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.exportDialects] - Dialect => label, for the export bar
+ */
+export function renderPromptSnapshotTab(data, { exportDialects = {} } = {}) {
   if (!data.prompt_snapshot) {
     return el("div", { className: "flex flex-col items-center justify-center py-12 text-base-content/50" }, [
       lucide("message-square-off", "size-12 mb-4"),
@@ -33,6 +38,10 @@ export function renderPromptSnapshotTab(data) {
   headerRow.append(messageCount, copyButton)
   root.append(headerRow)
 
+  if (data.export_url && Object.keys(exportDialects).length > 0) {
+    root.append(renderExportBar(data, exportDialects))
+  }
+
   const list = el("div", { className: "space-y-3" })
   for (const message of data.prompt_snapshot) {
     const role = message.role || "unknown"
@@ -59,3 +68,78 @@ export function renderPromptSnapshotTab(data) {
   root.append(list)
   return root
 }
+
+// Export as an API request: pick a dialect, then copy the request body, a curl
+// command or a .jsonl record (run-detail-modal#copyExport), or download the
+// .jsonl. The chosen dialect's request is previewed below.
+function renderExportBar(data, exportDialects) {
+  const select = el("select", {
+    className: "select select-xs w-auto",
+    attrs: {
+      "aria-label": "Export dialect",
+      "data-run-detail-modal-target": "exportDialect",
+      "data-action": "run-detail-modal#previewExport"
+    }
+  })
+  for (const [dialect, label] of Object.entries(exportDialects)) {
+    select.append(el("option", { text: label, attrs: { value: dialect } }))
+  }
+
+  const copyButton = (part, icon, label) => el("button", {
+    className: "btn btn-xs btn-ghost gap-1",
+    attrs: {
+      type: "button",
+      "data-action": "run-detail-modal#copyExport",
+      "data-run-detail-modal-part-param": part
+    }
+  }, [lucide(icon, "size-3"), label])
+
+  const bar = el("div", { className: "flex flex-wrap items-center gap-2 bg-base-200 rounded-lg p-2 text-sm" }, [
+    lucide("file-output", "size-4 text-base-content/60"),
+    el("span", { className: "text-base-content/60", text: "Export as" }),
+    select,
+    copyButton("body", "braces", "Request body"),
+    copyButton("curl", "terminal", "curl"),
+    copyButton("jsonl", "file-json", ".jsonl"),
+    el("a", {
+      className: "btn btn-xs btn-ghost gap-1",
+      attrs: { href: `${data.export_url}.jsonl`, download: "", title: "Download as fine-tuning/eval record" }
+    }, [lucide("download", "size-3"), "Download"])
+  ])
+
+  const preview = el("div", {
+    className: "hidden space-y-1",
+    attrs: { "data-run-detail-modal-target": "exportPreview" }
+  })
+
+  return el("div", { className: "space-y-2" }, [bar, preview])
+}
+
+/**
+ * Preview of an exported request (Conversations::RunRequestExporter#to_h).
+ *
+ * @param {Object} exported
+ * @returns {HTMLElement[]}
+ */
+export function renderExportPreview(exported) {
+  const nodes = [
+    el("div", { className: "flex items-center gap-2 text-xs text-base-content/60" }, [
+      el("span", { className: "badge badge-xs badge-ghost font-mono", text: "POST" }),
+      el("span", { className: "font-mono truncate", text: exported.url })
+    ])
+  ]
+
+  if (exported.truncated) {
+    nodes.push(el("div", { className: "flex items-center gap-1 text-xs text-warning" }, [
+      lucide("alert-triangle", "size-3"),
+      "Some messages were truncated when the snapshot was stored."
+    ]))
+  }
+
+  nodes.push(el("pre", {
+    className: "text-xs whitespace-pre-wrap break-words font-mono bg-base-200 rounded-lg p-3 max-h-64 overflow-y-auto",
+    text: JSON.stringify(exported.body, null, 2)
+  }))
+
+  return nodes
+}
@@ -1,9 +1,10 @@
 import { renderOverviewTab } from "./overview_tab"
 import { renderPromptSnapshotTab } from "./prompt_snapshot_tab"
 import { renderTokenInspectorTab } from "./token_inspector_tab"
+import { renderWorldInfoTab } from "./world_info_tab"
 import { el } from "./dom"
 
-export function renderRunDetailModalContent(data) {
+export function renderRunDetailModalContent(data, { exportDialects = {} } = {}) {
   const tabId = `run_detail_tabs_${Date.now()}`
 
   const container = el("div", {
@@ -45,7 +46,7 @@ export function renderRunDetailModalContent(data) {
     label: "Prompt JSON",
     checked: false,
     disabled: !data.prompt_snapshot,
-    content: renderPromptSnapshotTab(data)
+    content: renderPromptSnapshotTab(data, { exportDialects })
   })
 
   appendTab({
@@ -55,5 +56,12 @@ export function renderRunDetailModalContent(data) {
     content: renderTokenInspectorTab(data)
   })
 
+  appendTab({
+    label: "World Info",
+    checked: false,
+    disabled: !data.lore_trace,
+    content: renderWorldInfoTab(data)
+  })
+
   return container
 }
@@ -1,6 +1,21 @@
-import { capitalizeFirst, roleBadgeClass, roleClass } from "./formatters"
+import { capitalizeFirst, formatNumber, roleBadgeClass, roleClass } from "./formatters"
 import { el, lucide } from "./dom"
 
+// Prompt sources in display order. Keys match PromptBuilding::PromptSourceMap,
+// colors are the `.token-source-*` classes in application.tailwind.css.
+const PROMPT_SOURCES = {
+  main_prompt: "Main prompt",
+  character: "Character",
+  persona: "Persona",
+  world_info: "World Info",
+  examples: "Examples",
+  authors_note: "Author's note",
+  chat_history: "Chat history",
+  post_history_instructions: "Post-history instructions",
+  preset: "Other preset prompts",
+  other: "Other"
+}
+
 export function renderTokenInspectorTab(data) {
   if (!data.tokenized_prompt) {
     return el("div", { className: "flex flex-col items-center justify-center py-12 text-base-content/50" }, [
@@ -28,6 +43,10 @@ export function renderTokenInspectorTab(data) {
 
   root.append(headerRow)
 
+  // Runs from before prompt sources were recorded only get the plain view.
+  const bySource = data.tokenized_prompt.some((msg) => msg.sources)
+  if (bySource) root.append(renderSourceBudget(data))
+
   const list = el("div", { className: "space-y-3" })
   for (const msg of data.tokenized_prompt) {
     const role = msg.role || "unknown"
@@ -41,22 +60,25 @@ export function renderTokenInspectorTab(data) {
     ])
     if (msg.name) left.append(el("span", { className: "text-xs text-base-content/50", text: msg.name }))
 
-    cardHeader.append(
-      left,
-      el("span", { className: "text-xs text-base-content/40", text: `${tokensCount} tokens` })
-    )
+    const right = el("div", { className: "flex items-center gap-2" })
+    if (msg.sources) right.append(renderSourceBar(msg.sources, { className: "w-24 h-1.5" }))
+    right.append(el("span", { className: "text-xs text-base-content/40", text: `${tokensCount} tokens` }))
+
+    cardHeader.append(left, right)
 
-    const body = el("div", { className: "p-3 font-mono text-sm leading-relaxed" })
+    const body = el("div", { className: `p-3 font-mono text-sm leading-relaxed ${bySource ? "token-heatmap" : ""}`.trim() })
     if (msg.tokens?.length) {
-      for (const token of msg.tokens) {
+      const tokenSources = sourcePerToken(msg)
+      msg.tokens.forEach((token, index) => {
+        const source = tokenSources[index]
         body.append(
           el("span", {
-            className: "token-chunk tooltip cursor-help",
-            dataset: { tip: `ID: ${token.id}` },
+            className: source ? `token-chunk token-sourced token-source-${source} tooltip cursor-help` : "token-chunk tooltip cursor-help",
+            dataset: { tip: source ? `ID: ${token.id} · ${sourceLabel(source)}` : `ID: ${token.id}` },
             text: (token.text || "").replace(/\n/g, "↵\n")
           })
         )
-      }
+      })
     } else {
       body.append(el("span", { className: "text-base-content/40 italic", text: "No tokens" }))
     }
@@ -68,3 +90,109 @@ export function renderTokenInspectorTab(data) {
   root.append(list)
   return root
 }
+
+function sourceLabel(source) {
+  return PROMPT_SOURCES[source] || PROMPT_SOURCES.other
+}
+
+// Expand a message's source run lengths to one source per stored token (the
+// stored tokens may be truncated; the truncation marker gets none).
+function sourcePerToken(msg) {
+  const sources = []
+  for (const { source, token_count: count } of msg.sources || []) {
+    for (let i = 0; i < count; i += 1) sources.push(source)
+  }
+  return msg.tokens.map((token, index) => (token.id === -1 ? null : sources[index] || null))
+}
+
+function sourceTotals(tokenizedPrompt) {
+  const totals = new Map(Object.keys(PROMPT_SOURCES).map((source) => [source, 0]))
+  for (const msg of tokenizedPrompt) {
+    for (const { source, token_count: count } of msg.sources || []) {
+      const key = PROMPT_SOURCES[source] ? source : "other"
+      totals.set(key, totals.get(key) + (count || 0))
+    }
+  }
+  return [...totals].filter(([, count]) => count > 0)
+}
+
+/**
+ * Stacked bar of token counts by source.
+ *
+ * @param {Array<{ source: string, token_count: number }>} sources
+ * @param {{ className?: string, scale?: number }} options - `scale` is the
+ *   token count of a full bar (defaults to the sum of the sources)
+ * @returns {HTMLElement}
+ */
+function renderSourceBar(sources, { className = "", scale = null } = {}) {
+  const total = scale || sources.reduce((sum, { token_count: count }) => sum + (count || 0), 0)
+  const bar = el("div", { className: `flex overflow-hidden rounded-full bg-base-300 ${className}`.trim() })
+  if (!total) return bar
+
+  for (const { source, token_count: count } of sources) {
+    if (!count) continue
+    const segment = el("div", {
+      className: `token-source-swatch token-source-${PROMPT_SOURCES[source] ? source : "other"} h-full`,
+      attrs: { title: `${sourceLabel(source)}: ${formatNumber(count)} tokens` }
+    })
+    segment.style.width = `${(count / total) * 100}%`
+    bar.append(segment)
+  }
+  return bar
+}
+
+// Context budget: prompt tokens by source against the context window (when
+// known), with the reply reservation and free space.
+function renderSourceBudget(data) {
+  const totals = sourceTotals(data.tokenized_prompt)
+  const promptTokens = totals.reduce((sum, [, count]) => sum + count, 0)
+  const contextWindow = data.context_window_tokens || null
+  const reserved = contextWindow ? (data.generation_params?.max_response_tokens || 0) : 0
+  const scale = contextWindow ? Math.max(contextWindow, promptTokens + reserved) : promptTokens
+
+  const section = el("div", { className: "space-y-2 bg-base-200 rounded-lg p-3" })
+
+  const title = el("div", { className: "flex items-center justify-between text-sm" }, [
+    el("span", { className: "font-medium flex items-center gap-1" }, [lucide("chart-bar-stacked", "size-4"), "Context budget"])
+  ])
+  if (contextWindow) {
+    title.append(el("span", {
+      className: "text-xs text-base-content/60 tabular-nums",
+      text: `${formatNumber(promptTokens)} / ${formatNumber(contextWindow)} tokens (${percent(promptTokens, contextWindow)})`
+    }))
+  }
+  section.append(title)
+
+  const bar = renderSourceBar(totals.map(([source, count]) => ({ source, token_count: count })), { className: "h-3", scale })
+  if (reserved) {
+    const reply = el("div", {
+      className: "h-full bg-base-content/20",
+      attrs: { title: `Reserved for reply: ${formatNumber(reserved)} tokens` }
+    })
+    reply.style.width = `${(reserved / scale) * 100}%`
+    bar.append(reply)
+  }
+  section.append(bar)
+
+  const legend = el("div", { className: "flex flex-wrap gap-x-4 gap-y-1 text-xs text-base-content/70" })
+  for (const [source, count] of [...totals].sort((a, b) => b[1] - a[1])) {
+    legend.append(el("span", { className: "flex items-center gap-1 tabular-nums" }, [
+      el("span", { className: `token-source-swatch token-source-${source} size-2.5 rounded-sm` }),
+      `${sourceLabel(source)} ${formatNumber(count)} (${percent(count, promptTokens)})`
+    ]))
+  }
+  if (reserved) {
+    legend.append(el("span", { className: "flex items-center gap-1 tabular-nums" }, [
+      el("span", { className: "bg-base-content/20 size-2.5 rounded-sm" }),
+      `Reserved for reply ${formatNumber(reserved)}`
+    ]))
+  }
+  section.append(legend)
+
+  return section
+}
+
+function percent(part, whole) {
+  if (!whole) return "0%"
+  return `${((part / whole) * 100).toFixed(1)}%`
+}
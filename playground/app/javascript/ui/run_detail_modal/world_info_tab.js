@@ -0,0 +1,155 @@
+import { formatNumber } from "./formatters"
+import { el, lucide } from "./dom"
+
+// Why an entry was dropped or suppressed. Keys are TavernKit::Lore::Engine's
+// dropped_reason values.
+const DROPPED_REASONS = {
+  budget_exhausted: "Token budget exhausted",
+  probability_failed: "Failed its probability roll",
+  ignore_on_max_context: "Skipped once the budget overflowed",
+  group_sticky_loser: "Lost to a sticky entry of its group",
+  group_already_activated: "Its group already activated",
+  group_score_loser: "Lower group score",
+  group_loser: "Lost its group's roll",
+  delay_active: "Delay: chat is not long enough yet",
+  cooldown_active: "On cooldown"
+}
+
+const SECTIONS = [
+  { status: "selected", title: "Activated", icon: "check-circle", emptyText: "No entries activated." },
+  { status: "dropped", title: "Dropped", icon: "x-circle", emptyText: null },
+  { status: "suppressed", title: "Suppressed by timed effects", icon: "timer", emptyText: null }
+]
+
+/**
+ * World Info tab: which lorebook entries activated for the run and why, from
+ * the trace recorded by PromptBuilding::LoreTrace.
+ *
+ * @param {Object} data - Run data with `lore_trace`
+ * @returns {HTMLElement}
+ */
+export function renderWorldInfoTab(data) {
+  if (!data.lore_trace) {
+    return el("div", { className: "flex flex-col items-center justify-center py-12 text-base-content/50" }, [
+      lucide("book-open", "size-12 mb-4"),
+      el("p", { className: "text-sm", text: "World Info trace not available." }),
+      el("p", { className: "text-xs mt-1", text: "The trace is recorded for runs with lorebooks attached." })
+    ])
+  }
+
+  const root = el("div", { className: "space-y-4" })
+
+  const budget = data.lore_budget === "unlimited" ? "∞" : formatNumber(data.lore_budget)
+  root.append(
+    el("div", { className: "flex items-center justify-between text-sm" }, [
+      el("span", { className: "text-base-content/60" }, [
+        lucide("book-open", "size-4 mr-1"),
+        `${data.lore_trace.length} ${data.lore_trace.length === 1 ? "entry" : "entries"} considered`
+      ]),
+      el("span", { className: "badge badge-info badge-outline badge-sm", text: `${formatNumber(data.lore_used_tokens)} / ${budget} tokens` })
+    ])
+  )
+
+  for (const { status, title, icon, emptyText } of SECTIONS) {
+    const entries = data.lore_trace.filter((entry) => entry.status === status)
+    if (!entries.length && !emptyText) continue
+
+    const section = el("div", { className: "space-y-2" })
+    const header = el("h4", { className: "font-semibold text-sm flex items-center gap-2" })
+    header.append(lucide(icon, "size-4"), title, el("span", { className: "badge badge-xs badge-ghost", text: entries.length }))
+    section.append(header)
+
+    if (!entries.length) {
+      section.append(el("p", { className: "text-xs text-base-content/50", text: emptyText }))
+    }
+    for (const entry of entries) section.append(renderEntry(entry))
+
+    root.append(section)
+  }
+
+  return root
+}
+
+function renderEntry(entry) {
+  const card = el("div", { className: "bg-base-200 rounded-lg p-3 space-y-1.5 text-sm" })
+
+  const title = el("div", { className: "flex items-center gap-2 min-w-0" }, [
+    el("span", { className: "font-medium truncate", text: entry.comment || entry.uid })
+  ])
+  if (entry.book_name) title.append(el("span", { className: "badge badge-xs badge-ghost shrink-0", text: entry.book_name }))
+  if (entry.source) title.append(el("span", { className: "text-xs text-base-content/40 shrink-0", text: entry.source }))
+
+  const header = el("div", { className: "flex items-center justify-between gap-2" }, [title])
+  const actions = el("div", { className: "flex items-center gap-2 shrink-0" }, [
+    el("span", { className: "text-xs text-base-content/40", text: `${entry.token_estimate || 0} tokens` })
+  ])
+  if (entry.edit_url) {
+    const link = el("a", {
+      className: "btn btn-xs btn-ghost",
+      attrs: { href: entry.edit_url, target: "_blank", rel: "noopener", title: "Edit entry" }
+    })
+    link.append(lucide("pencil", "size-3"), "Edit")
+    actions.append(link)
+  }
+  header.append(actions)
+  card.append(header)
+
+  if (entry.dropped_reason) {
+    card.append(
+      el("div", { className: "text-xs text-warning flex items-center gap-1" }, [
+        lucide("alert-triangle", "size-3"),
+        DROPPED_REASONS[entry.dropped_reason] || entry.dropped_reason
+      ])
+    )
+  }
+
+  const details = el("div", { className: "flex flex-wrap items-center gap-1.5 text-xs" })
+  if (entry.activation_type) details.append(activationBadge(entry))
+  details.append(...keyBadges(entry.matched_primary_keys, "badge-primary"))
+  if (entry.matched_secondary_keys?.length) {
+    details.append(el("span", { className: "text-base-content/40", text: "+" }), ...keyBadges(entry.matched_secondary_keys, "badge-secondary"))
+  }
+  details.append(...timedEffectBadges(entry))
+  if (entry.group) details.append(groupBadge(entry))
+  if (details.childElementCount) card.append(details)
+
+  return card
+}
+
+function activationBadge(entry) {
+  const label = entry.activation_type === "recursive" ? `recursive · depth ${entry.recursion_depth}` : entry.activation_type
+  return el("span", { className: "badge badge-xs badge-outline", text: label })
+}
+
+// Placeholders such as "<constant>" or "<sticky>" are already shown by the activation badge.
+function keyBadges(keys, className) {
+  return (keys || [])
+    .filter((key) => !/^<.+>$/.test(key))
+    .map((key) => el("code", { className: `badge badge-xs badge-soft ${className} font-mono`, text: key }))
+}
+
+function timedEffectBadges(entry) {
+  const active = new Set(entry.timed_effects || [])
+
+  return ["sticky", "cooldown", "delay"]
+    .filter((effect) => active.has(effect) || entry[effect] !== undefined)
+    .map((effect) => {
+      const value = entry[effect] !== undefined ? ` ${entry[effect]}` : ""
+      const badge = el("span", {
+        className: `badge badge-xs gap-1 ${active.has(effect) ? "badge-warning" : "badge-ghost"}`,
+        attrs: { title: active.has(effect) ? `${effect} active for this run` : `${effect} configured` }
+      })
+      badge.append(lucide("timer", "size-3"), `${effect}${value}`)
+      return badge
+    })
+}
+
+function groupBadge(entry) {
+  let label = `group ${entry.group}`
+  if (entry.group_score !== undefined) label += ` · score ${entry.group_score}`
+
+  const badge = el("span", { className: `badge badge-xs gap-1 ${entry.group_winner ? "badge-success" : "badge-ghost"}` })
+  if (entry.group_winner) badge.append(lucide("trophy", "size-3"))
+  badge.append(label)
+  return badge
+}
@@ -3,6 +3,7 @@ import { getInputValue } from "./inputs"
 import { buildPatchesFromChanges } from "./patch_builder"
 import { savePatch } from "./requests"
 import { applyServerResource } from "./resource_sync"
+import { broadcastSavedResource } from "./cross_tab"
 import { updateStatus } from "./status_badge"
 
 export function saveNow(controller) {
@@ -60,6 +61,7 @@ export async function performSave(controller) {
   try {
     const result = await savePatch(controller, controller.urlValue, settingsPatch, dataPatch, columns)
     applyServerResource(controller, result?.[controller.resourceKeyValue])
+    broadcastSavedResource(controller, result?.[controller.resourceKeyValue])
 
     controller.pendingChanges.clear()
     updateStatus(controller, "saved")
@@ -0,0 +1,60 @@
+import { publish, subscribe } from "../../tab_coordination"
+import { showToast } from "../../request_helpers"
+import { applyServerResource } from "./resource_sync"
+import { updateStatus } from "./status_badge"
+
+const SETTINGS_SAVED_MESSAGE = "settings-form:saved"
+export const CROSS_TAB_CONFLICT_MESSAGE = "Changed in another tab. Reload to see the latest settings."
+
+/**
+ * Keep the same settings form open in other tabs in sync after a save.
+ *
+ * Forms are matched by URL and resource key, and only a newer
+ * `settings_version` than the form's own is considered. A clean form takes the
+ * saved values and version, which also resolves an earlier conflict. A form with unsaved changes of its own keeps
+ * its version and is flagged as conflicting (`crossTabConflict`): adopting the
+ * new version would let its next save pass the optimistic-lock check and
+ * overwrite the other tab's change, so that save fails instead (requests.js)
+ * and the user is asked to reload.
+ */
+export function setupCrossTabSync(controller) {
+  controller.unsubscribeCrossTabSync = subscribe(SETTINGS_SAVED_MESSAGE, ({ url, resourceKey, resource }) => {
+    if (url !== controller.urlValue || resourceKey !== controller.resourceKeyValue) return
+    if (!resource || typeof resource !== "object") return
+    if (typeof resource.settings_version !== "number" || resource.settings_version <= controller.settingsVersionValue) return
+
+    if (controller.pendingChanges.size > 0 || controller.isSaving) {
+      if (!controller.crossTabConflict) {
+        controller.crossTabConflict = true
+        updateStatus(controller, "error", CROSS_TAB_CONFLICT_MESSAGE)
+        showToast(CROSS_TAB_CONFLICT_MESSAGE, "warning", 5000)
+      }
+      return
+    }
+
+    controller.settingsVersionValue = resource.settings_version
+    applyServerResource(controller, resource)
+
+    if (controller.crossTabConflict) {
+      controller.crossTabConflict = false
+      updateStatus(controller, "idle")
+    }
+  })
+}
+
+export function teardownCrossTabSync(controller) {
+  if (controller.unsubscribeCrossTabSync) {
+    controller.unsubscribeCrossTabSync()
+    controller.unsubscribeCrossTabSync = null
+  }
+}
+
+export function broadcastSavedResource(controller, resource) {
+  if (!resource || !controller.urlValue) return
+
+  publish(SETTINGS_SAVED_MESSAGE, {
+    url: controller.urlValue,
+    resourceKey: controller.resourceKeyValue,
+    resource
+  })
+}
@@ -1,4 +1,5 @@
 import { jsonPatch } from "../../request_helpers"
+import { CROSS_TAB_CONFLICT_MESSAGE } from "./cross_tab"
 
 export async function savePatch(controller, url, settingsPatch, dataPatch, columns = {}, attemptedConflictRetry = false) {
   const { response, data: result } = await jsonPatch(url, {
@@ -15,6 +16,11 @@ export async function savePatch(controller, url, settingsPatch, dataPatch, colum
     throw new Error("Save failed")
   }
 
+  // Retrying with the newer version would overwrite what another tab saved.
+  if (response.status === 409 && result?.conflict === true && controller.crossTabConflict) {
+    throw new Error(CROSS_TAB_CONFLICT_MESSAGE)
+  }
+
   if (response.status === 409 && result?.conflict === true && attemptedConflictRetry === false) {
     const nextVersion = result?.[controller.resourceKeyValue]?.settings_version
     if (typeof nextVersion === "number") {
@@ -0,0 +1,150 @@
+import { el } from "./dom"
+
+/**
+ * Word-level text diff (LCS over word/whitespace/punctuation tokens).
+ *
+ * Common prefix/suffix are trimmed first; if the remaining middle is still too
+ * large for the O(n·m) table, the diff falls back to whole lines.
+ */
+
+const MAX_TABLE_CELLS = 4_000_000
+const WORD_PATTERN = /\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: "equal"|"insert"|"delete", text: string }>}
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before, WORD_PATTERN)
+  const b = tokenize(after, WORD_PATTERN)
+
+  if (middleSize(a, b) > MAX_TABLE_CELLS) {
+    return diffTokens(tokenize(before, /[^\n]*\n|[^\n]+/g), tokenize(after, /[^\n]*\n|[^\n]+/g))
+  }
+
+  return diffTokens(a, b)
+}
+
+/**
+ * @returns {{ inserted: number, deleted: number }} changed token counts, ignoring whitespace
+ */
+export function diffStats(parts) {
+  let inserted = 0
+  let deleted = 0
+
+  parts.forEach((part) => {
+    const words = part.text.match(/[^\s]+/g)?.length || 0
+    if (part.type === "insert") inserted += words
+    if (part.type === "delete") deleted += words
+  })
+
+  return { inserted, deleted }
+}
+
+/**
+ * Render diff parts as inline text with <ins>/<del> highlights.
+ *
+ * @returns {HTMLElement}
+ */
+export function renderDiff(parts, { className = "" } = {}) {
+  const container = el("div", { className: `whitespace-pre-wrap break-words text-sm ${className}`.trim() })
+
+  parts.forEach((part) => {
+    if (part.type === "equal") {
+      container.append(document.createTextNode(part.text))
+    } else if (part.type === "insert") {
+      container.append(el("ins", { className: "bg-success/20 text-success-content no-underline rounded-sm", text: part.text }))
+    } else {
+      container.append(el("del", { className: "bg-error/20 text-error-content rounded-sm", text: part.text }))
+    }
+  })
+
+  return container
+}
+
+function tokenize(text, pattern) {
+  return String(text || "").match(pattern) || []
+}
+
+function middleSize(a, b) {
+  const { prefix, suffix } = commonEnds(a, b)
+  return (a.length - prefix - suffix) * (b.length - prefix - suffix)
+}
+
+function commonEnds(a, b) {
+  let prefix = 0
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix += 1
+
+  let suffix = 0
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix += 1
+
+  return { prefix, suffix }
+}
+
+function diffTokens(a, b) {
+  const { prefix, suffix } = commonEnds(a, b)
+  const parts = []
+
+  push(parts, "equal", a.slice(0, prefix))
+
+  const midA = a.slice(prefix, a.length - suffix)
+  const midB = b.slice(prefix, b.length - suffix)
+  const n = midA.length
+  const m = midB.length
+
+  if (n * m > MAX_TABLE_CELLS) {
+    // Still too large (very long lines): replace the whole middle.
+    push(parts, "delete", midA)
+    push(parts, "insert", midB)
+  } else {
+    // lengths[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const width = m + 1
+    const lengths = new Uint32Array((n + 1) * width)
+    for (let i = n - 1; i >= 0; i -= 1) {
+      for (let j = m - 1; j >= 0; j -= 1) {
+        lengths[i * width + j] = midA[i] === midB[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1])
+      }
+    }
+
+    let i = 0
+    let j = 0
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        push(parts, "equal", [midA[i]])
+        i += 1
+        j += 1
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        push(parts, "delete", [midA[i]])
+        i += 1
+      } else {
+        push(parts, "insert", [midB[j]])
+        j += 1
+      }
+    }
+    push(parts, "delete", midA.slice(i))
+    push(parts, "insert", midB.slice(j))
+  }
+
+  push(parts, "equal", a.slice(a.length - suffix))
+  return parts
+}
+
+// Append tokens, merging with the previous part of the same type.
+function push(parts, type, tokens) {
+  if (tokens.length === 0) return
+
+  const text = tokens.join("")
+  const last = parts[parts.length - 1]
+  if (last && last.type === type) {
+    last.text += text
+  } else {
+    parts.push({ type, text })
+  }
+}
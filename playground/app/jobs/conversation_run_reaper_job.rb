@@ -62,6 +62,7 @@ class ConversationRunReaperJob < ApplicationJob
     )
 
     Messages::Swipes::RegeneratePlaceholder.revert!(run: run) if run.regenerate?
+    Messages::Swipes::SteeredPrefill.revert!(run: run) if run.continue?
 
     finalize_placeholder_messages!(run, user_message: user_message, at: now)
 
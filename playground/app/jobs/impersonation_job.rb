@@ -0,0 +1,26 @@
+# frozen_string_literal: true
+
+# Background job for streaming an Impersonate suggestion into the composer.
+#
+# @example
+#   ImpersonationJob.perform_later(conversation.id, membership.id, generation_id: SecureRandom.uuid)
+#
+class ImpersonationJob < ApplicationJob
+  queue_as :llm
+
+  discard_on ActiveRecord::RecordNotFound
+
+  # @param conversation_id [Integer] the Conversation ID
+  # @param space_membership_id [Integer] the SpaceMembership ID (human)
+  # @param generation_id [String] client-side id used to match streamed events
+  def perform(conversation_id, space_membership_id, generation_id:)
+    conversation = Conversation.find(conversation_id)
+    membership = conversation.space.space_memberships.find(space_membership_id)
+
+    Conversations::Impersonator.execute(
+      conversation: conversation,
+      participant: membership,
+      generation_id: generation_id
+    )
+  end
+end
@@ -46,6 +46,7 @@ class Character < ApplicationRecord
   belongs_to :user, optional: true, counter_cache: true
   has_many :character_assets, dependent: :destroy
   has_many :character_uploads, dependent: :nullify
+  has_many :regex_scripts, dependent: :destroy
 
   # Space/chat associations
   # Note: Using nullify to preserve chat history when character is deleted
@@ -270,6 +271,18 @@ class Character < ApplicationRecord
     data&.assets
   end
 
+  # Imported file behind a card-relative asset URI, such as the
+  # `embeded://assets/...` images CharX greetings reference.
+  #
+  # @param uri [String] an `embeded://` URI from the card's assets list
+  # @return [CharacterAsset, nil]
+  def embedded_asset(uri)
+    definition = Array(assets).find { |asset| asset.uri == uri }
+    return nil unless definition
+
+    character_assets.find_by(name: CharacterImport::AssetExtractor.sanitize_name(definition.name || "unnamed"))
+  end
+
   # ──────────────────────────────────────────────────────────────────
   # Author's Note Settings
   # ──────────────────────────────────────────────────────────────────
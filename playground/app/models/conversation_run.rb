@@ -7,6 +7,7 @@
 # - auto_response: AI character responds automatically
 # - auto_user_response: AI responds as a human persona (Auto)
 # - regenerate: Regenerate an existing message (add swipe)
+# - continue: Extend the text of an existing message (append to the active swipe)
 # - force_talk: Force a specific character to speak
 #
 # ## Status Lifecycle
@@ -21,7 +22,7 @@
 #
 class ConversationRun < ApplicationRecord
   STATUSES = %w[queued running succeeded failed canceled skipped].freeze
-  KINDS = %w[auto_response auto_user_response regenerate force_talk].freeze
+  KINDS = %w[auto_response auto_user_response regenerate continue force_talk].freeze
 
   # Safety net timeout - only kills runs that have been stuck for a very long time
   STALE_TIMEOUT = 10.minutes
@@ -58,6 +59,7 @@ class ConversationRun < ApplicationRecord
     "auto_response" => "Auto Turn",
     "auto_user_response" => "Auto (User) Turn",
     "regenerate" => "Regenerate",
+    "continue" => "Continue",
     "force_talk" => "Force Talk",
   }.freeze
 
@@ -154,7 +156,13 @@ class ConversationRun < ApplicationRecord
     auto_response? || auto_user_response? || force_talk?
   end
 
-  # Note: regenerate? is generated by the enum :kind declaration
+  # Note: regenerate? and continue? are generated by the enum :kind declaration
+
+  # Does this run rework an existing message (instead of adding a new turn)?
+  # Such runs are standalone timeline operations and never advance the scheduler.
+  def targets_existing_message?
+    regenerate? || continue?
+  end
 
   # Should this run be executed (execute LLM)?
   # All current run kinds execute LLM calls.
@@ -216,6 +216,8 @@ class Message < ApplicationRecord
   #
   # - page_before_cursor: previous page (closest older messages), returned chronological
   # - page_after_cursor: next page (newest newer messages), returned chronological
+  # - page_following_cursor: next page (closest newer messages), returned chronological
+  # - page_around_cursor: the cursor plus its closest neighbours on both sides, returned chronological
   scope :page_before_cursor, lambda { |cursor, limit = 50|
     before_cursor(cursor).recent_chronological(limit)
   }
@@ -224,6 +226,18 @@ class Message < ApplicationRecord
     after_cursor(cursor).recent_chronological(limit)
   }
 
+  scope :page_following_cursor, lambda { |cursor, limit = 50|
+    after_cursor(cursor).reorder(created_at: :asc, id: :asc).limit(limit)
+  }
+
+  scope :page_around_cursor, lambda { |cursor, limit = 50|
+    older_count = (limit - 1) / 2
+    older_ids = before_cursor(cursor).reorder(created_at: :desc, id: :desc).limit(older_count).select(:id)
+    newer_ids = after_cursor(cursor).reorder(created_at: :asc, id: :asc).limit(limit - 1 - older_count).select(:id)
+
+    where(id: cursor.id).or(where(id: older_ids)).or(where(id: newer_ids)).reorder(created_at: :asc, id: :asc)
+  }
+
   # Delegate display_name to membership for convenience
   delegate :display_name, to: :space_membership, prefix: :sender
 
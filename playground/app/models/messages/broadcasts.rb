@@ -131,6 +131,71 @@ module Messages
       )
     end
 
+    # Broadcast that an Impersonate suggestion started streaming.
+    #
+    # Carries the persona name/avatar so the client can show its typing indicator.
+    #
+    # @param space_membership [SpaceMembership] the membership to broadcast to
+    # @param generation_id [String] unique ID for this impersonate request
+    # @return [void]
+    def self.broadcast_impersonation_start(space_membership, generation_id:)
+      AutoChannel.broadcast_to(
+        space_membership,
+        ConversationChannel.typing_payload(space_membership, type: "impersonation_start").merge(generation_id: generation_id)
+      )
+    end
+
+    # Broadcast a streamed Impersonate delta.
+    #
+    # @param space_membership [SpaceMembership] the membership to broadcast to
+    # @param generation_id [String] unique ID for this impersonate request
+    # @param delta [String] the newly generated text
+    # @return [void]
+    def self.broadcast_impersonation_chunk(space_membership, generation_id:, delta:)
+      AutoChannel.broadcast_to(
+        space_membership,
+        {
+          type: "impersonation_chunk",
+          generation_id: generation_id,
+          delta: delta,
+        }
+      )
+    end
+
+    # Broadcast the final Impersonate text.
+    #
+    # @param space_membership [SpaceMembership] the membership to broadcast to
+    # @param generation_id [String] unique ID for this impersonate request
+    # @param text [String] the complete suggestion
+    # @return [void]
+    def self.broadcast_impersonation_complete(space_membership, generation_id:, text:)
+      AutoChannel.broadcast_to(
+        space_membership,
+        {
+          type: "impersonation_complete",
+          generation_id: generation_id,
+          text: text,
+        }
+      )
+    end
+
+    # Broadcast Impersonate generation error.
+    #
+    # @param space_membership [SpaceMembership] the membership to broadcast to
+    # @param generation_id [String] unique ID for this impersonate request
+    # @param error [String] the error message
+    # @return [void]
+    def self.broadcast_impersonation_error(space_membership, generation_id:, error:)
+      AutoChannel.broadcast_to(
+        space_membership,
+        {
+          type: "impersonation_error",
+          generation_id: generation_id,
+          error: error,
+        }
+      )
+    end
+
     # Broadcast group chat queue update.
     #
     # Delegates to TurnScheduler::Broadcasts.queue_updated which is the
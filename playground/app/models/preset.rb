@@ -34,6 +34,7 @@ class Preset < ApplicationRecord
   belongs_to :user, optional: true
 
   has_many :space_memberships, dependent: :nullify
+  has_many :regex_scripts, dependent: :destroy
 
   # Visibility values
   VISIBILITIES = %w[private public].freeze
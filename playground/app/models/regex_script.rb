@@ -0,0 +1,314 @@
+# frozen_string_literal: true
+
+# Find/replace script that rewrites message text (SillyTavern "Regex" extension).
+#
+# Card authors use these to hide status blocks, reformat trackers, etc. Scripts
+# run on message content before markdown is parsed (ui/markdown/regex_scripts.js);
+# with `affects_prompt` they also rewrite the chat history sent to the LLM
+# (PromptBuilding::RegexScriptApplier).
+#
+# Scopes:
+# - global: every chat of the owning user
+# - character: chats where the character is an active participant
+# - preset: chats where a participant uses the preset
+#
+# `find_regex` is a JS regex literal (`/pattern/flags`) or a plain pattern;
+# only the `g` flag replaces every match. Plain patterns are JS syntax too:
+# they are converted like a flagless literal, so the server and the browser
+# agree on what they match. `replace_string` understands
+# `{{match}}`/`$&`/`$0` (the match minus `trim_strings`), `$1`..`$99`,
+# `$<name>` and `$$`.
+#
+# Depth counts from the latest message (0) backwards, like ST, over the
+# messages that reach the prompt: a message's depth is the number of later
+# messages with normal visibility. Excluded and hidden messages are not counted,
+# so a message has the same depth in the browser (which shows excluded ones)
+# as in the prompt history (PromptBuilding::MessageHistory).
+#
+# The browser runs scripts on its main thread without a timeout, so enabled
+# scripts can't nest an unbounded repetition inside another one (`(a+)+`),
+# the usual shape of catastrophic backtracking. Imported scripts with such a
+# pattern are kept, disabled.
+#
+# @example Hide a status block in AI replies
+#   RegexScript.create!(user: user, name: "Hide status", find_regex: "/<status>[\\s\\S]*?<\\/status>/g",
+#                       user_messages: false)
+#
+class RegexScript < ApplicationRecord
+  SCOPE_TYPES = %w[global character preset].freeze
+
+  # Keeps a pathological pattern from stalling a render or a prompt build.
+  MATCH_TIMEOUT = 1.0
+
+  LITERAL_PATTERN = %r{\A/(.*)/([a-z]*)\z}m
+  REPLACEMENT_TOKEN = /\{\{match\}\}|\$(?:(\$)|(&)|(\d{1,2})|<([^>]*)>)/i
+
+  belongs_to :user, optional: true
+  belongs_to :character, optional: true
+  belongs_to :preset, optional: true
+
+  enum :scope_type, SCOPE_TYPES.index_by(&:itself), default: "global", prefix: :scope
+
+  validates :name, presence: true
+  validates :find_regex, presence: true
+  validates :scope_type, inclusion: { in: SCOPE_TYPES }
+  validates :user, presence: true, if: :scope_global?
+  validates :character, presence: true, if: :scope_character?
+  validates :preset, presence: true, if: :scope_preset?
+  validates :min_depth, :max_depth, numericality: { only_integer: true, greater_than_or_equal_to: 0 }, allow_nil: true
+  validate :find_regex_must_compile
+  validate :find_regex_must_not_nest_quantifiers, if: :enabled?
+  validate :max_depth_not_below_min_depth
+
+  before_validation :clear_unused_targets
+
+  scope :enabled, -> { where(enabled: true) }
+  scope :ordered, -> { order(:position, :id) }
+
+  class << self
+    # Enabled scripts that apply to a space, for a given viewer.
+    #
+    # Character and preset scripts come from the space's active participants.
+    # Of those, only the viewer's own scripts and the ones shipped by the
+    # character/preset owner (or with a system record) are included.
+    #
+    # @param space [Space]
+    # @param user [User, nil] viewer (prompt building uses the space owner)
+    # @return [Array<RegexScript>] global, then character, then preset scripts
+    def applicable_to(space, user:)
+      memberships = space.space_memberships.active
+      character_ids = memberships.where.not(character_id: nil).distinct.pluck(:character_id)
+      preset_ids = memberships.where.not(preset_id: nil).distinct.pluck(:preset_id)
+
+      global = user ? enabled.scope_global.where(user_id: user.id).ordered.to_a : []
+
+      character =
+        enabled.scope_character.where(character_id: character_ids).joins(:character)
+          .where("regex_scripts.user_id IS NULL OR regex_scripts.user_id = characters.user_id OR regex_scripts.user_id = ?", user&.id)
+          .ordered.to_a
+
+      preset =
+        enabled.scope_preset.where(preset_id: preset_ids).joins(:preset)
+          .where("regex_scripts.user_id IS NULL OR regex_scripts.user_id = presets.user_id OR regex_scripts.user_id = ?", user&.id)
+          .ordered.to_a
+
+      global + character + preset
+    end
+
+    # Build attributes from a SillyTavern regex script (card `extensions.regex_scripts`).
+    #
+    # Placement 1 is user input, 2 is AI output; other placements (slash
+    # commands, world info, reasoning) have no equivalent and are dropped.
+    # Prompt-only scripts are imported disabled since we can't run a script
+    # on the prompt without also running it for display.
+    #
+    # @param script [Hash]
+    # @return [Hash, nil] nil when the script has no pattern
+    def attributes_from_st(script)
+      script = script.to_h.stringify_keys
+      find_regex = script["findRegex"].to_s
+      return nil if find_regex.blank?
+
+      placement = Array(script["placement"]).map(&:to_i)
+      prompt_only = script["promptOnly"] && !script["markdownOnly"]
+
+      {
+        name: script["scriptName"].presence || "Imported script",
+        find_regex: find_regex,
+        replace_string: script["replaceString"].to_s,
+        trim_strings: Array(script["trimStrings"]).map(&:to_s).compact_blank,
+        affects_prompt: !script["markdownOnly"],
+        user_messages: placement.include?(1),
+        ai_messages: placement.include?(2),
+        min_depth: non_negative_integer(script["minDepth"]),
+        max_depth: non_negative_integer(script["maxDepth"]),
+        enabled: !script["disabled"] && !prompt_only && !nested_quantifier?(find_regex),
+      }
+    end
+
+    # Whether a pattern repeats a group that itself contains an unbounded
+    # repetition, e.g. `(a+)+$` or `(?:\s*x)*`. Mirrors `hasNestedQuantifier`
+    # in ui/markdown/regex_scripts.js.
+    #
+    # @param source [String] `/pattern/flags` or a plain pattern
+    # @return [Boolean]
+    def nested_quantifier?(source)
+      source = source.to_s
+      body = source.match(LITERAL_PATTERN)&.[](1) || source
+      groups = []
+      in_class = false
+      index = 0
+
+      while index < body.length
+        char = body[index]
+        index += 1
+
+        if char == "\\"
+          index += 1
+        elsif in_class
+          in_class = false if char == "]"
+        elsif char == "["
+          in_class = true
+        elsif char == "("
+          groups.push(false)
+        elsif char == ")"
+          repeats_inside = groups.pop || false
+          repeats_outside = unbounded_quantifier_at?(body, index)
+          return true if repeats_inside && repeats_outside
+
+          groups[-1] = true if !groups.empty? && (repeats_inside || repeats_outside)
+        elsif !groups.empty? && unbounded_quantifier_at?(body, index - 1)
+          groups[-1] = true
+        end
+      end
+
+      false
+    end
+
+    private
+
+    def unbounded_quantifier_at?(body, index)
+      body[index] == "+" || body[index] == "*" || body[index..].match?(/\A\{\d+,\}/)
+    end
+
+    def non_negative_integer(value)
+      Integer(value, exception: false)&.then { |int| int >= 0 ? int : nil }
+    end
+  end
+
+  # Whether the script runs for a message.
+  #
+  # A message of unknown depth only gets scripts without depth limits.
+  #
+  # @param role [String, Symbol] "user" or "assistant"
+  # @param depth [Integer, nil] 0 = latest message
+  # @return [Boolean]
+  def applies_to?(role:, depth:)
+    case role.to_s
+    when "user" then return false unless user_messages?
+    when "assistant" then return false unless ai_messages?
+    else return false
+    end
+
+    return min_depth.nil? && max_depth.nil? if depth.nil?
+    return false if min_depth && depth < min_depth
+    return false if max_depth && depth > max_depth
+
+    true
+  end
+
+  # Run the script over text.
+  #
+  # @param text [String]
+  # @return [String] the rewritten text (unchanged when the pattern is invalid or times out)
+  def run(text)
+    regexp = compiled_regexp
+    return text unless regexp && text.present?
+
+    if global_flag?
+      text.gsub(regexp) { replacement_for(Regexp.last_match) }
+    else
+      text.sub(regexp) { replacement_for(Regexp.last_match) }
+    end
+  rescue Regexp::TimeoutError
+    text
+  end
+
+  # @return [Regexp, nil]
+  def compiled_regexp
+    return @compiled_regexp if defined?(@compiled_regexp) && @compiled_for == find_regex
+
+    @compiled_for = find_regex
+    @compiled_regexp = compile(find_regex)
+  end
+
+  # Payload for the client-side runner (ui/markdown/regex_scripts.js).
+  #
+  # @return [Hash]
+  def to_client_payload
+    {
+      id: id,
+      name: name,
+      find_regex: find_regex,
+      replace_string: replace_string,
+      trim_strings: trim_strings,
+      user_messages: user_messages,
+      ai_messages: ai_messages,
+      min_depth: min_depth,
+      max_depth: max_depth,
+    }
+  end
+
+  # The record the script is attached to, for display.
+  #
+  # @return [Character, Preset, nil]
+  def target
+    case scope_type
+    when "character" then character
+    when "preset" then preset
+    end
+  end
+
+  private
+
+  def global_flag?
+    match = find_regex.to_s.match(LITERAL_PATTERN)
+    match ? match[2].include?("g") : false
+  end
+
+  def compile(source)
+    source = source.to_s
+    regexp =
+      if source.match?(LITERAL_PATTERN)
+        ::JsRegexToRuby.try_convert(source, literal_only: true)
+      else
+        ::JsRegexToRuby.try_convert("/#{source.gsub(%r{(?<!\\)((?:\\\\)*)/}, '\\1\\/')}/", literal_only: true)
+      end
+
+    regexp && Regexp.new(regexp.source, regexp.options, timeout: MATCH_TIMEOUT)
+  end
+
+  def replacement_for(match)
+    replace_string.to_s.gsub(REPLACEMENT_TOKEN) do
+      token = Regexp.last_match
+
+      if token[1]
+        "$"
+      elsif token[3]
+        index = token[3].to_i
+        index < match.size ? trim(match[index].to_s) : token[0]
+      elsif token[4]
+        match.names.include?(token[4]) ? trim(match[token[4]].to_s) : token[0]
+      else
+        trim(match[0])
+      end
+    end
+  end
+
+  def trim(value)
+    Array(trim_strings).reduce(value) { |result, trim_string| trim_string.blank? ? result : result.gsub(trim_string, "") }
+  end
+
+  def clear_unused_targets
+    self.character = nil unless scope_character?
+    self.preset = nil unless scope_preset?
+  end
+
+  def find_regex_must_compile
+    return if find_regex.blank?
+
+    errors.add(:find_regex, :invalid) unless compile(find_regex)
+  end
+
+  def find_regex_must_not_nest_quantifiers
+    return unless self.class.nested_quantifier?(find_regex)
+
+    errors.add(:find_regex, "repeats a group that already repeats (like (a+)+), which can freeze the browser")
+  end
+
+  def max_depth_not_below_min_depth
+    return if min_depth.nil? || max_depth.nil?
+
+    errors.add(:max_depth, :greater_than_or_equal_to, count: min_depth) if max_depth < min_depth
+  end
+end
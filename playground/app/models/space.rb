@@ -27,6 +27,8 @@ class Space < ApplicationRecord
   CARD_HANDLING_MODES = %w[swap append append_disabled].freeze
   DURING_GENERATION_USER_INPUT_POLICIES = %w[queue restart reject].freeze
   GROUP_REGENERATE_MODES = %w[single_message last_turn].freeze
+  HTML_RENDERING_MODES = %w[escape allowlist].freeze
+  REASONING_DELIMITER_MAX_LENGTH = 64
 
   has_many :conversations, dependent: :destroy
   has_many :space_lorebooks, dependent: :destroy
@@ -74,6 +76,12 @@ class Space < ApplicationRecord
        GROUP_REGENERATE_MODES.index_by(&:itself),
        default: "single_message",
        prefix: true
+  # Raw HTML in message markdown: escaped as text, or rendered through the
+  # client-side allowlist sanitizer (app/javascript/ui/markdown/html.js).
+  enum :html_rendering_mode,
+       HTML_RENDERING_MODES.index_by(&:itself),
+       default: "escape",
+       prefix: true
 
   validates :name, presence: { message: "must contain visible characters" }
   validates :status, inclusion: { in: STATUSES }
@@ -85,6 +93,10 @@ class Space < ApplicationRecord
   validates :card_handling_mode, inclusion: { in: CARD_HANDLING_MODES }
   validates :during_generation_user_input_policy, inclusion: { in: DURING_GENERATION_USER_INPUT_POLICIES }
   validates :group_regenerate_mode, inclusion: { in: GROUP_REGENERATE_MODES }
+  validates :html_rendering_mode, inclusion: { in: HTML_RENDERING_MODES }
+  validates :reasoning_prefix, :reasoning_suffix,
+            presence: true,
+            length: { maximum: REASONING_DELIMITER_MAX_LENGTH }
   validates :auto_without_human_delay_ms, numericality: { only_integer: true, greater_than_or_equal_to: 0, allow_nil: false }
   validates :user_turn_debounce_ms, numericality: { only_integer: true, greater_than_or_equal_to: 0, allow_nil: false }
   validates :token_limit, numericality: { only_integer: true, greater_than_or_equal_to: 0, allow_nil: false }
@@ -39,6 +39,8 @@ class User < ApplicationRecord
   has_many :characters, dependent: :nullify
   has_many :lorebooks, dependent: :nullify
 
+  has_many :regex_scripts, dependent: :destroy
+
   # Space/chat associations
   # Note: Using nullify to preserve chat history when user is deleted
   has_many :space_memberships, dependent: :nullify
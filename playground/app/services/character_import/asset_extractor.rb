@@ -32,6 +32,14 @@ module CharacterImport
       "webm" => "video/webm",
     }.freeze
 
+    # Name an asset is stored under (CharacterAsset#name) for its card name.
+    #
+    # @param name [String]
+    # @return [String]
+    def self.sanitize_name(name)
+      name.to_s.strip.gsub(/[^\w.\-]/, "_").slice(0, 255)
+    end
+
     # Attach an asset to a character.
     #
     # @param character [Character] the character
@@ -143,7 +151,7 @@ module CharacterImport
     # @param name [String]
     # @return [String]
     def sanitize_name(name)
-      name.to_s.strip.gsub(/[^\w.\-]/, "_").slice(0, 255)
+      self.class.sanitize_name(name)
     end
 
     # Sanitize filename for storage.
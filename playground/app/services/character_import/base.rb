@@ -56,26 +56,57 @@ module CharacterImport
       raise InvalidCardError, "Missing data object in card" unless data.is_a?(Hash)
       raise InvalidCardError, "Missing name in card data" if data["name"].blank?
 
-      if character
-        # Update existing placeholder character
-        character.update!(
-          name: data["name"],
-          data: data,
-          spec_version: spec_version,
-          file_sha256: file_sha256,
-          status: "ready"
-        )
-        character
-      else
-        # Create new character (backward compatibility)
-        Character.create!(
-          name: data["name"],
-          data: data,
-          spec_version: spec_version,
-          file_sha256: file_sha256,
-          status: "ready",
-          visibility: "public" # Imported characters are public by default
+      character =
+        if character
+          # Update existing placeholder character
+          character.update!(
+            name: data["name"],
+            data: data,
+            spec_version: spec_version,
+            file_sha256: file_sha256,
+            status: "ready"
+          )
+          character
+        else
+          # Create new character (backward compatibility)
+          Character.create!(
+            name: data["name"],
+            data: data,
+            spec_version: spec_version,
+            file_sha256: file_sha256,
+            status: "ready",
+            visibility: "public" # Imported characters are public by default
+          )
+        end
+
+      import_regex_scripts(character, data)
+      character
+    end
+
+    # Create character-scoped RegexScripts from `data.extensions.regex_scripts`.
+    #
+    # Skipped when the character already has scripts, so re-importing a card
+    # doesn't duplicate them or overwrite the user's edits.
+    #
+    # @param character [Character]
+    # @param data [Hash] card data
+    def import_regex_scripts(character, data)
+      scripts = data.dig("extensions", "regex_scripts")
+      return unless scripts.is_a?(Array)
+      return if character.regex_scripts.exists?
+
+      scripts.each_with_index do |script, index|
+        next unless script.is_a?(Hash)
+
+        attributes = RegexScript.attributes_from_st(script)
+        next unless attributes
+
+        regex_script = character.regex_scripts.new(
+          attributes.merge(user: character.user, scope_type: "character", position: index)
         )
+        next if regex_script.save
+
+        Rails.logger.warn("Skipped regex script '#{attributes[:name]}' for character #{character.id}: #{regex_script.errors.full_messages.to_sentence}")
       end
     end
 
@@ -42,6 +42,21 @@ class ContextBuilder
     @last_prompt_builder&.build&.lore_result
   end
 
+  # Get the enabled prompt blocks from the last build, in plan order.
+  # Returns an empty array if build has not been called.
+  #
+  # @return [Array<TavernKit::Prompt::Block>]
+  def prompt_blocks
+    @last_prompt_builder&.build&.enabled_blocks || []
+  end
+
+  # Get the context window size used by the last build.
+  #
+  # @return [Integer, nil]
+  def context_window_tokens
+    @last_prompt_builder&.context_window_tokens
+  end
+
   private
 
   attr_reader :conversation, :space, :speaker
@@ -17,21 +17,24 @@ module Conversations
   # @example Export to TXT
   #   Conversations::Exporter.to_txt(conversation)
   #
+  # @example Export only some messages (multi-select)
+  #   Conversations::Exporter.to_jsonl(conversation, message_ids: [1, 2])
+  #
   class Exporter
     class << self
       # Export conversation to JSONL format.
       #
       # @param conversation [Conversation] the conversation to export
+      # @param message_ids [Array<Integer>, nil] limit the export to these messages
       # @return [String] JSONL content (one JSON object per line)
-      def to_jsonl(conversation)
+      def to_jsonl(conversation, message_ids: nil)
         lines = []
 
         # Header line with metadata
         lines << JSON.generate(build_header(conversation))
 
         # Message lines
-        messages = conversation.messages
-          .scheduler_visible
+        messages = export_scope(conversation, message_ids)
           .includes(:space_membership, :message_swipes, message_swipes: :text_content, space_membership: %i[user character])
           .order(:seq, :id)
 
@@ -45,8 +48,9 @@ module Conversations
       # Export conversation to TXT format.
       #
       # @param conversation [Conversation] the conversation to export
+      # @param message_ids [Array<Integer>, nil] limit the export to these messages
       # @return [String] Human-readable transcript
-      def to_txt(conversation)
+      def to_txt(conversation, message_ids: nil)
         lines = []
 
         # Header
@@ -65,8 +69,7 @@ module Conversations
         lines << ""
 
         # Messages
-        messages = conversation.messages
-          .scheduler_visible
+        messages = export_scope(conversation, message_ids)
           .includes(:space_membership, space_membership: %i[user character])
           .order(:seq, :id)
 
@@ -80,6 +83,11 @@ module Conversations
 
       private
 
+      def export_scope(conversation, message_ids)
+        scope = conversation.messages.scheduler_visible
+        message_ids.nil? ? scope : scope.where(id: message_ids)
+      end
+
       def build_header(conversation)
         space = conversation.space
 
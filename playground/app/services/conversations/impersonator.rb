@@ -0,0 +1,125 @@
+# frozen_string_literal: true
+
+# Generates a suggested next message for a human participant ("Impersonate").
+#
+# Uses the impersonate prompt like AutoCandidateGenerator, but streams the text
+# as it is generated so the composer can fill up live. Nothing is persisted:
+# the user decides whether to send, edit, or discard the suggestion.
+#
+# Events are unicast to the participant over AutoChannel:
+# - impersonation_start: carries the persona name/avatar for the typing indicator
+# - impersonation_chunk: a streamed delta
+# - impersonation_complete: the final (cleaned) text
+# - impersonation_error: generation failed
+#
+# @example
+#   Conversations::Impersonator.execute(conversation: conv, participant: membership, generation_id: "abc-123")
+#
+class Conversations::Impersonator
+  DEFAULT_MAX_TOKENS = 300
+
+  def self.execute(conversation:, participant:, generation_id:)
+    new(conversation: conversation, participant: participant, generation_id: generation_id).execute
+  end
+
+  def initialize(conversation:, participant:, generation_id:)
+    @conversation = conversation
+    @participant = participant
+    @generation_id = generation_id
+  end
+
+  def execute
+    call
+  end
+
+  def call
+    context_error = context_error_message
+    if context_error
+      broadcast_error(context_error)
+      return
+    end
+
+    generate_and_broadcast
+  rescue PromptBuilder::PromptBuilderError => e
+    log_error("Prompt build failed", e)
+    broadcast_error(e.message)
+  rescue SimpleInference::Errors::HTTPError => e
+    log_error("API error", e)
+    broadcast_error("API error: #{e.message}")
+  rescue SimpleInference::Errors::TimeoutError => e
+    log_error("Timeout", e)
+    broadcast_error("Request timed out")
+  rescue SimpleInference::Errors::ConnectionError => e
+    log_error("Connection error", e)
+    broadcast_error("Connection failed: #{e.message}")
+  rescue StandardError => e
+    # The composer waits for complete/error; never leave it hanging.
+    log_error("Unexpected error", e)
+    broadcast_error("Generation failed: #{e.message}")
+  end
+
+  private :call
+
+  private
+
+  attr_reader :conversation, :participant, :generation_id
+
+  def context_error_message
+    return "Impersonate canceled: space is inactive." unless conversation&.space&.active?
+    return "Impersonate canceled: no human membership." unless participant&.user? && participant&.auto_capable?
+    return "Impersonate canceled: Auto is active." if participant.auto_enabled?
+
+    nil
+  end
+
+  def generate_and_broadcast
+    messages = PromptBuilder.new(conversation, speaker: participant, generation_type: :impersonate).to_messages
+    client = LLMClient.new(provider: effective_llm_provider)
+
+    unless client.provider
+      broadcast_error("No LLM provider configured")
+      return
+    end
+
+    Messages::Broadcasts.broadcast_impersonation_start(participant, generation_id: generation_id)
+
+    buffer = +""
+    returned = client.chat(messages: messages, max_tokens: max_response_tokens || DEFAULT_MAX_TOKENS) do |chunk|
+      buffer << chunk
+      Messages::Broadcasts.broadcast_impersonation_chunk(participant, generation_id: generation_id, delta: chunk)
+    end
+    content = (buffer.presence || returned).to_s.gsub(/\p{Cf}/, "").strip
+
+    if content.blank?
+      broadcast_error("Model returned an empty response")
+      return
+    end
+
+    TokenUsageRecorder.execute(conversation: conversation, usage: client.last_usage) if client.last_usage
+
+    Messages::Broadcasts.broadcast_impersonation_complete(participant, generation_id: generation_id, text: content)
+  end
+
+  def broadcast_error(error_message)
+    Messages::Broadcasts.broadcast_impersonation_error(participant, generation_id: generation_id, error: error_message)
+  end
+
+  def log_error(context, error)
+    Rails.logger.error "[Impersonator] #{context}: #{error.class}: #{error.message}"
+  end
+
+  def effective_llm_provider
+    participant.effective_llm_provider || LLMProvider.get_default
+  end
+
+  def max_response_tokens
+    llm_settings = participant.llm_settings || {}
+    provider_id = participant.provider_identification
+    generation = (provider_id.present? ? llm_settings.dig("providers", provider_id, "generation") : nil) || {}
+
+    value = generation["max_response_tokens"] || llm_settings.dig("output", "max_response_tokens")
+    value = value.to_i if value.present?
+    value = nil if value.present? && value <= 0
+    value
+  end
+end
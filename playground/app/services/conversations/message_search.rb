@@ -0,0 +1,128 @@
+# frozen_string_literal: true
+
+module Conversations
+  # Case-insensitive substring search across a conversation's messages and swipes.
+  #
+  # Searches the visible timeline (normal + excluded messages) including the
+  # inactive swipes of each message. Results are newest first; a message whose
+  # active content and inactive swipes both match yields one hit per match
+  # source, so each swipe can be shown with its own snippet.
+  #
+  # Snippets are plain text; the match is described by an offset/length so the
+  # client can highlight it without rendering server HTML. Both are counted in
+  # UTF-16 code units, like JavaScript string indexes. When the database match
+  # can't be located again in Ruby (ILIKE and Ruby case folding disagree for a
+  # few characters), the snippet starts at the beginning with no highlight.
+  #
+  # @example
+  #   Conversations::MessageSearch.execute(conversation: conversation, query: "dragon")
+  #   # => #<data Result hits=[#<data Hit message_id=42, ...>], truncated=false>
+  #
+  class MessageSearch
+    MIN_QUERY_LENGTH = 2
+    DEFAULT_LIMIT = 50
+    MAX_LIMIT = 200
+    SNIPPET_RADIUS = 60
+
+    Result = Data.define(:hits, :truncated)
+    Hit = Data.define(:message_id, :seq, :role, :speaker, :swipe_position, :swipes_count, :snippet, :match_start, :match_length)
+
+    def self.execute(conversation:, query:, limit: DEFAULT_LIMIT)
+      new(conversation: conversation, query: query, limit: limit).execute
+    end
+
+    def initialize(conversation:, query:, limit:)
+      @conversation = conversation
+      @query = query.to_s.strip
+      @limit = limit.to_i.clamp(1, MAX_LIMIT)
+    end
+
+    def execute
+      call
+    end
+
+    # @return [Result]
+    def call
+      return Result.new(hits: [], truncated: false) if query.length < MIN_QUERY_LENGTH
+
+      hits = (message_hits + swipe_hits).sort_by { |hit| [-hit.seq, hit.swipe_position || -1] }
+
+      Result.new(hits: hits.first(limit), truncated: hits.size > limit)
+    end
+
+    private :call
+
+    private
+
+    attr_reader :conversation, :query, :limit
+
+    def pattern
+      "%#{ActiveRecord::Base.sanitize_sql_like(query)}%"
+    end
+
+    def message_hits
+      conversation.messages
+        .ui_visible
+        .left_joins(:text_content)
+        .where("COALESCE(text_contents.content, messages.content) ILIKE ?", pattern)
+        .includes(:text_content, space_membership: %i[user character])
+        .order(seq: :desc, id: :desc)
+        .limit(limit + 1)
+        .map { |message| build_hit(message, message.content, swipe_position: nil) }
+    end
+
+    # Only inactive swipes: the active swipe's content is the message content.
+    def swipe_hits
+      MessageSwipe
+        .joins(:message)
+        .merge(Message.ui_visible)
+        .where(messages: { conversation_id: conversation.id })
+        .where("messages.active_message_swipe_id IS DISTINCT FROM message_swipes.id")
+        .left_joins(:text_content)
+        .where("COALESCE(text_contents.content, message_swipes.content) ILIKE ?", pattern)
+        .includes(:text_content, message: { space_membership: %i[user character] })
+        .order("messages.seq DESC, message_swipes.position ASC")
+        .limit(limit + 1)
+        .map { |swipe| build_hit(swipe.message, swipe.content, swipe_position: swipe.position) }
+    end
+
+    def build_hit(message, content, swipe_position:)
+      snippet, match_start, match_length = snippet_for(content.to_s)
+
+      Hit.new(
+        message_id: message.id,
+        seq: message.seq,
+        role: message.role,
+        speaker: message.sender_display_name,
+        swipe_position: swipe_position,
+        swipes_count: message.message_swipes_count,
+        snippet: snippet,
+        match_start: match_start,
+        match_length: match_length
+      )
+    end
+
+    # @return [Array(String, Integer, Integer)] snippet around the first match,
+    #   and the match's UTF-16 offset and length in it
+    def snippet_for(content)
+      match = content.match(query_regexp)
+      index = match ? match.begin(0) : 0
+      matched = match ? match[0] : ""
+
+      from = [index - SNIPPET_RADIUS, 0].max
+      to = [index + matched.length + SNIPPET_RADIUS, content.length].min
+
+      prefix = from.positive? ? "…" : ""
+      suffix = to < content.length ? "…" : ""
+      snippet = "#{prefix}#{content[from...to]}#{suffix}".gsub(/\s+/, " ")
+
+      # Offset of the match in the snippet, after the same whitespace collapsing.
+      before = "#{prefix}#{content[from...index]}".gsub(/\s+/, " ")
+      [snippet, StreamBuffer.utf16_length(before), StreamBuffer.utf16_length(matched.gsub(/\s+/, " "))]
+    end
+
+    def query_regexp
+      @query_regexp ||= Regexp.new(Regexp.escape(query), Regexp::IGNORECASE)
+    end
+  end
+end
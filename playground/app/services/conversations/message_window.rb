@@ -0,0 +1,65 @@
+# frozen_string_literal: true
+
+module Conversations
+  # Loads a page of the visible timeline centred on one message (deep links).
+  #
+  # The window holds the anchor plus its closest older and newer neighbours.
+  # `has_older` / `has_newer` tell the client whether to keep paging in either
+  # direction; `has_newer` also means the window is detached from the live tail.
+  #
+  # Returns nil when the anchor isn't a visible message of the conversation, so
+  # callers can fall back to the regular "latest messages" page.
+  #
+  # @example
+  #   window = Conversations::MessageWindow.execute(conversation: conversation, anchor_id: params[:at])
+  #   window&.messages # => chronological messages around the anchor
+  #
+  class MessageWindow
+    DEFAULT_LIMIT = 50
+
+    Result = Data.define(:anchor, :messages, :has_older, :has_newer)
+
+    def self.execute(conversation:, anchor_id:, limit: DEFAULT_LIMIT, relation: nil)
+      new(conversation: conversation, anchor_id: anchor_id, limit: limit, relation: relation).execute
+    end
+
+    def initialize(conversation:, anchor_id:, limit:, relation:)
+      @conversation = conversation
+      @anchor_id = anchor_id
+      @limit = limit
+      @relation = relation
+    end
+
+    def execute
+      call
+    end
+
+    # @return [Result, nil]
+    def call
+      return nil if anchor_id.blank?
+
+      anchor = base.find_by(id: anchor_id)
+      return nil unless anchor
+
+      messages = (relation || base.with_space_membership).page_around_cursor(anchor, limit).to_a
+      return nil if messages.empty?
+
+      Result.new(
+        anchor: anchor,
+        messages: messages,
+        has_older: base.before_cursor(messages.first).exists?,
+        has_newer: base.after_cursor(messages.last).exists?
+      )
+    end
+
+    private :call
+
+    private
+
+    attr_reader :conversation, :anchor_id, :limit, :relation
+
+    def base
+      conversation.messages.ui_visible
+    end
+  end
+end
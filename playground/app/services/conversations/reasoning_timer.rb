@@ -0,0 +1,77 @@
+# frozen_string_literal: true
+
+module Conversations
+  # Measures how long a streamed reply spent in its leading reasoning block
+  # (`<think>…</think>` by default, see Space#reasoning_prefix/suffix).
+  #
+  # Persisted as `metadata["reasoning"]` on the message/swipe so the rendered
+  # reasoning section can say "Thought for 12s". Only a block at the very start
+  # of the reply counts, matching how the client splits it out
+  # (app/javascript/ui/markdown/reasoning.js).
+  #
+  # @example
+  #   timer = Conversations::ReasoningTimer.new(prefix: "<think>", suffix: "</think>")
+  #   llm_client.chat(...) { |chunk| timer.record(chunk) }
+  #   timer.to_h # => { "duration_ms" => 8400 } or nil
+  class ReasoningTimer
+    # @param prefix [String]
+    # @param suffix [String]
+    # @param clock [#call] returns a monotonic time in milliseconds
+    def initialize(prefix:, suffix:, clock: -> { Process.clock_gettime(Process::CLOCK_MONOTONIC, :millisecond) })
+      @prefix = prefix.to_s
+      @suffix = suffix.to_s
+      @clock = clock
+      @text = +""
+      @scan_from = 0
+      @started_ms = nil
+      @finished_ms = nil
+      @done = @prefix.empty? || @suffix.empty?
+    end
+
+    # Record a streamed delta.
+    #
+    # @param delta [String]
+    def record(delta)
+      return if @done
+
+      @text << delta.to_s
+      detect_start unless @started_ms
+      detect_end if @started_ms
+    end
+
+    # @return [Integer, nil] nil until the reasoning block has closed
+    def duration_ms
+      @finished_ms && (@finished_ms - @started_ms)
+    end
+
+    # @return [Hash{String => Object}, nil] metadata for a closed reasoning block
+    def to_h
+      duration = duration_ms
+      duration ? { "duration_ms" => duration } : nil
+    end
+
+    private
+
+    def detect_start
+      leading = @text.lstrip
+      if leading.start_with?(@prefix)
+        @started_ms = @clock.call
+        @scan_from = @text.length - leading.length + @prefix.length
+      elsif !@prefix.start_with?(leading)
+        # The reply doesn't open with a reasoning block.
+        @done = true
+      end
+    end
+
+    def detect_end
+      if @text.index(@suffix, @scan_from)
+        @finished_ms = @clock.call
+        @done = true
+        @text = +""
+      else
+        # A suffix split across chunks starts at most suffix.length - 1 chars back.
+        @scan_from = [@scan_from, @text.length - @suffix.length + 1].max
+      end
+    end
+  end
+end
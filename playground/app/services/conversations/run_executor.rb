@@ -9,6 +9,11 @@
 # 4. broadcast_create → Append message to DOM via Turbo Streams
 # 5. broadcast_typing_stop → Hide typing indicator
 #
+# Regenerate and continue runs target an existing message instead: regenerate
+# adds a swipe, continue appends the generated text to the active swipe (its
+# prompt includes the target message, which the prompt builder turns into a
+# continue nudge or prefill).
+#
 # ## Error Handling
 #
 # The executor catches all exceptions and ensures:
@@ -52,7 +57,7 @@ class Conversations::RunExecutor
     return unless run
 
     # Check if this run type should execute (defensive check).
-    # All current run kinds (auto_response, auto_user_response, regenerate, force_talk) execute.
+    # All current run kinds (auto_response, auto_user_response, regenerate, continue, force_talk) execute.
     unless run.should_execute?
       Rails.logger.info "[RunExecutor] Skipping execution for #{run.kind} run #{run.id}"
       return
@@ -83,24 +88,31 @@ class Conversations::RunExecutor
     # Check token limit before starting generation
     check_token_limit!
 
-    # For regenerate: find target message (don't delete it)
-    @target_message = find_target_message_for_regenerate if run.regenerate?
+    # For regenerate/continue: find target message (don't delete it)
+    @target_message = find_target_message if run.targets_existing_message?
+
+    generation = Conversations::RunExecutor::RunGeneration.new(run: run, conversation: conversation, speaker: speaker)
+    generation_params_snapshot = generation.generation_params_snapshot
 
-    broadcast_typing_start
+    broadcast_typing_start(max_response_tokens: generation_params_snapshot[:max_response_tokens])
 
     ensure_user_canonical_for_prompt!
 
     @context_builder = ContextBuilder.new(conversation, speaker: speaker)
-    prompt_messages = @context_builder.build(before_message: @target_message, generation_type: prompt_generation_type)
-
-    generation = Conversations::RunExecutor::RunGeneration.new(run: run, conversation: conversation, speaker: speaker)
-    generation_params_snapshot = generation.generation_params_snapshot
+    prompt_messages =
+      if run.continue?
+        @context_builder.build(through_message: @target_message, generation_type: prompt_generation_type)
+      else
+        @context_builder.build(before_message: @target_message, generation_type: prompt_generation_type)
+      end
 
     # Persist debug data to run record for debugging LLM issues
     @persistence.persist_debug_data!(
       prompt_messages,
       generation_params_snapshot: generation_params_snapshot,
-      target_message: @target_message
+      target_message: @target_message,
+      prompt_blocks: @context_builder.prompt_blocks,
+      context_window_tokens: @context_builder.context_window_tokens
     )
 
     # Check and persist World Info budget overflow status
@@ -110,8 +122,9 @@ class Conversations::RunExecutor
     content = generation.generate_response(prompt_messages)
     @llm_client = generation.llm_client
 
-    # Store logprobs in run debug data if available
+    # Store logprobs and streaming timing in run debug data if available
     @persistence.persist_logprobs!(@llm_client.last_logprobs)
+    @persistence.persist_stream_stats!(generation.stream_telemetry)
 
     # A cancel request can arrive after generation completes but before persistence.
     # Ensure we never create a final message for a canceled or non-running run.
@@ -123,6 +136,7 @@ class Conversations::RunExecutor
     @message = @persistence.persist_response_message!(
       content,
       prompt_params: generation_params_snapshot,
+      reasoning: generation.reasoning_timer&.to_h,
       target_message: @target_message
     )
 
@@ -211,6 +225,7 @@ class Conversations::RunExecutor
     @run_finalized = true
   ensure
     ensure_run_finalized!
+    clear_stream_buffer
     broadcast_typing_stop
     Conversations::RunExecutor::RunFollowups
       .new(run: run, conversation: conversation, space: space, speaker: speaker, message: message)
@@ -256,6 +271,14 @@ class Conversations::RunExecutor
     end
   end
 
+  # Drop the resumable stream snapshot (Conversations::StreamBuffer) only after
+  # the run is finalized, i.e. its message or failure has been broadcast.
+  def clear_stream_buffer
+    Conversations::StreamBuffer.new(run.id).clear if run
+  rescue StandardError => e
+    Rails.logger.error "[RunExecutor] Failed to clear stream buffer for run #{run.id}: #{e.message}"
+  end
+
   def reschedule_if_not_ready!
     return unless run&.queued?
     return if run.ready_to_run?
@@ -264,24 +287,27 @@ class Conversations::RunExecutor
     @run = nil
   end
 
-  # Find the target message for regenerate (without deleting it).
+  # Find the target message for regenerate/continue (without deleting it).
   #
   # @return [Message, nil] the target message
-  def find_target_message_for_regenerate
+  def find_target_message
     target_message_id = run.debug&.dig("target_message_id") || run.debug&.dig("trigger_message_id")
     return nil unless target_message_id
 
     conversation.messages.find_by(id: target_message_id)
   end
 
-  def broadcast_typing_start
+  def broadcast_typing_start(max_response_tokens: nil)
     return unless conversation && speaker
 
     ConversationChannel.broadcast_typing(
       conversation,
       membership: speaker,
       active: true,
-      target_message_id: target_message&.id
+      target_message_id: target_message&.id,
+      run_id: run.id,
+      max_response_tokens: max_response_tokens,
+      prefix_content: run.continue? ? target_message&.content : nil
     )
   end
 
@@ -294,7 +320,11 @@ class Conversations::RunExecutor
   def prompt_generation_type
     return nil unless run
 
-    :regenerate if run.regenerate?
+    if run.regenerate?
+      :regenerate
+    elsif run.continue?
+      :continue
+    end
   end
 
   def ensure_user_canonical_for_prompt!
@@ -305,7 +335,9 @@ class Conversations::RunExecutor
 
     history_scope = conversation.messages.ordered.with_participant
     if target_message
-      history_scope = history_scope.where("seq < ?", target_message.seq)
+      # Continue prompts include the target message itself.
+      operator = run.continue? ? "<=" : "<"
+      history_scope = history_scope.where("seq #{operator} ?", target_message.seq)
     end
 
     Translation::UserCanonicalizer
@@ -338,7 +370,7 @@ class Conversations::RunExecutor
   def notify_scheduler_run_skipped!
     return unless run
     return unless conversation
-    return if run.regenerate?
+    return if run.targets_existing_message?
 
     # For turn_scheduler-managed runs, advance the round to avoid stuck state.
     if run.debug&.dig("scheduled_by") == "turn_scheduler"
@@ -70,6 +70,16 @@ class Conversations::RunExecutor::RunClaimer
               default: "Conversation advanced; regenerate skipped."
             )
           )
+        elsif run.continue?
+          Messages::Swipes::SteeredPrefill.revert!(run: run)
+          ConversationChannel.broadcast_run_skipped(
+            run.conversation,
+            reason: "message_mismatch",
+            message: I18n.t(
+              "messages.continue_skipped",
+              default: "Conversation advanced; continue skipped."
+            )
+          )
         else
           # For other run types, notify scheduler to advance to next speaker
           notify_scheduler_run_skipped!(run)
@@ -83,6 +93,7 @@ class Conversations::RunExecutor::RunClaimer
     unless run.speaker_space_membership_id.present?
       run.skipped!(at: now, error: { "code" => "missing_speaker" })
       Messages::Swipes::RegeneratePlaceholder.revert!(run: run) if run.regenerate?
+      Messages::Swipes::SteeredPrefill.revert!(run: run) if run.continue?
       notify_scheduler_run_skipped!(run)
       return nil
     end
@@ -118,6 +129,7 @@ class Conversations::RunExecutor::RunClaimer
       )
 
       Messages::Swipes::RegeneratePlaceholder.revert!(run: run) if run.regenerate?
+      Messages::Swipes::SteeredPrefill.revert!(run: run) if run.continue?
       notify_scheduler_run_skipped!(run)
       return nil
     end
@@ -156,8 +168,8 @@ class Conversations::RunExecutor::RunClaimer
   # @param run [ConversationRun] the skipped run
   def notify_scheduler_run_skipped!(run)
     return unless run.conversation
-    # Don't notify scheduler for regenerate - it's a standalone operation
-    return if run.regenerate?
+    # Don't notify scheduler for regenerate/continue - they're standalone operations
+    return if run.targets_existing_message?
 
     conversation = run.conversation
     return unless conversation
@@ -229,6 +241,7 @@ class Conversations::RunExecutor::RunClaimer
     )
 
     Messages::Swipes::RegeneratePlaceholder.revert!(run: stale_run) if stale_run.regenerate?
+    Messages::Swipes::SteeredPrefill.revert!(run: stale_run) if stale_run.continue?
 
     # Clean up any messages stuck in "generating" status from the stale run.
     Message
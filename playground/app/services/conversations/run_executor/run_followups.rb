@@ -43,8 +43,8 @@ class Conversations::RunExecutor::RunFollowups
     return unless @run
     return unless @conversation
 
-    # Regenerate should not trigger followups - it's a "redo this one" operation
-    return if @run.regenerate?
+    # Regenerate/continue should not trigger followups - they rework an existing message
+    return if @run.targets_existing_message?
 
     # DON'T auto-advance if the run failed - let the user decide what to do
     # This prevents cascading failures and corrupted conversation state
@@ -5,10 +5,12 @@
 # Responsibilities:
 # - Provider + generation settings resolution
 # - Cancel polling + heartbeat touches
-# - Streaming chunks to typing indicator
+# - Streaming numbered chunks to typing indicator (resumable via Conversations::StreamBuffer)
+# - Stream timing (Conversations::StreamTelemetry) for the run detail modal
+# - Reasoning block timing (Conversations::ReasoningTimer) for "Thought for Ns"
 #
 class Conversations::RunExecutor::RunGeneration
-  attr_reader :llm_client
+  attr_reader :llm_client, :stream_telemetry, :reasoning_timer
 
   def initialize(run:, conversation:, speaker:)
     @run = run
@@ -52,19 +54,36 @@ class Conversations::RunExecutor::RunGeneration
     }.compact
 
     if @llm_client.provider&.streamable? && streaming_enabled?
-      full = +""
+      buffer = Conversations::StreamBuffer.new(run.id)
+      @stream_telemetry = Conversations::StreamTelemetry.new
+      @reasoning_timer = Conversations::ReasoningTimer.new(
+        prefix: @conversation.space.reasoning_prefix,
+        suffix: @conversation.space.reasoning_suffix
+      )
+      # The buffer's snapshot outlives this call: the executor clears it once the
+      # final message is persisted and broadcast, so a client reconnecting
+      # in between can still resume the stream.
       @llm_client.chat(**gen_params) do |chunk|
         raise Conversations::RunExecutor::Canceled if cancel_requested?
 
         touch_run_heartbeat!
-        full << chunk
+        position = buffer.append(chunk)
+        @stream_telemetry.record(chunk)
+        @reasoning_timer.record(chunk)
 
         # Stream to typing indicator (not to a message bubble)
-        ConversationChannel.broadcast_stream_chunk(@conversation, content: full, space_membership_id: @speaker.id)
+        ConversationChannel.broadcast_stream_chunk(
+          @conversation,
+          run_id: run.id,
+          seq: position[:seq],
+          offset: position[:offset],
+          delta: chunk,
+          space_membership_id: @speaker.id
+        )
       end
 
       raise Conversations::RunExecutor::Canceled if cancel_requested?(force: true)
-      full
+      buffer.content
     else
       out = @llm_client.chat(**gen_params)
       raise Conversations::RunExecutor::Canceled if cancel_requested?(force: true)
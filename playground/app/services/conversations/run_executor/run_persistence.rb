@@ -5,7 +5,7 @@
 # Responsibilities:
 # - Create message or swipe after generation completes
 # - Finalize run status (succeeded / failed / canceled)
-# - Persist debug artifacts (prompt snapshot, tokenized prompt, logprobs, lore budget)
+# - Persist debug artifacts (prompt snapshot, tokenized prompt, logprobs, stream stats, lore budget)
 # - Broadcast Turbo/Channel updates as needed
 #
 class Conversations::RunExecutor::RunPersistence
@@ -20,13 +20,19 @@ class Conversations::RunExecutor::RunPersistence
   #
   # @param content [String] generated content
   # @param prompt_params [Hash] generation params snapshot to store in metadata
-  # @param target_message [Message, nil] if present, add a swipe instead of creating a message
+  # @param reasoning [Hash, nil] reasoning block timing (Conversations::ReasoningTimer#to_h)
+  # @param target_message [Message, nil] if present, add a swipe (or, for continue runs,
+  #   append to the active swipe) instead of creating a message
   # @return [Message] persisted message
-  def persist_response_message!(content, prompt_params:, target_message:)
-    if target_message
-      add_swipe_to_target_message!(target_message, content, prompt_params: prompt_params)
+  def persist_response_message!(content, prompt_params:, target_message:, reasoning: nil)
+    metadata = { "prompt_params" => prompt_params, "reasoning" => reasoning }
+
+    if target_message && run.continue?
+      append_to_target_message!(target_message, content, metadata: metadata.compact)
+    elsif target_message
+      add_swipe_to_target_message!(target_message, content, metadata: metadata)
     else
-      create_final_message(content, prompt_params: prompt_params)
+      create_final_message(content, metadata: metadata.compact)
     end
   end
 
@@ -38,7 +44,10 @@ class Conversations::RunExecutor::RunPersistence
   # @param prompt_messages [Array<Hash>] the messages array sent to the LLM
   # @param generation_params_snapshot [Hash] generation params snapshot
   # @param target_message [Message, nil] regenerate target (if any)
-  def persist_debug_data!(prompt_messages, generation_params_snapshot:, target_message:)
+  # @param prompt_blocks [Array<TavernKit::Prompt::Block>, nil] enabled plan blocks, used
+  #   to attribute tokens to their prompt source (PromptBuilding::PromptSourceMap)
+  # @param context_window_tokens [Integer, nil] context window the prompt was built for
+  def persist_debug_data!(prompt_messages, generation_params_snapshot:, target_message:, prompt_blocks: nil, context_window_tokens: nil)
     return unless run
 
     debug_data = {
@@ -54,7 +63,9 @@ class Conversations::RunExecutor::RunPersistence
     end
 
     # Store tokenized prompt for Token Inspector view
-    debug_data["tokenized_prompt"] = tokenize_prompt_messages(prompt_messages)
+    source_spans = ::PromptBuilding::PromptSourceMap.new(prompt_blocks).spans(prompt_messages) if prompt_blocks.present?
+    debug_data["tokenized_prompt"] = tokenize_prompt_messages(prompt_messages, source_spans: source_spans)
+    debug_data["context_window_tokens"] = context_window_tokens if context_window_tokens
 
     run.update!(debug: run.debug.merge(debug_data))
   end
@@ -76,6 +87,18 @@ class Conversations::RunExecutor::RunPersistence
     Rails.logger.warn "Failed to persist logprobs: #{e.class}: #{e.message}\n#{e.backtrace&.first(3)&.join("\n")}"
   end
 
+  # Persist streaming timing to the run record for the run detail timeline.
+  #
+  # @param stream_telemetry [Conversations::StreamTelemetry, nil] nil for non-streaming runs
+  def persist_stream_stats!(stream_telemetry)
+    return unless run
+    return unless stream_telemetry&.chunk_count&.positive?
+
+    run.update!(debug: run.debug.merge("stream_stats" => stream_telemetry.to_h))
+  rescue StandardError => e
+    Rails.logger.warn "Failed to persist stream stats: #{e.class}: #{e.message}\n#{e.backtrace&.first(3)&.join("\n")}"
+  end
+
   # Persist World Info (Lore) budget status to the run record.
   # This enables UI display of budget overflow alerts.
   #
@@ -85,6 +108,8 @@ class Conversations::RunExecutor::RunPersistence
   # - lore_selected_count: number of entries selected
   # - lore_budget: the token budget (or "unlimited")
   # - lore_used_tokens: tokens used by selected entries
+  # - lore_trace: which entries activated, were dropped or suppressed and why
+  #   (see PromptBuilding::LoreTrace)
   def persist_lore_budget_status!(context_builder:)
     return unless run
     return unless context_builder
@@ -98,6 +123,7 @@ class Conversations::RunExecutor::RunPersistence
       "lore_selected_count" => lore_result.selected.count,
       "lore_budget" => lore_result.budget || "unlimited",
       "lore_used_tokens" => lore_result.used_tokens,
+      "lore_trace" => PromptBuilding::LoreTrace.new(lore_result, space: space, conversation: conversation).entries,
     }
 
     run.update!(debug: run.debug.merge(lore_data))
@@ -204,6 +230,7 @@ class Conversations::RunExecutor::RunPersistence
     ConversationChannel.broadcast_run_canceled(conversation) if conversation
 
     Messages::Swipes::RegeneratePlaceholder.revert!(run: run) if run.regenerate?
+    restore_continue_target! if run.continue?
 
     normalize_conversation_state_if_no_active_runs!(state: "idle")
     TurnScheduler::Broadcasts.queue_updated(conversation.reload) if conversation
@@ -251,6 +278,7 @@ class Conversations::RunExecutor::RunPersistence
     ConversationChannel.broadcast_run_failed(conversation, code: code, user_message: user_message) if conversation
 
     Messages::Swipes::RegeneratePlaceholder.revert!(run: run) if run.regenerate?
+    restore_continue_target! if run.continue?
 
     # For TurnScheduler-managed runs, preserve round state and pause the scheduler.
     handled_by_scheduler = false
@@ -376,9 +404,10 @@ class Conversations::RunExecutor::RunPersistence
   #
   # @param target [Message] the message to add a swipe to
   # @param content [String] the new generated content
-  # @param prompt_params [Hash] generation params snapshot to store in metadata
+  # @param metadata [Hash] generation metadata ("prompt_params", "reasoning"); a nil
+  #   "reasoning" clears the previous swipe's timing from the message
   # @return [Message] the updated message
-  def add_swipe_to_target_message!(target, content, prompt_params:)
+  def add_swipe_to_target_message!(target, content, metadata:)
     # Apply group message trimming for AI characters in group chats
     trimmed_content = speaker.ai_character? ? trim_group_message(content) : content
 
@@ -389,7 +418,7 @@ class Conversations::RunExecutor::RunPersistence
       if placeholder_swipe && placeholder_swipe.conversation_run_id == run.id
         placeholder_metadata = placeholder_swipe.metadata.is_a?(Hash) ? placeholder_swipe.metadata.deep_stringify_keys : {}
         placeholder_metadata.delete("regenerate_placeholder")
-        placeholder_metadata["prompt_params"] = prompt_params
+        placeholder_metadata = placeholder_metadata.merge(metadata).compact
 
         placeholder_swipe.update!(
           content: trimmed_content.to_s.strip.presence,
@@ -400,7 +429,7 @@ class Conversations::RunExecutor::RunPersistence
           active_message_swipe: placeholder_swipe,
           content: trimmed_content.to_s.strip.presence,
           conversation_run_id: run.id,
-          metadata: (target.metadata || {}).merge("prompt_params" => prompt_params)
+          metadata: (target.metadata || {}).merge(metadata).compact
         )
 
         placeholder_swipe
@@ -408,7 +437,7 @@ class Conversations::RunExecutor::RunPersistence
         # Add new swipe version (internally ensures initial swipe exists)
         target.add_swipe!(
           content: trimmed_content.to_s.strip.presence,
-          metadata: { "prompt_params" => prompt_params },
+          metadata: metadata.compact,
           conversation_run_id: run.id
         )
       end
@@ -420,21 +449,72 @@ class Conversations::RunExecutor::RunPersistence
     target.broadcast_update
 
     # Signal completion to typing indicator
-    ConversationChannel.broadcast_stream_complete(conversation, space_membership_id: speaker.id)
+    ConversationChannel.broadcast_stream_complete(conversation, space_membership_id: speaker.id, message_id: target.id)
 
     enqueue_translation_for!(message: target, swipe_id: swipe.id)
 
     target
   end
 
+  # Append a continuation to the target message (for continue).
+  # The active swipe is updated in place (via Message#sync_content_to_active_swipe),
+  # so the swipe count doesn't change.
+  #
+  # The continuation is appended verbatim: models usually start it with the
+  # whitespace it needs.
+  #
+  # @param target [Message] the message being continued
+  # @param content [String] the generated continuation
+  # @param metadata [Hash] generation metadata to merge into the message's
+  # @return [Message] the updated message
+  def append_to_target_message!(target, content, metadata:)
+    continuation = content.to_s
+    if speaker.ai_character?
+      # Group trimming strips the text; keep the leading whitespace that joins it to the message.
+      continuation = continuation[/\A\s*/] + trim_group_message(continuation).to_s.lstrip
+    end
+
+    target.update!(
+      content: "#{target.content}#{continuation.rstrip}",
+      conversation_run_id: run.id,
+      generation_status: "succeeded",
+      metadata: (target.metadata || {}).merge(metadata)
+    )
+    target.active_message_swipe&.update!(conversation_run_id: run.id)
+
+    # Replace the message DOM in place (not append)
+    target.broadcast_update
+
+    # Signal completion to typing indicator
+    ConversationChannel.broadcast_stream_complete(conversation, space_membership_id: speaker.id, message_id: target.id)
+
+    enqueue_translation_for!(message: target, swipe_id: target.active_message_swipe_id)
+
+    target
+  end
+
+  # The inline typing indicator replaced the continued message's content;
+  # re-render it when the continuation is dropped. A steered swipe is reverted
+  # instead (see Messages::Swipes::SteeredPrefill), which re-renders it too.
+  def restore_continue_target!
+    return if Messages::Swipes::SteeredPrefill.revert!(run: run)
+
+    message_id = run.debug&.dig("target_message_id")
+    return if message_id.blank?
+
+    conversation&.messages&.find_by(id: message_id)&.broadcast_update
+  rescue StandardError => e
+    Rails.logger.warn "Failed to restore continued message: #{e.class}: #{e.message}"
+  end
+
   # Create the final message AFTER generation completes.
   # Sets generation_status to "succeeded" directly, eliminating race conditions
   # between broadcast_create and broadcast_update.
   #
   # @param content [String] the generated content
-  # @param prompt_params [Hash] generation params snapshot to store in metadata
+  # @param metadata [Hash] generation metadata ("prompt_params", "reasoning")
   # @return [Message] the created message
-  def create_final_message(content, prompt_params:)
+  def create_final_message(content, metadata:)
     # Determine the message role based on the speaker type:
     # - AI characters generate "assistant" messages
     # - Auto users (human participants) generate "user" messages
@@ -452,14 +532,14 @@ class Conversations::RunExecutor::RunPersistence
       content: trimmed_content.to_s.strip.presence,
       conversation_run: run,
       generation_status: "succeeded",
-      metadata: { "prompt_params" => prompt_params }
+      metadata: metadata
     )
 
     # Broadcast the complete message via Turbo Streams (status already correct)
     msg.broadcast_create
 
     # Signal completion to typing indicator
-    ConversationChannel.broadcast_stream_complete(conversation, space_membership_id: speaker.id)
+    ConversationChannel.broadcast_stream_complete(conversation, space_membership_id: speaker.id, message_id: msg.id)
 
     enqueue_translation_for!(message: msg)
 
@@ -562,14 +642,29 @@ class Conversations::RunExecutor::RunPersistence
   # Tokenize each message in the prompt for the Token Inspector view.
   # Limits token storage to avoid excessively large payloads.
   #
+  # With source spans, each span is tokenized on its own and the message gets
+  # "sources": run lengths of { "source", "token_count" } in token order, so
+  # the inspector can color tokens by where they came from.
+  #
   # @param prompt_messages [Array<Hash>] the messages array
+  # @param source_spans [Array<Array<Array(String, String)>>, nil] per message
+  #   [source, text] spans (PromptBuilding::PromptSourceMap#spans)
   # @param max_tokens_per_message [Integer] max tokens to store per message (default 500)
   # @return [Array<Hash>] tokenized messages
-  def tokenize_prompt_messages(prompt_messages, max_tokens_per_message: 500)
+  def tokenize_prompt_messages(prompt_messages, source_spans: nil, max_tokens_per_message: 500)
     estimator = TavernKit::TokenEstimator.default
-    prompt_messages.map do |msg|
+    prompt_messages.each_with_index.map do |msg, index|
       content = msg[:content] || msg["content"]
-      tokens = estimator.tokenize(content.to_s)
+      spans = source_spans&.[](index)
+
+      sources = nil
+      if spans
+        span_tokens = spans.map { |(_source, text)| estimator.tokenize(text) }
+        tokens = span_tokens.flatten(1)
+        sources = spans.zip(span_tokens).map { |(source, _text), each| { "source" => source, "token_count" => each.size } }
+      else
+        tokens = estimator.tokenize(content.to_s)
+      end
 
       # Truncate if too many tokens
       if tokens.size > max_tokens_per_message
@@ -577,12 +672,14 @@ class Conversations::RunExecutor::RunPersistence
         tokens << { id: -1, text: "... [truncated]" }
       end
 
-      {
+      entry = {
         "role" => msg[:role] || msg["role"],
         "name" => msg[:name] || msg["name"],
         "tokens" => tokens,
         "token_count" => estimator.estimate(content.to_s),
       }
+      entry["sources"] = sources if sources
+      entry
     end
   end
 
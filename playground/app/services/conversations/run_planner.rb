@@ -9,6 +9,7 @@
 #
 # - plan_force_talk! - Manual speaker selection (user clicks "Force Talk")
 # - plan_regenerate! - Regenerate a specific message
+# - plan_continue! - Continue (extend) the tail assistant message
 #
 # ## Concurrency Strategy
 #
@@ -160,6 +161,51 @@ class Conversations::RunPlanner
       queued
     end
 
+    # Continue the target assistant message: the new text is appended to its
+    # active swipe instead of creating a new message or swipe.
+    #
+    # Like regenerate, this is a standalone timeline operation; the run is
+    # skipped if the conversation advanced before it starts.
+    def plan_continue!(conversation:, target_message:)
+      raise ArgumentError, "target_message must belong to conversation" unless target_message.conversation_id == conversation.id
+      raise ArgumentError, "target_message must be an assistant message" unless target_message.assistant_message?
+
+      speaker = conversation.space.space_memberships.active.find_by(id: target_message.space_membership_id)
+      return nil unless speaker&.can_auto_respond?
+
+      now = Time.current
+
+      queued = nil
+
+      conversation.with_lock do
+        TurnScheduler::Commands::StopRound.execute_in_lock(
+          conversation: conversation,
+          ended_reason: "stopped_for_continue"
+        )
+
+        running = ConversationRun.running.find_by(conversation_id: conversation.id)
+        running&.request_cancel!(at: now)
+
+        queued = upsert_queued_run!(
+          conversation: conversation,
+          reason: "continue",
+          speaker_space_membership_id: speaker.id,
+          run_after: now,
+          kind: "continue",
+          debug: {
+            trigger: "continue",
+            target_message_id: target_message.id,
+            expected_last_message_id: target_message.id,
+          }
+        )
+      end
+
+      TurnScheduler::Broadcasts.queue_updated(conversation)
+
+      kick!(queued)
+      queued
+    end
+
     # Kicks a run by scheduling its job.
     #
     # Only schedules the job if:
@@ -0,0 +1,232 @@
+# frozen_string_literal: true
+
+module Conversations
+  # Renders a run's stored prompt as a complete, reproducible API request.
+  #
+  # The prompt snapshot (`debug["prompt_snapshot"]`, only stored when the
+  # `conversation.snapshot_prompt` setting is on) is converted with the
+  # TavernKit dialect of the chosen API and combined with the run's
+  # `generation_params` into a request body. Alongside it:
+  #
+  # - a curl command with the API key left as `$API_KEY`,
+  # - a `.jsonl` line in OpenAI chat format (the prompt plus the reply the run
+  #   produced, when known), usable as a fine-tuning or eval record.
+  #
+  # The "openai" and "text" dialects target the run's own provider base URL
+  # when it still exists, since that's the endpoint LLMClient actually called.
+  #
+  # @example
+  #   export = Conversations::RunRequestExporter.new(run, dialect: "anthropic")
+  #   export.body # => { model: "...", max_tokens: 512, system: [...], messages: [...] }
+  #   export.curl # => "curl https://api.anthropic.com/v1/messages ..."
+  #
+  class RunRequestExporter
+    DIALECTS = {
+      "openai" => { label: "OpenAI", url: "https://api.openai.com/v1/chat/completions" },
+      "anthropic" => { label: "Anthropic", url: "https://api.anthropic.com/v1/messages" },
+      "cohere" => { label: "Cohere", url: "https://api.cohere.com/v2/chat" },
+      "google" => { label: "Google", url: "https://generativelanguage.googleapis.com/v1beta/models/%<model>s:generateContent" },
+      "ai21" => { label: "AI21", url: "https://api.ai21.com/studio/v1/chat/completions" },
+      "mistral" => { label: "Mistral", url: "https://api.mistral.ai/v1/chat/completions" },
+      "xai" => { label: "xAI", url: "https://api.x.ai/v1/chat/completions" },
+      "text" => { label: "Text completion", url: "https://api.openai.com/v1/completions" },
+    }.freeze
+
+    API_KEY_PLACEHOLDER = "$API_KEY"
+    TRUNCATION_MARKER = /\.\.\. \[truncated, \d+ chars total\]\z/
+
+    attr_reader :run, :dialect
+
+    # @param run [ConversationRun]
+    # @param dialect [String] one of DIALECTS (unknown values fall back to "openai")
+    def initialize(run, dialect:)
+      @run = run
+      @dialect = DIALECTS.key?(dialect.to_s) ? dialect.to_s : "openai"
+    end
+
+    # @return [Boolean] whether the run has a prompt snapshot to export
+    def available?
+      snapshot.present?
+    end
+
+    # @return [Boolean] whether some message was cut when the snapshot was stored
+    def truncated?
+      snapshot.any? { |message| message["content"].to_s.match?(TRUNCATION_MARKER) }
+    end
+
+    # @return [String]
+    def url
+      base_url = provider&.base_url.to_s.chomp("/")
+      return "#{base_url}/chat/completions" if dialect == "openai" && base_url.present?
+      return "#{base_url}/completions" if dialect == "text" && base_url.present?
+
+      format(DIALECTS.fetch(dialect)[:url], model: ERB::Util.url_encode(model.to_s))
+    end
+
+    # @return [Hash{String => String}] request headers, with the key redacted
+    def headers
+      auth =
+        case dialect
+        when "anthropic" then { "x-api-key" => API_KEY_PLACEHOLDER, "anthropic-version" => "2023-06-01" }
+        when "google" then { "x-goog-api-key" => API_KEY_PLACEHOLDER }
+        else { "Authorization" => "Bearer #{API_KEY_PLACEHOLDER}" }
+        end
+
+      { "Content-Type" => "application/json" }.merge(auth)
+    end
+
+    # @return [Hash] request body for the dialect
+    def body
+      case dialect
+      when "anthropic" then anthropic_body
+      when "cohere" then cohere_body
+      when "google" then google_body
+      when "text" then text_body
+      else chat_completions_body
+      end
+    end
+
+    # @return [String] a curl command reading the key from $API_KEY
+    def curl
+      lines = ["curl #{shell_quote(url)}"]
+      headers.each do |name, value|
+        # Double quotes so the shell expands $API_KEY.
+        lines << "  -H \"#{name}: #{value}\""
+      end
+      lines << "  -d #{shell_quote(JSON.pretty_generate(body))}"
+      lines.join(" \\\n")
+    end
+
+    # @return [String] one JSON line: { "messages": [...] } in OpenAI chat format
+    def jsonl
+      messages = TavernKit::Prompt::Dialects.convert(snapshot, dialect: :openai)
+      messages << { role: "assistant", content: completion } if completion.present?
+
+      JSON.generate({ messages: messages })
+    end
+
+    # @return [Hash] everything the run detail modal shows
+    def to_h
+      {
+        dialect: dialect,
+        label: DIALECTS.fetch(dialect)[:label],
+        url: url,
+        headers: headers,
+        body: body,
+        curl: curl,
+        jsonl: jsonl,
+        truncated: truncated?,
+      }
+    end
+
+    private
+
+    def snapshot
+      @snapshot ||= Array(run.debug&.dig("prompt_snapshot"))
+    end
+
+    def generation_params
+      @generation_params ||= run.debug&.dig("generation_params") || {}
+    end
+
+    def model
+      generation_params["model"].presence
+    end
+
+    def max_tokens
+      generation_params["max_response_tokens"]
+    end
+
+    def shell_quote(text)
+      "'#{text.gsub("'", %q('\\''))}'"
+    end
+
+    def provider
+      return @provider if defined?(@provider)
+
+      name = generation_params["provider_name"]
+      @provider = name.present? ? LLMProvider.find_by(name: name) : nil
+    end
+
+    def convert(target, **opts)
+      TavernKit::Prompt::Dialects.convert(snapshot, dialect: target, names: { char_name: run.debug&.dig("speaker_name") }, **opts)
+    end
+
+    # Some dialects keep `name: nil` on messages they didn't rename.
+    def without_nil_fields(messages)
+      messages.map { |message| message.is_a?(Hash) ? message.compact : message }
+    end
+
+    def sampling(mapping)
+      mapping.each_with_object({}) do |(param, key), out|
+        value = generation_params[param]
+        out[key] = value unless value.nil?
+      end
+    end
+
+    # OpenAI-style chat completions (OpenAI, AI21, Mistral, xAI). For OpenAI,
+    # the same sampling params LLMClient sends.
+    def chat_completions_body
+      params =
+        if dialect == "openai"
+          sampling("temperature" => :temperature, "top_p" => :top_p, "top_k" => :top_k, "repetition_penalty" => :repetition_penalty)
+        else
+          sampling("temperature" => :temperature, "top_p" => :top_p)
+        end
+
+      { model: model, messages: without_nil_fields(convert(dialect.to_sym)), max_tokens: max_tokens }.compact.merge(params)
+    end
+
+    def anthropic_body
+      converted = convert(:anthropic)
+
+      {
+        model: model,
+        max_tokens: max_tokens || PromptBuilder::DEFAULT_MAX_RESPONSE_TOKENS,
+        system: converted[:system].presence,
+        messages: converted[:messages],
+      }.compact.merge(sampling("temperature" => :temperature, "top_p" => :top_p, "top_k" => :top_k))
+    end
+
+    def cohere_body
+      {
+        model: model,
+        messages: without_nil_fields(convert(:cohere)[:chat_history]),
+        max_tokens: max_tokens,
+      }.compact.merge(sampling("temperature" => :temperature, "top_p" => :p, "top_k" => :k))
+    end
+
+    def google_body
+      converted = convert(:google, model: model.to_s, use_sys_prompt: true)
+      generation_config = { maxOutputTokens: max_tokens }.compact
+        .merge(sampling("temperature" => :temperature, "top_p" => :topP, "top_k" => :topK))
+
+      {
+        contents: converted[:contents],
+        system_instruction: converted[:system_instruction][:parts].present? ? converted[:system_instruction] : nil,
+        generationConfig: generation_config.presence,
+      }.compact
+    end
+
+    def text_body
+      converted = convert(:text)
+
+      {
+        model: model,
+        prompt: converted[:prompt],
+        max_tokens: max_tokens,
+        stop: converted[:stop_sequences].presence,
+      }.compact.merge(sampling("temperature" => :temperature, "top_p" => :top_p))
+    end
+
+    # The reply this run produced, for the .jsonl record. Continue runs only
+    # appended to an existing reply, so they have none of their own.
+    def completion
+      return @completion if defined?(@completion)
+      return @completion = nil if run.continue?
+
+      source = MessageSwipe.find_by(conversation_run_id: run.id) || run.messages.first
+      @completion = source&.content
+    end
+  end
+end
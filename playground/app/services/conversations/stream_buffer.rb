@@ -0,0 +1,133 @@
+# frozen_string_literal: true
+
+module Conversations
+  # Cache-backed copy of the text a run has streamed so far.
+  #
+  # Each chunk gets a monotonically increasing `seq` and the `offset`
+  # it starts at, so clients can drop duplicate/out-of-order chunks and detect
+  # gaps. A reconnecting ConversationChannel subscriber asks to resume from the
+  # offset it last saw and receives exactly the text it missed.
+  #
+  # Offsets count UTF-16 code units so they line up with JavaScript string
+  # indices on the client (emoji would otherwise drift by one per character).
+  #
+  # Snapshots are written at most every SNAPSHOT_INTERVAL seconds (or once
+  # SNAPSHOT_BYTES have piled up), not per chunk: each write stores the whole
+  # text, which under solid_cache is a database write. A resume may therefore
+  # lag the live stream a little; the client asks again if chunks still don't
+  # line up. With a cache that doesn't keep anything (null_store in development
+  # and test) nothing is written and `resumable?` is false.
+  #
+  # @example Writer (inside the generation loop)
+  #   buffer = Conversations::StreamBuffer.new(run.id)
+  #   position = buffer.append(chunk) # => { seq: 1, offset: 0 }
+  #
+  # @example Reader (resume request)
+  #   Conversations::StreamBuffer.new(run.id).read(offset: 120)
+  #   # => { delta: "...", offset: 120, seq: 42 }
+  class StreamBuffer
+    CACHE_VERSION = 1
+    DEFAULT_TTL = ConversationRun::STALE_TIMEOUT
+    SNAPSHOT_INTERVAL = 0.5
+    SNAPSHOT_BYTES = 2_048
+
+    attr_reader :content, :seq, :length
+
+    # @param run_id [String] the ConversationRun id
+    # @param cache [ActiveSupport::Cache::Store]
+    # @param ttl [ActiveSupport::Duration] snapshots outlive a crashed run by at most this long
+    # @param snapshot_interval [Numeric] minimum seconds between snapshot writes
+    def initialize(run_id, cache: Rails.cache, ttl: DEFAULT_TTL, snapshot_interval: SNAPSHOT_INTERVAL)
+      @run_id = run_id
+      @cache = cache
+      @ttl = ttl
+      @snapshot_interval = snapshot_interval
+      @content = +""
+      @seq = 0
+      @length = 0
+      @unsaved_bytes = 0
+      @saved_at = nil
+    end
+
+    # Whether snapshots survive to be read back, i.e. resuming can work.
+    #
+    # @param cache [ActiveSupport::Cache::Store]
+    # @return [Boolean]
+    def self.resumable?(cache = Rails.cache)
+      !cache.is_a?(ActiveSupport::Cache::NullStore)
+    end
+
+    # Append a streamed delta and persist the snapshot when one is due.
+    #
+    # @param delta [String]
+    # @return [Hash{Symbol => Integer}] `seq` and `offset` of this delta
+    def append(delta)
+      delta = delta.to_s
+      offset = @length
+      @content << delta
+      @length += self.class.utf16_length(delta)
+      @seq += 1
+      @unsaved_bytes += delta.bytesize
+
+      write_snapshot if snapshot_due?
+
+      { seq: @seq, offset: offset }
+    end
+
+    # Read the latest persisted snapshot (from any process), starting at `offset`.
+    #
+    # An offset past the end (or negative) falls back to 0 so the client
+    # rebuilds from scratch rather than keeping text that may not exist.
+    #
+    # @param offset [Integer] UTF-16 offset the client already has
+    # @return [Hash{Symbol => Object}, nil] `delta`, `offset` and `seq`, or nil if nothing was streamed
+    def read(offset: 0)
+      snapshot = @cache.read(cache_key)
+      return nil unless snapshot.is_a?(Hash)
+
+      content = snapshot["content"].to_s
+      utf16 = content.encode(Encoding::UTF_16LE)
+      offset = offset.to_i
+      offset = 0 if offset.negative? || offset * 2 > utf16.bytesize
+
+      {
+        delta: utf16.byteslice(offset * 2..).encode(Encoding::UTF_8),
+        offset: offset,
+        seq: snapshot["seq"].to_i,
+      }
+    end
+
+    # Drop the snapshot once the final message has been persisted.
+    def clear
+      @cache.delete(cache_key)
+    end
+
+    # @param text [String]
+    # @return [Integer] length in UTF-16 code units (JavaScript `String#length`)
+    def self.utf16_length(text)
+      text.encode(Encoding::UTF_16LE).bytesize / 2
+    end
+
+    private
+
+    def snapshot_due?
+      return false unless self.class.resumable?(@cache)
+
+      @saved_at.nil? || @unsaved_bytes >= SNAPSHOT_BYTES || monotonic_now - @saved_at >= @snapshot_interval
+    end
+
+    def write_snapshot
+      @cache.write(cache_key, { "content" => @content.dup, "seq" => @seq }, expires_in: @ttl)
+      @unsaved_bytes = 0
+      @saved_at = monotonic_now
+    end
+
+    def monotonic_now
+      Process.clock_gettime(Process::CLOCK_MONOTONIC)
+    end
+
+    def cache_key
+      "conversation_stream:v#{CACHE_VERSION}:#{@run_id}"
+    end
+  end
+end
@@ -0,0 +1,93 @@
+# frozen_string_literal: true
+
+module Conversations
+  # Timing of a streamed generation, measured from the moment the request is sent.
+  #
+  # Persisted as `debug["stream_stats"]` on the run so the run detail modal can
+  # show time to first chunk, throughput and a timeline of the stream.
+  #
+  # The timeline is a list of `[elapsed_ms, chars_so_far]` points. It is sampled
+  # at most every `SAMPLE_INTERVAL_MS` and halved whenever it outgrows
+  # `MAX_TIMELINE_POINTS`, so long generations stay small in jsonb.
+  #
+  # @example
+  #   telemetry = Conversations::StreamTelemetry.new
+  #   llm_client.chat(...) { |chunk| telemetry.record(chunk) }
+  #   telemetry.to_h # => { "first_chunk_ms" => 820, "elapsed_ms" => 6400, ... }
+  class StreamTelemetry
+    SAMPLE_INTERVAL_MS = 250
+    MAX_TIMELINE_POINTS = 120
+
+    attr_reader :chunk_count, :char_count
+
+    # @param clock [#call] returns a monotonic time in milliseconds
+    def initialize(clock: -> { Process.clock_gettime(Process::CLOCK_MONOTONIC, :millisecond) })
+      @clock = clock
+      @started_ms = clock.call
+      @first_chunk_ms = nil
+      @last_chunk_ms = nil
+      @max_gap_ms = 0
+      @chunk_count = 0
+      @char_count = 0
+      @sample_interval_ms = SAMPLE_INTERVAL_MS
+      @timeline = []
+    end
+
+    # Record a streamed delta.
+    #
+    # @param delta [String]
+    def record(delta)
+      now = elapsed_ms
+      @first_chunk_ms ||= now
+      @max_gap_ms = [@max_gap_ms, now - @last_chunk_ms].max if @last_chunk_ms
+      @last_chunk_ms = now
+      @chunk_count += 1
+      @char_count += delta.to_s.length
+
+      sample(now)
+    end
+
+    # @return [Hash{String => Object}] jsonb-ready stats
+    def to_h
+      timeline = @timeline.dup
+      timeline << [@last_chunk_ms, @char_count] if @last_chunk_ms && timeline.last&.first != @last_chunk_ms
+
+      {
+        "first_chunk_ms" => @first_chunk_ms,
+        "elapsed_ms" => elapsed_ms,
+        "chunk_count" => @chunk_count,
+        "char_count" => @char_count,
+        "max_gap_ms" => @max_gap_ms,
+        "chars_per_second" => chars_per_second,
+        "timeline" => timeline,
+      }
+    end
+
+    private
+
+    def elapsed_ms
+      @clock.call - @started_ms
+    end
+
+    def chars_per_second
+      return nil unless @first_chunk_ms && @last_chunk_ms
+
+      duration_ms = @last_chunk_ms - @first_chunk_ms
+      return nil unless duration_ms.positive?
+
+      (@char_count * 1000.0 / duration_ms).round(1)
+    end
+
+    def sample(now)
+      last = @timeline.last
+      return if last && (now - last.first) < @sample_interval_ms
+
+      @timeline << [now, @char_count]
+      return if @timeline.size <= MAX_TIMELINE_POINTS
+
+      # Keep the first point (time to first chunk) and every other one after it.
+      @timeline = @timeline.each_with_index.select { |_point, index| index.even? }.map(&:first)
+      @sample_interval_ms *= 2
+    end
+  end
+end
@@ -0,0 +1,149 @@
+# frozen_string_literal: true
+
+# Re-generates a reply from one of its tokens, with a token of the user's choice.
+#
+# A run with logprobs (`debug["logprobs"]`) records, per generated token, the
+# token and its top alternatives. Picking an alternative at some position adds
+# a new swipe to the reply prefilled with the tokens before it plus the chosen
+# one, then plans a continue run on that swipe, so generation picks up right
+# after the chosen token. If that run is skipped, canceled or fails, the swipe
+# is removed again (see Messages::Swipes::SteeredPrefill).
+#
+# Like continue, this only works on the tail message. Continue runs are not
+# supported: their logprobs only cover the continuation, not the whole reply.
+#
+# @example
+#   result = Conversations::TokenSteerer.new(run: run, token_index: 12, token: " sword").execute
+#   result.success? # => true
+#   result.message.content # => "Alice draws her sword"
+#
+class Conversations::TokenSteerer
+  # @!attribute [r] success?
+  #   @return [Boolean] whether the swipe was added and the continue run planned
+  # @!attribute [r] message
+  #   @return [Message, nil] the steered message
+  # @!attribute [r] run
+  #   @return [ConversationRun, nil] the planned continue run
+  # @!attribute [r] error
+  #   @return [String, nil] human-readable error message
+  # @!attribute [r] error_code
+  #   @return [Symbol, nil] :no_logprobs, :invalid_token, :message_not_found,
+  #     :not_tail or :speaker_unavailable
+  Result = Data.define(:success?, :message, :run, :error, :error_code)
+
+  # @param run [ConversationRun] the run whose reply is steered
+  # @param token_index [Integer, String] position of the token in the run's logprobs
+  # @param token [String] the token to use at that position
+  def initialize(run:, token_index:, token:)
+    @run = run
+    @token_index = Integer(token_index, exception: false)
+    @token = token.to_s
+  end
+
+  # @return [Result]
+  def execute
+    if logprobs.empty? || run.continue?
+      return failure(:no_logprobs, I18n.t("conversations.steer_no_logprobs", default: "This run has no token probabilities to steer from."))
+    end
+
+    unless valid_token?
+      return failure(:invalid_token, I18n.t("conversations.steer_invalid_token", default: "That token is not an alternative at this position."))
+    end
+
+    message = target_message
+    unless message
+      return failure(:message_not_found, I18n.t("conversations.steer_message_not_found", default: "The reply of this run no longer exists."))
+    end
+
+    unless TailMutationGuard.new(conversation).tail?(message)
+      return failure(:not_tail, I18n.t("conversations.steer_requires_tail", default: "Only the last AI message can be steered. Use 'Branch from here' first."))
+    end
+
+    speaker = conversation.space.space_memberships.active.find_by(id: message.space_membership_id)
+    return failure(:speaker_unavailable, speaker_unavailable_error) unless speaker&.can_auto_respond?
+
+    continue_run = add_swipe_and_plan_continue!(message)
+    return failure(:speaker_unavailable, speaker_unavailable_error) unless continue_run
+
+    message.broadcast_update
+    Result.new(success?: true, message: message, run: continue_run, error: nil, error_code: nil)
+  end
+
+  # The text of the new swipe: the generated tokens before the position, then
+  # the chosen token.
+  #
+  # @return [String]
+  def prefill
+    logprobs.first(token_index).sum("") { |entry| entry["token"].to_s } + token
+  end
+
+  private
+
+  attr_reader :run, :token_index, :token
+
+  def conversation
+    run.conversation
+  end
+
+  def logprobs
+    @logprobs ||= Array(run.debug&.dig("logprobs"))
+  end
+
+  # Adds the steered swipe and plans the continue run in one transaction, so a
+  # failed plan leaves no truncated swipe behind. The swipe and the swipe it
+  # replaced are recorded on the run, for Messages::Swipes::SteeredPrefill to
+  # revert when the run does not succeed.
+  #
+  # @return [ConversationRun, nil]
+  def add_swipe_and_plan_continue!(message)
+    previous_swipe_id = message.active_message_swipe_id
+    previous_conversation_run_id = message.conversation_run_id
+    continue_run = nil
+
+    ConversationRun.transaction do
+      swipe = Messages::Swipes::Adder.execute(
+        message: message,
+        content: prefill,
+        metadata: { "steered_from" => { "run_id" => run.id, "token_index" => token_index, "token" => token } }
+      )
+
+      continue_run = Conversations::RunPlanner.plan_continue!(conversation: conversation, target_message: message)
+      raise ActiveRecord::Rollback unless continue_run
+
+      continue_run.update!(
+        debug: continue_run.debug.merge(
+          "steered_swipe_id" => swipe.id,
+          "steered_previous_swipe_id" => previous_swipe_id,
+          "steered_previous_conversation_run_id" => previous_conversation_run_id
+        )
+      )
+    end
+
+    message.reload unless continue_run
+    continue_run
+  end
+
+  def valid_token?
+    return false unless token_index && token_index >= 0 && token_index < logprobs.size
+    return false if token.empty?
+
+    entry = logprobs[token_index]
+    candidates = [entry["token"]] + Array(entry["top_logprobs"]).map { |alt| alt["token"] }
+    candidates.include?(token)
+  end
+
+  # The message holding the run's reply: its swipe when it was a regenerate,
+  # otherwise the message it created.
+  def target_message
+    message = MessageSwipe.find_by(conversation_run_id: run.id)&.message || run.messages.first
+    message if message&.conversation_id == conversation.id && !message.visibility_hidden? && message.assistant?
+  end
+
+  def speaker_unavailable_error
+    I18n.t("messages.continue_speaker_unavailable", default: "This character can't respond right now.")
+  end
+
+  def failure(code, error)
+    Result.new(success?: false, message: nil, run: nil, error: error, error_code: code)
+  end
+end
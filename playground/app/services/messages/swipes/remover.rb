@@ -0,0 +1,88 @@
+# frozen_string_literal: true
+
+module Messages
+  module Swipes
+    # Deletes one swipe version of a message, keeping positions contiguous (0..n-1).
+    #
+    # If the deleted swipe was active, the swipe that moves into its position
+    # (or the previous one when it was the last) becomes active and the message
+    # fields are synced from it, like Selector does.
+    #
+    # The only remaining swipe can't be deleted, and nothing can be deleted while
+    # the message is being (re)generated.
+    class Remover
+      Result = Data.define(:success?, :error_code, :active_swipe)
+
+      def self.execute(message:, swipe:)
+        new(message: message, swipe: swipe).execute
+      end
+
+      def initialize(message:, swipe:)
+        @message = message
+        @swipe = swipe
+      end
+
+      def execute
+        call
+      end
+
+      # @return [Result]
+      def call
+        active_swipe = nil
+
+        message.with_lock do
+          swipes = message.message_swipes.reload.to_a
+
+          return failure(:not_found) unless swipes.any? { |each| each.id == swipe.id }
+          return failure(:last_swipe) if swipes.size <= 1
+          return failure(:generating) if generating?(swipes)
+
+          deleted_position = swipe.position
+          was_active = message.active_message_swipe_id == swipe.id
+
+          # Clear the FK before deleting the row it points to.
+          message.update!(active_message_swipe: nil) if was_active
+          swipe.destroy!
+
+          # Ascending order: each row moves into the slot freed by the previous one,
+          # so the (message_id, position) unique index is never violated.
+          swipes.select { |each| each.position > deleted_position }.sort_by(&:position).each do |each|
+            each.update_columns(position: each.position - 1)
+          end
+
+          message.message_swipes.reset
+          active_swipe =
+            if was_active
+              message.message_swipes.find_by(position: [deleted_position, swipes.size - 2].min)
+            else
+              message.active_message_swipe
+            end
+
+          if was_active
+            message.update!(
+              active_message_swipe: active_swipe,
+              content: active_swipe.content,
+              conversation_run_id: active_swipe.conversation_run_id
+            )
+          end
+        end
+
+        Result.new(success?: true, error_code: nil, active_swipe: active_swipe)
+      end
+
+      private :call
+
+      private
+
+      attr_reader :message, :swipe
+
+      def generating?(swipes)
+        message.generating? || swipes.any? { |each| each.metadata.is_a?(Hash) && each.metadata["regenerate_placeholder"] }
+      end
+
+      def failure(error_code)
+        Result.new(success?: false, error_code: error_code, active_swipe: nil)
+      end
+    end
+  end
+end
@@ -0,0 +1,52 @@
+# frozen_string_literal: true
+
+module Messages
+  module Swipes
+    class SteeredPrefill
+      class << self
+        # Reverts the swipe a token steer added for a continue run (skip/cancel/fail/stale).
+        #
+        # Conversations::TokenSteerer adds a swipe holding the truncated reply and
+        # records it in the continue run's debug. When that run does not succeed,
+        # the truncated swipe is removed and the previously active swipe restored.
+        #
+        # @param run [ConversationRun] the continue run
+        # @return [Boolean] true if anything changed
+        def revert!(run:)
+          return false unless run&.continue?
+
+          steered_id = run.debug&.dig("steered_swipe_id")
+          return false if steered_id.blank?
+
+          message_id = run.debug&.dig("target_message_id")
+          return false if message_id.blank?
+
+          message = Message.find_by(id: message_id, conversation_id: run.conversation_id)
+          return false unless message
+
+          steered = message.message_swipes.find_by(id: steered_id)
+          return false unless steered
+
+          previous_swipe_id = run.debug&.dig("steered_previous_swipe_id")
+          previous_conversation_run_id = run.debug&.dig("steered_previous_conversation_run_id")
+
+          steered.destroy!
+
+          previous_swipe = previous_swipe_id.present? ? message.message_swipes.find_by(id: previous_swipe_id) : nil
+          fallback_swipe = previous_swipe || message.message_swipes.ordered.last
+
+          if fallback_swipe
+            message.update!(
+              active_message_swipe: fallback_swipe,
+              content: fallback_swipe.content,
+              conversation_run_id: previous_conversation_run_id
+            )
+          end
+
+          message.broadcast_update
+          true
+        end
+      end
+    end
+  end
+end
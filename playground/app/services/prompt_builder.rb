@@ -81,6 +81,13 @@ class PromptBuilder
     build.greeting
   end
 
+  # Context window size of the effective preset.
+  #
+  # @return [Integer, nil]
+  def context_window_tokens
+    effective_preset.context_window_tokens
+  end
+
   # Check if this is a group chat.
   #
   # @return [Boolean]
@@ -331,10 +338,21 @@ class PromptBuilder
 
     ::PromptBuilding::MessageHistory.new(
       relation,
-      i18n_settings: space.prompt_settings&.i18n
+      i18n_settings: space.prompt_settings&.i18n,
+      regex_scripts: regex_script_applier,
+      reasoning_stripper: ::PromptBuilding::ReasoningStripper.for_space(space)
     )
   end
 
+  # Regex scripts that also rewrite prompt history (nil when none apply).
+  #
+  # @return [PromptBuilding::RegexScriptApplier, nil]
+  def regex_script_applier
+    return @regex_script_applier if instance_variable_defined?(:@regex_script_applier)
+
+    @regex_script_applier = ::PromptBuilding::RegexScriptApplier.for_space(space)
+  end
+
   # Build the group context for group chats.
   #
   # @return [TavernKit::GroupContext, nil]
@@ -98,6 +98,27 @@ module PromptBuilding
       books
     end
 
+    # Ids of the Lorebook records #call draws from: the chat's, the space's and
+    # the ones characters link to by name. Embedded character books aren't
+    # records. No book is built.
+    #
+    # @return [Array<Integer>]
+    def lorebook_ids
+      ids = @space.space_lorebooks.enabled.pluck(:lorebook_id)
+      ids += @conversation.conversation_lorebooks.enabled.pluck(:lorebook_id) if @conversation
+
+      @space.space_memberships.active.ai_characters.includes(:character).each do |membership|
+        data = membership.character&.data
+        next unless data
+
+        [data.world_name, *Array(data.extra_world_names)].each do |world_name|
+          ids << find_lorebook_for_world_name(world_name)&.id
+        end
+      end
+
+      ids.compact.uniq
+    end
+
     private
 
     def find_lorebook_for_world_name(name)
@@ -0,0 +1,116 @@
+# frozen_string_literal: true
+
+module PromptBuilding
+  # Serialize a lore engine result into a per-run World Info activation trace.
+  #
+  # Lists every entry the engine considered: the ones that activated, the ones
+  # dropped afterwards (budget, probability, inclusion groups) and the ones a
+  # delay or cooldown kept from being matched at all. Each item carries why:
+  # matched keys, recursion depth, timed effects and group scoring.
+  #
+  # Entries are resolved back to what can be edited: a LorebookEntry
+  # (`lorebook_id`/`lorebook_entry_id`) of one of the lorebooks the run could
+  # draw from (LoreBooksResolver#lorebook_ids), or an entry of a character's
+  # embedded lorebook (`character_id`, the entry uid being its id).
+  #
+  # Stored in `debug["lore_trace"]` and shown in the World Info tab of the run
+  # detail modal (app/javascript/ui/run_detail_modal/world_info_tab.js).
+  #
+  # @example
+  #   PromptBuilding::LoreTrace.new(lore_result, space: space, conversation: conversation).entries
+  #   # => [{ "uid" => "...", "status" => "selected", "matched_primary_keys" => ["dragon"], ... }]
+  #
+  class LoreTrace
+    # Keeps run debug data small for books with many constant entries.
+    MAX_ENTRIES = 200
+
+    # @param lore_result [TavernKit::Lore::Result]
+    # @param space [Space] space whose characters may embed lorebooks
+    # @param conversation [Conversation, nil] conversation whose chat lorebooks apply
+    def initialize(lore_result, space:, conversation: nil)
+      @lore_result = lore_result
+      @space = space
+      @conversation = conversation
+    end
+
+    # @return [Array<Hash{String => Object}>] selected entries first, then
+    #   dropped, then suppressed
+    def entries
+      traced =
+        @lore_result.selected.map { |candidate| [candidate, "selected"] } +
+        @lore_result.dropped.map { |candidate| [candidate, "dropped"] } +
+        @lore_result.suppressed.map { |candidate| [candidate, "suppressed"] }
+
+      traced.first(MAX_ENTRIES).map { |candidate, status| serialize(candidate, status) }
+    end
+
+    private
+
+    def serialize(candidate, status)
+      entry = candidate.entry
+
+      {
+        "uid" => entry.uid.to_s,
+        "comment" => entry.comment.presence,
+        "book_name" => entry.book_name.presence,
+        "source" => entry.source&.to_s,
+        "status" => status,
+        "dropped_reason" => candidate.dropped_reason,
+        "activation_type" => candidate.activation_type&.to_s,
+        "matched_primary_keys" => Array(candidate.matched_primary_keys),
+        "matched_secondary_keys" => Array(candidate.matched_secondary_keys),
+        "recursion_depth" => candidate.recursion_depth,
+        "timed_effects" => Array(candidate.timed_effects).map(&:to_s),
+        "sticky" => entry.sticky,
+        "cooldown" => entry.cooldown,
+        "delay" => entry.delay,
+        "group" => entry.group.presence,
+        "group_score" => candidate.group_score,
+        "group_winner" => candidate.group_winner ? true : nil,
+        "token_estimate" => candidate.token_estimate,
+        "position" => entry.position&.to_s,
+      }.merge(edit_target(entry)).compact
+    end
+
+    def edit_target(entry)
+      if entry.source&.to_sym == :character
+        character_id = embedded_entry_characters[[entry.book_name.to_s, entry.uid.to_s]]
+        character_id ? { "character_id" => character_id } : {}
+      else
+        lorebook_id, entry_id = lorebook_entries[[entry.book_name.to_s, entry.uid.to_s]]
+        entry_id ? { "lorebook_id" => lorebook_id, "lorebook_entry_id" => entry_id } : {}
+      end
+    end
+
+    def candidates
+      @lore_result.candidates + @lore_result.suppressed
+    end
+
+    # @return [Hash{Array(String, String) => Array(Integer, Integer)}]
+    #   [book name, uid] => [lorebook id, entry id]
+    def lorebook_entries
+      @lorebook_entries ||=
+        begin
+          uids = candidates.reject { |c| c.entry.source&.to_sym == :character }.map { |c| c.entry.uid.to_s }.uniq
+          lorebook_ids = uids.any? ? LoreBooksResolver.new(space: @space, conversation: @conversation).lorebook_ids : []
+          LorebookEntry.joins(:lorebook).where(uid: uids, lorebook_id: lorebook_ids)
+            .pluck("lorebooks.name", :uid, :lorebook_id, :id)
+            .to_h { |name, uid, lorebook_id, id| [[name.to_s, uid], [lorebook_id, id]] }
+        end
+    end
+
+    # @return [Hash{Array(String, String) => Integer}] [book name, uid] => character id
+    def embedded_entry_characters
+      @embedded_entry_characters ||=
+        @space.space_memberships.active.ai_characters.includes(:character).each_with_object({}) do |membership, map|
+          character = membership.character
+          next unless character&.character_book.present?
+
+          book = JSON.parse(character.character_book.to_json)
+          Array(book["entries"]).each do |entry|
+            map[[book["name"].to_s, entry["id"].to_s]] ||= character.id
+          end
+        end
+    end
+  end
+end
@@ -11,6 +11,12 @@ module PromptBuilding
   # - SQL-based counts for turn-count helpers.
   # - Defensive preloading to avoid N+1 when callers forget to include associations.
   #
+  # Prompt-affecting regex scripts (RegexScriptApplier) are applied per message, with
+  # depth counted back from the latest message in the window over normal-visibility
+  # messages only; the browser counts the same way (see RegexScript). When the space
+  # strips reasoning (ReasoningStripper), assistant replies lose their leading
+  # reasoning block before the scripts run.
+  #
   # @example
   #   history = PromptBuilding::MessageHistory.new(conversation.messages.ordered)
   #   history.each { |msg| puts msg.content }
@@ -20,10 +26,14 @@ module PromptBuilding
 
     # @param relation [ActiveRecord::Relation<Message>]
     # @param i18n_settings [ConversationSettings::I18nSettings, nil]
+    # @param regex_scripts [PromptBuilding::RegexScriptApplier, nil]
+    # @param reasoning_stripper [PromptBuilding::ReasoningStripper, nil]
     # @param batch_size [Integer] batch size for DB iteration (when supported)
-    def initialize(relation, i18n_settings: nil, batch_size: DEFAULT_BATCH_SIZE)
+    def initialize(relation, i18n_settings: nil, regex_scripts: nil, reasoning_stripper: nil, batch_size: DEFAULT_BATCH_SIZE)
       @relation = relation
       @i18n_settings = i18n_settings
+      @regex_scripts = regex_scripts
+      @reasoning_stripper = reasoning_stripper
       @batch_size = batch_size.to_i
       @memoized_messages = nil
     end
@@ -42,6 +52,9 @@ module PromptBuilding
       relation = @relation
       relation = relation.with_participant if relation.respond_to?(:with_participant)
 
+      # Only needed for depth-limited regex scripts; skip the count otherwise.
+      remaining = @regex_scripts&.depth_limited? ? size : nil
+
       # Prefer batched iteration when available (ActiveRecord).
       if relation.respond_to?(:in_batches)
         begin
@@ -52,7 +65,8 @@ module PromptBuilding
             batch.each do |message|
               next unless message.visibility_normal?
 
-              yield convert_message(message)
+              remaining -= 1 if remaining
+              yield convert_message(message, depth: remaining)
             end
           end
           return
@@ -65,7 +79,8 @@ module PromptBuilding
       relation.each do |message|
         next unless message.visibility_normal?
 
-        yield convert_message(message)
+        remaining -= 1 if remaining
+        yield convert_message(message, depth: remaining)
       end
     end
 
@@ -107,14 +122,15 @@ module PromptBuilding
         record = relation.reorder(seq: :desc, id: :desc).first
         return nil unless record
 
-        return convert_message(record)
+        return convert_message(record, depth: 0)
       end
 
       n = n.to_i
       return [] if n <= 0
 
       ids = relation.reorder(seq: :desc, id: :desc).limit(n).select(:id)
-      relation.where(id: ids).reorder(seq: :asc, id: :asc).map { |m| convert_message(m) }
+      records = relation.where(id: ids).reorder(seq: :asc, id: :asc).to_a
+      records.each_with_index.map { |m, index| convert_message(m, depth: records.size - 1 - index) }
     end
 
     # Count user messages in the history.
@@ -180,11 +196,12 @@ module PromptBuilding
     # Convert an ActiveRecord Message to TavernKit::Prompt::Message.
     #
     # @param message [Message]
+    # @param depth [Integer, nil] 0 = latest message (for regex scripts)
     # @return [TavernKit::Prompt::Message]
-    def convert_message(message)
+    def convert_message(message, depth: nil)
       ::TavernKit::Prompt::Message.new(
         role: message.role.to_sym,
-        content: prompt_content_for(message),
+        content: apply_regex_scripts(strip_reasoning(prompt_content_for(message), message), message, depth),
         name: message.sender_display_name,
         send_date: message.created_at&.to_i
       )
@@ -198,5 +215,17 @@ module PromptBuilding
 
       message.plain_text_content
     end
+
+    def strip_reasoning(content, message)
+      return content unless @reasoning_stripper && message.assistant_message?
+
+      @reasoning_stripper.strip(content)
+    end
+
+    def apply_regex_scripts(content, message, depth)
+      return content unless @regex_scripts
+
+      @regex_scripts.apply(content, role: message.role, depth: depth)
+    end
   end
 end
@@ -0,0 +1,134 @@
+# frozen_string_literal: true
+
+module PromptBuilding
+  # Attribute prompt message text to the prompt source it came from.
+  #
+  # The prompt plan is a list of blocks tagged with a slot (:main_prompt,
+  # :character_description, :world_info_before_char_defs, :history, ...), but
+  # the messages sent to the LLM are not one block each: in-chat blocks at the
+  # same depth are merged, system blocks may be squashed and PromptBuilder can
+  # add a language guard. The blocks are found back in the final messages in
+  # order, and each message is split into spans by source.
+  #
+  # Whitespace after a block counts towards that block; any other text not
+  # found in a block (e.g. the language guard) is "other".
+  #
+  # Used by the Token Inspector heatmap
+  # (app/javascript/ui/run_detail_modal/token_inspector_tab.js).
+  #
+  # @example
+  #   map = PromptBuilding::PromptSourceMap.new(plan.enabled_blocks)
+  #   map.spans(messages)
+  #   # => [[["main_prompt", "Write the next reply..."]], [["chat_history", "Hi!"]], ...]
+  #
+  class PromptSourceMap
+    OTHER = "other"
+
+    SLOT_SOURCES = {
+      main_prompt: "main_prompt",
+      character_description: "character",
+      character_personality: "character",
+      scenario: "character",
+      character_depth_prompt: "character",
+      persona: "persona",
+      world_info_at_depth: "world_info",
+      examples: "examples",
+      new_example_chat: "examples",
+      authors_note: "authors_note",
+      history: "chat_history",
+      user_message: "chat_history",
+      post_history_instructions: "post_history_instructions",
+      auxiliary_prompt: "preset",
+      enhance_definitions: "preset",
+      custom_prompt: "preset",
+      in_chat_prompt: "preset",
+      new_chat_prompt: "preset",
+      continue_nudge: "preset",
+      group_nudge: "preset",
+      impersonation_prompt: "preset",
+      empty_user_message_replacement: "preset",
+    }.freeze
+
+    # Messages searched past the current one for the next block (covers a
+    # message PromptBuilder inserted in between).
+    LOOKAHEAD = 2
+
+    # @param slot [Symbol, nil]
+    # @return [String]
+    def self.source_for(slot)
+      return "world_info" if slot.to_s.start_with?("world_info_")
+
+      SLOT_SOURCES.fetch(slot&.to_sym, OTHER)
+    end
+
+    # @param blocks [Array<TavernKit::Prompt::Block>] enabled blocks in plan order
+    def initialize(blocks)
+      @blocks = Array(blocks)
+    end
+
+    # @param messages [Array<Hash>] the prompt messages sent to the LLM
+    # @return [Array<Array<Array(String, String)>>] per message, [source, text]
+    #   spans that join back into its content
+    def spans(messages)
+      contents = messages.map { |message| (message[:content] || message["content"]).to_s }
+      matches = Array.new(contents.size) { [] }
+
+      index = 0
+      offset = 0
+      @blocks.each do |block|
+        text = block.content.to_s.strip
+        next if text.empty?
+
+        (index...[index + LOOKAHEAD + 1, contents.size].min).each do |candidate|
+          start = contents[candidate].index(text, candidate == index ? offset : 0)
+          next unless start
+
+          matches[candidate] << [start, start + text.length, self.class.source_for(block.slot)]
+          index = candidate
+          offset = start + text.length
+          break
+        end
+      end
+
+      contents.each_with_index.map { |content, i| split(content, matches[i]) }
+    end
+
+    private
+
+    def split(content, matches)
+      spans = []
+      cursor = 0
+
+      matches.each do |start, finish, source|
+        append(spans, content[cursor...start], nil)
+        append(spans, content[start...finish], source)
+        cursor = finish
+      end
+      append(spans, content[cursor..], nil)
+
+      spans
+    end
+
+    # Append text, merging with the previous span of the same source. For text
+    # outside any block (source nil), leading whitespace joins the previous
+    # span and the rest is "other".
+    def append(spans, text, source)
+      return if text.nil? || text.empty?
+
+      if source.nil?
+        whitespace = spans.any? ? text[/\A\s*/] : ""
+        append(spans, whitespace, spans.last[0]) unless whitespace.empty?
+        text = text[whitespace.length..]
+        return if text.empty?
+
+        source = OTHER
+      end
+
+      if spans.any? && spans.last[0] == source
+        spans.last[1] += text
+      else
+        spans << [source, text]
+      end
+    end
+  end
+end
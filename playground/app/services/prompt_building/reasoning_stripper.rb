@@ -0,0 +1,38 @@
+# frozen_string_literal: true
+
+module PromptBuilding
+  # Remove the leading reasoning block from assistant replies in chat history.
+  #
+  # Only a closed block at the very start of a reply is removed, the same block
+  # the chat renders as a collapsed "Thought for Ns" section
+  # (app/javascript/ui/markdown/reasoning.js). An unclosed block is left alone
+  # so a truncated reply doesn't lose all its content.
+  #
+  # @example
+  #   stripper = PromptBuilding::ReasoningStripper.new(prefix: "<think>", suffix: "</think>")
+  #   stripper.strip("<think>Plan the reply.</think>\n\nHello!") # => "Hello!"
+  #
+  class ReasoningStripper
+    # @param prefix [String]
+    # @param suffix [String]
+    def initialize(prefix:, suffix:)
+      @pattern = /\A\s*#{Regexp.escape(prefix)}.*?#{Regexp.escape(suffix)}\s*/m
+    end
+
+    # Build a stripper for a space's prompt, or nil when the space keeps reasoning.
+    #
+    # @param space [Space]
+    # @return [ReasoningStripper, nil]
+    def self.for_space(space)
+      return nil unless space.strip_reasoning_from_prompt?
+
+      new(prefix: space.reasoning_prefix, suffix: space.reasoning_suffix)
+    end
+
+    # @param text [String]
+    # @return [String]
+    def strip(text)
+      text.to_s.sub(@pattern, "")
+    end
+  end
+end
@@ -0,0 +1,52 @@
+# frozen_string_literal: true
+
+module PromptBuilding
+  # Apply prompt-affecting regex scripts to chat history content.
+  #
+  # Scripts run in order (global, character, preset; see RegexScript.applicable_to),
+  # each on the output of the previous one, and only for the roles and depths
+  # they're configured for.
+  #
+  # @example
+  #   applier = PromptBuilding::RegexScriptApplier.new(RegexScript.applicable_to(space, user: space.owner))
+  #   applier.apply("Hi <status>HP 10</status>", role: :assistant, depth: 0)
+  #
+  class RegexScriptApplier
+    # @param scripts [Array<RegexScript>]
+    def initialize(scripts)
+      @scripts = Array(scripts).select(&:affects_prompt?)
+    end
+
+    # Build an applier for a space's prompt, or nil when no script affects it.
+    #
+    # @param space [Space]
+    # @return [RegexScriptApplier, nil]
+    def self.for_space(space)
+      applier = new(::RegexScript.applicable_to(space, user: space.owner))
+      applier.empty? ? nil : applier
+    end
+
+    # @return [Boolean]
+    def empty?
+      @scripts.empty?
+    end
+
+    # Whether any script is limited to some depths, so callers need to know
+    # each message's depth.
+    #
+    # @return [Boolean]
+    def depth_limited?
+      @scripts.any? { |script| script.min_depth || script.max_depth }
+    end
+
+    # @param text [String]
+    # @param role [String, Symbol]
+    # @param depth [Integer, nil] 0 = latest message
+    # @return [String]
+    def apply(text, role:, depth:)
+      @scripts.reduce(text.to_s) do |result, script|
+        script.applies_to?(role: role, depth: depth) ? script.run(result) : result
+      end
+    end
+  end
+end
@@ -171,6 +171,9 @@ Rails.application.routes.draw do
     end
   end
 
+  # Regex scripts (display-time find/replace, user-facing)
+  resources :regex_scripts, except: :show
+
   # Playgrounds (solo roleplay spaces)
   resources :playgrounds, only: %i[new create show edit update destroy] do
     resources :conversations, only: %i[create]
@@ -190,12 +193,17 @@ Rails.application.routes.draw do
 
       resource :auto_candidates, only: %i[create]
       resource :prompt_preview, only: %i[create]
+
+      # Card-embedded assets referenced from messages (embeded://..., ccdefault:)
+      get "memberships/:membership_id/assets/*uri", to: "membership_assets#show", as: :membership_asset, format: false
     end
   end
 
   resources :conversations, only: %i[index show update] do
     member do
       post :regenerate
+      post :continue
+      post :impersonate
       post :branch
       post :generate
       post :stop
@@ -222,6 +230,9 @@ Rails.application.routes.draw do
     # Checkpoint creation (save conversation state without switching)
     resources :checkpoints, only: [:create], controller: "conversations/checkpoints"
 
+    # In-conversation message search (search bar)
+    resource :search, only: [:show], controller: "conversations/searches"
+
     # Conversation lorebook attachments (ST: Chat Lore)
     scope module: "conversations" do
       resources :lorebooks, only: %i[index create destroy] do
@@ -232,6 +243,12 @@ Rails.application.routes.draw do
           patch :reorder
         end
       end
+
+      # Run detail modal: export a run's prompt as an API request
+      resources :runs, only: [] do
+        get :export, on: :member
+        post :steer, on: :member
+      end
     end
 
     resources :messages, only: %i[index create show edit update destroy] do
@@ -239,8 +256,15 @@ Rails.application.routes.draw do
         get :inline_edit
         post :translate
       end
+      # Multi-select bulk actions (message_ids[])
+      collection do
+        patch :bulk_visibility, to: "conversations/messages/bulk_actions#visibility"
+        delete :bulk_destroy, to: "conversations/messages/bulk_actions#destroy"
+      end
       # Swipe navigation for AI response versions
       resource :swipe, only: [:create], controller: "conversations/messages/swipes"
+      # Swipe overview drawer: list all versions, delete one
+      resources :swipe_versions, only: %i[index destroy], controller: "conversations/messages/swipe_versions"
       # Context visibility toggle (include/exclude from prompt)
       resource :visibility, only: [:update], controller: "conversations/messages/visibilities"
     end
@@ -0,0 +1,8 @@
+# frozen_string_literal: true
+
+class AddHtmlRenderingModeToSpaces < ActiveRecord::Migration[8.2]
+  def change
+    add_column :spaces, :html_rendering_mode, :string, default: "escape", null: false,
+               comment: "Raw HTML in rendered messages: escape (show as text), allowlist (sanitized subset)"
+  end
+end
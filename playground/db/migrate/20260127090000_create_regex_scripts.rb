@@ -0,0 +1,27 @@
+# frozen_string_literal: true
+
+class CreateRegexScripts < ActiveRecord::Migration[8.2]
+  def change
+    create_table :regex_scripts, comment: "Display-time regex scripts (ST Regex extension)" do |t|
+      t.references :user, foreign_key: { on_delete: :cascade }, comment: "Owner user (null for scripts imported with system characters)"
+      t.string :scope_type, null: false, default: "global", comment: "Where the script applies: global (owner's chats), character, preset"
+      t.references :character, foreign_key: { on_delete: :cascade }, comment: "Target character for character-scoped scripts"
+      t.references :preset, foreign_key: { on_delete: :cascade }, comment: "Target preset for preset-scoped scripts"
+      t.string :name, null: false, comment: "Script display name"
+      t.text :find_regex, null: false, comment: "JS regex literal (/pattern/flags) or plain pattern"
+      t.text :replace_string, null: false, default: "", comment: "Replacement ({{match}}, $1, $<name>)"
+      t.string :trim_strings, array: true, null: false, default: [], comment: "Strings removed from {{match}} before substitution"
+      t.boolean :affects_prompt, null: false, default: false, comment: "Also rewrite prompt history (otherwise display only)"
+      t.boolean :user_messages, null: false, default: true, comment: "Apply to user messages"
+      t.boolean :ai_messages, null: false, default: true, comment: "Apply to AI messages"
+      t.integer :min_depth, comment: "Only messages at least this deep (0 = latest)"
+      t.integer :max_depth, comment: "Only messages at most this deep (0 = latest)"
+      t.boolean :enabled, null: false, default: true, comment: "Disabled scripts are kept but not run"
+      t.integer :position, null: false, default: 0, comment: "Run order within a scope"
+
+      t.timestamps
+    end
+
+    add_index :regex_scripts, %i[scope_type position]
+  end
+end
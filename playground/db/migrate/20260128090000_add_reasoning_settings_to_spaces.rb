@@ -0,0 +1,12 @@
+# frozen_string_literal: true
+
+class AddReasoningSettingsToSpaces < ActiveRecord::Migration[8.2]
+  def change
+    add_column :spaces, :reasoning_prefix, :string, default: "<think>", null: false,
+               comment: "Opening delimiter of a reasoning block at the start of AI replies"
+    add_column :spaces, :reasoning_suffix, :string, default: "</think>", null: false,
+               comment: "Closing delimiter of a reasoning block"
+    add_column :spaces, :strip_reasoning_from_prompt, :boolean, default: false, null: false,
+               comment: "Remove reasoning blocks from AI messages in prompt history"
+  end
+end
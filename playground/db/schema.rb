@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.2].define(version: 2026_01_25_120000) do
+ActiveRecord::Schema[8.2].define(version: 2026_01_28_090000) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
   enable_extension "pgcrypto"
@@ -432,6 +432,30 @@ ActiveRecord::Schema[8.2].define(version: 2026_01_25_120000) do
     t.check_constraint "jsonb_typeof(preset_settings) = 'object'::text", name: "presets_preset_settings_object"
   end
 
+  create_table "regex_scripts", comment: "Display-time regex scripts (ST Regex extension)", force: :cascade do |t|
+    t.boolean "affects_prompt", default: false, null: false, comment: "Also rewrite prompt history (otherwise display only)"
+    t.boolean "ai_messages", default: true, null: false, comment: "Apply to AI messages"
+    t.bigint "character_id", comment: "Target character for character-scoped scripts"
+    t.datetime "created_at", null: false
+    t.boolean "enabled", default: true, null: false, comment: "Disabled scripts are kept but not run"
+    t.text "find_regex", null: false, comment: "JS regex literal (/pattern/flags) or plain pattern"
+    t.integer "max_depth", comment: "Only messages at most this deep (0 = latest)"
+    t.integer "min_depth", comment: "Only messages at least this deep (0 = latest)"
+    t.string "name", null: false, comment: "Script display name"
+    t.integer "position", default: 0, null: false, comment: "Run order within a scope"
+    t.bigint "preset_id", comment: "Target preset for preset-scoped scripts"
+    t.text "replace_string", default: "", null: false, comment: "Replacement ({{match}}, $1, $<name>)"
+    t.string "scope_type", default: "global", null: false, comment: "Where the script applies: global (owner's chats), character, preset"
+    t.string "trim_strings", default: [], null: false, comment: "Strings removed from {{match}} before substitution", array: true
+    t.datetime "updated_at", null: false
+    t.boolean "user_messages", default: true, null: false, comment: "Apply to user messages"
+    t.bigint "user_id", comment: "Owner user (null for scripts imported with system characters)"
+    t.index ["character_id"], name: "index_regex_scripts_on_character_id"
+    t.index ["preset_id"], name: "index_regex_scripts_on_preset_id"
+    t.index ["scope_type", "position"], name: "index_regex_scripts_on_scope_type_and_position"
+    t.index ["user_id"], name: "index_regex_scripts_on_user_id"
+  end
+
   create_table "sessions", comment: "User login sessions", force: :cascade do |t|
     t.datetime "created_at", null: false
     t.string "ip_address", comment: "Client IP address at login"
@@ -514,14 +538,18 @@ ActiveRecord::Schema[8.2].define(version: 2026_01_25_120000) do
     t.datetime "created_at", null: false
     t.string "during_generation_user_input_policy", default: "reject", null: false, comment: "Policy when user sends message during AI generation: reject (lock input), restart (interrupt), queue (allow)"
     t.string "group_regenerate_mode", default: "single_message", null: false, comment: "Group regenerate behavior: single_message (swipe one), last_turn (redo all AI responses)"
+    t.string "html_rendering_mode", default: "escape", null: false, comment: "Raw HTML in rendered messages: escape (show as text), allowlist (sanitized subset)"
     t.string "name", null: false, comment: "Space display name"
     t.bigint "owner_id", null: false, comment: "Space owner"
     t.jsonb "prompt_settings", default: {}, null: false, comment: "Prompt building settings (system prompt, context template, etc.)"
     t.bigint "prompt_tokens_total", default: 0, null: false, comment: "Cumulative prompt tokens used (for limits)"
+    t.string "reasoning_prefix", default: "<think>", null: false, comment: "Opening delimiter of a reasoning block at the start of AI replies"
+    t.string "reasoning_suffix", default: "</think>", null: false, comment: "Closing delimiter of a reasoning block"
     t.boolean "relax_message_trim", default: false, null: false, comment: "Group chat: allow AI to generate dialogue for other characters"
     t.string "reply_order", default: "natural", null: false, comment: "Group reply order: natural (mention-based), list (position), pooled (random talkative), manual"
     t.integer "settings_version", default: 0, null: false, comment: "Optimistic locking version for settings"
     t.string "status", default: "active", null: false, comment: "Space status: active, archived, deleting"
+    t.boolean "strip_reasoning_from_prompt", default: false, null: false, comment: "Remove reasoning blocks from AI messages in prompt history"
     t.bigint "token_limit", default: 0, comment: "Optional token limit (0 = unlimited)"
     t.string "type", null: false, comment: "STI type: Spaces::Playground, Spaces::Discussion"
     t.datetime "updated_at", null: false
@@ -621,6 +649,9 @@ ActiveRecord::Schema[8.2].define(version: 2026_01_25_120000) do
   add_foreign_key "messages", "text_contents"
   add_foreign_key "presets", "llm_providers", on_delete: :nullify
   add_foreign_key "presets", "users"
+  add_foreign_key "regex_scripts", "characters", on_delete: :cascade
+  add_foreign_key "regex_scripts", "presets", on_delete: :cascade
+  add_foreign_key "regex_scripts", "users", on_delete: :cascade
   add_foreign_key "sessions", "users"
   add_foreign_key "space_lorebooks", "lorebooks", on_delete: :cascade
   add_foreign_key "space_lorebooks", "spaces", on_delete: :cascade
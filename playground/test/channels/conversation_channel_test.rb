@@ -93,14 +93,38 @@ class ConversationChannelTest < ActionCable::Channel::TestCase
     assert_includes data[:avatar_url], "/portraits/space_memberships/"
   end
 
-  test "broadcast_stream_chunk broadcasts chunk content" do
+  test "broadcast_typing includes run_id when given" do
+    ConversationChannel.broadcast_typing(@conversation, membership: @membership, active: true, run_id: "run-1")
+    data = last_broadcast_for(@conversation)
+
+    assert_equal "run-1", data[:run_id]
+  end
+
+  test "broadcast_typing includes max_response_tokens when given" do
+    ConversationChannel.broadcast_typing(@conversation, membership: @membership, active: true, max_response_tokens: 512)
+    data = last_broadcast_for(@conversation)
+
+    assert_equal 512, data[:max_response_tokens]
+  end
+
+  test "broadcast_stream_chunk broadcasts numbered delta" do
     assert_broadcasts(@conversation, 1) do
-      ConversationChannel.broadcast_stream_chunk(@conversation, content: "Hello world", space_membership_id: @membership.id)
+      ConversationChannel.broadcast_stream_chunk(
+        @conversation,
+        run_id: "run-1",
+        seq: 2,
+        offset: 5,
+        delta: " world",
+        space_membership_id: @membership.id
+      )
     end
 
     data = last_broadcast_for(@conversation)
     assert_equal "stream_chunk", data[:type]
-    assert_equal "Hello world", data[:content]
+    assert_equal "run-1", data[:run_id]
+    assert_equal 2, data[:seq]
+    assert_equal 5, data[:offset]
+    assert_equal " world", data[:delta]
     assert_equal @membership.id, data[:space_membership_id]
   end
 
@@ -112,6 +136,98 @@ class ConversationChannelTest < ActionCable::Channel::TestCase
     data = last_broadcast_for(@conversation)
     assert_equal "stream_complete", data[:type]
     assert_equal @membership.id, data[:space_membership_id]
+    assert_not data.key?(:message_id)
+  end
+
+  test "broadcast_stream_complete includes the saved message" do
+    ConversationChannel.broadcast_stream_complete(@conversation, space_membership_id: @membership.id, message_id: 42)
+
+    assert_equal 42, last_broadcast_for(@conversation)[:message_id]
+  end
+
+  # ============================================================================
+  # Stream resume tests
+  # ============================================================================
+
+  test "resume_stream transmits inactive when nothing is running" do
+    subscribe conversation_id: @conversation.id
+
+    perform :resume_stream, streams: {}
+
+    assert_equal({ "type" => "stream_resume", "active" => false }, transmissions.last)
+  end
+
+  test "resume_stream transmits the text after the client offset" do
+    speaker = space_memberships(:character_in_general)
+    run = ConversationRun.create!(
+      conversation: @conversation,
+      speaker_space_membership_id: speaker.id,
+      kind: "auto_response",
+      status: "running",
+      reason: "test",
+      started_at: Time.current
+    )
+
+    cache = ActiveSupport::Cache::MemoryStore.new
+    Rails.stubs(:cache).returns(cache)
+    buffer = Conversations::StreamBuffer.new(run.id, snapshot_interval: 0)
+    buffer.append("Hello")
+    buffer.append(" world")
+
+    subscribe conversation_id: @conversation.id
+    perform :resume_stream, streams: { "previous-run" => 2, run.id => 5 }
+
+    data = transmissions.last
+    assert_equal "stream_resume", data["type"]
+    assert_equal true, data["active"]
+    assert_equal run.id, data["run_id"]
+    assert_equal speaker.id, data["space_membership_id"]
+    assert_equal 2, data["seq"]
+    assert_equal 5, data["offset"]
+    assert_equal " world", data["delta"]
+    assert_nil data["resumable"]
+  end
+
+  test "resume_stream tells the client when the cache keeps no snapshots" do
+    speaker = space_memberships(:character_in_general)
+    ConversationRun.create!(
+      conversation: @conversation,
+      speaker_space_membership_id: speaker.id,
+      kind: "auto_response",
+      status: "running",
+      reason: "test",
+      started_at: Time.current
+    )
+
+    subscribe conversation_id: @conversation.id
+    perform :resume_stream, streams: {}
+
+    data = transmissions.last
+    assert_equal true, data["active"]
+    assert_equal false, data["resumable"]
+  end
+
+  test "resume_stream restarts from zero for a different run" do
+    speaker = space_memberships(:character_in_general)
+    run = ConversationRun.create!(
+      conversation: @conversation,
+      speaker_space_membership_id: speaker.id,
+      kind: "auto_response",
+      status: "running",
+      reason: "test",
+      started_at: Time.current
+    )
+
+    cache = ActiveSupport::Cache::MemoryStore.new
+    Rails.stubs(:cache).returns(cache)
+    Conversations::StreamBuffer.new(run.id).append("Hello")
+
+    subscribe conversation_id: @conversation.id
+    perform :resume_stream, streams: { "previous-run" => 3 }
+
+    data = transmissions.last
+    assert_equal 0, data["offset"]
+    assert_equal "Hello", data["delta"]
   end
 
   private
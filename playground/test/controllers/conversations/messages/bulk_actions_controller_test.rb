@@ -0,0 +1,104 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module Conversations
+  module Messages
+    class BulkActionsControllerTest < ActionDispatch::IntegrationTest
+      setup do
+        sign_in :admin
+
+        @space = Spaces::Playground.create!(name: "Bulk Actions Test", owner: users(:admin))
+        @space.space_memberships.grant_to(users(:admin), role: "owner")
+        @space.space_memberships.grant_to(characters(:ready_v2))
+
+        @conversation = @space.conversations.create!(title: "Main", kind: "root")
+        @user_membership = @space.space_memberships.find_by!(user: users(:admin), kind: "human")
+        @ai_membership = @space.space_memberships.find_by!(character: characters(:ready_v2), kind: "character")
+
+        @first = @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "Hi")
+        @second = @conversation.messages.create!(space_membership: @ai_membership, role: "assistant", content: "Hello")
+        @third = @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "How are you?")
+      end
+
+      test "bulk_visibility excludes the selected messages from the prompt" do
+        patch bulk_visibility_conversation_messages_url(@conversation),
+              params: { message_ids: [@first.id, @second.id], excluded: true },
+              as: :turbo_stream
+
+        assert_response :success
+        assert_turbo_stream(action: "show_toast")
+
+        assert @first.reload.visibility_excluded?
+        assert @second.reload.visibility_excluded?
+        assert @third.reload.visibility_normal?
+      end
+
+      test "bulk_visibility includes previously excluded messages" do
+        @first.update!(visibility: "excluded")
+        @second.update!(visibility: "excluded")
+
+        patch bulk_visibility_conversation_messages_url(@conversation),
+              params: { message_ids: [@first.id, @second.id], excluded: false },
+              as: :turbo_stream
+
+        assert_response :success
+        assert @first.reload.visibility_normal?
+        assert @second.reload.visibility_normal?
+      end
+
+      test "bulk_visibility ignores messages from other conversations" do
+        other = @space.conversations.create!(title: "Other", kind: "root")
+        foreign = other.messages.create!(space_membership: @user_membership, role: "user", content: "Elsewhere")
+
+        patch bulk_visibility_conversation_messages_url(@conversation),
+              params: { message_ids: [foreign.id], excluded: true },
+              as: :turbo_stream
+
+        assert_response :unprocessable_entity
+        assert foreign.reload.visibility_normal?
+      end
+
+      test "bulk_destroy hides the selected messages and removes them from the list" do
+        delete bulk_destroy_conversation_messages_url(@conversation),
+               params: { message_ids: [@second.id, @third.id] },
+               as: :turbo_stream
+
+        assert_response :success
+        assert_turbo_stream(action: "remove", target: "message_#{@second.id}")
+        assert_turbo_stream(action: "remove", target: "message_#{@third.id}")
+
+        assert @first.reload.visibility_normal?
+        assert @second.reload.visibility_hidden?
+        assert @third.reload.visibility_hidden?
+      end
+
+      test "bulk_destroy skips messages the user may not delete" do
+        @space.space_memberships.grant_to(users(:member))
+        member_membership = @space.space_memberships.find_by!(user: users(:member), kind: "human")
+        own = @conversation.messages.create!(space_membership: member_membership, role: "user", content: "Mine")
+
+        sign_in :member
+
+        delete bulk_destroy_conversation_messages_url(@conversation),
+               params: { message_ids: [@second.id, own.id] },
+               as: :turbo_stream
+
+        assert_response :success
+        assert own.reload.visibility_hidden?
+        assert @second.reload.visibility_normal?
+      end
+
+      test "bulk_destroy is forbidden in archived spaces" do
+        @space.update!(status: "archived")
+
+        delete bulk_destroy_conversation_messages_url(@conversation),
+               params: { message_ids: [@first.id] },
+               as: :turbo_stream
+
+        assert_response :forbidden
+        assert @first.reload.visibility_normal?
+      end
+    end
+  end
+end
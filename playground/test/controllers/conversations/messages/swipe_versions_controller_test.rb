@@ -0,0 +1,68 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module Conversations
+  module Messages
+    class SwipeVersionsControllerTest < ActionDispatch::IntegrationTest
+      setup do
+        sign_in :admin
+
+        @space = Spaces::Playground.create!(name: "Swipe Overview Test", owner: users(:admin))
+        @space.space_memberships.grant_to(users(:admin), role: "owner")
+        @space.space_memberships.grant_to(characters(:ready_v2))
+
+        @conversation = @space.conversations.create!(title: "Main", kind: "root")
+        @user_membership = @space.space_memberships.find_by!(user: users(:admin), kind: "human")
+        @ai_membership = @space.space_memberships.find_by!(character: characters(:ready_v2), kind: "character")
+
+        @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "Hi")
+        @message = @conversation.messages.create!(space_membership: @ai_membership, role: "assistant", content: "Hello")
+        @message.ensure_initial_swipe!
+        @message.add_swipe!(content: "Hello v2", metadata: { "prompt_params" => { "model" => "gpt-test" } })
+      end
+
+      test "index lists every swipe with its model" do
+        get conversation_message_swipe_versions_url(@conversation, @message)
+
+        assert_response :success
+        assert_select "turbo-frame#swipe_overview"
+        assert_select "[data-swipe-overview-target='card']", 2
+        assert_match "gpt-test", response.body
+      end
+
+      test "destroy deletes the swipe and re-renders the message and overview" do
+        swipe = @message.message_swipes.find_by!(position: 0)
+
+        delete conversation_message_swipe_version_url(@conversation, @message, swipe), as: :turbo_stream
+
+        assert_response :success
+        assert_turbo_stream(action: "replace", target: ActionView::RecordIdentifier.dom_id(@message))
+        assert_turbo_stream(action: "update", target: "swipe_overview")
+        assert_equal 1, @message.reload.message_swipes_count
+        assert_equal "Hello v2", @message.content
+      end
+
+      test "destroy refuses to delete the only swipe" do
+        ::Messages::Swipes::Remover.execute(message: @message, swipe: @message.message_swipes.find_by!(position: 0))
+        remaining = @message.reload.message_swipes.first
+
+        delete conversation_message_swipe_version_url(@conversation, @message, remaining), as: :turbo_stream
+
+        assert_response :unprocessable_entity
+        assert_match(/only version/i, response.body)
+        assert_equal 1, @message.reload.message_swipes_count
+      end
+
+      test "destroy is blocked for non-tail messages" do
+        @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "Thanks")
+        swipe = @message.message_swipes.find_by!(position: 1)
+
+        delete conversation_message_swipe_version_url(@conversation, @message, swipe), as: :turbo_stream
+
+        assert_response :unprocessable_entity
+        assert_equal 2, @message.reload.message_swipes_count
+      end
+    end
+  end
+end
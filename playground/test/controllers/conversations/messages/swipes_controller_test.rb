@@ -91,6 +91,29 @@ module Conversations
         post conversation_message_swipe_url(@conversation, last_message, dir: :invalid)
         assert_response :unprocessable_entity
       end
+
+      test "swipe with position jumps to that version" do
+        @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "Hi")
+        last_message = @conversation.messages.create!(space_membership: @ai_membership, role: "assistant", content: "Hello")
+
+        last_message.ensure_initial_swipe!
+        last_message.add_swipe!(content: "Hello v2")
+        last_message.add_swipe!(content: "Hello v3")
+
+        post conversation_message_swipe_url(@conversation, last_message, position: 0), as: :turbo_stream
+
+        assert_turbo_stream(action: "replace", target: ActionView::RecordIdentifier.dom_id(last_message))
+        assert_equal "Hello", last_message.reload.content
+        assert_equal 0, last_message.active_message_swipe.position
+      end
+
+      test "swipe with invalid position is blocked" do
+        @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "Hi")
+        last_message = @conversation.messages.create!(space_membership: @ai_membership, role: "assistant", content: "Hello")
+
+        post conversation_message_swipe_url(@conversation, last_message, position: "abc")
+        assert_response :unprocessable_entity
+      end
     end
   end
 end
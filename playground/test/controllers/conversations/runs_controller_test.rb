@@ -0,0 +1,83 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class Conversations::RunsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    sign_in :admin
+
+    @space = Spaces::Playground.create!(name: "Runs Controller Test", owner: users(:admin))
+    @space.space_memberships.grant_to(users(:admin), role: "owner")
+    @space.space_memberships.grant_to(characters(:ready_v2))
+
+    @conversation = @space.conversations.create!(title: "Main", kind: "root")
+    @run = ConversationRun.create!(kind: "auto_response", conversation: @conversation,
+      status: "succeeded",
+      reason: "test",
+      debug: {
+        "prompt_snapshot" => [{ "role" => "user", "content" => "Hi" }],
+        "generation_params" => { "model" => "test-model", "max_response_tokens" => 100 },
+      }
+    )
+  end
+
+  test "export returns the request for a dialect as JSON" do
+    get export_conversation_run_url(@conversation, @run, format: :json), params: { dialect: "mistral" }
+
+    assert_response :success
+    body = response.parsed_body
+    assert_equal "mistral", body["dialect"]
+    assert_equal "https://api.mistral.ai/v1/chat/completions", body["url"]
+    assert_equal "test-model", body.dig("body", "model")
+    assert_includes body["curl"], "$API_KEY"
+  end
+
+  test "export downloads a jsonl record" do
+    get export_conversation_run_url(@conversation, @run, format: :jsonl)
+
+    assert_response :success
+    assert_equal "application/jsonl", response.media_type
+    assert_equal [{ "role" => "user", "content" => "Hi" }], JSON.parse(response.body)["messages"]
+  end
+
+  test "export is not found without a prompt snapshot" do
+    @run.update!(debug: {})
+
+    get export_conversation_run_url(@conversation, @run, format: :json)
+
+    assert_response :not_found
+  end
+
+  test "export is not found for conversations outside the user's spaces" do
+    sign_in :member
+
+    get export_conversation_run_url(@conversation, @run, format: :json)
+
+    assert_response :not_found
+  end
+
+  test "steer regenerates the reply from an alternative token" do
+    speaker = @space.space_memberships.find_by!(character: characters(:ready_v2))
+    @run.update!(debug: {
+      "logprobs" => [
+        { "token" => "Yes", "logprob" => -0.4, "top_logprobs" => [{ "token" => "Yes", "logprob" => -0.4 }, { "token" => "No", "logprob" => -1.2 }] },
+        { "token" => ".", "logprob" => -0.1 },
+      ],
+    })
+    message = @conversation.messages.create!(space_membership: speaker, role: "assistant", content: "Yes.", conversation_run: @run)
+
+    post steer_conversation_run_url(@conversation, @run), params: { token_index: 0, token: "No" }, as: :turbo_stream
+
+    assert_response :no_content
+    assert_equal "No", message.reload.content
+    assert ConversationRun.queued.find_by(conversation: @conversation)&.continue?
+  end
+
+  test "steer warns when the token is not an alternative" do
+    @run.update!(debug: { "logprobs" => [{ "token" => "Yes", "logprob" => -0.4 }] })
+
+    post steer_conversation_run_url(@conversation, @run), params: { token_index: 0, token: "Maybe" }, as: :turbo_stream
+
+    assert_response :unprocessable_entity
+  end
+end
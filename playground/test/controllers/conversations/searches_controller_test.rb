@@ -0,0 +1,44 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class Conversations::SearchesControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    sign_in :admin
+
+    @space = Spaces::Playground.create!(name: "Search Controller Test", owner: users(:admin))
+    @space.space_memberships.grant_to(users(:admin), role: "owner")
+    @space.space_memberships.grant_to(characters(:ready_v2))
+
+    @conversation = @space.conversations.create!(title: "Main", kind: "root")
+    @ai_membership = @space.space_memberships.find_by!(character: characters(:ready_v2), kind: "character")
+    @message = @conversation.messages.create!(space_membership: @ai_membership, role: "assistant", content: "The dragon sleeps.")
+  end
+
+  test "show returns matching snippets as JSON" do
+    get conversation_search_url(@conversation), params: { q: "dragon" }, as: :json
+
+    assert_response :success
+    body = response.parsed_body
+    assert_equal "dragon", body["query"]
+    assert_equal false, body["truncated"]
+    assert_equal [@message.id], body["results"].map { |hit| hit["message_id"] }
+    assert_equal "The dragon sleeps.", body["results"].first["snippet"]
+    assert_equal 4, body["results"].first["match_start"]
+  end
+
+  test "show returns no results for short queries" do
+    get conversation_search_url(@conversation), params: { q: "d" }, as: :json
+
+    assert_response :success
+    assert_empty response.parsed_body["results"]
+  end
+
+  test "show is not found for conversations outside the user's spaces" do
+    sign_in :member
+
+    get conversation_search_url(@conversation), params: { q: "dragon" }, as: :json
+
+    assert_response :not_found
+  end
+end
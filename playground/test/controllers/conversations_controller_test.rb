@@ -127,6 +127,30 @@ class ConversationsControllerTest < ActionDispatch::IntegrationTest
     assert_select "title", text: /#{Regexp.escape(conversation.title)}/
   end
 
+  test "show with at opens a window around the linked message" do
+    space = Spaces::Playground.create!(name: "Deep link", owner: users(:admin))
+    space.space_memberships.grant_to(users(:admin), role: "owner")
+    conversation = space.conversations.create!(title: "Deep link", kind: "root")
+    membership = space.space_memberships.find_by!(user: users(:admin), kind: "human")
+    messages = Array.new(80) { |i| conversation.messages.create!(space_membership: membership, role: "user", content: "Message #{i}") }
+
+    get conversation_url(conversation, at: messages[10].id)
+
+    assert_response :success
+    assert_select "[data-chat-scroll-anchor-value='#{messages[10].id}'][data-chat-scroll-has-newer-value='true']"
+    assert_select "#message_#{messages[10].id}"
+    assert_select "#message_#{messages.last.id}", count: 0
+  end
+
+  test "show ignores an at param that is not a visible message" do
+    conversation = conversations(:general_main)
+
+    get conversation_url(conversation, at: 0)
+
+    assert_response :success
+    assert_select "[data-chat-scroll-anchor-value=''][data-chat-scroll-has-newer-value='false']"
+  end
+
   test "toggle_auto_without_human enables auto without human and disables auto" do
     space = Spaces::Playground.create!(name: "Auto without human disables Auto", owner: users(:admin), reply_order: "list")
     space.space_memberships.grant_to(users(:admin), role: "owner")
@@ -281,6 +305,94 @@ class ConversationsControllerTest < ActionDispatch::IntegrationTest
     assert_equal placeholder_id, tail_assistant.active_message_swipe_id
   end
 
+  test "continue on tail assistant via turbo_stream returns 204 and queues a continue run" do
+    space = Spaces::Playground.create!(name: "Playground Space", owner: users(:admin))
+    space.space_memberships.grant_to(users(:admin), role: "owner")
+    space.space_memberships.grant_to(characters(:ready_v2))
+
+    conversation = space.conversations.create!(title: "Main", kind: "root")
+    user_membership = space.space_memberships.find_by!(user: users(:admin), kind: "human")
+    ai_membership = space.space_memberships.find_by!(character: characters(:ready_v2), kind: "character")
+
+    conversation.messages.create!(space_membership: user_membership, role: "user", content: "Hi")
+    tail_assistant = conversation.messages.create!(space_membership: ai_membership, role: "assistant", content: "Hello")
+    tail_assistant.ensure_initial_swipe!
+
+    assert_difference "ConversationRun.count", 1 do
+      post continue_conversation_url(conversation), params: { message_id: tail_assistant.id }, as: :turbo_stream
+    end
+
+    assert_response :no_content
+
+    run = ConversationRun.order(:created_at, :id).last
+    assert run.continue?
+    assert_equal "queued", run.status
+    assert_equal tail_assistant.id, run.debug["target_message_id"]
+
+    # Unlike regenerate, no placeholder swipe is added.
+    tail_assistant.reload
+    assert_equal 1, tail_assistant.message_swipes.count
+    assert_equal "Hello", tail_assistant.content
+  end
+
+  test "continue on non-tail assistant message returns 422 and does not queue a run" do
+    space = Spaces::Playground.create!(name: "Playground Space", owner: users(:admin))
+    space.space_memberships.grant_to(users(:admin), role: "owner")
+    space.space_memberships.grant_to(characters(:ready_v2))
+
+    conversation = space.conversations.create!(title: "Main", kind: "root")
+    user_membership = space.space_memberships.find_by!(user: users(:admin), kind: "human")
+    ai_membership = space.space_memberships.find_by!(character: characters(:ready_v2), kind: "character")
+
+    assistant = conversation.messages.create!(space_membership: ai_membership, role: "assistant", content: "Hello")
+    conversation.messages.create!(space_membership: user_membership, role: "user", content: "Hi")
+
+    assert_no_difference "ConversationRun.count" do
+      post continue_conversation_url(conversation), params: { message_id: assistant.id }, as: :turbo_stream
+    end
+
+    assert_response :unprocessable_entity
+  end
+
+  test "impersonate enqueues an impersonation job for the current user's membership" do
+    space = Spaces::Playground.create!(name: "Playground Space", owner: users(:admin))
+    space.space_memberships.grant_to(users(:admin), role: "owner")
+    space.space_memberships.grant_to(characters(:ready_v2))
+
+    conversation = space.conversations.create!(title: "Main", kind: "root")
+    user_membership = space.space_memberships.find_by!(user: users(:admin), kind: "human")
+
+    assert_enqueued_with(job: ImpersonationJob, args: [conversation.id, user_membership.id, { generation_id: "gen-1" }]) do
+      post impersonate_conversation_url(conversation), params: { generation_id: "gen-1" }, as: :json
+    end
+
+    assert_response :success
+    assert_equal "gen-1", response.parsed_body["generation_id"]
+  end
+
+  test "impersonate returns 409 while a run is generating" do
+    space = Spaces::Playground.create!(name: "Playground Space", owner: users(:admin))
+    space.space_memberships.grant_to(users(:admin), role: "owner")
+    space.space_memberships.grant_to(characters(:ready_v2))
+
+    conversation = space.conversations.create!(title: "Main", kind: "root")
+    ai_membership = space.space_memberships.find_by!(character: characters(:ready_v2), kind: "character")
+
+    ConversationRun.create!(
+      kind: "auto_response",
+      conversation: conversation,
+      status: "running",
+      reason: "test",
+      speaker_space_membership_id: ai_membership.id
+    )
+
+    assert_no_enqueued_jobs(only: ImpersonationJob) do
+      post impersonate_conversation_url(conversation), as: :json
+    end
+
+    assert_response :conflict
+  end
+
   test "regenerate without message_id when tail is user message returns error" do
     space = Spaces::Playground.create!(name: "Playground Space", owner: users(:admin))
     space.space_memberships.grant_to(users(:admin), role: "owner")
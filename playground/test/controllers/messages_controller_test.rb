@@ -196,6 +196,28 @@ class MessagesControllerTest < ActionDispatch::IntegrationTest
     assert_redirected_to conversation_url(conversation, anchor: "message_#{Message.order(:id).last.id}")
   end
 
+  test "index with around returns a window with paging headers" do
+    messages = paging_messages(80)
+
+    get conversation_messages_url(@conversation, around: messages[40].id), xhr: true
+
+    assert_response :success
+    assert_equal "true", response.headers["X-Has-Older"]
+    assert_equal "true", response.headers["X-Has-Newer"]
+    assert_select ".mes##{ActionView::RecordIdentifier.dom_id(messages[40])}"
+  end
+
+  test "index with following returns the closest newer page" do
+    messages = paging_messages(30)
+
+    get conversation_messages_url(@conversation, following: messages[0].id), xhr: true
+
+    assert_response :success
+    assert_select ".mes[id^='message_']", count: 20
+    assert_select ".mes##{ActionView::RecordIdentifier.dom_id(messages[1])}"
+    assert_select ".mes##{ActionView::RecordIdentifier.dom_id(messages[21])}", count: 0
+  end
+
   test "index returns not_found when user is not a member of the space" do
     # Create a new space that the admin user is NOT a member of
     other_user = users(:member)
@@ -637,4 +659,17 @@ class MessagesControllerTest < ActionDispatch::IntegrationTest
 
     assert_redirected_to conversation_url(conversation, anchor: "message_#{Message.last.id}")
   end
+
+  private
+
+  def paging_messages(count)
+    space = Spaces::Playground.create!(name: "Paging Space", owner: users(:admin))
+    space.space_memberships.grant_to(users(:admin), role: "owner")
+    @conversation = space.conversations.create!(title: "Paging", kind: "root")
+    membership = space.space_memberships.find_by!(user: users(:admin), kind: "human")
+
+    Array.new(count) do |i|
+      @conversation.messages.create!(space_membership: membership, role: "user", content: "Message #{i}")
+    end
+  end
 end
@@ -0,0 +1,59 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class Playgrounds::MembershipAssetsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    sign_in :admin
+    @playground = spaces(:general)
+    @membership = space_memberships(:character_in_general)
+    @character = @membership.character
+    @character.update!(
+      data: {
+        "name" => @character.name,
+        "assets" => [
+          { "type" => "other", "uri" => "embeded://assets/other/image/town map.png", "name" => "town map", "ext" => "png" },
+          { "type" => "other", "uri" => "embeded://assets/other/audio/theme.mp3", "name" => "theme", "ext" => "mp3" },
+        ],
+      }
+    )
+  end
+
+  test "redirects an embedded image to its blob" do
+    asset = attach_asset("town_map", content_type: "image/png")
+
+    get playground_membership_asset_url(@playground, @membership, uri: "assets/other/image/town map.png")
+
+    assert_redirected_to rails_blob_path(asset.blob, disposition: :inline, only_path: true)
+  end
+
+  test "ccdefault redirects to the character portrait" do
+    get playground_membership_asset_url(@playground, @membership, uri: "ccdefault")
+
+    assert_redirected_to fresh_character_portrait_path(@character)
+  end
+
+  test "only serves image assets the card declares" do
+    attach_asset("theme", content_type: "audio/mpeg")
+    attach_asset("undeclared", content_type: "image/png")
+
+    get playground_membership_asset_url(@playground, @membership, uri: "assets/other/audio/theme.mp3")
+    assert_response :not_found
+
+    get playground_membership_asset_url(@playground, @membership, uri: "assets/other/image/undeclared.png")
+    assert_response :not_found
+  end
+
+  test "memberships without a character have no assets" do
+    get playground_membership_asset_url(@playground, space_memberships(:admin_in_general), uri: "ccdefault")
+
+    assert_response :not_found
+  end
+
+  private
+
+  def attach_asset(name, content_type:)
+    blob = ActiveStorage::Blob.create_and_upload!(io: StringIO.new(name), filename: "#{name}.bin", content_type: content_type)
+    @character.character_assets.create!(blob: blob, kind: "other", name: name, ext: "bin")
+  end
+end
@@ -383,4 +383,78 @@ class PlaygroundsControllerTest < ActionDispatch::IntegrationTest
     assert_response :success
     assert_equal "restart", playground.reload.during_generation_user_input_policy
   end
+
+  test "update html_rendering_mode refreshes markdown settings on the open conversation" do
+    playground =
+      Spaces::Playground.create!(
+        name: "HTML Rendering Test",
+        owner: users(:admin),
+        reply_order: "list"
+      )
+
+    playground.space_memberships.grant_to(users(:admin), role: "owner")
+    playground.space_memberships.grant_to(characters(:ready_v2))
+
+    playground.conversations.create!(title: "Main", kind: "root")
+
+    patch playground_url(playground),
+          params: { playground: { html_rendering_mode: "allowlist" } },
+          as: :turbo_stream
+
+    assert_response :success
+    assert playground.reload.html_rendering_mode_allowlist?
+
+    settings_id = ActionView::RecordIdentifier.dom_id(playground, :markdown_settings)
+    assert_includes response.body, %(action="replace" target="#{settings_id}")
+    assert_includes response.body, %(data-markdown-html="allowlist")
+    assert_includes response.body, %(event="markdown:html-rendering-change")
+  end
+
+  test "update without an html_rendering_mode change leaves markdown settings alone" do
+    playground =
+      Spaces::Playground.create!(
+        name: "HTML Rendering Unchanged Test",
+        owner: users(:admin),
+        reply_order: "list"
+      )
+
+    playground.space_memberships.grant_to(users(:admin), role: "owner")
+    playground.space_memberships.grant_to(characters(:ready_v2))
+
+    playground.conversations.create!(title: "Main", kind: "root")
+
+    patch playground_url(playground),
+          params: { playground: { token_limit: 1000 } },
+          as: :turbo_stream
+
+    assert_response :success
+    assert_not_includes response.body, "markdown:html-rendering-change"
+  end
+
+  test "update reasoning delimiters refreshes markdown settings on the open conversation" do
+    playground =
+      Spaces::Playground.create!(
+        name: "Reasoning Test",
+        owner: users(:admin),
+        reply_order: "list"
+      )
+
+    playground.space_memberships.grant_to(users(:admin), role: "owner")
+    playground.space_memberships.grant_to(characters(:ready_v2))
+
+    playground.conversations.create!(title: "Main", kind: "root")
+
+    patch playground_url(playground),
+          params: { playground: { reasoning_prefix: "<thinking>", reasoning_suffix: "</thinking>", strip_reasoning_from_prompt: "1" } },
+          as: :turbo_stream
+
+    assert_response :success
+    playground.reload
+    assert_equal "<thinking>", playground.reasoning_prefix
+    assert playground.strip_reasoning_from_prompt?
+
+    assert_includes response.body, %(data-markdown-reasoning-prefix="&lt;thinking&gt;")
+    assert_includes response.body, %(event="markdown:reasoning-change")
+    assert_not_includes response.body, "markdown:html-rendering-change"
+  end
 end
@@ -0,0 +1,99 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class RegexScriptsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    sign_in :member
+    @user = users(:member)
+  end
+
+  test "index lists the user's scripts by scope" do
+    RegexScript.create!(name: "Mine", find_regex: "/x/", user: @user)
+    RegexScript.create!(name: "Someone else's", find_regex: "/x/", user: users(:admin))
+
+    get regex_scripts_url
+
+    assert_response :success
+    assert_includes response.body, "Mine"
+    assert_not_includes response.body, "Someone else&#39;s"
+  end
+
+  test "new renders the form with a test pane" do
+    get new_regex_script_url(scope_type: "character", character_id: characters(:ready_v2).id)
+
+    assert_response :success
+    assert_includes response.body, 'data-controller="regex-script-form"'
+    assert_includes response.body, "data-regex-script-form-target=\"testInput\""
+  end
+
+  test "create saves a character script with trim strings" do
+    character = characters(:ready_v2)
+
+    assert_difference "RegexScript.count", 1 do
+      post regex_scripts_url, params: {
+        regex_script: {
+          name: "Hide status",
+          scope_type: "character",
+          character_id: character.id,
+          find_regex: "/<status>[\\s\\S]*?<\\/status>/g",
+          trim_strings: "<status>\n</status>\n",
+          affects_prompt: "true",
+          user_messages: "0",
+          ai_messages: "1",
+          max_depth: "2",
+        },
+      }
+    end
+
+    assert_redirected_to regex_scripts_url
+    script = RegexScript.order(:id).last
+    assert_equal @user, script.user
+    assert_equal character, script.character
+    assert_equal ["<status>", "</status>"], script.trim_strings
+    assert script.affects_prompt?
+    assert_not script.user_messages?
+    assert_equal 2, script.max_depth
+  end
+
+  test "create rejects a character the user can't access" do
+    private_character = Character.create!(
+      name: "Private", user: users(:admin), status: "ready", visibility: "private",
+      spec_version: 2, data: { name: "Private" }
+    )
+
+    assert_no_difference "RegexScript.count" do
+      post regex_scripts_url, params: {
+        regex_script: { name: "Sneaky", scope_type: "character", character_id: private_character.id, find_regex: "/x/" },
+      }
+    end
+
+    assert_response :unprocessable_entity
+  end
+
+  test "create re-renders the form for an invalid pattern" do
+    assert_no_difference "RegexScript.count" do
+      post regex_scripts_url, params: { regex_script: { name: "Broken", find_regex: "/(x/" } }
+    end
+
+    assert_response :unprocessable_entity
+  end
+
+  test "update and destroy are limited to the owner" do
+    script = RegexScript.create!(name: "Mine", find_regex: "/x/", user: @user)
+    other = RegexScript.create!(name: "Theirs", find_regex: "/x/", user: users(:admin))
+
+    patch regex_script_url(script), params: { regex_script: { name: "Renamed", enabled: "0" } }
+    assert_redirected_to regex_scripts_url
+    assert_equal "Renamed", script.reload.name
+    assert_not script.enabled?
+
+    patch regex_script_url(other), params: { regex_script: { name: "Hijacked" } }
+    assert_response :not_found
+    assert_equal "Theirs", other.reload.name
+
+    assert_difference "RegexScript.count", -1 do
+      delete regex_script_url(script)
+    end
+  end
+end
@@ -0,0 +1,151 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class RegexScriptTest < ActiveSupport::TestCase
+  test "requires a target that matches the scope" do
+    script = RegexScript.new(name: "Hide", find_regex: "/x/", scope_type: "character", user: users(:member))
+    assert_not script.valid?
+    assert script.errors.added?(:character, :blank)
+
+    script.character = characters(:ready_v2)
+    assert script.valid?
+
+    global = RegexScript.new(name: "Hide", find_regex: "/x/", scope_type: "global")
+    assert_not global.valid?
+    assert global.errors.added?(:user, :blank)
+  end
+
+  test "clears targets that don't belong to the scope" do
+    script = RegexScript.create!(
+      name: "Hide", find_regex: "/x/", scope_type: "global", user: users(:member), character: characters(:ready_v2)
+    )
+
+    assert_nil script.character_id
+  end
+
+  test "rejects patterns that don't compile" do
+    script = RegexScript.new(name: "Broken", find_regex: "/(unclosed/g", user: users(:member))
+
+    assert_not script.valid?
+    assert script.errors.added?(:find_regex, :invalid)
+  end
+
+  test "rejects nested repetitions in enabled scripts" do
+    script = RegexScript.new(name: "Hang", find_regex: "/(a+)+$/", user: users(:member))
+
+    assert_not script.valid?
+    assert_includes script.errors.attribute_names, :find_regex
+
+    script.enabled = false
+    assert script.valid?
+  end
+
+  test "nested_quantifier? spots repeated groups that already repeat" do
+    assert RegexScript.nested_quantifier?("/(a+)+$/")
+    assert RegexScript.nested_quantifier?("(?:\\s*x)*")
+    assert RegexScript.nested_quantifier?("((a)+){2,}")
+    assert_not RegexScript.nested_quantifier?("/<status>[\\s\\S]*?<\\/status>/g")
+    assert_not RegexScript.nested_quantifier?("(a|b)*")
+    assert_not RegexScript.nested_quantifier?("[(a+)+]")
+    assert_not RegexScript.nested_quantifier?("\\(a+\\)+")
+  end
+
+  test "plain patterns use the same syntax as literals" do
+    # JS `$` only matches at the end of the input without the `m` flag.
+    assert_equal "a\nb", RegexScript.new(find_regex: "a$", replace_string: "x").run("a\nb")
+    assert_equal "x", RegexScript.new(find_regex: "a/b", replace_string: "x").run("a/b")
+  end
+
+  test "rejects max depth below min depth" do
+    script = RegexScript.new(name: "Depth", find_regex: "x", user: users(:member), min_depth: 3, max_depth: 1)
+
+    assert_not script.valid?
+    assert_includes script.errors.attribute_names, :max_depth
+  end
+
+  test "run replaces every match only with the g flag" do
+    global = RegexScript.new(find_regex: "/a/g", replace_string: "b")
+    first_only = RegexScript.new(find_regex: "/a/", replace_string: "b")
+    plain = RegexScript.new(find_regex: "a", replace_string: "b")
+
+    assert_equal "bbb", global.run("aaa")
+    assert_equal "baa", first_only.run("aaa")
+    assert_equal "baa", plain.run("aaa")
+  end
+
+  test "run substitutes match, groups and trimmed strings" do
+    script = RegexScript.new(
+      find_regex: "/<status>(?<body>[\\s\\S]*?)<\\/status>/gi",
+      replace_string: "[{{match}}|$<body>|$$]",
+      trim_strings: ["<status>", "</status>"]
+    )
+
+    assert_equal "Hi [HP 10|HP 10|$]", script.run("Hi <status>HP 10</status>")
+  end
+
+  test "applies_to? checks role and depth" do
+    script = RegexScript.new(user_messages: false, ai_messages: true, min_depth: 1, max_depth: 3)
+
+    assert_not script.applies_to?(role: :user, depth: 2)
+    assert_not script.applies_to?(role: :assistant, depth: 0)
+    assert script.applies_to?(role: :assistant, depth: 1)
+    assert script.applies_to?(role: "assistant", depth: 3)
+    assert_not script.applies_to?(role: :assistant, depth: 4)
+    assert_not script.applies_to?(role: :assistant, depth: nil)
+    assert_not script.applies_to?(role: :system, depth: 1)
+
+    unlimited = RegexScript.new(user_messages: true, ai_messages: true)
+    assert unlimited.applies_to?(role: :user, depth: nil)
+  end
+
+  test "applicable_to returns global, character then preset scripts for the viewer" do
+    space = spaces(:general)
+    member = users(:member)
+    admin = users(:admin)
+    preset = Preset.create!(name: "Regex Preset", user: admin)
+    space_memberships(:character_in_general).update!(preset: preset)
+
+    preset_script = RegexScript.create!(name: "Preset", find_regex: "p", scope_type: "preset", preset: preset, user: admin)
+    character_script = RegexScript.create!(name: "Character", find_regex: "c", scope_type: "character", character: characters(:ready_v2), user: nil)
+    global_script = RegexScript.create!(name: "Global", find_regex: "g", user: admin)
+    RegexScript.create!(name: "Other user", find_regex: "o", user: member)
+    RegexScript.create!(name: "Other user character", find_regex: "o", scope_type: "character", character: characters(:ready_v2), user: member)
+    RegexScript.create!(name: "Disabled", find_regex: "d", user: admin, enabled: false)
+
+    assert_equal [global_script, character_script, preset_script], RegexScript.applicable_to(space, user: admin)
+  end
+
+  test "attributes_from_st maps SillyTavern fields" do
+    attributes = RegexScript.attributes_from_st(
+      "scriptName" => "Hide status",
+      "findRegex" => "/<status>.*?<\\/status>/gs",
+      "replaceString" => "",
+      "trimStrings" => ["", "x"],
+      "placement" => [2],
+      "disabled" => false,
+      "markdownOnly" => true,
+      "promptOnly" => false,
+      "minDepth" => nil,
+      "maxDepth" => 2
+    )
+
+    assert_equal "Hide status", attributes[:name]
+    assert_equal ["x"], attributes[:trim_strings]
+    assert_equal false, attributes[:affects_prompt]
+    assert_equal false, attributes[:user_messages]
+    assert_equal true, attributes[:ai_messages]
+    assert_nil attributes[:min_depth]
+    assert_equal 2, attributes[:max_depth]
+    assert_equal true, attributes[:enabled]
+
+    prompt_only = RegexScript.attributes_from_st("findRegex" => "/x/", "placement" => [1], "promptOnly" => true)
+    assert_equal true, prompt_only[:affects_prompt]
+    assert_equal false, prompt_only[:enabled]
+
+    nested = RegexScript.attributes_from_st("findRegex" => "/(a+)+$/", "placement" => [2])
+    assert_equal false, nested[:enabled]
+
+    assert_nil RegexScript.attributes_from_st("scriptName" => "Empty", "findRegex" => "")
+  end
+end
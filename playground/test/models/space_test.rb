@@ -211,4 +211,36 @@ class SpaceTest < ActiveSupport::TestCase
     assert_not space.valid?
     assert_includes space.errors[:token_limit], "must be greater than or equal to 0"
   end
+
+  test "html_rendering_mode defaults to escape" do
+    space = Spaces::Playground.new(name: "HTML Test", owner: users(:admin))
+    assert space.html_rendering_mode_escape?
+  end
+
+  test "html_rendering_mode accepts allowlist" do
+    space = Spaces::Playground.new(name: "HTML Test", owner: users(:admin), html_rendering_mode: "allowlist")
+    assert space.valid?
+    assert space.html_rendering_mode_allowlist?
+  end
+
+  test "html_rendering_mode rejects unknown modes" do
+    space = Spaces::Playground.new(name: "HTML Test", owner: users(:admin))
+    assert_raises(ArgumentError) { space.html_rendering_mode = "raw" }
+  end
+
+  test "reasoning settings default to think tags without stripping" do
+    space = Spaces::Playground.new(name: "Reasoning Test", owner: users(:admin))
+
+    assert_equal "<think>", space.reasoning_prefix
+    assert_equal "</think>", space.reasoning_suffix
+    assert_not space.strip_reasoning_from_prompt?
+  end
+
+  test "reasoning delimiters must be present and short" do
+    space = Spaces::Playground.new(name: "Reasoning Test", owner: users(:admin), reasoning_prefix: "", reasoning_suffix: "x" * 65)
+
+    assert_not space.valid?
+    assert space.errors.added?(:reasoning_prefix, :blank)
+    assert_includes space.errors.attribute_names, :reasoning_suffix
+  end
 end
@@ -156,6 +156,32 @@ module CharacterImport
       assert_not character.portrait.attached?, "Portrait should not be attached"
     end
 
+    test "import_from_hash creates character regex scripts from extensions" do
+      card_hash = {
+        "spec" => "chara_card_v2",
+        "spec_version" => "2.0",
+        "data" => {
+          "name" => "Regex Card",
+          "extensions" => {
+            "regex_scripts" => [
+              { "scriptName" => "Hide status", "findRegex" => "/<status>[\\s\\S]*?<\\/status>/g", "placement" => [2], "markdownOnly" => true },
+              { "scriptName" => "Broken", "findRegex" => "/(oops/", "placement" => [2] },
+              { "scriptName" => "Backtracking", "findRegex" => "/(a+)+$/", "placement" => [2] },
+            ],
+          },
+        },
+      }
+
+      character = @importer.import_from_hash(card_hash, attach_portrait: false)
+
+      scripts = character.regex_scripts.ordered.to_a
+      assert_equal ["Hide status", "Backtracking"], scripts.map(&:name)
+      assert scripts.first.scope_character?
+      assert_not scripts.first.affects_prompt?
+      assert_not scripts.first.user_messages?
+      assert_not scripts.last.enabled?
+    end
+
     # === Validation Errors ===
 
     test "returns failure for missing name" do
@@ -82,4 +82,21 @@ class Conversations::ExporterTest < ActiveSupport::TestCase
     assert_includes txt, "[EXCLUDED]"
     refute_includes txt, "HIDDEN TXT"
   end
+
+  test "to_jsonl with message_ids exports only those messages" do
+    first = @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "First")
+    @conversation.messages.create!(space_membership: @character_membership, role: "assistant", content: "Second")
+    third = @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "Third")
+    hidden = @conversation.messages.create!(
+      space_membership: @character_membership,
+      role: "assistant",
+      content: "Hidden",
+      visibility: "hidden"
+    )
+
+    jsonl = Conversations::Exporter.to_jsonl(@conversation, message_ids: [third.id, first.id, hidden.id])
+    ids = jsonl.split("\n").drop(1).map { |line| JSON.parse(line)["id"] }
+
+    assert_equal [first.id, third.id], ids
+  end
 end
@@ -0,0 +1,100 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module Conversations
+  class MessageSearchTest < ActiveSupport::TestCase
+    setup do
+      @space = Spaces::Playground.create!(name: "Search Test", owner: users(:admin))
+      @space.space_memberships.grant_to(users(:admin), role: "owner")
+      @space.space_memberships.grant_to(characters(:ready_v2))
+
+      @conversation = @space.conversations.create!(title: "Main", kind: "root")
+      @user_membership = @space.space_memberships.find_by!(user: users(:admin), kind: "human")
+      @ai_membership = @space.space_memberships.find_by!(character: characters(:ready_v2), kind: "character")
+    end
+
+    test "returns matching messages newest first" do
+      older = @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "Tell me about the Dragon")
+      @conversation.messages.create!(space_membership: @ai_membership, role: "assistant", content: "Nothing to see here")
+      newer = @conversation.messages.create!(space_membership: @ai_membership, role: "assistant", content: "The dragon sleeps.")
+
+      result = MessageSearch.execute(conversation: @conversation, query: "dragon")
+
+      assert_equal [newer.id, older.id], result.hits.map(&:message_id)
+      assert_not result.truncated
+    end
+
+    test "matches inactive swipes and reports their position" do
+      message = @conversation.messages.create!(space_membership: @ai_membership, role: "assistant", content: "A dragon appears")
+      message.add_swipe!(content: "A knight appears")
+
+      result = MessageSearch.execute(conversation: @conversation, query: "dragon")
+
+      assert_equal 1, result.hits.size
+      hit = result.hits.first
+      assert_equal message.id, hit.message_id
+      assert_equal 0, hit.swipe_position
+      assert_equal 2, hit.swipes_count
+    end
+
+    test "does not report the active swipe twice" do
+      message = @conversation.messages.create!(space_membership: @ai_membership, role: "assistant", content: "First draft")
+      message.add_swipe!(content: "A dragon appears")
+
+      result = MessageSearch.execute(conversation: @conversation, query: "dragon")
+
+      assert_equal [nil], result.hits.map(&:swipe_position)
+    end
+
+    test "skips hidden messages" do
+      message = @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "Secret dragon")
+      message.update!(visibility: "hidden")
+
+      assert_empty MessageSearch.execute(conversation: @conversation, query: "dragon").hits
+    end
+
+    test "ignores queries that are too short" do
+      @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "a b c")
+
+      assert_empty MessageSearch.execute(conversation: @conversation, query: "a").hits
+    end
+
+    test "treats LIKE wildcards literally" do
+      @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "plain text")
+
+      assert_empty MessageSearch.execute(conversation: @conversation, query: "%%").hits
+    end
+
+    test "builds a snippet with the match offset" do
+      content = "#{"x" * 100} needle #{"y" * 100}"
+      @conversation.messages.create!(space_membership: @user_membership, role: "user", content: content)
+
+      hit = MessageSearch.execute(conversation: @conversation, query: "Needle").hits.first
+
+      assert hit.snippet.start_with?("…")
+      assert hit.snippet.end_with?("…")
+      assert_equal "needle", hit.snippet[hit.match_start, hit.match_length]
+    end
+
+    test "reports the match offset and length in UTF-16 code units" do
+      @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "🐉 Ärger über den Drachen")
+
+      hit = MessageSearch.execute(conversation: @conversation, query: "drachen").hits.first
+
+      assert_equal 18, hit.match_start
+      assert_equal 7, hit.match_length
+      utf16 = hit.snippet.encode(Encoding::UTF_16LE)
+      assert_equal "Drachen", utf16.byteslice(hit.match_start * 2, hit.match_length * 2).encode(Encoding::UTF_8)
+    end
+
+    test "marks results as truncated past the limit" do
+      3.times { |i| @conversation.messages.create!(space_membership: @user_membership, role: "user", content: "dragon #{i}") }
+
+      result = MessageSearch.execute(conversation: @conversation, query: "dragon", limit: 2)
+
+      assert_equal 2, result.hits.size
+      assert result.truncated
+    end
+  end
+end
@@ -0,0 +1,54 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module Conversations
+  class MessageWindowTest < ActiveSupport::TestCase
+    setup do
+      @space = Spaces::Playground.create!(name: "Window Test", owner: users(:admin))
+      @space.space_memberships.grant_to(users(:admin), role: "owner")
+
+      @conversation = @space.conversations.create!(title: "Main", kind: "root")
+      membership = @space.space_memberships.find_by!(user: users(:admin), kind: "human")
+
+      @messages = Array.new(10) do |i|
+        @conversation.messages.create!(space_membership: membership, role: "user", content: "Message #{i}")
+      end
+    end
+
+    test "returns the anchor with its closest neighbours in chronological order" do
+      window = MessageWindow.execute(conversation: @conversation, anchor_id: @messages[5].id, limit: 5)
+
+      assert_equal @messages[5], window.anchor
+      assert_equal @messages[3..7].map(&:id), window.messages.map(&:id)
+      assert window.has_older
+      assert window.has_newer
+    end
+
+    test "reports no newer messages when the window reaches the tail" do
+      window = MessageWindow.execute(conversation: @conversation, anchor_id: @messages[8].id, limit: 5)
+
+      assert_equal @messages[6..9].map(&:id), window.messages.map(&:id)
+      assert window.has_older
+      assert_not window.has_newer
+    end
+
+    test "skips hidden messages around the anchor" do
+      @messages[4].update!(visibility: "hidden")
+
+      window = MessageWindow.execute(conversation: @conversation, anchor_id: @messages[5].id, limit: 5)
+
+      assert_equal [@messages[2], @messages[3], @messages[5], @messages[6], @messages[7]].map(&:id), window.messages.map(&:id)
+    end
+
+    test "returns nil for hidden, foreign or blank anchors" do
+      @messages[0].update!(visibility: "hidden")
+      other = @space.conversations.create!(title: "Other", kind: "root")
+      foreign = other.messages.create!(space_membership: @messages[1].space_membership, role: "user", content: "Elsewhere")
+
+      assert_nil MessageWindow.execute(conversation: @conversation, anchor_id: @messages[0].id)
+      assert_nil MessageWindow.execute(conversation: @conversation, anchor_id: foreign.id)
+      assert_nil MessageWindow.execute(conversation: @conversation, anchor_id: nil)
+    end
+  end
+end
@@ -0,0 +1,52 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class Conversations::ReasoningTimerTest < ActiveSupport::TestCase
+  setup do
+    @now = 1_000
+    @clock = -> { @now }
+  end
+
+  test "times a leading reasoning block across chunks" do
+    timer = Conversations::ReasoningTimer.new(prefix: "<think>", suffix: "</think>", clock: @clock)
+
+    timer.record("\n<th")
+    @now += 100
+    timer.record("ink>Plan the reply")
+    assert_nil timer.duration_ms
+
+    @now += 2_000
+    timer.record(".</thi")
+    assert_nil timer.to_h
+
+    @now += 400
+    timer.record("nk>\n\nHello")
+
+    assert_equal 2_400, timer.duration_ms
+    assert_equal({ "duration_ms" => 2_400 }, timer.to_h)
+
+    @now += 1_000
+    timer.record(" <think>again</think>")
+    assert_equal 2_400, timer.duration_ms
+  end
+
+  test "ignores replies that don't open with the prefix" do
+    timer = Conversations::ReasoningTimer.new(prefix: "<think>", suffix: "</think>", clock: @clock)
+
+    timer.record("Hello ")
+    @now += 500
+    timer.record("<think>late</think>")
+
+    assert_nil timer.to_h
+  end
+
+  test "an unclosed block has no duration" do
+    timer = Conversations::ReasoningTimer.new(prefix: "[reasoning]", suffix: "[/reasoning]", clock: @clock)
+
+    timer.record("[reasoning]still going")
+    @now += 500
+
+    assert_nil timer.duration_ms
+  end
+end
@@ -323,6 +323,41 @@ class Conversations::RunExecutorTest < ActiveSupport::TestCase
     assert_nil Message.find_by(conversation_run_id: run.id)
   end
 
+  test "stream buffer is cleared only after the reply is persisted" do
+    space = Spaces::Playground.create!(name: "Stream Buffer Space", owner: users(:admin), reply_order: "natural")
+    conversation = space.conversations.create!(title: "Main")
+
+    space.space_memberships.create!(kind: "human", role: "owner", user: users(:admin), position: 0)
+    speaker = space.space_memberships.create!(kind: "character", role: "member", character: characters(:ready_v2), position: 1)
+
+    run =
+      ConversationRun.create!(kind: "auto_response", conversation: conversation,
+        status: "queued",
+        reason: "test",
+        speaker_space_membership_id: speaker.id,
+        run_after: Time.current
+      )
+
+    provider = mock("provider")
+    provider.stubs(:streamable?).returns(false)
+
+    client = Object.new
+    client.define_singleton_method(:provider) { provider }
+    client.define_singleton_method(:last_logprobs) { nil }
+    client.define_singleton_method(:chat) { |messages:, max_tokens: nil, **| "Hello back" }
+    LLMClient.stubs(:new).returns(client)
+
+    reply_at_clear = :not_cleared
+    buffer = Object.new
+    buffer.define_singleton_method(:clear) { reply_at_clear = Message.find_by(conversation_run_id: run.id)&.content }
+    Conversations::StreamBuffer.stubs(:new).with(run.id).returns(buffer)
+
+    Conversations::RunExecutor.execute!(run.id)
+
+    assert_equal "succeeded", run.reload.status
+    assert_equal "Hello back", reply_at_clear
+  end
+
   test "failed run preserves round state and marks scheduler failed" do
     space = Spaces::Playground.create!(name: "Failure Normalize Space", owner: users(:admin))
     conversation = space.conversations.create!(title: "Main")
@@ -1470,4 +1505,74 @@ class Conversations::RunExecutorTest < ActiveSupport::TestCase
     run.reload
     assert_equal "succeeded", run.status
   end
+
+  test "streamed reasoning block duration is stored on the message" do
+    space = Spaces::Playground.create!(name: "Reasoning Space", owner: users(:admin))
+    conversation = space.conversations.create!(title: "Main")
+
+    space.space_memberships.create!(kind: "human", role: "owner", user: users(:admin), position: 0)
+    speaker = space.space_memberships.create!(kind: "character", role: "member", character: characters(:ready_v2), position: 1)
+
+    run = ConversationRun.create!(kind: "auto_response", conversation: conversation,
+      status: "queued",
+      reason: "test",
+      speaker_space_membership_id: speaker.id,
+      run_after: Time.current
+    )
+
+    provider = mock("provider")
+    provider.stubs(:streamable?).returns(true)
+
+    client = Object.new
+    client.define_singleton_method(:provider) { provider }
+    client.define_singleton_method(:last_logprobs) { nil }
+    client.define_singleton_method(:chat) do |messages:, max_tokens: nil, **, &block|
+      ["<think>Plan", " the reply.</th", "ink>\n\nHello"].each { |chunk| block.call(chunk) }
+      "<think>Plan the reply.</think>\n\nHello"
+    end
+
+    LLMClient.stubs(:new).returns(client)
+
+    Conversations::RunExecutor.execute!(run.id)
+
+    message = conversation.messages.find_by!(conversation_run_id: run.id)
+    assert_equal "<think>Plan the reply.</think>\n\nHello", message.content
+    assert_kind_of Integer, message.metadata.dig("reasoning", "duration_ms")
+    assert message.metadata.key?("prompt_params")
+  end
+
+  test "tokenized prompt records the prompt source of each token" do
+    space = Spaces::Playground.create!(name: "Sources Space", owner: users(:admin))
+    conversation = space.conversations.create!(title: "Main")
+
+    user = space.space_memberships.create!(kind: "human", role: "owner", user: users(:admin), position: 0)
+    speaker = space.space_memberships.create!(kind: "character", role: "member", character: characters(:ready_v2), position: 1)
+    conversation.messages.create!(space_membership: user, role: "user", content: "Hello there")
+
+    run = ConversationRun.create!(kind: "auto_response", conversation: conversation,
+      status: "queued",
+      reason: "test",
+      speaker_space_membership_id: speaker.id,
+      run_after: Time.current
+    )
+
+    provider = mock("provider")
+    provider.stubs(:streamable?).returns(false)
+
+    client = Object.new
+    client.define_singleton_method(:provider) { provider }
+    client.define_singleton_method(:last_logprobs) { nil }
+    client.define_singleton_method(:chat) { |messages:, max_tokens: nil, **| "Hi" }
+
+    LLMClient.stubs(:new).returns(client)
+
+    Conversations::RunExecutor.execute!(run.id)
+
+    tokenized = run.reload.debug["tokenized_prompt"]
+    user_entry = tokenized.reverse.find { |entry| entry["role"] == "user" }
+
+    assert tokenized.all? { |entry| entry["sources"].present? }
+    assert_includes user_entry["sources"].map { |source| source["source"] }, "chat_history"
+    assert_kind_of Integer, run.debug["context_window_tokens"]
+  end
 end
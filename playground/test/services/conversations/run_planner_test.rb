@@ -145,4 +145,44 @@ class Conversations::RunPlannerTest < ActiveSupport::TestCase
     assert_equal "regenerate", queued.kind
     assert_equal ai1.id, queued.speaker_space_membership_id
   end
+
+  test "plan_continue queues a continue run targeting the tail assistant message" do
+    space = Spaces::Playground.create!(name: "Continue Space", owner: users(:admin), reply_order: "list")
+    conversation = space.conversations.create!(title: "Main")
+
+    user_membership = space.space_memberships.create!(kind: "human", role: "owner", user: users(:admin), position: 0)
+    speaker = space.space_memberships.create!(kind: "character", role: "member", character: characters(:ready_v2), position: 1)
+
+    ConversationRun.where(conversation: conversation).delete_all
+
+    conversation.messages.create!(space_membership: user_membership, role: "user", content: "Hi")
+    target = conversation.messages.create!(space_membership: speaker, role: "assistant", content: "Once upon a")
+
+    run = Conversations::RunPlanner.plan_continue!(conversation: conversation, target_message: target)
+
+    assert run
+    assert run.continue?
+    assert run.targets_existing_message?
+    assert_equal "queued", run.status
+    assert_equal speaker.id, run.speaker_space_membership_id
+    assert_equal target.id, run.debug["target_message_id"]
+    assert_equal target.id, run.debug["expected_last_message_id"]
+
+    # Continue appends to the existing message: no placeholder swipe is created.
+    assert_equal "Once upon a", target.reload.content
+    assert TurnScheduler.state(conversation.reload).idle?
+  end
+
+  test "plan_continue returns nil when the speaker can no longer respond" do
+    space = Spaces::Playground.create!(name: "Continue Removed Space", owner: users(:admin))
+    conversation = space.conversations.create!(title: "Main")
+
+    space.space_memberships.create!(kind: "human", role: "owner", user: users(:admin), position: 0)
+    speaker = space.space_memberships.create!(kind: "character", role: "member", character: characters(:ready_v2), position: 1)
+
+    target = conversation.messages.create!(space_membership: speaker, role: "assistant", content: "Hello")
+    speaker.remove!(by_user: users(:admin))
+
+    assert_nil Conversations::RunPlanner.plan_continue!(conversation: conversation, target_message: target)
+  end
 end
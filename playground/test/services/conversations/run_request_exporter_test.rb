@@ -0,0 +1,106 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module Conversations
+  class RunRequestExporterTest < ActiveSupport::TestCase
+    setup do
+      space = Spaces::Playground.create!(name: "Export Space", owner: users(:admin))
+      @conversation = space.conversations.create!(title: "Main")
+      @speaker = space.space_memberships.create!(kind: "character", role: "member", character: characters(:ready_v2), position: 1)
+
+      @run = ConversationRun.create!(kind: "auto_response", conversation: @conversation,
+        status: "succeeded",
+        reason: "test",
+        speaker_space_membership_id: @speaker.id,
+        debug: {
+          "speaker_name" => "Alice",
+          "prompt_snapshot" => [
+            { "role" => "system", "content" => "You are Alice." },
+            { "role" => "user", "content" => "Hi" },
+          ],
+          "generation_params" => {
+            "provider_name" => "Nonexistent Provider",
+            "model" => "test-model",
+            "max_response_tokens" => 300,
+            "temperature" => 0.7,
+            "top_k" => 40,
+          },
+        }
+      )
+    end
+
+    test "openai body matches what LLMClient sends" do
+      exporter = RunRequestExporter.new(@run, dialect: "openai")
+
+      assert_equal "https://api.openai.com/v1/chat/completions", exporter.url
+      assert_equal(
+        {
+          model: "test-model",
+          messages: [{ role: "system", content: "You are Alice." }, { role: "user", content: "Hi" }],
+          max_tokens: 300,
+          temperature: 0.7,
+          top_k: 40,
+        },
+        exporter.body
+      )
+    end
+
+    test "openai targets the run's provider when it still exists" do
+      provider = LLMProvider.create!(name: "Export Local", identification: "openai_compatible", base_url: "http://localhost:1234/v1/")
+      @run.debug["generation_params"]["provider_name"] = provider.name
+
+      assert_equal "http://localhost:1234/v1/chat/completions", RunRequestExporter.new(@run, dialect: "openai").url
+    end
+
+    test "anthropic body moves leading system messages out" do
+      exporter = RunRequestExporter.new(@run, dialect: "anthropic")
+      body = exporter.body
+
+      assert_equal [{ type: "text", text: "You are Alice." }], body[:system]
+      assert_equal [{ role: "user", content: [{ type: "text", text: "Hi" }] }], body[:messages]
+      assert_equal 40, body[:top_k]
+      assert_equal "$API_KEY", exporter.headers["x-api-key"]
+    end
+
+    test "google puts the model in the url and sampling in generationConfig" do
+      exporter = RunRequestExporter.new(@run, dialect: "google")
+
+      assert_includes exporter.url, "/models/test-model:generateContent"
+      assert_equal({ maxOutputTokens: 300, temperature: 0.7, topK: 40 }, exporter.body[:generationConfig])
+    end
+
+    test "unknown dialects fall back to openai" do
+      assert_equal "openai", RunRequestExporter.new(@run, dialect: "bogus").dialect
+    end
+
+    test "curl redacts the api key and quotes the body" do
+      @run.debug["prompt_snapshot"][1]["content"] = "It's me"
+      curl = RunRequestExporter.new(@run, dialect: "openai").curl
+
+      assert_includes curl, %(-H "Authorization: Bearer $API_KEY")
+      assert_includes curl, %(It'\\''s me)
+    end
+
+    test "jsonl record ends with the reply the run produced" do
+      @conversation.messages.create!(space_membership: @speaker, role: "assistant", content: "Hello!", conversation_run: @run)
+
+      record = JSON.parse(RunRequestExporter.new(@run, dialect: "anthropic").jsonl)
+
+      assert_equal %w[system user assistant], record["messages"].map { |message| message["role"] }
+      assert_equal "Hello!", record["messages"].last["content"]
+    end
+
+    test "is unavailable without a prompt snapshot" do
+      @run.debug.delete("prompt_snapshot")
+
+      assert_not RunRequestExporter.new(@run, dialect: "openai").available?
+    end
+
+    test "flags truncated snapshots" do
+      @run.debug["prompt_snapshot"][0]["content"] = "Long... [truncated, 5000 chars total]"
+
+      assert RunRequestExporter.new(@run, dialect: "openai").truncated?
+    end
+  end
+end
@@ -0,0 +1,72 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class Conversations::StreamBufferTest < ActiveSupport::TestCase
+  setup do
+    @cache = ActiveSupport::Cache::MemoryStore.new
+  end
+
+  test "append numbers chunks and reports their offsets" do
+    buffer = Conversations::StreamBuffer.new("run-1", cache: @cache)
+
+    assert_equal({ seq: 1, offset: 0 }, buffer.append("Hello"))
+    assert_equal({ seq: 2, offset: 5 }, buffer.append(" world"))
+    assert_equal "Hello world", buffer.content
+  end
+
+  test "read returns the text after the requested offset from another instance" do
+    Conversations::StreamBuffer.new("run-1", cache: @cache, snapshot_interval: 0).tap do |buffer|
+      buffer.append("Hello")
+      buffer.append(" world")
+    end
+
+    result = Conversations::StreamBuffer.new("run-1", cache: @cache).read(offset: 5)
+
+    assert_equal({ delta: " world", offset: 5, seq: 2 }, result)
+  end
+
+  test "offsets count UTF-16 code units" do
+    buffer = Conversations::StreamBuffer.new("run-1", cache: @cache, snapshot_interval: 0)
+    buffer.append("😀")
+
+    assert_equal({ seq: 2, offset: 2 }, buffer.append("!"))
+    assert_equal "!", buffer.read(offset: 2)[:delta]
+  end
+
+  test "snapshots are written at most once per interval unless enough text piled up" do
+    buffer = Conversations::StreamBuffer.new("run-1", cache: @cache, snapshot_interval: 60)
+    buffer.append("Hello")
+    buffer.append(" world")
+
+    assert_equal({ delta: "Hello", offset: 0, seq: 1 }, buffer.read)
+
+    buffer.append("x" * Conversations::StreamBuffer::SNAPSHOT_BYTES)
+    assert_equal 3, buffer.read[:seq]
+  end
+
+  test "nothing is written to a cache that doesn't keep it" do
+    cache = ActiveSupport::Cache::NullStore.new
+    cache.expects(:write).never
+
+    assert_not Conversations::StreamBuffer.resumable?(cache)
+    Conversations::StreamBuffer.new("run-1", cache: cache).append("Hi")
+  end
+
+  test "read falls back to the full text for an offset past the end" do
+    buffer = Conversations::StreamBuffer.new("run-1", cache: @cache)
+    buffer.append("Hi")
+
+    assert_equal({ delta: "Hi", offset: 0, seq: 1 }, buffer.read(offset: 10))
+  end
+
+  test "read returns nil when nothing was streamed or after clear" do
+    buffer = Conversations::StreamBuffer.new("run-1", cache: @cache)
+    assert_nil buffer.read
+
+    buffer.append("Hi")
+    buffer.clear
+
+    assert_nil buffer.read
+  end
+end
@@ -0,0 +1,64 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class Conversations::StreamTelemetryTest < ActiveSupport::TestCase
+  setup do
+    @now = 1_000
+    @clock = -> { @now }
+  end
+
+  test "measures time to first chunk, throughput and gaps" do
+    telemetry = Conversations::StreamTelemetry.new(clock: @clock)
+
+    @now += 800
+    telemetry.record("Hello")
+    @now += 500
+    telemetry.record(" world")
+    @now += 100
+
+    stats = telemetry.to_h
+
+    assert_equal 800, stats["first_chunk_ms"]
+    assert_equal 1_400, stats["elapsed_ms"]
+    assert_equal 2, stats["chunk_count"]
+    assert_equal 11, stats["char_count"]
+    assert_equal 500, stats["max_gap_ms"]
+    assert_equal 22.0, stats["chars_per_second"]
+    assert_equal [[800, 5], [1_300, 11]], stats["timeline"]
+  end
+
+  test "samples the timeline and always ends at the last chunk" do
+    telemetry = Conversations::StreamTelemetry.new(clock: @clock)
+
+    @now += 100
+    telemetry.record("a")
+    @now += 100
+    telemetry.record("b")
+    @now += 100
+    telemetry.record("c")
+
+    assert_equal [[100, 1], [300, 3]], telemetry.to_h["timeline"]
+  end
+
+  test "halves the timeline when it grows too long" do
+    telemetry = Conversations::StreamTelemetry.new(clock: @clock)
+
+    (Conversations::StreamTelemetry::MAX_TIMELINE_POINTS + 1).times do
+      @now += Conversations::StreamTelemetry::SAMPLE_INTERVAL_MS
+      telemetry.record("x")
+    end
+
+    timeline = telemetry.to_h["timeline"]
+    assert_operator timeline.size, :<=, Conversations::StreamTelemetry::MAX_TIMELINE_POINTS
+    assert_equal [Conversations::StreamTelemetry::SAMPLE_INTERVAL_MS, 1], timeline.first
+  end
+
+  test "reports no throughput before any chunk" do
+    stats = Conversations::StreamTelemetry.new(clock: @clock).to_h
+
+    assert_nil stats["first_chunk_ms"]
+    assert_nil stats["chars_per_second"]
+    assert_empty stats["timeline"]
+  end
+end
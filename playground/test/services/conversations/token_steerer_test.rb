@@ -0,0 +1,97 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module Conversations
+  class TokenSteererTest < ActiveSupport::TestCase
+    setup do
+      space = Spaces::Playground.create!(name: "Steer Space", owner: users(:admin))
+      @conversation = space.conversations.create!(title: "Main")
+
+      user_membership = space.space_memberships.create!(kind: "human", role: "owner", user: users(:admin), position: 0)
+      @speaker = space.space_memberships.create!(kind: "character", role: "member", character: characters(:ready_v2), position: 1)
+
+      @conversation.messages.create!(space_membership: user_membership, role: "user", content: "Hi")
+      ConversationRun.where(conversation: @conversation).delete_all
+
+      @run = ConversationRun.create!(kind: "auto_response", conversation: @conversation,
+        status: "succeeded",
+        reason: "test",
+        speaker_space_membership_id: @speaker.id,
+        debug: {
+          "logprobs" => [
+            { "token" => "Alice", "logprob" => -0.01, "top_logprobs" => [{ "token" => "Alice", "logprob" => -0.01 }] },
+            { "token" => " draws", "logprob" => -0.2, "top_logprobs" => [{ "token" => " draws", "logprob" => -0.2 }, { "token" => " sheathes", "logprob" => -1.8 }] },
+            { "token" => " her", "logprob" => -0.05 },
+          ],
+        }
+      )
+      @message = @conversation.messages.create!(space_membership: @speaker, role: "assistant", content: "Alice draws her", conversation_run: @run)
+    end
+
+    test "adds a prefilled swipe and plans a continue run on it" do
+      result = TokenSteerer.new(run: @run, token_index: "1", token: " sheathes").execute
+
+      assert result.success?
+      assert_equal @message, result.message
+      assert_equal "Alice sheathes", @message.reload.content
+      assert_equal 2, @message.message_swipes.count
+      assert_equal({ "run_id" => @run.id, "token_index" => 1, "token" => " sheathes" }, @message.active_message_swipe.metadata["steered_from"])
+
+      assert result.run.continue?
+      assert_equal @message.id, result.run.debug["target_message_id"]
+      assert_equal @message.active_message_swipe_id, result.run.debug["steered_swipe_id"]
+    end
+
+    test "leaves no swipe behind when the continue run cannot be planned" do
+      Conversations::RunPlanner.stubs(:plan_continue!).returns(nil)
+
+      result = TokenSteerer.new(run: @run, token_index: 1, token: " sheathes").execute
+
+      assert_equal :speaker_unavailable, result.error_code
+      assert_equal "Alice draws her", @message.reload.content
+      assert_equal 0, @message.message_swipes.count
+    end
+
+    test "the steered swipe is reverted when the continue run does not succeed" do
+      result = TokenSteerer.new(run: @run, token_index: 1, token: " sheathes").execute
+      steered_id = result.run.debug["steered_swipe_id"]
+
+      assert Messages::Swipes::SteeredPrefill.revert!(run: result.run)
+
+      @message.reload
+      assert_equal "Alice draws her", @message.content
+      assert_equal 1, @message.message_swipes.count
+      assert_nil MessageSwipe.find_by(id: steered_id)
+      assert_not Messages::Swipes::SteeredPrefill.revert!(run: result.run)
+    end
+
+    test "rejects tokens that are not alternatives at the position" do
+      result = TokenSteerer.new(run: @run, token_index: 1, token: " flees").execute
+
+      assert_not result.success?
+      assert_equal :invalid_token, result.error_code
+      assert_equal "Alice draws her", @message.reload.content
+    end
+
+    test "rejects positions outside the logprobs" do
+      assert_equal :invalid_token, TokenSteerer.new(run: @run, token_index: 3, token: "Alice").execute.error_code
+      assert_equal :invalid_token, TokenSteerer.new(run: @run, token_index: "x", token: "Alice").execute.error_code
+    end
+
+    test "rejects continue runs" do
+      @run.update!(kind: "continue")
+
+      assert_equal :no_logprobs, TokenSteerer.new(run: @run, token_index: 1, token: " sheathes").execute.error_code
+    end
+
+    test "rejects replies that are no longer the tail message" do
+      @conversation.messages.create!(space_membership: @speaker, role: "assistant", content: "Later")
+
+      result = TokenSteerer.new(run: @run, token_index: 1, token: " sheathes").execute
+
+      assert_equal :not_tail, result.error_code
+      assert_equal 0, @message.reload.message_swipes.count
+    end
+  end
+end
@@ -0,0 +1,78 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class Messages::Swipes::RemoverTest < ActiveSupport::TestCase
+  fixtures :users, :spaces, :space_memberships, :conversations, :messages, :characters, :llm_providers
+
+  setup do
+    Message.any_instance.stubs(:notify_scheduler_turn_complete)
+
+    @space = Spaces::Playground.create!(name: "Swipe Remover Test Space", owner: users(:admin))
+    @character_membership = @space.space_memberships.create!(
+      kind: "character",
+      role: "member",
+      character: characters(:ready_v2),
+      llm_provider: llm_providers(:openai)
+    )
+    @conversation = @space.conversations.create!(title: "Test", kind: "root")
+    @message = @conversation.messages.create!(space_membership: @character_membership, role: "assistant", content: "v1")
+    @message.ensure_initial_swipe!
+    @message.add_swipe!(content: "v2")
+    @message.add_swipe!(content: "v3")
+  end
+
+  test "deleting an inactive swipe keeps the active one and renumbers positions" do
+    first = @message.message_swipes.find_by!(position: 0)
+
+    result = Messages::Swipes::Remover.execute(message: @message, swipe: first)
+
+    assert result.success?
+    @message.reload
+    assert_equal [0, 1], @message.message_swipes.map(&:position)
+    assert_equal %w[v2 v3], @message.message_swipes.map(&:content)
+    assert_equal "v3", @message.content
+    assert_equal 1, @message.active_message_swipe.position
+  end
+
+  test "deleting the active last swipe selects the previous one" do
+    active = @message.active_message_swipe
+
+    result = Messages::Swipes::Remover.execute(message: @message, swipe: active)
+
+    assert result.success?
+    assert_equal "v2", result.active_swipe.content
+    assert_equal "v2", @message.reload.content
+    assert_equal 2, @message.message_swipes_count
+  end
+
+  test "deleting the active middle swipe selects the one that takes its position" do
+    middle = @message.message_swipes.find_by!(position: 1)
+    @message.select_swipe_at!(1)
+
+    result = Messages::Swipes::Remover.execute(message: @message, swipe: middle)
+
+    assert result.success?
+    assert_equal "v3", @message.reload.content
+    assert_equal 1, @message.active_message_swipe.position
+  end
+
+  test "refuses to delete the only swipe" do
+    2.times { Messages::Swipes::Remover.execute(message: @message, swipe: @message.reload.message_swipes.first) }
+
+    result = Messages::Swipes::Remover.execute(message: @message, swipe: @message.reload.message_swipes.first)
+
+    assert_not result.success?
+    assert_equal :last_swipe, result.error_code
+    assert_equal 1, @message.reload.message_swipes_count
+  end
+
+  test "refuses to delete while the message is generating" do
+    @message.update!(generation_status: "generating")
+
+    result = Messages::Swipes::Remover.execute(message: @message, swipe: @message.message_swipes.first)
+
+    assert_not result.success?
+    assert_equal :generating, result.error_code
+  end
+end
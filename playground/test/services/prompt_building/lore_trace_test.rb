@@ -0,0 +1,103 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module PromptBuilding
+  class LoreTraceTest < ActiveSupport::TestCase
+    setup do
+      @space = Spaces::Playground.create!(name: "Lore Trace Space", owner: users(:admin))
+    end
+
+    def lore_entry(uid, book_name:, source: :global, **opts)
+      TavernKit::Lore::Entry.new(uid: uid, keys: ["dragon"], content: "Dragons.", book_name: book_name, source: source, **opts)
+    end
+
+    def candidate(entry, **attrs)
+      TavernKit::Lore::Candidate.new(
+        entry: entry,
+        matched_primary_keys: ["dragon"],
+        matched_secondary_keys: [],
+        activation_type: :direct,
+        token_estimate: 3,
+        selected: true,
+        dropped_reason: nil,
+        recursion_depth: 0,
+        timed_effects: [],
+        **attrs
+      )
+    end
+
+    def result(candidates, suppressed: [])
+      TavernKit::Lore::Result.new(books: [], scan_text: "", budget: 100, used_tokens: 3, candidates: candidates, suppressed: suppressed)
+    end
+
+    test "lists selected, dropped and suppressed entries with why" do
+      selected = candidate(lore_entry("a", book_name: "World", group: "G"), group_score: 2, group_winner: true)
+      dropped = candidate(lore_entry("b", book_name: "World", group: "G"), selected: false, dropped_reason: "group_score_loser", group_score: 1)
+      suppressed = candidate(lore_entry("c", book_name: "World", cooldown: 3),
+        matched_primary_keys: [], activation_type: nil, selected: false, dropped_reason: "cooldown_active", recursion_depth: nil, timed_effects: [:cooldown])
+
+      entries = LoreTrace.new(result([dropped, selected], suppressed: [suppressed]), space: @space).entries
+
+      assert_equal %w[a b c], entries.map { |entry| entry["uid"] }
+      assert_equal %w[selected dropped suppressed], entries.map { |entry| entry["status"] }
+      assert_equal(
+        { "activation_type" => "direct", "matched_primary_keys" => ["dragon"], "recursion_depth" => 0, "group" => "G", "group_score" => 2, "group_winner" => true },
+        entries[0].slice("activation_type", "matched_primary_keys", "recursion_depth", "group", "group_score", "group_winner")
+      )
+      assert_equal "group_score_loser", entries[1]["dropped_reason"]
+      assert_equal ["cooldown"], entries[2]["timed_effects"]
+      assert_equal 3, entries[2]["cooldown"]
+    end
+
+    test "resolves lorebook entries for editing" do
+      lorebook = Lorebook.create!(name: "Trace World", user: users(:admin), visibility: "private")
+      record = lorebook.entries.create!(keys: ["dragon"], content: "Dragons.")
+      @space.space_lorebooks.create!(lorebook: lorebook, source: "global", enabled: true)
+
+      entry = LoreTrace.new(result([candidate(record.to_lore_entry(source: :global))]), space: @space).entries.first
+
+      assert_equal lorebook.id, entry["lorebook_id"]
+      assert_equal record.id, entry["lorebook_entry_id"]
+    end
+
+    test "only resolves entries of lorebooks the run could use" do
+      attached = Lorebook.create!(name: "Imported World", user: users(:admin), visibility: "private")
+      record = attached.entries.create!(uid: "0", keys: ["dragon"], content: "Dragons.")
+      @space.space_lorebooks.create!(lorebook: attached, source: "global", enabled: true)
+      other = Lorebook.create!(name: "Imported World", user: users(:member), visibility: "private")
+      other.entries.create!(uid: "0", keys: ["dragon"], content: "Other dragons.")
+
+      entry = LoreTrace.new(result([candidate(record.to_lore_entry(source: :global))]), space: @space).entries.first
+      assert_equal [attached.id, record.id], entry.values_at("lorebook_id", "lorebook_entry_id")
+
+      @space.space_lorebooks.destroy_all
+      entry = LoreTrace.new(result([candidate(record.to_lore_entry(source: :global))]), space: @space).entries.first
+      assert_nil entry["lorebook_entry_id"]
+    end
+
+    test "resolves entries of chat lorebooks" do
+      lorebook = Lorebook.create!(name: "Chat World", user: users(:admin), visibility: "private")
+      record = lorebook.entries.create!(keys: ["dragon"], content: "Dragons.")
+      conversation = @space.conversations.create!(title: "Main")
+      conversation.conversation_lorebooks.create!(lorebook: lorebook, enabled: true)
+
+      entry = LoreTrace.new(result([candidate(record.to_lore_entry(source: :chat))]), space: @space, conversation: conversation).entries.first
+
+      assert_equal record.id, entry["lorebook_entry_id"]
+    end
+
+    test "resolves entries of a character's embedded lorebook" do
+      character = characters(:ready_v2)
+      data = character.data.to_h.deep_symbolize_keys
+      data[:character_book] = { name: "Embedded", entries: [{ id: "entry-1", keys: ["dragon"], content: "Dragons.", enabled: true, insertion_order: 100 }] }
+      character.update!(data: data, file_sha256: nil)
+      @space.space_memberships.create!(kind: "character", role: "member", character: character, position: 0)
+
+      entry = LoreTrace.new(result([candidate(lore_entry("entry-1", book_name: "Embedded", source: :character))]), space: @space).entries.first
+
+      assert_equal character.id, entry["character_id"]
+      assert_nil entry["lorebook_entry_id"]
+    end
+  end
+end
@@ -0,0 +1,61 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module PromptBuilding
+  class PromptSourceMapTest < ActiveSupport::TestCase
+    def block(slot, content, role: :system)
+      TavernKit::Prompt::Block.new(role: role, content: content, slot: slot)
+    end
+
+    test "maps slots to sources" do
+      assert_equal "main_prompt", PromptSourceMap.source_for(:main_prompt)
+      assert_equal "character", PromptSourceMap.source_for(:scenario)
+      assert_equal "world_info", PromptSourceMap.source_for(:world_info_before_char_defs)
+      assert_equal "chat_history", PromptSourceMap.source_for(:user_message)
+      assert_equal "other", PromptSourceMap.source_for(:script_injection)
+      assert_equal "other", PromptSourceMap.source_for(nil)
+    end
+
+    test "splits squashed messages by block" do
+      blocks = [
+        block(:main_prompt, "Write the next reply."),
+        block(:character_description, "Alice is a knight."),
+        block(:history, "Hello!", role: :user),
+      ]
+      messages = [
+        { role: "system", content: "Write the next reply.\nAlice is a knight." },
+        { role: "user", content: "Hello!" },
+      ]
+
+      assert_equal [
+        [["main_prompt", "Write the next reply.\n"], ["character", "Alice is a knight."]],
+        [["chat_history", "Hello!"]],
+      ], PromptSourceMap.new(blocks).spans(messages)
+    end
+
+    test "text outside any block is other" do
+      blocks = [block(:main_prompt, "Write the next reply.")]
+      messages = [{ role: "system", content: "Write the next reply.\n\nRespond strictly in ja." }]
+
+      assert_equal [
+        [["main_prompt", "Write the next reply.\n\n"], ["other", "Respond strictly in ja."]],
+      ], PromptSourceMap.new(blocks).spans(messages)
+    end
+
+    test "skips messages inserted between blocks" do
+      blocks = [block(:history, "Hi", role: :user), block(:post_history_instructions, "Stay in character.")]
+      messages = [
+        { "role" => "system", "content" => "Respond strictly in ja." },
+        { "role" => "user", "content" => "Hi" },
+        { "role" => "system", "content" => "Stay in character." },
+      ]
+
+      spans = PromptSourceMap.new(blocks).spans(messages)
+
+      assert_equal [["other", "Respond strictly in ja."]], spans[0]
+      assert_equal [["chat_history", "Hi"]], spans[1]
+      assert_equal [["post_history_instructions", "Stay in character."]], spans[2]
+    end
+  end
+end
@@ -0,0 +1,46 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module PromptBuilding
+  class ReasoningStripperTest < ActiveSupport::TestCase
+    test "removes a closed leading block" do
+      stripper = ReasoningStripper.new(prefix: "<think>", suffix: "</think>")
+
+      assert_equal "Hello!", stripper.strip("\n<think>\nPlan the\nreply.\n</think>\n\nHello!")
+      assert_equal "Hi <think>aside</think>", stripper.strip("Hi <think>aside</think>")
+      assert_equal "<think>unfinished", stripper.strip("<think>unfinished")
+    end
+
+    test "escapes custom delimiters" do
+      stripper = ReasoningStripper.new(prefix: "[[?", suffix: "?]]")
+
+      assert_equal "Answer", stripper.strip("[[? hmm ?]] Answer")
+    end
+
+    test "for_space is nil unless the space strips reasoning" do
+      space = spaces(:general)
+      assert_nil ReasoningStripper.for_space(space)
+
+      space.strip_reasoning_from_prompt = true
+      assert_instance_of ReasoningStripper, ReasoningStripper.for_space(space)
+    end
+
+    test "message history strips assistant replies only" do
+      conversation = conversations(:general_main)
+      conversation.messages.create!(
+        space_membership: space_memberships(:character_in_general), role: "assistant", content: "<think>Plan</think>Reply"
+      )
+      conversation.messages.create!(
+        space_membership: space_memberships(:admin_in_general), role: "user", content: "<think>Mine</think>Question"
+      )
+
+      history = MessageHistory.new(
+        conversation.messages.ordered.with_participant,
+        reasoning_stripper: ReasoningStripper.new(prefix: "<think>", suffix: "</think>")
+      )
+
+      assert_equal ["Reply", "<think>Mine</think>Question"], history.last(2).map(&:content)
+    end
+  end
+end
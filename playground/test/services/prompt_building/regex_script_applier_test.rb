@@ -0,0 +1,77 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module PromptBuilding
+  class RegexScriptApplierTest < ActiveSupport::TestCase
+    setup do
+      @space = spaces(:general)
+      @conversation = conversations(:general_main)
+    end
+
+    test "for_space is nil when no script affects the prompt" do
+      RegexScript.create!(name: "Display only", find_regex: "/x/g", user: @space.owner)
+
+      assert_nil RegexScriptApplier.for_space(@space)
+    end
+
+    test "applies scripts in order for matching role and depth" do
+      first = RegexScript.new(find_regex: "/cat/g", replace_string: "dog", affects_prompt: true, ai_messages: true, user_messages: false)
+      second = RegexScript.new(find_regex: "/dog/g", replace_string: "wolf", affects_prompt: true, ai_messages: true, user_messages: true, max_depth: 0)
+      display_only = RegexScript.new(find_regex: "/wolf/g", replace_string: "fox", affects_prompt: false, ai_messages: true, user_messages: true)
+
+      applier = RegexScriptApplier.new([first, second, display_only])
+
+      assert_equal "wolf", applier.apply("cat", role: :assistant, depth: 0)
+      assert_equal "dog", applier.apply("cat", role: :assistant, depth: 1)
+      assert_equal "cat", applier.apply("cat", role: :user, depth: 1)
+    end
+
+    test "depth_limited? is true only when a script has depth limits" do
+      unlimited = RegexScript.new(find_regex: "/a/", affects_prompt: true)
+      limited = RegexScript.new(find_regex: "/b/", affects_prompt: true, max_depth: 2)
+
+      assert_not RegexScriptApplier.new([unlimited]).depth_limited?
+      assert RegexScriptApplier.new([unlimited, limited]).depth_limited?
+    end
+
+    test "message history rewrites content by depth" do
+      owner = @space.owner
+      RegexScript.create!(
+        name: "Hide old status", find_regex: "/ \\[status\\]/g", affects_prompt: true, min_depth: 1, user: owner
+      )
+
+      membership = space_memberships(:character_in_general)
+      @conversation.messages.create!(space_membership: membership, role: "assistant", content: "Older [status]")
+      @conversation.messages.create!(space_membership: membership, role: "assistant", content: "Latest [status]")
+
+      history = MessageHistory.new(
+        @conversation.messages.ordered.with_participant,
+        regex_scripts: RegexScriptApplier.for_space(@space)
+      )
+      contents = history.map(&:content)
+
+      assert_equal "Latest [status]", contents.last
+      assert_includes contents, "Older"
+      assert_equal "Latest [status]", history.last.content
+      assert_equal ["Older", "Latest [status]"], history.last(2).map(&:content)
+    end
+
+    test "message history does not count excluded messages towards depth" do
+      RegexScript.create!(
+        name: "Hide old status", find_regex: "/ \\[status\\]/g", affects_prompt: true, min_depth: 1, user: @space.owner
+      )
+
+      membership = space_memberships(:character_in_general)
+      @conversation.messages.create!(space_membership: membership, role: "assistant", content: "Latest [status]")
+      @conversation.messages.create!(space_membership: membership, role: "assistant", content: "Aside", visibility: "excluded")
+
+      history = MessageHistory.new(
+        @conversation.messages.ordered.with_participant,
+        regex_scripts: RegexScriptApplier.for_space(@space)
+      )
+
+      assert_equal "Latest [status]", history.map(&:content).last
+    end
+  end
+end
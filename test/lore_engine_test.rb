@@ -462,4 +462,46 @@ class LoreEngineTest < Minitest::Test
     assert_includes result.selected_entries.map(&:uid), "starter"
     assert_includes result.selected_entries.map(&:uid), "delayed"
   end
+
+  def test_candidates_record_recursion_depth
+    book = TavernKit::Lore::Book.from_hash(
+      {
+        "token_budget" => 1000,
+        "scan_depth" => 10,
+        "recursive_scanning" => true,
+        "entries" => [
+          { "uid" => "dragon", "keys" => ["dragon"], "content" => "Dragons live in the mountain caves.", "insertion_order" => 1 },
+          { "uid" => "mountain", "keys" => ["mountain"], "content" => "The mountains are ruled by the ice king.", "insertion_order" => 2 },
+          { "uid" => "ice_king", "keys" => ["ice king"], "content" => "The Ice King is ancient.", "insertion_order" => 3 },
+        ],
+      }
+    )
+
+    engine = TavernKit::Lore::Engine.new(max_recursion_steps: 3)
+    result = engine.evaluate(book: book, scan_text: "I see a dragon")
+
+    depths = result.candidates.to_h { |c| [c.entry.uid, c.recursion_depth] }
+    assert_equal({ "dragon" => 0, "mountain" => 1, "ice_king" => 2 }, depths)
+  end
+
+  def test_group_scoring_records_scores_and_winner
+    book = TavernKit::Lore::Book.from_hash(
+      {
+        "token_budget" => 1_000,
+        "scan_depth" => 10,
+        "entries" => [
+          { "uid" => "both", "keys" => ["x", "y"], "content" => "BOTH", "group" => "G", "useGroupScoring" => true },
+          { "uid" => "one", "keys" => ["x"], "content" => "ONE", "group" => "G", "useGroupScoring" => true },
+        ],
+      }
+    )
+
+    engine = TavernKit::Lore::Engine.new(token_estimator: TavernKit::TokenEstimator::CharDiv4.new)
+    result = engine.evaluate(book: book, scan_text: "x y")
+
+    both, one = result.candidates.sort_by { |c| c.entry.uid == "both" ? 0 : 1 }
+    assert_equal [2, true, true], [both.group_score, both.group_winner, both.selected]
+    assert_equal [1, "group_score_loser"], [one.group_score, one.dropped_reason]
+    assert_equal "G", both.to_h[:group]
+  end
 end
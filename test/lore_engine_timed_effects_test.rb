@@ -106,4 +106,29 @@ class LoreEngineTimedEffectsTest < Minitest::Test
     )
     assert_equal ["d"], r2.selected_entries.map(&:uid)
   end
+
+  def test_result_traces_timed_effects_and_suppressed_entries
+    book = TavernKit::Lore::Book.from_hash(
+      {
+        "name" => "Test",
+        "token_budget" => 10_000,
+        "scan_depth" => 1,
+        "entries" => [
+          { "uid" => "wi", "keys" => ["dragon"], "content" => "DRAGONS", "sticky" => 2, "cooldown" => 3 },
+          { "uid" => "late", "keys" => ["dragon"], "content" => "LATE", "delay" => 5 },
+        ],
+      }
+    )
+
+    r1 = @engine.evaluate(book: book, scan_messages: ["dragon"], scan_depth: 1, message_count: 1, variables_store: @vars)
+    assert_equal [["late", "delay_active"]], r1.suppressed.map { |c| [c.entry.uid, c.dropped_reason] }
+
+    r2 = @engine.evaluate(book: book, scan_messages: ["no match"], scan_depth: 1, message_count: 2, variables_store: @vars)
+    sticky = r2.candidates.find { |c| c.entry.uid == "wi" }
+    assert_equal :sticky, sticky.activation_type
+    assert_includes sticky.timed_effects, :sticky
+
+    r3 = @engine.evaluate(book: book, scan_messages: ["dragon"], scan_depth: 1, message_count: 3, variables_store: @vars)
+    assert_equal "cooldown_active", r3.suppressed.find { |c| c.entry.uid == "wi" }&.dropped_reason
+  end
 end